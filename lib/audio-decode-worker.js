@@ -0,0 +1,16 @@
+//
+// Worker thread entry for audio decoding. server.js posts { id, buffer, hints } and gets back
+// { id, source } (the samples' memory is transferred, not copied) or { id, error }.
+//
+
+const { parentPort } = require('worker_threads');
+const { decodeAudio } = require('./audio-decoding');
+
+parentPort.on('message', ({ id, buffer, hints }) => {
+    try {
+        const source = decodeAudio(Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength), hints);
+        parentPort.postMessage({ id, source }, [source.samples.buffer]);
+    } catch (error) {
+        parentPort.postMessage({ id, error: { message: error.message, invalidAudio: !!error.invalidAudio } });
+    }
+});
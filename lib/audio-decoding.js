@@ -0,0 +1,1439 @@
+//
+// Audio decoding for audioUrl sources and TTS output: WAV, FLAC and MP3 down to 8 kHz mono PCM.
+// The decoders are pure functions of the file bytes, so they can run on a worker thread
+// (see audio-decode-worker.js) and keep the request thread responsive.
+//
+
+const path = require('path');
+
+const OUTPUT_SAMPLE_RATE = 8000; // RTP_CLOCK_RATE in server.js
+
+// G.711 expansion, for A-law and mu-law WAV files
+const muLawToLinear = (value) => {
+    const inverted = ~value & 0xFF;
+    let magnitude = ((inverted & 0x0F) << 3) + 0x84;
+    magnitude <<= (inverted & 0x70) >> 4;
+    return inverted & 0x80 ? 0x84 - magnitude : magnitude - 0x84;
+};
+
+const aLawToLinear = (value) => {
+    const toggled = value ^ 0x55;
+    const segment = (toggled & 0x70) >> 4;
+    let magnitude = (toggled & 0x0F) << 4;
+    if (segment === 0) {
+        magnitude += 8;
+    } else {
+        magnitude = (magnitude + 0x108) << (segment - 1);
+    }
+    return toggled & 0x80 ? magnitude : -magnitude;
+};
+
+// Kernel half-width in zero crossings of the output-rate sinc
+const RESAMPLE_ZERO_CROSSINGS = 8;
+// Largest per-phase weight table worth building (phases x taps)
+const RESAMPLE_MAX_TABLE_SIZE = 1 << 20;
+
+const greatestCommonDivisor = (a, b) => (b ? greatestCommonDivisor(b, a % b) : a);
+
+/**
+ * Band-limited resampling with a Hann-windowed sinc kernel. When downsampling, the kernel
+ * is stretched so it also acts as the anti-aliasing low-pass at the new Nyquist frequency.
+ * @returns {Int16Array}
+ */
+function resamplePcm(samples, fromRate, toRate = OUTPUT_SAMPLE_RATE) {
+    if (fromRate === toRate) {
+        return samples;
+    }
+    const ratio = fromRate / toRate;
+    const cutoff = Math.min(1, 1 / ratio); // Fraction of the input Nyquist frequency to keep
+    const halfWidth = RESAMPLE_ZERO_CROSSINGS / cutoff;
+    const kernel = (x) => {
+        const phase = Math.PI * x * cutoff;
+        const sinc = x === 0 ? 1 : Math.sin(phase) / phase;
+        const window = 0.5 + 0.5 * Math.cos(Math.PI * x / halfWidth);
+        return sinc * window;
+    };
+    
+    // Output i sits at input position i * fromRate / toRate, whose fractional part cycles through
+    // toRate / gcd values, so the normalized weights are computed once per phase
+    const divisor = greatestCommonDivisor(fromRate, toRate);
+    const phases = toRate / divisor;
+    const reach = Math.ceil(halfWidth);
+    const taps = 2 * reach + 1;
+    const table = phases * taps <= RESAMPLE_MAX_TABLE_SIZE ? new Float64Array(phases * taps) : null;
+    for (let phase = 0; table && phase < phases; phase++) {
+        const fraction = phase * divisor / toRate;
+        let weights = 0;
+        for (let tap = 0; tap < taps; tap++) {
+            const x = tap - reach - fraction;
+            const weight = Math.abs(x) <= halfWidth ? kernel(x) : 0;
+            table[phase * taps + tap] = weight;
+            weights += weight;
+        }
+        for (let tap = 0; tap < taps; tap++) {
+            table[phase * taps + tap] /= weights;
+        }
+    }
+    
+    const output = new Int16Array(Math.floor(samples.length / ratio));
+    for (let i = 0; i < output.length; i++) {
+        const position = i * fromRate;
+        const first = Math.floor(position / toRate) - reach;
+        let sum = 0;
+        if (table && first >= 0 && first + taps <= samples.length) {
+            const offset = (position % toRate) / divisor * taps;
+            for (let tap = 0; tap < taps; tap++) {
+                sum += samples[first + tap] * table[offset + tap];
+            }
+        } else {
+            // Near either end only the samples that exist are weighted
+            const center = position / toRate;
+            const last = Math.min(samples.length - 1, Math.floor(center + halfWidth));
+            let weights = 0;
+            for (let j = Math.max(0, Math.ceil(center - halfWidth)); j <= last; j++) {
+                const weight = kernel(j - center);
+                sum += samples[j] * weight;
+                weights += weight;
+            }
+            sum = weights ? sum / weights : 0;
+        }
+        output[i] = Math.max(-32768, Math.min(32767, Math.round(sum)));
+    }
+    return output;
+}
+
+// --- Audio Decoding ---
+// Sources at any sample rate are down-mixed to mono and resampled to 8 kHz. probeAudio reads
+// only the container headers, cheaply enough for the request thread; decodeAudio does the full
+// decode and belongs on the worker thread.
+const mediaConfig = {
+    maxDurationSec: parseInt(process.env.MEDIA_MAX_DURATION_SEC) || 300,
+    maxChannels: parseInt(process.env.MEDIA_MAX_CHANNELS) || 2
+};
+
+// Errors about the file itself (as opposed to fetching it) are flagged so callers can answer 400
+const invalidAudio = (message) => Object.assign(new Error(message), { invalidAudio: true });
+
+/**
+ * Checks a stream's layout against the configured limits.
+ * @returns {number} The most sample frames the stream may contain
+ */
+function checkAudioStream({ sampleRate, channels }) {
+    if (!sampleRate || sampleRate > 384000) {
+        throw invalidAudio(`Unsupported sample rate ${sampleRate} Hz`);
+    }
+    if (!channels || channels > mediaConfig.maxChannels) {
+        throw invalidAudio(`Audio has ${channels} channels; at most ${mediaConfig.maxChannels} are supported`);
+    }
+    return Math.ceil(sampleRate * mediaConfig.maxDurationSec);
+}
+
+const durationExceeded = () => invalidAudio(`Audio is longer than the ${mediaConfig.maxDurationSec} s limit`);
+
+const clampSample = (value) => Math.max(-32768, Math.min(32767, Math.round(value)));
+
+const concatSamples = (chunks) => {
+    const samples = new Int16Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        samples.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return samples;
+};
+
+/**
+ * MSB-first bit reader, the bit order FLAC and MPEG audio both use.
+ */
+class BitReader {
+    constructor(buffer, offset = 0) {
+        this.buffer = buffer;
+        this.position = offset * 8;
+        this.end = buffer.length * 8;
+    }
+
+    read(count) {
+        if (this.position + count > this.end) {
+            throw invalidAudio('Audio data ends unexpectedly');
+        }
+        // Take whole runs of bits from each byte rather than one bit at a time
+        let value = 0;
+        for (let remaining = count; remaining > 0;) {
+            const available = 8 - (this.position & 7);
+            const take = Math.min(available, remaining);
+            const bits = (this.buffer[this.position >> 3] >> (available - take)) & ((1 << take) - 1);
+            value = value * (1 << take) + bits;
+            this.position += take;
+            remaining -= take;
+        }
+        return value;
+    }
+
+    readSigned(count) {
+        const value = this.read(count);
+        return count && value >= 2 ** (count - 1) ? value - 2 ** count : value;
+    }
+
+    // Counts zero bits up to the next one bit
+    readUnary() {
+        let count = 0;
+        for (;;) {
+            if (this.position >= this.end) {
+                throw invalidAudio('Audio data ends unexpectedly');
+            }
+            const offset = this.position & 7;
+            const bits = (this.buffer[this.position >> 3] << offset) & 0xFF;
+            if (bits === 0) {
+                count += 8 - offset;
+                this.position += 8 - offset;
+                continue;
+            }
+            const zeros = Math.clz32(bits) - 24;
+            this.position += zeros + 1;
+            return count + zeros;
+        }
+    }
+
+    skip(count) {
+        this.position += count;
+    }
+
+    alignToByte() {
+        this.position = Math.ceil(this.position / 8) * 8;
+    }
+}
+
+/**
+ * Reads a WAV file's fmt and data chunks and checks the stream against the limits; the data
+ * chunk's size gives the exact duration, so nothing needs decoding.
+ * @returns {{ format: object, data: Buffer, read: Function, frames: number }}
+ */
+function readWavHeader(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw invalidAudio('Audio source is not a WAV file');
+    }
+
+    let format = null;
+    let data = null;
+    for (let offset = 12; offset + 8 <= buffer.length;) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const body = buffer.subarray(offset + 8, Math.min(offset + 8 + chunkSize, buffer.length));
+        if (chunkId === 'fmt ' && body.length >= 16) {
+            format = {
+                audioFormat: body.readUInt16LE(0),
+                channels: body.readUInt16LE(2),
+                sampleRate: body.readUInt32LE(4),
+                bitsPerSample: body.readUInt16LE(14)
+            };
+            // WAVE_FORMAT_EXTENSIBLE keeps the real format code in its sub-format GUID
+            if (format.audioFormat === 0xFFFE && body.length >= 26) {
+                format.audioFormat = body.readUInt16LE(24);
+            }
+        } else if (chunkId === 'data') {
+            data = body;
+        }
+        offset += 8 + chunkSize + (chunkSize % 2); // Chunks are word-aligned
+    }
+
+    if (!format || !data) {
+        throw invalidAudio('WAV file is missing its fmt or data chunk');
+    }
+
+    const readers = {
+        '1:8': (offset) => (data[offset] - 128) << 8,
+        '1:16': (offset) => data.readInt16LE(offset),
+        '1:24': (offset) => data.readIntLE(offset, 3) / 256,
+        '1:32': (offset) => data.readInt32LE(offset) / 65536,
+        '3:32': (offset) => data.readFloatLE(offset) * 32767,
+        '3:64': (offset) => data.readDoubleLE(offset) * 32767,
+        '6:8': (offset) => aLawToLinear(data[offset]),
+        '7:8': (offset) => muLawToLinear(data[offset])
+    };
+    const read = readers[`${format.audioFormat}:${format.bitsPerSample}`];
+    if (!read) {
+        throw invalidAudio(`Unsupported WAV encoding (format ${format.audioFormat}, ${format.bitsPerSample}-bit)`);
+    }
+
+    const limit = checkAudioStream(format);
+    const frames = Math.floor(data.length / (format.bitsPerSample / 8 * format.channels));
+    if (frames > limit) {
+        throw durationExceeded();
+    }
+    return { format, data, read, frames };
+}
+
+/**
+ * Decodes a WAV file (8/16/24/32-bit PCM, 32/64-bit float or G.711) into mono 16-bit samples
+ * at its own sample rate.
+ * @returns {{ sampleRate: number, channels: number, samples: Int16Array }}
+ */
+function decodeWav(buffer) {
+    const { format, read, frames } = readWavHeader(buffer);
+    const bytesPerSample = format.bitsPerSample / 8;
+    const frameSize = bytesPerSample * format.channels;
+    const samples = new Int16Array(frames);
+    for (let frame = 0; frame < frames; frame++) {
+        // Down-mix by averaging the channels
+        let sum = 0;
+        for (let channel = 0; channel < format.channels; channel++) {
+            sum += read(frame * frameSize + channel * bytesPerSample);
+        }
+        samples[frame] = clampSample(sum / format.channels);
+    }
+    return { sampleRate: format.sampleRate, channels: format.channels, samples };
+}
+
+// FLAC frame header codes (https://xiph.org/flac/format.html#frame_header)
+const FLAC_BLOCK_SIZES = [0, 192, 576, 1152, 2304, 4608, 0, 0, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768];
+const FLAC_SAMPLE_SIZES = [0, 8, 12, 0, 16, 20, 24, 32];
+const FLAC_FIXED_COEFFICIENTS = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]];
+
+const crc8 = (buffer, start, end) => {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc ^= buffer[i];
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+        }
+    }
+    return crc;
+};
+
+const crc16 = (buffer, start, end) => {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc ^= buffer[i] << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    }
+    return crc;
+};
+
+/**
+ * Decodes a FLAC file into mono 16-bit samples at its own sample rate. Every frame's header
+ * and body checksums are verified, so a damaged file is rejected rather than played as noise.
+ * @returns {{ sampleRate: number, channels: number, samples: Int16Array }}
+ */
+function decodeFlac(buffer) {
+    const { info, offset: firstFrame, limit } = readFlacHeader(buffer);
+    const chunks = [];
+    let frames = 0;
+    let offset = firstFrame;
+    while (offset < buffer.length && (!info.totalSamples || frames < info.totalSamples)) {
+        const frame = decodeFlacFrame(buffer, offset, info);
+        chunks.push(frame.samples);
+        frames += frame.samples.length;
+        offset = frame.end;
+        if (frames > limit) {
+            throw durationExceeded();
+        }
+    }
+    if (info.totalSamples && frames < info.totalSamples) {
+        throw invalidAudio(`FLAC stream is truncated (${frames} of ${info.totalSamples} samples)`);
+    }
+    return { sampleRate: info.sampleRate, channels: info.channels, samples: concatSamples(chunks) };
+}
+
+/**
+ * Reads a FLAC file's metadata blocks and checks STREAMINFO against the limits (its sample
+ * count, when the encoder filled it in, gives the duration up front).
+ * @returns {{ info: object, offset: number, limit: number }} offset is where the first frame starts
+ */
+function readFlacHeader(buffer) {
+    if (buffer.toString('ascii', 0, 4) !== 'fLaC') {
+        throw invalidAudio('Audio source is not a FLAC file');
+    }
+
+    let offset = 4;
+    let info = null;
+    for (let last = false; !last;) {
+        if (offset + 4 > buffer.length) {
+            throw invalidAudio('FLAC metadata is truncated');
+        }
+        last = (buffer[offset] & 0x80) !== 0;
+        const type = buffer[offset] & 0x7F;
+        const length = buffer.readUIntBE(offset + 1, 3);
+        if (type === 0 && length >= 34 && offset + 38 <= buffer.length) {
+            const reader = new BitReader(buffer, offset + 4);
+            reader.skip(80); // Block and frame size bounds
+            info = {
+                sampleRate: reader.read(20),
+                channels: reader.read(3) + 1,
+                bitsPerSample: reader.read(5) + 1,
+                totalSamples: reader.read(36)
+            };
+        }
+        offset += 4 + length;
+    }
+    if (!info) {
+        throw invalidAudio('FLAC file has no STREAMINFO block');
+    }
+
+    const limit = checkAudioStream(info);
+    if (info.totalSamples > limit) {
+        throw durationExceeded();
+    }
+    return { info, offset, limit };
+}
+
+function decodeFlacFrame(buffer, offset, info) {
+    const reader = new BitReader(buffer, offset);
+    if (offset + 2 > buffer.length || reader.read(15) !== 0x7FFC) {
+        throw invalidAudio(`Lost FLAC frame sync at byte ${offset}`);
+    }
+    reader.skip(1); // Fixed or variable block size
+    const blockSizeCode = reader.read(4);
+    const rateCode = reader.read(4);
+    const channelCode = reader.read(4);
+    const sizeCode = reader.read(3);
+    reader.skip(1);
+
+    // Frame or sample number, UTF-8 style: the first byte's leading ones give the length
+    const first = reader.read(8);
+    let leadingOnes = 0;
+    while (leadingOnes < 8 && first & (0x80 >> leadingOnes)) {
+        leadingOnes++;
+    }
+    if (leadingOnes === 1 || leadingOnes > 7) {
+        throw invalidAudio('Invalid FLAC frame number');
+    }
+    reader.skip(8 * Math.max(0, leadingOnes - 1));
+
+    let blockSize = FLAC_BLOCK_SIZES[blockSizeCode];
+    if (blockSizeCode === 6) blockSize = reader.read(8) + 1;
+    if (blockSizeCode === 7) blockSize = reader.read(16) + 1;
+    // The sample rate is taken from STREAMINFO; skip any explicit one
+    if (rateCode === 12) reader.skip(8);
+    if (rateCode === 13 || rateCode === 14) reader.skip(16);
+    const headerEnd = reader.position / 8;
+    if (reader.read(8) !== crc8(buffer, offset, headerEnd)) {
+        throw invalidAudio('FLAC frame header checksum mismatch');
+    }
+
+    const bitsPerSample = sizeCode === 0 ? info.bitsPerSample : FLAC_SAMPLE_SIZES[sizeCode];
+    const channels = channelCode < 8 ? channelCode + 1 : 2;
+    if (!blockSize || !bitsPerSample || rateCode === 15 || channelCode > 10 || channels !== info.channels) {
+        throw invalidAudio('Invalid FLAC frame header');
+    }
+
+    const subframes = [];
+    for (let channel = 0; channel < channels; channel++) {
+        // The side channel of a stereo pair carries one extra bit
+        const isSide = (channelCode === 8 || channelCode === 10) ? channel === 1 : channelCode === 9 && channel === 0;
+        subframes.push(decodeFlacSubframe(reader, blockSize, bitsPerSample + (isSide ? 1 : 0)));
+    }
+    reader.alignToByte();
+    const bodyEnd = reader.position / 8;
+    if (reader.read(16) !== crc16(buffer, offset, bodyEnd)) {
+        throw invalidAudio('FLAC frame checksum mismatch');
+    }
+
+    // Undo the stereo decorrelation, then down-mix and scale to 16 bits
+    const scale = 2 ** (16 - bitsPerSample);
+    const samples = new Int16Array(blockSize);
+    for (let i = 0; i < blockSize; i++) {
+        let sum;
+        if (channelCode === 8) {
+            sum = 2 * subframes[0][i] - subframes[1][i]; // left, left - side
+        } else if (channelCode === 9) {
+            sum = subframes[0][i] + 2 * subframes[1][i]; // side + right, right
+        } else if (channelCode === 10) {
+            sum = 2 * subframes[0][i] + (subframes[1][i] & 1); // (mid << 1 | side & 1) is left + right
+        } else {
+            sum = 0;
+            for (let channel = 0; channel < channels; channel++) {
+                sum += subframes[channel][i];
+            }
+        }
+        samples[i] = clampSample(sum / channels * scale);
+    }
+    return { samples, end: bodyEnd + 2 };
+}
+
+function decodeFlacSubframe(reader, blockSize, bitsPerSample) {
+    if (reader.read(1) !== 0) {
+        throw invalidAudio('Invalid FLAC subframe header');
+    }
+    const type = reader.read(6);
+    const wastedBits = reader.read(1) ? reader.readUnary() + 1 : 0;
+    const bits = bitsPerSample - wastedBits;
+    const samples = new Float64Array(blockSize); // Side channels of 32-bit audio overflow an Int32Array
+
+    if (type === 0) {
+        samples.fill(reader.readSigned(bits));
+    } else if (type === 1) {
+        for (let i = 0; i < blockSize; i++) {
+            samples[i] = reader.readSigned(bits);
+        }
+    } else if ((type >= 8 && type <= 12) || type >= 32) {
+        const order = type >= 32 ? (type & 31) + 1 : type - 8;
+        if (order > blockSize) {
+            throw invalidAudio('FLAC predictor order exceeds the block size');
+        }
+        for (let i = 0; i < order; i++) {
+            samples[i] = reader.readSigned(bits);
+        }
+        let coefficients = FLAC_FIXED_COEFFICIENTS[order];
+        let shift = 0;
+        if (type >= 32) {
+            const precision = reader.read(4) + 1;
+            shift = reader.readSigned(5);
+            if (precision === 16 || shift < 0) {
+                throw invalidAudio('Invalid FLAC LPC parameters');
+            }
+            coefficients = [];
+            for (let i = 0; i < order; i++) {
+                coefficients.push(reader.readSigned(precision));
+            }
+        }
+        readFlacResidual(reader, samples, order);
+        const divisor = 2 ** shift;
+        for (let i = order; i < blockSize; i++) {
+            let prediction = 0;
+            for (let j = 0; j < order; j++) {
+                prediction += coefficients[j] * samples[i - 1 - j];
+            }
+            samples[i] += Math.floor(prediction / divisor);
+        }
+    } else {
+        throw invalidAudio(`Reserved FLAC subframe type ${type}`);
+    }
+
+    if (wastedBits) {
+        for (let i = 0; i < blockSize; i++) {
+            samples[i] *= 2 ** wastedBits;
+        }
+    }
+    return samples;
+}
+
+// Rice-coded residual, written after the warm-up samples
+function readFlacResidual(reader, samples, order) {
+    const method = reader.read(2);
+    if (method > 1) {
+        throw invalidAudio('Reserved FLAC residual coding method');
+    }
+    const parameterBits = method === 0 ? 4 : 5;
+    const escapeCode = (1 << parameterBits) - 1;
+    const partitionOrder = reader.read(4);
+    const partitionSize = samples.length >> partitionOrder;
+    if (partitionSize << partitionOrder !== samples.length || partitionSize < order) {
+        throw invalidAudio('Invalid FLAC residual partitioning');
+    }
+
+    let index = order;
+    for (let partition = 0; partition < 1 << partitionOrder; partition++) {
+        const end = (partition + 1) * partitionSize;
+        const parameter = reader.read(parameterBits);
+        if (parameter === escapeCode) {
+            const bits = reader.read(5);
+            while (index < end) {
+                samples[index++] = reader.readSigned(bits);
+            }
+            continue;
+        }
+        while (index < end) {
+            const value = reader.readUnary() * 2 ** parameter + reader.read(parameter);
+            samples[index++] = value % 2 ? -(value + 1) / 2 : value / 2; // Zig-zag back to signed
+        }
+    }
+}
+
+// MPEG audio Layer III (ISO/IEC 11172-3 and the 13818-3 low sampling frequency extension, plus MPEG 2.5)
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+const MP3_BITRATES_KBPS = {
+    mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    lsf: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+// Scale factor band widths in frequency lines: [long blocks (576 lines), short windows (192 lines)]
+const MP3_BAND_WIDTHS = {
+    44100: [[4, 4, 4, 4, 4, 4, 6, 6, 8, 8, 10, 12, 16, 20, 24, 28, 34, 42, 50, 54, 76, 158],
+        [4, 4, 4, 4, 6, 8, 10, 12, 14, 18, 22, 30, 56]],
+    48000: [[4, 4, 4, 4, 4, 4, 6, 6, 6, 8, 10, 12, 16, 18, 22, 28, 34, 40, 46, 54, 54, 192],
+        [4, 4, 4, 4, 6, 6, 10, 12, 14, 16, 20, 26, 66]],
+    32000: [[4, 4, 4, 4, 4, 4, 6, 6, 8, 10, 12, 16, 20, 24, 30, 38, 46, 56, 68, 84, 102, 26],
+        [4, 4, 4, 4, 6, 8, 12, 16, 20, 26, 34, 42, 12]],
+    22050: [[6, 6, 6, 6, 6, 6, 8, 10, 12, 14, 16, 20, 24, 28, 32, 38, 46, 52, 60, 68, 58, 54],
+        [4, 4, 4, 6, 6, 8, 10, 14, 18, 26, 32, 42, 18]],
+    24000: [[6, 6, 6, 6, 6, 6, 8, 10, 12, 14, 16, 18, 22, 26, 32, 38, 46, 54, 62, 70, 76, 36],
+        [4, 4, 4, 6, 8, 10, 12, 14, 18, 24, 32, 44, 12]],
+    16000: [[6, 6, 6, 6, 6, 6, 8, 10, 12, 14, 16, 20, 24, 28, 32, 38, 46, 52, 60, 68, 58, 54],
+        [4, 4, 4, 6, 8, 10, 12, 14, 18, 24, 30, 40, 18]],
+    8000: [[12, 12, 12, 12, 12, 12, 16, 20, 24, 28, 32, 40, 48, 56, 64, 76, 90, 2, 2, 2, 2, 2],
+        [8, 8, 8, 12, 16, 20, 24, 28, 36, 2, 2, 2, 26]]
+};
+MP3_BAND_WIDTHS[11025] = MP3_BAND_WIDTHS[12000] = MP3_BAND_WIDTHS[16000];
+
+// Band start lines, with the end of the spectrum appended
+const MP3_BANDS = Object.fromEntries(Object.entries(MP3_BAND_WIDTHS).map(([rate, widths]) => {
+    const [long, short] = widths.map(list => list.reduce((starts, width) => [...starts, starts[starts.length - 1] + width], [0]));
+    return [rate, { long, short }];
+}));
+
+// Scale factor bit lengths for MPEG-1 scalefac_compress, and the MPEG-2 per-group band counts
+// indexed by [table][long, short, mixed]
+const MP3_SLEN = [[0, 0], [0, 1], [0, 2], [0, 3], [3, 0], [1, 1], [1, 2], [1, 3], [2, 1], [2, 2], [2, 3], [3, 1], [3, 2], [3, 3], [4, 2], [4, 3]];
+const MP3_LSF_BAND_COUNTS = [
+    [[6, 5, 5, 5], [9, 9, 9, 9], [6, 9, 9, 9]],
+    [[6, 5, 7, 3], [9, 9, 12, 6], [6, 9, 12, 6]],
+    [[11, 10, 0, 0], [18, 18, 0, 0], [15, 18, 0, 0]],
+    [[7, 7, 7, 0], [12, 12, 12, 0], [6, 15, 12, 0]],
+    [[6, 6, 6, 3], [12, 9, 9, 6], [6, 12, 9, 6]],
+    [[8, 8, 5, 0], [15, 12, 9, 0], [6, 18, 9, 0]]
+];
+const MP3_PRETAB = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 3, 3, 3, 2, 0];
+
+// Huffman code words from ISO/IEC 11172-3 Annex B, listed in (x, y) order (vwxy for table 32).
+// Each is written in hex with a leading 1 bit marking its length, so 9 (0b1001) is the code 001
+const MP3_HUFFMAN_CODES = {
+    1: '3 9 5 8',
+    2: '3 a 41 b 9 21 23 22 40',
+    3: '7 6 41 9 5 21 23 22 40',
+    5: '3 a 46 85 b 9 44 84 47 45 87 101 86 41 81 100',
+    6: 'f b 25 81 e 6 13 22 15 14 24 41 43 23 42 80',
+    7: '3 a 4a 113 110 20a b 13 47 8a 85 103 4b 24 8d 111 108 204 8c 8b 112 20f 20b 202 87 86 109 ' +
+        '20e 203 401 106 104 205 403 402 400',
+    8: '7 c 46 112 10c 205 d 5 12 110 109 103 47 13 45 10e 107 203 113 111 10f 20d 20a 404 10d 85 ' +
+        '108 20b 405 401 20c 104 204 201 801 800',
+    9: 'f d 29 4e 10f 207 e c 15 25 46 107 17 16 28 48 88 105 4f 26 49 8a 85 101 8b 47 89 86 104 201 ' +
+        '10e 84 106 102 206 200',
+    10: '3 a 4a 117 223 21e 20c 411 b 13 48 8c 112 215 10c 107 4b 49 8f 115 220 428 213 206 8e 8d 116 ' +
+        '222 42e 417 212 407 114 113 221 42f 41b 416 409 403 21f 216 429 41a 815 814 405 803 10e 10d ' +
+        '20a 40b 410 406 805 801 209 108 207 408 404 804 802 800',
+    11: '7 c 2a 98 122 221 115 20f d b 14 4a 120 111 8b 10a 2b 27 4d 92 11e 21f 114 105 99 4b 93 23b ' +
+        '11b 412 10c 205 123 121 11f 23a 21e 410 207 405 11c 11a 220 413 411 80f 408 80e 10e 8c 89 ' +
+        '10d 20e 409 404 401 10b 84 106 206 406 403 402 400',
+    12: '19 e 30 a1 129 227 226 21a f d 16 29 97 90 11a 10b 31 17 2b 4e 95 11e 8a 107 51 2a 4f 4c 92 ' +
+        '11c 10e 105 a0 4d 96 93 112 110 109 205 128 91 11f 11d 111 20d 104 202 11b 8c 8b 10f 10a 207 ' +
+        '204 401 21b 10c 108 20c 206 203 201 400',
+    13: '3 15 4e 95 122 233 22e 447 22a 434 844 834 1043 102c 202b 2013 b 14 4c 93 11f 11a 22c 221 ' +
+        '21f 218 420 418 81f 1023 1016 100e 4f 4d 97 124 23b 231 44d 441 21d 428 41e 828 81b 1021 ' +
+        '202a 2010 96 94 125 23d 238 44f 449 440 42b 84c 838 825 81a 101f 2019 200e 123 90 23c 239 ' +
+        '461 44b 872 85b 436 849 837 1029 1030 2035 2017 4018 23a 11b 232 460 44c 446 85d 854 84d 83a ' +
+        '104f 81d 204a 2031 4029 4011 22f 22d 44e 44a 873 85e 85a 84f 845 1053 1047 1032 203b 2026 ' +
+        '4024 400f 448 222 438 85f 85c 855 105b 105a 1056 1049 204d 2041 2033 402c 1002b 1002a 22b ' +
+        '114 21e 42c 437 84e 848 1057 104e 103d 102e 2036 2025 401e 8014 8010 435 219 429 425 82c 83b ' +
+        '836 2051 1042 204c 2039 4036 4025 4012 10027 800b 423 421 41f 839 82a 1052 1048 2050 102f ' +
+        '203a 4037 2015 4016 801a 10026 20016 835 419 417 826 1046 103c 1033 1024 2037 201a 2022 4017 ' +
+        '801b 800e 8009 10007 822 820 81c 1027 1031 204b 101e 2034 4030 4028 8034 801c 8012 10011 ' +
+        '10009 10005 102d 815 1022 2040 2038 2032 4031 402d 401f 4013 400c 800f 1000a 8007 10006 ' +
+        '10003 2030 1017 1014 2027 2024 2023 8035 4015 4010 20017 800d 800a 8006 20001 10004 10002 ' +
+        '1010 100f 2011 401b 4019 4014 801d 400b 8011 800c 10010 10008 80001 40001 80000 10001',
+    15: 'f 1c 32 b5 af 14c 27c 26c 259 47b 46c 877 86b 851 107a 203f 1d d 30 5b ae a4 13d 133 12a 246 ' +
+        '234 453 441 429 83b 824 33 31 2f 58 a9 a2 13b 130 128 240 232 44e 43e 850 838 821 5d 5c 59 ' +
+        'ab a7 13f 137 25d 24c 23b 45d 448 436 84b 832 81d b4 56 aa a8 143 139 25f 24f 248 239 459 ' +
+        '445 431 842 82e 81b 14d a5 a3 142 13a 134 25b 24a 23e 230 44f 43f 85a 83e 828 1026 27d a0 ' +
+        '13c 138 132 25c 24e 241 237 457 447 433 849 833 1046 101e 26d 135 131 25e 258 24b 242 47a ' +
+        '45b 449 438 42a 840 82c 815 1019 25a 12b 129 24d 249 23f 238 45c 44d 442 42f 843 830 1035 ' +
+        '1024 1014 247 122 243 23c 23a 231 458 44c 443 86a 847 836 826 1027 1017 100f 46d 235 233 22f ' +
+        '45a 452 43a 439 430 848 839 829 817 101b 203e 1009 456 22a 228 225 446 440 434 42b 846 837 ' +
+        '82a 819 101d 1012 100b 200b 876 444 21e 437 432 42e 84a 841 831 827 818 810 1016 100d 200e ' +
+        '2007 85b 42c 427 426 422 83f 834 82d 81f 1034 101c 1013 100e 1008 2009 2003 107b 83c 83a 835 ' +
+        '82f 82b 820 816 1025 1018 1011 100c 200f 200a 1002 2001 1047 825 822 81e 81c 814 811 101a ' +
+        '1015 1010 100a 1006 2008 2006 2002 2000',
+    16: '3 15 4e 12c 24a 23f 46e 45d 8ac 895 88a 10f2 10e1 10c3 2178 211 b 14 4c 94 123 23e 235 22f ' +
+        '453 44b 444 877 10c9 86b 10cf 109 4f 4d 97 126 243 23a 467 45a 8a1 448 87f 875 86e 10d1 10ce ' +
+        '210 12d 95 127 245 240 472 463 457 89e 88c 10fc 10d4 10c7 2183 216d 41a 24b 124 244 241 473 ' +
+        '465 8b3 8a4 89b 1108 10f6 10e2 218b 217e 216a 209 242 11e 23b 238 466 8b9 8ad 1109 88e 10fd ' +
+        '10e8 2190 2184 217a 41bd 410 46f 236 234 464 8b8 8b2 8a0 885 1101 10f4 10e4 10d9 2181 216e ' +
+        '42cb 40a 462 230 45b 458 8a5 89d 894 1105 10f8 2197 218d 2174 217c 8379 8374 408 455 454 451 ' +
+        '89f 89c 88f 1104 10f9 21ab 2191 2188 217f 42d7 42c9 42c4 407 89a 44c 449 88d 883 1100 10f5 ' +
+        '21aa 2196 218a 2180 42df 2167 42c6 2160 80b 88b 881 443 87d 10f7 10e9 10e5 10db 2189 42e7 ' +
+        '42e1 42d0 8375 8372 41b7 404 10f3 878 876 873 10e3 10df 218c 42ea 42e6 42e0 42d1 42c8 42c2 ' +
+        '20df 41b4 806 10ca 10e0 10de 10da 10d8 2185 2182 217d 216c 8378 41bb 42c3 41b8 41b5 106c0 ' +
+        '804 42eb 10d3 10d2 10d0 2172 217b 42de 42d3 42ca 106c7 8373 836d 836c 20d83 8361 802 2179 ' +
+        '2171 866 10bb 42d6 42d2 2166 42c7 42c5 8362 106c6 8367 20d82 8366 41b2 800 20c 10a 107 20b ' +
+        '20a 411 40b 409 80d 80c 80a 807 805 803 801 103',
+    24: '1f 1d 6e d0 192 306 2f8 5b2 5aa a9d a8d a89 a6d a05 1408 258 1e 1c 35 66 c7 182 17a 2d8 2d1 ' +
+        '2c6 547 559 53f 529 517 12a 6f 36 69 ca c4 180 178 2dd 2cf 2c2 2b6 554 53b 527 a1d 92 d1 67 ' +
+        'cb c6 186 17d 174 2dc 2cc 2be 2b2 545 537 525 50f 90 193 c8 c5 187 17f 176 170 2d2 2c8 2bc ' +
+        '560 543 532 51d a1c 8e 307 c2 181 17e 177 172 2d6 2ca 2c0 2b4 555 53d 52d 519 506 8c 2f9 17b ' +
+        '179 175 171 2d7 2ce 2c3 2b9 55b 54a 534 523 510 a08 8a 5b3 173 16f 16d 2d3 2cb 2c4 2bb 561 ' +
+        '54c 539 52a 51b a13 97d 111 5ab 2d4 2d0 2cd 2c9 2c1 2ba 2b1 2a9 540 52f 51e 50c a02 979 110 ' +
+        '54f 2c7 2c5 2bf 2bd 2b5 2ae 54d 541 531 521 513 a09 97b 973 10b a9c 2b8 2b7 2b3 2af 558 54b ' +
+        '53a 530 522 515 a12 97f 975 96e 10a a8c 55a 2ab 2a8 2a4 53e 535 52b 51f 514 507 a01 977 970 ' +
+        '96a 106 a88 542 53c 538 533 52e 524 51c 50d 505 a00 978 972 96c 967 104 a6c 52c 528 526 520 ' +
+        '51a 511 50a a03 97c 976 971 96d 969 965 102 1409 518 516 512 50b 508 503 97e 97a 974 96f 96b ' +
+        '968 966 964 100 12b 94 93 91 8f 8d 8b 89 87 86 84 107 105 103 101 13',
+    32: '3 15 14 25 16 45 24 44 17 23 26 40 27 42 43 41'
+};
+
+function buildHuffmanTree(codes) {
+    const root = [];
+    codes.trim().split(/\s+/).forEach((token, value) => {
+        const word = parseInt(token, 16);
+        let node = root;
+        for (let bit = word.toString(2).length - 2; bit > 0; bit--) {
+            const branch = (word >> bit) & 1;
+            node = node[branch] || (node[branch] = []);
+        }
+        node[word & 1] = value;
+    });
+    return root;
+}
+
+// Tables 16-23 and 24-31 share code words and differ only in their escape (linbits) width
+const MP3_HUFFMAN_TABLES = [];
+for (const [table, codes] of Object.entries(MP3_HUFFMAN_CODES)) {
+    const tree = buildHuffmanTree(codes);
+    const size = Math.sqrt(codes.trim().split(/\s+/).length);
+    if (table === '16' || table === '24') {
+        const linbits = table === '16' ? [1, 2, 3, 4, 6, 8, 10, 13] : [4, 5, 6, 7, 8, 9, 11, 13];
+        linbits.forEach((bits, index) => {
+            MP3_HUFFMAN_TABLES[Number(table) + index] = { tree, size, linbits: bits };
+        });
+    } else {
+        MP3_HUFFMAN_TABLES[table] = { tree, size, linbits: 0 };
+    }
+}
+const MP3_QUAD_TREE = MP3_HUFFMAN_TABLES[32].tree;
+
+// |x|^(4/3) for every value Huffman decoding can produce (15 plus 13 linbits)
+const MP3_POW43 = Float64Array.from({ length: 8207 }, (_, value) => Math.pow(value, 4 / 3));
+
+// Alias reduction butterflies
+const MP3_ALIAS_CS = [];
+const MP3_ALIAS_CA = [];
+for (const c of [-0.6, -0.535, -0.33, -0.185, -0.095, -0.041, -0.0142, -0.0037]) {
+    MP3_ALIAS_CS.push(1 / Math.sqrt(1 + c * c));
+    MP3_ALIAS_CA.push(c / Math.sqrt(1 + c * c));
+}
+
+// IMDCT kernels and the windows for block types 0 (normal), 1 (start), 2 (short) and 3 (stop)
+const MP3_IMDCT_LONG = Float64Array.from({ length: 36 * 18 }, (_, index) =>
+    Math.cos(Math.PI / 72 * (2 * Math.floor(index / 18) + 19) * (2 * (index % 18) + 1)));
+const MP3_IMDCT_SHORT = Float64Array.from({ length: 12 * 6 }, (_, index) =>
+    Math.cos(Math.PI / 24 * (2 * Math.floor(index / 6) + 7) * (2 * (index % 6) + 1)));
+const MP3_WINDOWS = [0, 1, 2, 3].map(blockType => Float64Array.from({ length: 36 }, (_, i) => {
+    if (blockType === 2) return i < 12 ? Math.sin(Math.PI / 12 * (i + 0.5)) : 0;
+    if (blockType === 1 && i >= 18) return i < 24 ? 1 : i < 30 ? Math.sin(Math.PI / 12 * (i - 17.5)) : 0;
+    if (blockType === 3 && i < 18) return i < 6 ? 0 : i < 12 ? Math.sin(Math.PI / 12 * (i - 5.5)) : 1;
+    return Math.sin(Math.PI / 36 * (i + 0.5));
+}));
+
+// Polyphase synthesis window D[i] from ISO/IEC 11172-3 Table 3-B.3, in units of 2^-16. Only
+// D[0..256] is listed: D[512 - i] is -D[i], except at multiples of 64 where it is D[i]
+const MP3_SYNTHESIS_WINDOW_HALF = [
+    0, -1, -1, -1, -1, -1, -1, -2, -2, -2, -2, -3, -3, -4, -4, -5,
+    -5, -6, -7, -7, -8, -9, -10, -11, -13, -14, -16, -17, -19, -21, -24, -26,
+    -29, -31, -35, -38, -41, -45, -49, -53, -58, -63, -68, -73, -79, -85, -91, -97,
+    -104, -111, -117, -125, -132, -139, -147, -154, -161, -169, -176, -183, -190, -196, -202, -208,
+    213, 218, 222, 225, 227, 228, 228, 227, 224, 221, 215, 208, 200, 189, 177, 163,
+    146, 127, 106, 83, 57, 29, -2, -36, -72, -111, -153, -197, -244, -294, -347, -401,
+    -459, -519, -581, -645, -711, -779, -848, -919, -991, -1064, -1137, -1210, -1283, -1356, -1428, -1498,
+    -1567, -1634, -1698, -1759, -1817, -1870, -1919, -1962, -2001, -2032, -2057, -2075, -2085, -2087, -2080, -2063,
+    2037, 2000, 1952, 1893, 1822, 1739, 1644, 1535, 1414, 1280, 1131, 970, 794, 605, 402, 185,
+    -45, -288, -545, -814, -1095, -1388, -1692, -2006, -2330, -2663, -3004, -3351, -3705, -4063, -4425, -4788,
+    -5153, -5517, -5879, -6237, -6589, -6935, -7271, -7597, -7910, -8209, -8491, -8755, -8998, -9219, -9416, -9585,
+    -9727, -9838, -9916, -9959, -9966, -9935, -9863, -9750, -9592, -9389, -9139, -8840, -8492, -8092, -7640, -7134,
+    6574, 5959, 5288, 4561, 3776, 2935, 2037, 1082, 70, -998, -2122, -3300, -4533, -5818, -7154, -8540,
+    -9975, -11455, -12980, -14548, -16155, -17799, -19478, -21189, -22929, -24694, -26482, -28289, -30112, -31947, -33791, -35640,
+    -37489, -39336, -41176, -43006, -44821, -46617, -48390, -50137, -51853, -53534, -55178, -56778, -58333, -59838, -61289, -62684,
+    -64019, -65290, -66494, -67629, -68692, -69679, -70590, -71420, -72169, -72835, -73415, -73908, -74313, -74630, -74856, -74992,
+    75038
+];
+const MP3_SYNTHESIS_WINDOW = Float64Array.from({ length: 512 }, (_, i) => (i <= 256
+    ? MP3_SYNTHESIS_WINDOW_HALF[i]
+    : (i % 64 === 0 ? 1 : -1) * MP3_SYNTHESIS_WINDOW_HALF[512 - i]) / 65536);
+
+// 32-point DCT-II, cos(pi / 32 * (n + 0.5) * k), which the synthesis matrixing folds onto
+const MP3_DCT = Float64Array.from({ length: 32 * 32 }, (_, index) =>
+    Math.cos(Math.PI / 32 * ((index % 32) + 0.5) * Math.floor(index / 32)));
+
+/**
+ * Reads a Layer III frame header.
+ * @returns {object|null} null when the four bytes at offset are not a valid header
+ */
+function parseMp3Header(buffer, offset) {
+    if (offset + 4 > buffer.length || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) {
+        return null;
+    }
+    const versionBits = (buffer[offset + 1] >> 3) & 3;
+    const layerBits = (buffer[offset + 1] >> 1) & 3;
+    const bitrateIndex = buffer[offset + 2] >> 4;
+    const rateIndex = (buffer[offset + 2] >> 2) & 3;
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) {
+        return null; // Reserved values, or free-format bitrate
+    }
+
+    const lsf = versionBits !== 3;
+    const sampleRate = MP3_SAMPLE_RATES[versionBits][rateIndex];
+    const bitrate = MP3_BITRATES_KBPS[lsf ? 'lsf' : 'mpeg1'][bitrateIndex] * 1000;
+    const channelMode = buffer[offset + 3] >> 6;
+    return {
+        layer: 4 - layerBits,
+        lsf,
+        sampleRate,
+        channelMode,
+        modeExtension: (buffer[offset + 3] >> 4) & 3,
+        channels: channelMode === 3 ? 1 : 2,
+        hasCrc: (buffer[offset + 1] & 1) === 0,
+        length: Math.floor((lsf ? 72 : 144) * bitrate / sampleRate) + ((buffer[offset + 2] >> 1) & 1)
+    };
+}
+
+// A sync word only counts when another matching header follows the frame (or the data ends there)
+function findMp3Frame(buffer, offset, end) {
+    for (let position = offset; position + 4 <= end; position++) {
+        const header = parseMp3Header(buffer, position);
+        if (!header) continue;
+        const next = position + header.length;
+        const following = parseMp3Header(buffer, next);
+        if (next === end || (following && following.sampleRate === header.sampleRate && following.layer === header.layer)) {
+            return position;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Decodes an MP3 file (MPEG-1, 2 or 2.5 Layer III) into mono 16-bit samples at its own
+ * sample rate. The channels are mixed before the synthesis filterbank, which is linear, so
+ * stereo files cost a single synthesis pass.
+ * @returns {{ sampleRate: number, channels: number, samples: Int16Array }}
+ */
+function decodeMp3(buffer) {
+    const { stream, offset: firstFrame, end, limit } = readMp3Header(buffer);
+    const decoder = new Mp3Decoder(stream);
+    const chunks = [];
+    let offset = firstFrame;
+    let frames = 0;
+    let decoded = 0;
+    let damaged = 0;
+    while (offset + 4 <= end) {
+        const header = parseMp3Header(buffer, offset);
+        if (!header || header.layer !== 3 || header.sampleRate !== stream.sampleRate || offset + header.length > end) {
+            const next = findMp3Frame(buffer, offset + 1, end);
+            if (next < 0) break; // Trailing junk, or a truncated final frame
+            damaged++;
+            offset = next;
+            continue;
+        }
+
+        let samples;
+        try {
+            samples = decoder.decodeFrame(buffer, offset, header);
+        } catch (error) {
+            if (!error.invalidAudio) throw error;
+            damaged++;
+            samples = new Int16Array(header.lsf ? 576 : 1152);
+        }
+        chunks.push(samples);
+        frames += samples.length;
+        decoded++;
+        offset += header.length;
+        if (frames > limit) {
+            throw durationExceeded();
+        }
+    }
+
+    // Players conceal the odd bad frame; a stream that is mostly damage is not worth calling with
+    if (damaged > Math.max(1, decoded * 0.05)) {
+        throw invalidAudio(`MP3 stream is corrupt (${damaged} damaged frames of ${decoded})`);
+    }
+    return { sampleRate: stream.sampleRate, channels: stream.channels, samples: concatSamples(chunks) };
+}
+
+/**
+ * Skips the ID3 tags and finds the first Layer III frame, whose header is checked against the
+ * limits. MP3 has no reliable length field, so the duration is only enforced while decoding.
+ * @returns {{ stream: object, offset: number, end: number, limit: number }}
+ */
+function readMp3Header(buffer) {
+    let offset = 0;
+    // Skip ID3v2 tags (their size is a 28-bit "synchsafe" integer) and a trailing ID3v1 tag
+    while (offset + 10 <= buffer.length && buffer.toString('latin1', offset, offset + 3) === 'ID3') {
+        const size = ((buffer[offset + 6] & 0x7F) << 21) | ((buffer[offset + 7] & 0x7F) << 14)
+            | ((buffer[offset + 8] & 0x7F) << 7) | (buffer[offset + 9] & 0x7F);
+        offset += 10 + size + (buffer[offset + 5] & 0x10 ? 10 : 0);
+    }
+    const end = buffer.length >= 128 && buffer.toString('latin1', buffer.length - 128, buffer.length - 125) === 'TAG'
+        ? buffer.length - 128
+        : buffer.length;
+
+    offset = findMp3Frame(buffer, offset, end);
+    if (offset < 0) {
+        throw invalidAudio('No MPEG audio frames found');
+    }
+    const stream = parseMp3Header(buffer, offset);
+    if (stream.layer !== 3) {
+        throw invalidAudio(`MPEG Layer ${stream.layer === 1 ? 'I' : 'II'} audio is not supported; use Layer III (MP3)`);
+    }
+    const limit = checkAudioStream(stream);
+    return { stream, offset, end, limit };
+}
+
+/**
+ * Layer III decoder state carried between frames: the bit reservoir, each channel's IMDCT
+ * overlap and the synthesis filterbank's history.
+ */
+class Mp3Decoder {
+    constructor(stream) {
+        this.bands = MP3_BANDS[stream.sampleRate];
+        this.reservoir = Buffer.alloc(0);
+        this.overlap = [new Float64Array(576), new Float64Array(576)];
+        this.synthesis = new Float64Array(1024);
+        this.dct = new Float64Array(32);
+    }
+
+    /**
+     * @returns {Int16Array} 1152 samples (576 for MPEG-2/2.5)
+     */
+    decodeFrame(buffer, offset, header) {
+        const sideInfoStart = offset + 4 + (header.hasCrc ? 2 : 0);
+        const sideInfoLength = header.lsf ? (header.channels === 1 ? 9 : 17) : (header.channels === 1 ? 17 : 32);
+        const mainStart = sideInfoStart + sideInfoLength;
+        if (mainStart > offset + header.length) {
+            throw invalidAudio('MP3 frame is shorter than its side information');
+        }
+        const side = this.readSideInfo(new BitReader(buffer, sideInfoStart), header);
+        const frameData = buffer.subarray(mainStart, offset + header.length);
+
+        // Main data may start in earlier frames (the bit reservoir), at most 511 bytes back
+        const reservoir = this.reservoir;
+        this.reservoir = Buffer.concat([reservoir, frameData]).subarray(-511);
+        const output = new Int16Array(576 * side.granules.length);
+        if (side.mainDataBegin > reservoir.length) {
+            return output; // The first frames after the start or a resync reference data we never saw
+        }
+        const data = Buffer.concat([reservoir.subarray(reservoir.length - side.mainDataBegin), frameData]);
+        const reader = new BitReader(data);
+
+        const previousScalefactors = [];
+        side.granules.forEach((granule, index) => {
+            const spectra = [];
+            const scalefactors = [];
+            for (let channel = 0; channel < header.channels; channel++) {
+                const info = granule[channel];
+                const start = reader.position;
+                const end = start + info.part23Length;
+                if (end > data.length * 8) {
+                    throw invalidAudio('MP3 granule runs past the end of its frame');
+                }
+                const intensityRight = header.lsf && channel === 1 && header.channelMode === 1 && (header.modeExtension & 1) !== 0;
+                scalefactors.push(header.lsf
+                    ? this.readLsfScalefactors(reader, info, intensityRight)
+                    : this.readScalefactors(reader, info, side.scfsi[channel], index, previousScalefactors[channel]));
+                const quantized = this.readSpectrum(reader, info, end);
+                spectra.push(this.requantize(quantized, info, scalefactors[channel]));
+                reader.position = end; // Skip any stuffing bits
+            }
+            previousScalefactors.splice(0, 2, ...scalefactors);
+
+            if (header.channelMode === 1) {
+                this.processStereo(spectra, granule, scalefactors[1], header);
+            }
+
+            const mix = new Float64Array(576);
+            spectra.forEach((spectrum, channel) => {
+                const info = granule[channel];
+                if (info.blockType === 2) this.reorder(spectrum, info);
+                this.reduceAliasing(spectrum, info);
+                const subbands = this.hybridSynthesis(spectrum, info, this.overlap[channel]);
+                for (let i = 0; i < 576; i++) {
+                    mix[i] += subbands[i] / header.channels;
+                }
+            });
+
+            const slot = new Float64Array(32);
+            for (let time = 0; time < 18; time++) {
+                for (let subband = 0; subband < 32; subband++) {
+                    slot[subband] = mix[subband * 18 + time];
+                }
+                this.synthesize(slot, output, index * 576 + time * 32);
+            }
+        });
+        return output;
+    }
+
+    readSideInfo(reader, header) {
+        const { lsf, channels } = header;
+        const mainDataBegin = reader.read(lsf ? 8 : 9);
+        reader.skip(lsf ? channels : (channels === 1 ? 5 : 3)); // Private bits
+        const scfsi = [];
+        if (!lsf) {
+            for (let channel = 0; channel < channels; channel++) {
+                scfsi.push([reader.read(1), reader.read(1), reader.read(1), reader.read(1)]);
+            }
+        }
+
+        const granules = [];
+        for (let index = 0; index < (lsf ? 1 : 2); index++) {
+            const granule = [];
+            for (let channel = 0; channel < channels; channel++) {
+                const info = {
+                    part23Length: reader.read(12),
+                    bigValues: reader.read(9),
+                    globalGain: reader.read(8),
+                    scalefacCompress: reader.read(lsf ? 9 : 4),
+                    windowSwitching: reader.read(1) === 1,
+                    blockType: 0,
+                    mixed: false,
+                    subblockGain: [0, 0, 0]
+                };
+                if (info.windowSwitching) {
+                    info.blockType = reader.read(2);
+                    info.mixed = reader.read(1) === 1;
+                    info.tableSelect = [reader.read(5), reader.read(5), 0];
+                    info.subblockGain = [reader.read(3), reader.read(3), reader.read(3)];
+                    if (info.blockType === 0) {
+                        throw invalidAudio('MP3 granule uses a reserved block type');
+                    }
+                } else {
+                    info.tableSelect = [reader.read(5), reader.read(5), reader.read(5)];
+                    info.region0Count = reader.read(4);
+                    info.region1Count = reader.read(3);
+                }
+                info.preflag = lsf ? 0 : reader.read(1);
+                info.scalefacScale = reader.read(1);
+                info.count1Table = reader.read(1);
+                if (info.bigValues > 288) {
+                    throw invalidAudio('MP3 granule declares too many spectral values');
+                }
+                granule.push(info);
+            }
+            granules.push(granule);
+        }
+        return { mainDataBegin, scfsi, granules };
+    }
+
+    // MPEG-1 scale factors; with scfsi set, the second granule reuses the first one's groups
+    readScalefactors(reader, info, scfsi, granuleIndex, previous) {
+        const [slen1, slen2] = MP3_SLEN[info.scalefacCompress];
+        const scalefactors = { long: new Array(22).fill(0), short: Array.from({ length: 13 }, () => [0, 0, 0]) };
+        if (info.blockType === 2) {
+            if (info.mixed) {
+                for (let band = 0; band < 8; band++) scalefactors.long[band] = reader.read(slen1);
+            }
+            for (let band = info.mixed ? 3 : 0; band < 12; band++) {
+                for (let window = 0; window < 3; window++) {
+                    scalefactors.short[band][window] = reader.read(band < 6 ? slen1 : slen2);
+                }
+            }
+        } else {
+            [[0, 6], [6, 11], [11, 16], [16, 21]].forEach(([first, last], group) => {
+                for (let band = first; band < last; band++) {
+                    scalefactors.long[band] = granuleIndex === 1 && scfsi[group]
+                        ? previous.long[band]
+                        : reader.read(group < 2 ? slen1 : slen2);
+                }
+            });
+        }
+        return scalefactors;
+    }
+
+    // MPEG-2 scale factors: scalefac_compress selects four bit lengths and a band grouping. The
+    // right channel of an intensity stereo pair codes its intensity positions with its own tables
+    readLsfScalefactors(reader, info, intensityRight) {
+        let compress = info.scalefacCompress;
+        let slen;
+        let table;
+        if (!intensityRight) {
+            if (compress < 400) {
+                slen = [Math.floor((compress >> 4) / 5), (compress >> 4) % 5, (compress & 15) >> 2, compress & 3];
+                table = 0;
+            } else if (compress < 500) {
+                compress -= 400;
+                slen = [Math.floor((compress >> 2) / 5), (compress >> 2) % 5, compress & 3, 0];
+                table = 1;
+            } else {
+                compress -= 500;
+                slen = [Math.floor(compress / 3), compress % 3, 0, 0];
+                table = 2;
+                info.preflag = 1;
+            }
+        } else {
+            compress >>= 1;
+            if (compress < 180) {
+                slen = [Math.floor(compress / 36), Math.floor((compress % 36) / 6), compress % 6, 0];
+                table = 3;
+            } else if (compress < 244) {
+                compress -= 180;
+                slen = [(compress & 63) >> 4, (compress & 15) >> 2, compress & 3, 0];
+                table = 4;
+            } else {
+                compress -= 244;
+                slen = [Math.floor(compress / 3), compress % 3, 0, 0];
+                table = 5;
+            }
+        }
+
+        // Slots in coding order: long bands, then each short band's three windows
+        const slots = [];
+        if (info.blockType !== 2) {
+            for (let band = 0; band < 21; band++) slots.push([band]);
+        } else {
+            if (info.mixed) {
+                for (let band = 0; band < 6; band++) slots.push([band]);
+            }
+            for (let band = info.mixed ? 3 : 0; band < 12; band++) {
+                for (let window = 0; window < 3; window++) slots.push([band, window]);
+            }
+        }
+
+        // The largest value in each group marks an "illegal" intensity position
+        const scalefactors = {
+            long: new Array(22).fill(0),
+            short: Array.from({ length: 13 }, () => [0, 0, 0]),
+            longMax: new Array(22).fill(0),
+            shortMax: Array.from({ length: 13 }, () => [0, 0, 0])
+        };
+        const counts = MP3_LSF_BAND_COUNTS[table][info.blockType === 2 ? (info.mixed ? 2 : 1) : 0];
+        let slot = 0;
+        counts.forEach((count, group) => {
+            for (let i = 0; i < count && slot < slots.length; i++) {
+                const [band, window] = slots[slot++];
+                const value = slen[group] ? reader.read(slen[group]) : 0;
+                if (window === undefined) {
+                    scalefactors.long[band] = value;
+                    scalefactors.longMax[band] = (1 << slen[group]) - 1;
+                } else {
+                    scalefactors.short[band][window] = value;
+                    scalefactors.shortMax[band][window] = (1 << slen[group]) - 1;
+                }
+            }
+        });
+        return scalefactors;
+    }
+
+    // The code trees are complete, so every bit path ends at a value
+    readHuffman(reader, tree) {
+        let node = tree;
+        while (typeof node !== 'number') {
+            node = node[reader.read(1)];
+        }
+        return node;
+    }
+
+    // Huffman-decodes the quantized spectrum: big-value pairs in up to three regions, then quadruples
+    readSpectrum(reader, info, end) {
+        const bands = this.bands;
+        const values = new Int32Array(576);
+        let region1Start;
+        let region2Start;
+        if (info.windowSwitching) {
+            region1Start = info.blockType === 2 && !info.mixed ? bands.short[3] * 3 : bands.long[8];
+            region2Start = 576;
+        } else {
+            region1Start = bands.long[Math.min(info.region0Count + 1, 22)];
+            region2Start = bands.long[Math.min(info.region0Count + info.region1Count + 2, 22)];
+        }
+
+        const bigValuesEnd = info.bigValues * 2;
+        for (let i = 0; i < bigValuesEnd; i += 2) {
+            const tableIndex = info.tableSelect[i < region1Start ? 0 : i < region2Start ? 1 : 2];
+            if (tableIndex === 0) continue;
+            const table = MP3_HUFFMAN_TABLES[tableIndex];
+            if (!table || tableIndex >= 32) {
+                throw invalidAudio(`MP3 granule selects reserved Huffman table ${tableIndex}`);
+            }
+            const value = this.readHuffman(reader, table.tree);
+            [Math.floor(value / table.size), value % table.size].forEach((magnitude, pair) => {
+                if (table.linbits && magnitude === 15) {
+                    magnitude += reader.read(table.linbits);
+                }
+                values[i + pair] = magnitude && reader.read(1) ? -magnitude : magnitude;
+            });
+        }
+        if (reader.position > end) {
+            throw invalidAudio('MP3 Huffman data overruns its granule');
+        }
+
+        for (let i = bigValuesEnd; i + 4 <= 576 && reader.position < end;) {
+            const value = info.count1Table ? 15 - reader.read(4) : this.readHuffman(reader, MP3_QUAD_TREE);
+            const quad = [(value >> 3) & 1, (value >> 2) & 1, (value >> 1) & 1, value & 1]
+                .map(magnitude => (magnitude && reader.read(1) ? -magnitude : magnitude));
+            if (reader.position > end) break; // The last quadruple ran past the granule: discard it
+            values.set(quad, i);
+            i += 4;
+        }
+        return values;
+    }
+
+    requantize(values, info, scalefactors) {
+        const bands = this.bands;
+        const spectrum = new Float64Array(576);
+        const gain = 0.25 * (info.globalGain - 210);
+        const multiplier = info.scalefacScale ? 1 : 0.5;
+        const dequantize = (index, exponent) => {
+            const value = values[index];
+            if (value === 0) return;
+            const magnitude = Math.abs(value) < MP3_POW43.length ? MP3_POW43[Math.abs(value)] : Math.pow(Math.abs(value), 4 / 3);
+            spectrum[index] = Math.sign(value) * magnitude * exponent;
+        };
+
+        const longEnd = info.blockType !== 2 ? 576 : info.mixed ? 36 : 0;
+        for (let band = 0; band < 22 && bands.long[band] < longEnd; band++) {
+            const factor = scalefactors.long[band] + (info.preflag ? MP3_PRETAB[band] : 0);
+            const exponent = 2 ** (gain - multiplier * factor);
+            for (let i = bands.long[band]; i < Math.min(bands.long[band + 1], longEnd); i++) {
+                dequantize(i, exponent);
+            }
+        }
+        if (info.blockType === 2) {
+            // Short bands are coded window by window: band start * 3 + window * width + line
+            for (let band = info.mixed ? 3 : 0; band < 13; band++) {
+                const width = bands.short[band + 1] - bands.short[band];
+                for (let window = 0; window < 3; window++) {
+                    const exponent = 2 ** (gain - 2 * info.subblockGain[window] - multiplier * scalefactors.short[band][window]);
+                    const start = bands.short[band] * 3 + window * width;
+                    for (let i = start; i < start + width; i++) {
+                        dequantize(i, exponent);
+                    }
+                }
+            }
+        }
+        return spectrum;
+    }
+
+    /**
+     * Joint stereo: intensity stereo rebuilds the right channel's upper bands from the left
+     * channel and a per-band position; mid/side is undone on every other line.
+     */
+    processStereo(spectra, granule, rightScalefactors, header) {
+        const [left, right] = spectra;
+        const handled = new Uint8Array(576);
+
+        if (header.modeExtension & 1) {
+            const bands = this.bands;
+            const apply = (start, end, position, illegal) => {
+                if (position === illegal) return; // Coded as ordinary stereo
+                let leftGain;
+                let rightGain;
+                if (!header.lsf) {
+                    const ratio = Math.tan(position * Math.PI / 12);
+                    leftGain = position === 6 ? 1 : ratio / (1 + ratio);
+                    rightGain = position === 6 ? 0 : 1 / (1 + ratio);
+                } else {
+                    const base = granule[1].scalefacCompress & 1 ? Math.SQRT1_2 : Math.pow(2, -0.25);
+                    leftGain = position % 2 ? Math.pow(base, (position + 1) / 2) : 1;
+                    rightGain = position % 2 ? 1 : Math.pow(base, position / 2);
+                }
+                for (let i = start; i < end; i++) {
+                    right[i] = left[i] * rightGain;
+                    left[i] *= leftGain;
+                    handled[i] = 1;
+                }
+            };
+            // Intensity coding starts above the right channel's last non-zero band; the top band
+            // has no scale factor of its own and borrows the one below it
+            if (granule[1].blockType !== 2) {
+                let last = 575;
+                while (last >= 0 && right[last] === 0) last--;
+                for (let band = 0; band < 22; band++) {
+                    if (bands.long[band] <= last) continue;
+                    const source = Math.min(band, 20);
+                    apply(bands.long[band], bands.long[band + 1], rightScalefactors.long[source],
+                        header.lsf ? rightScalefactors.longMax[source] : 7);
+                }
+            } else {
+                for (let window = 0; window < 3; window++) {
+                    let lastBand = -1;
+                    for (let band = 0; band < 13; band++) {
+                        const width = bands.short[band + 1] - bands.short[band];
+                        const start = bands.short[band] * 3 + window * width;
+                        if (right.subarray(start, start + width).some(value => value !== 0)) lastBand = band;
+                    }
+                    for (let band = Math.max(lastBand + 1, granule[1].mixed ? 3 : 0); band < 13; band++) {
+                        const width = bands.short[band + 1] - bands.short[band];
+                        const start = bands.short[band] * 3 + window * width;
+                        const source = Math.min(band, 11);
+                        apply(start, start + width, rightScalefactors.short[source][window],
+                            header.lsf ? rightScalefactors.shortMax[source][window] : 7);
+                    }
+                }
+            }
+        }
+
+        if (header.modeExtension & 2) {
+            for (let i = 0; i < 576; i++) {
+                if (handled[i]) continue;
+                const mid = left[i];
+                const sideValue = right[i];
+                left[i] = (mid + sideValue) * Math.SQRT1_2;
+                right[i] = (mid - sideValue) * Math.SQRT1_2;
+            }
+        }
+    }
+
+    // Interleaves short-block lines so each subband holds its three windows' coefficients
+    reorder(spectrum, info) {
+        const bands = this.bands;
+        const firstBand = info.mixed ? 3 : 0;
+        const start = bands.short[firstBand] * 3;
+        const reordered = new Float64Array(576 - start);
+        for (let band = firstBand; band < 13; band++) {
+            const width = bands.short[band + 1] - bands.short[band];
+            const base = bands.short[band] * 3;
+            for (let window = 0; window < 3; window++) {
+                for (let line = 0; line < width; line++) {
+                    reordered[base - start + line * 3 + window] = spectrum[base + window * width + line];
+                }
+            }
+        }
+        spectrum.set(reordered, start);
+    }
+
+    reduceAliasing(spectrum, info) {
+        if (info.blockType === 2 && !info.mixed) return;
+        const lastBoundary = info.blockType === 2 ? 1 : 31; // Mixed blocks: only between the two long subbands
+        for (let subband = 1; subband <= lastBoundary; subband++) {
+            for (let i = 0; i < 8; i++) {
+                const lower = spectrum[subband * 18 - 1 - i];
+                const upper = spectrum[subband * 18 + i];
+                spectrum[subband * 18 - 1 - i] = lower * MP3_ALIAS_CS[i] - upper * MP3_ALIAS_CA[i];
+                spectrum[subband * 18 + i] = upper * MP3_ALIAS_CS[i] + lower * MP3_ALIAS_CA[i];
+            }
+        }
+    }
+
+    // IMDCT, windowing and overlap-add per subband, then frequency inversion of odd subbands
+    hybridSynthesis(spectrum, info, overlap) {
+        const output = new Float64Array(576);
+        const block = new Float64Array(36);
+        for (let subband = 0; subband < 32; subband++) {
+            const base = subband * 18;
+            const blockType = info.mixed && subband < 2 ? 0 : info.blockType;
+            block.fill(0);
+            if (spectrum.subarray(base, base + 18).some(value => value !== 0)) {
+                if (blockType === 2) {
+                    const window = MP3_WINDOWS[2];
+                    for (let w = 0; w < 3; w++) {
+                        for (let i = 0; i < 12; i++) {
+                            let sum = 0;
+                            for (let k = 0; k < 6; k++) {
+                                sum += spectrum[base + k * 3 + w] * MP3_IMDCT_SHORT[i * 6 + k];
+                            }
+                            block[6 + w * 6 + i] += sum * window[i];
+                        }
+                    }
+                } else {
+                    const window = MP3_WINDOWS[blockType];
+                    for (let i = 0; i < 36; i++) {
+                        let sum = 0;
+                        for (let k = 0; k < 18; k++) {
+                            sum += spectrum[base + k] * MP3_IMDCT_LONG[i * 18 + k];
+                        }
+                        block[i] = sum * window[i];
+                    }
+                }
+            }
+            for (let i = 0; i < 18; i++) {
+                const value = block[i] + overlap[base + i];
+                output[base + i] = subband % 2 && i % 2 ? -value : value;
+                overlap[base + i] = block[i + 18];
+            }
+        }
+        return output;
+    }
+
+    // Polyphase synthesis filterbank: 32 subband samples in, 32 PCM samples out
+    synthesize(subbands, output, offset) {
+        const v = this.synthesis;
+        v.copyWithin(64, 0, 960);
+        // Matrixing, cos((16 + i) * (2k + 1) * pi / 64), folded onto a 32-point DCT-II
+        const dct = this.dct;
+        for (let k = 0; k < 32; k++) {
+            let sum = 0;
+            for (let n = 0; n < 32; n++) {
+                sum += subbands[n] * MP3_DCT[k * 32 + n];
+            }
+            dct[k] = sum;
+        }
+        for (let i = 0; i < 64; i++) {
+            const k = i + 16;
+            v[i] = k < 32 ? dct[k] : k === 32 ? 0 : k < 64 ? -dct[64 - k] : -dct[k - 64];
+        }
+        for (let j = 0; j < 32; j++) {
+            let sum = 0;
+            for (let i = 0; i < 8; i++) {
+                sum += v[i * 128 + j] * MP3_SYNTHESIS_WINDOW[i * 64 + j]
+                    + v[i * 128 + 96 + j] * MP3_SYNTHESIS_WINDOW[i * 64 + 32 + j];
+            }
+            output[offset + j] = clampSample(sum * 32768);
+        }
+    }
+}
+
+const AUDIO_DECODERS = { wav: decodeWav, flac: decodeFlac, mp3: decodeMp3 };
+
+// Header-only checks per format; each returns the stream's sample rate and channel count
+const AUDIO_PROBES = {
+    wav: (buffer) => readWavHeader(buffer).format,
+    flac: (buffer) => readFlacHeader(buffer).info,
+    mp3: (buffer) => readMp3Header(buffer).stream
+};
+
+/**
+ * Identifies the container from its magic bytes, falling back to the Content-Type and file
+ * extension like processAudioFile in server.js does.
+ * @returns {string|null} 'wav', 'flac' or 'mp3'
+ */
+function detectAudioFormat(buffer, { contentType = '', url = '' } = {}) {
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+    if (buffer.toString('ascii', 0, 4) === 'fLaC') return 'flac';
+    if (buffer.toString('latin1', 0, 3) === 'ID3' || parseMp3Header(buffer, 0)) return 'mp3';
+
+    let extension = '';
+    try {
+        extension = path.extname(new URL(url).pathname).slice(1).toLowerCase();
+    } catch (error) {
+        // Not a URL; rely on the content type
+    }
+    const type = String(contentType).toLowerCase();
+    if (type.includes('mpeg') || type.includes('mp3') || extension === 'mp3') return 'mp3';
+    if (type.includes('flac') || extension === 'flac') return 'flac';
+    if (type.includes('wav') || extension === 'wav') return 'wav';
+    return null;
+}
+
+const requireAudioFormat = (buffer, hints) => {
+    const format = detectAudioFormat(buffer, hints);
+    if (!format) {
+        throw invalidAudio('Unrecognized audio format; use WAV, FLAC or MP3');
+    }
+    return format;
+};
+
+/**
+ * Validates a file from its headers alone: the container is recognized and the stream's
+ * encoding, sample rate, channels and (for WAV and FLAC) duration are within the limits.
+ * Damage past the headers only shows up in decodeAudio.
+ * @returns {{ format: string, sampleRate: number, channels: number }}
+ */
+function probeAudio(buffer, hints) {
+    const format = requireAudioFormat(buffer, hints);
+    const { sampleRate, channels } = AUDIO_PROBES[format](buffer);
+    return { format, sampleRate, channels };
+}
+
+/**
+ * Decodes WAV, FLAC or MP3 audio into 8 kHz mono samples for RTP. Corrupt files, unsupported
+ * encodings and audio beyond the channel or duration limits throw an error flagged invalidAudio.
+ * @returns {{ format: string, sampleRate: number, channels: number, durationSec: number, samples: Int16Array }}
+ */
+function decodeAudio(buffer, hints) {
+    const format = requireAudioFormat(buffer, hints);
+    const { sampleRate, channels, samples } = AUDIO_DECODERS[format](buffer);
+    if (samples.length === 0) {
+        throw invalidAudio('Audio file contains no samples');
+    }
+    return {
+        format,
+        sampleRate,
+        channels,
+        durationSec: Math.round(samples.length / sampleRate * 100) / 100,
+        samples: resamplePcm(samples, sampleRate)
+    };
+}
+
+module.exports = {
+    mediaConfig,
+    AUDIO_DECODERS,
+    detectAudioFormat,
+    probeAudio,
+    decodeAudio
+};
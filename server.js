@@ -8,6 +8,12 @@
 // --- Dependencies ---
 const cluster = require('cluster');
 const os = require('os');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
 const express = require('express');
 const axios = require('axios');
 const cors = require('cors');
@@ -19,7 +25,10 @@ const pino = require('pino');
 const pinoHttp = require('pino-http');
 const sip = require('sip');
 const { v4: uuidv4 } = require('uuid');
+const { Worker } = require('worker_threads');
 require('dotenv').config();
+// Reads the MEDIA_* limits when loaded, so it comes after dotenv
+const { mediaConfig, AUDIO_DECODERS, probeAudio } = require('./lib/audio-decoding');
 
 // High-performance logger
 const logger = pino({
@@ -283,31 +292,38 @@ const useVoIP = process.env.USE_VOIP === 'true';
 const useSip = process.env.USE_SIP === 'true';
 const voipProvider = process.env.VOIP_PROVIDER || 'twilio'; // twilio, vonage, aws, wavix, plivo, sinch, telnyx, enablex
 
-if (useVoIP) {
-    // VoIP service configuration
-    if (voipProvider === 'twilio') {
-        requiredEnvVars.push('TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN');
-    } else if (voipProvider === 'vonage') {
-        requiredEnvVars.push('VONAGE_API_KEY', 'VONAGE_API_SECRET');
-    } else if (voipProvider === 'aws') {
-        requiredEnvVars.push('AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_CONNECT_INSTANCE_ID');
-    } else if (voipProvider === 'wavix') {
-        requiredEnvVars.push('WAVIX_API_KEY');
-    } else if (voipProvider === 'plivo') {
-        requiredEnvVars.push('PLIVO_AUTH_ID', 'PLIVO_AUTH_TOKEN');
-    } else if (voipProvider === 'sinch') {
-        requiredEnvVars.push('SINCH_APPLICATION_KEY', 'SINCH_APPLICATION_SECRET');
-    } else if (voipProvider === 'telnyx') {
-        requiredEnvVars.push('TELNYX_API_KEY', 'TELNYX_CONNECTION_ID');
-    } else if (voipProvider === 'enablex') {
-        requiredEnvVars.push('ENABLEX_APP_ID', 'ENABLEX_APP_KEY');
-    }
-} else if (useSip) {
-    const sipRequiredVars = ['SIP_PROXY_HOST', 'SIP_USERNAME', 'SIP_PASSWORD', 'SIP_DOMAIN'];
-    requiredEnvVars.push(...sipRequiredVars);
-} else {
-    const infobipRequiredVars = ['INFOBIP_BASE_URL', 'INFOBIP_API_KEY'];
-    requiredEnvVars.push(...infobipRequiredVars);
+// Environment variables each provider needs before it can place calls
+// A nested array means any one of those variables satisfies the requirement
+const PROVIDER_REQUIRED_ENV = {
+    twilio: ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'PUBLIC_BASE_URL'], // Twilio fetches the call's TwiML from this server
+    vonage: ['VONAGE_APPLICATION_ID', ['VONAGE_PRIVATE_KEY', 'VONAGE_PRIVATE_KEY_PATH']],
+    aws: ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_CONNECT_INSTANCE_ID', 'AWS_CONNECT_CONTACT_FLOW_ID'],
+    wavix: ['WAVIX_API_KEY'],
+    plivo: ['PLIVO_AUTH_ID', 'PLIVO_AUTH_TOKEN', 'PUBLIC_BASE_URL'], // Plivo always fetches the answer XML from this server
+    sinch: ['SINCH_APPLICATION_KEY', 'SINCH_APPLICATION_SECRET'],
+    telnyx: ['TELNYX_API_KEY', 'TELNYX_CONNECTION_ID'],
+    enablex: ['ENABLEX_APP_ID', 'ENABLEX_APP_KEY'],
+    sip: ['SIP_PROXY_HOST', 'SIP_USERNAME', 'SIP_PASSWORD', 'SIP_DOMAIN'],
+    infobip: ['INFOBIP_BASE_URL', 'INFOBIP_API_KEY']
+};
+
+// Ordered failover chain, e.g. PROVIDER_CHAIN=telnyx,plivo,sip,infobip
+// Without it, the legacy USE_VOIP / USE_SIP switches pick a single provider
+function resolveProviderChain() {
+    if (process.env.PROVIDER_CHAIN) {
+        return [...new Set(process.env.PROVIDER_CHAIN.split(',').map(name => name.trim().toLowerCase()).filter(Boolean))];
+    }
+    if (useVoIP) return [voipProvider];
+    if (useSip) return ['sip'];
+    return ['infobip'];
+}
+
+const requestedProviderChain = resolveProviderChain();
+
+const unknownProviders = requestedProviderChain.filter(name => !PROVIDER_REQUIRED_ENV[name]);
+if (unknownProviders.length > 0) {
+    console.error(`[FATAL] Unknown providers in PROVIDER_CHAIN: ${unknownProviders.join(', ')}. Supported: ${Object.keys(PROVIDER_REQUIRED_ENV).join(', ')}. Shutting down.`);
+    process.exit(1);
 }
 
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -316,6 +332,162 @@ if (missingVars.length > 0) {
     process.exit(1);
 }
 
+// --- Shared State ---
+// Call state that provider callbacks read and write. Under cluster a callback can land on any
+// worker, so the primary holds the data and workers reach it over IPC; a single process keeps
+// the same store in memory. Either way every access is asynchronous.
+const SHARED_STATE_TIMEOUT_MS = 5000;
+const SHARED_STATE_UPDATE_ATTEMPTS = 5;
+
+class SharedStateHost {
+    constructor() {
+        this.caches = new Map(); // namespace -> NodeCache of { value, version }
+    }
+
+    cache(namespace, ttlSec) {
+        let cache = this.caches.get(namespace);
+        if (!cache) {
+            cache = new NodeCache({ stdTTL: ttlSec, checkperiod: Math.min(ttlSec, 600), useClones: false });
+            this.caches.set(namespace, cache);
+        }
+        return cache;
+    }
+
+    /**
+     * Applies one store operation. Entries carry a version so read-modify-write callers can
+     * detect a concurrent writer: `cas` only writes when the version is still the one they read.
+     */
+    apply({ op, namespace, ttlSec, key, value, version }) {
+        const cache = this.cache(namespace, ttlSec);
+        const entry = key === undefined ? null : cache.get(key) || null;
+        switch (op) {
+            case 'get':
+                return entry;
+            case 'set':
+            case 'cas': {
+                // Version 0 stands for "absent", so cas can also create an entry exactly once
+                if (op === 'cas' && (entry ? entry.version : 0) !== version) {
+                    return null;
+                }
+                const next = { value, version: (entry ? entry.version : 0) + 1 };
+                cache.set(key, next);
+                return next;
+            }
+            case 'delete':
+                return cache.del(key) > 0;
+            case 'values':
+                return cache.keys().map(name => cache.get(name)).filter(Boolean).map(stored => stored.value);
+            default:
+                throw new Error(`Unknown shared state operation: ${op}`);
+        }
+    }
+}
+
+// Workers forked by the primary block below carry this marker. A worker without it was forked by
+// some other cluster manager (e.g. PM2 in cluster mode) that never answers shared state requests,
+// so every callback would hang until the IPC timeout; refuse to run that way instead.
+const SHARED_STATE_WORKER_ENV = 'SESPCL_CLUSTER_WORKER';
+if (cluster.isWorker && process.env[SHARED_STATE_WORKER_ENV] !== '1') {
+    console.error('[FATAL] Running as a cluster worker of an unsupported primary (e.g. PM2 cluster mode). Start server.js as a single process and set WORKER_PROCESSES to use more cores. Shutting down.');
+    process.exit(1);
+}
+
+// The primary (or the only process) owns the data; workers hold requests awaiting its reply
+const sharedStateHost = cluster.isWorker ? null : new SharedStateHost();
+const sharedStateRequests = new Map(); // id -> { resolve, reject, timer }
+let sharedStateRequestId = 0;
+
+function requestSharedState(message) {
+    if (sharedStateHost) {
+        // Copy in and out so callers never hold the stored object, exactly as over IPC
+        return Promise.resolve(structuredClone(sharedStateHost.apply(structuredClone(message))));
+    }
+    return new Promise((resolve, reject) => {
+        if (!process.connected) {
+            reject(new Error('Shared state is unavailable: the IPC channel to the primary is closed'));
+            return;
+        }
+        const id = ++sharedStateRequestId;
+        const timer = setTimeout(() => {
+            sharedStateRequests.delete(id);
+            reject(new Error(`Shared state ${message.op} on ${message.namespace} timed out`));
+        }, SHARED_STATE_TIMEOUT_MS);
+        sharedStateRequests.set(id, { resolve, reject, timer });
+        process.send({ type: 'shared-state', id, ...message }, error => {
+            if (error && sharedStateRequests.delete(id)) {
+                clearTimeout(timer);
+                reject(error);
+            }
+        });
+    });
+}
+
+if (cluster.isWorker) {
+    process.on('message', message => {
+        if (!message || message.type !== 'shared-state-reply') return;
+        const pending = sharedStateRequests.get(message.id);
+        if (!pending) return;
+        sharedStateRequests.delete(message.id);
+        clearTimeout(pending.timer);
+        if (message.error) {
+            pending.reject(new Error(message.error));
+        } else {
+            pending.resolve(message.result);
+        }
+    });
+}
+
+/**
+ * One namespace of shared state, e.g. hosted call instructions or call records.
+ * Values must survive structured cloning / JSON (plain objects, arrays, strings, numbers).
+ */
+class SharedStore {
+    constructor(namespace, { ttlSec }) {
+        this.namespace = namespace;
+        this.ttlSec = ttlSec;
+    }
+
+    request(op, fields = {}) {
+        return requestSharedState({ op, namespace: this.namespace, ttlSec: this.ttlSec, ...fields });
+    }
+
+    async get(key) {
+        const entry = await this.request('get', { key });
+        return entry ? entry.value : null;
+    }
+
+    async set(key, value) {
+        await this.request('set', { key, value });
+        return value;
+    }
+
+    delete(key) {
+        return this.request('delete', { key });
+    }
+
+    values() {
+        return this.request('values');
+    }
+
+    /**
+     * Read-modify-write of one entry. `mutate` receives a copy of the current value and returns
+     * the value to store (undefined leaves it unchanged); when another writer got there first
+     * it runs again on the fresh value. With `create`, a missing entry is passed as null.
+     * @returns {Promise<object|null>} The stored value, or null when the key does not exist
+     */
+    async update(key, mutate, { create = false } = {}) {
+        for (let attempt = 0; attempt < SHARED_STATE_UPDATE_ATTEMPTS; attempt++) {
+            const entry = await this.request('get', { key });
+            if (!entry && !create) return null;
+            const next = mutate(entry ? entry.value : null);
+            if (next === undefined) return entry ? entry.value : null;
+            const written = await this.request('cas', { key, value: next, version: entry ? entry.version : 0 });
+            if (written) return written.value;
+        }
+        throw new Error(`Shared state update of ${this.namespace}/${key} kept conflicting with other writers`);
+    }
+}
+
 // Cluster setup for multi-core utilization
 if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
     const numCPUs = os.cpus().length;
@@ -323,14 +495,85 @@ if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
     
     logger.info(`Master process ${process.pid} starting ${numWorkers} workers`);
     
-    // Fork workers
+    // Fork workers; each keeps a stable index (its SIP port offset) across restarts
+    const workerIndexes = new Map();
+    const forkWorker = (index) => {
+        const worker = cluster.fork({ WORKER_INDEX: index, [SHARED_STATE_WORKER_ENV]: '1' });
+        workerIndexes.set(worker.id, index);
+    };
     for (let i = 0; i < numWorkers; i++) {
-        cluster.fork();
+        forkWorker(i);
     }
     
     cluster.on('exit', (worker, code, signal) => {
         logger.warn(`Worker ${worker.process.pid} died. Restarting...`);
-        cluster.fork();
+        const index = workerIndexes.get(worker.id);
+        workerIndexes.delete(worker.id);
+        forkWorker(index);
+    });
+    
+    // A SIP dialog lives in the worker that placed the call. A hangup that lands elsewhere is
+    // offered to every other worker; the owner sends the CANCEL/BYE and its answer goes back.
+    const sipHangups = new Map(); // relay id -> { answer, pending, timer }
+    let sipHangupRelayId = 0;
+    const relaySipHangup = (sender, { id, callId }) => {
+        const answer = (reply) => {
+            if (!sender.isConnected()) return;
+            sender.send({ type: 'sip-hangup-reply', id, ...reply }, error => {
+                if (error) logger.warn({ worker: sender.id, error: error.message }, 'Failed to answer SIP hangup request');
+            });
+        };
+        const peers = Object.values(cluster.workers).filter(worker => worker !== sender && worker.isConnected());
+        if (peers.length === 0) {
+            answer({ found: false });
+            return;
+        }
+        const relayId = ++sipHangupRelayId;
+        // A peer that exits mid-request never replies; the requester has given up by then
+        const timer = setTimeout(() => sipHangups.delete(relayId), SHARED_STATE_TIMEOUT_MS);
+        sipHangups.set(relayId, { answer, pending: peers.length, timer });
+        for (const worker of peers) {
+            worker.send({ type: 'sip-hangup-peer', id: relayId, callId });
+        }
+    };
+    const settleSipHangup = ({ id, found, error, statusCode }) => {
+        const relay = sipHangups.get(id);
+        if (!relay) return;
+        relay.pending--;
+        if (!found && relay.pending > 0) return;
+        sipHangups.delete(id);
+        clearTimeout(relay.timer);
+        relay.answer(found ? { found, error, statusCode } : { found: false });
+    };
+
+    // Relay event-stream traffic so /api/v1/events on any worker sees every worker's events,
+    // answer the workers' shared state requests and route SIP hangups to the owning worker
+    cluster.on('message', (sender, message) => {
+        if (message && message.type === 'event-stream') {
+            for (const worker of Object.values(cluster.workers)) {
+                if (worker === sender || !worker.isConnected()) continue;
+                worker.send(message, error => {
+                    if (error) console.error(`Failed to relay stream event to worker ${worker.process.pid}: ${error.message}`);
+                });
+            }
+        } else if (message && message.type === 'shared-state') {
+            let reply;
+            try {
+                reply = { type: 'shared-state-reply', id: message.id, result: sharedStateHost.apply(message) };
+            } catch (error) {
+                reply = { type: 'shared-state-reply', id: message.id, error: error.message };
+            }
+            // The worker may have exited while its request was in flight
+            if (sender.isConnected()) {
+                sender.send(reply, error => {
+                    if (error) logger.warn({ worker: sender.id, error: error.message }, 'Failed to answer shared state request');
+                });
+            }
+        } else if (message && message.type === 'sip-hangup') {
+            relaySipHangup(sender, message);
+        } else if (message && message.type === 'sip-hangup-peer-reply') {
+            settleSipHangup(message);
+        }
     });
     
     return; // Exit master process
@@ -391,13 +634,24 @@ const heavyLimiter = rateLimit({
 });
 
 app.use(limiter);
+// Webhook signature checks need the exact bytes the provider signed
+const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+};
 app.use(express.json({ 
     limit: '5mb', // Reduced for better memory management
-    strict: true
+    strict: true,
+    verify: captureRawBody
+}));
+// Provider callbacks (TwiML actions, status callbacks) arrive form-encoded
+app.use(express.urlencoded({ 
+    extended: false,
+    limit: '100kb',
+    verify: captureRawBody
 }));
 app.use(cors({
     origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
-    methods: ['GET', 'POST'],
+    methods: ['GET', 'POST', 'DELETE'],
     allowedHeaders: ['Content-Type', 'x-api-key'],
     maxAge: 86400 // 24 hours
 }));
@@ -405,8 +659,8 @@ app.use(cors({
 // High-performance logging middleware
 app.use(pinoHttp({ 
     logger,
-    // Reduce log verbosity in production for performance
-    level: process.env.NODE_ENV === 'production' ? 'warn' : 'info',
+    // Reduce log verbosity in production for performance, unless LOG_LEVEL says otherwise
+    level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'warn' : 'info'),
     serializers: {
         req: (req) => ({
             method: req.method,
@@ -440,734 +694,2991 @@ const isValidUrl = (url) => {
     }
 };
 
-// --- SIP Client Configuration and Handler ---
-class SIPClient {
-    constructor() {
-        this.sipConfig = {
-            proxyHost: process.env.SIP_PROXY_HOST,
-            proxyPort: parseInt(process.env.SIP_PROXY_PORT) || 5060,
-            username: process.env.SIP_USERNAME,
-            password: process.env.SIP_PASSWORD,
-            domain: process.env.SIP_DOMAIN,
-            fromName: process.env.SIP_FROM_NAME || 'TrueSIP API',
-            localPort: parseInt(process.env.SIP_LOCAL_PORT) || 5070,
-            transport: process.env.SIP_TRANSPORT || 'UDP'
-        };
-        this.activeCalls = new Map();
-        this.cseq = 1;
-        this.registrationStatus = 'UNREGISTERED';
-        this.localIP = null;
-        this.authRealm = null;
-        this.authNonce = null;
-        
-        // Get local IP address
-        this.getLocalIP();
+// --- Provider Error Classification ---
+// Network-level failures that say nothing about the destination, so another provider may succeed
+const RETRYABLE_NETWORK_CODES = new Set([
+    'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT',
+    'EAI_AGAIN', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'
+]);
+
+const isRetryableProviderError = (error) => {
+    if (typeof error.retryable === 'boolean') {
+        return error.retryable;
     }
-    
-    getLocalIP() {
-        const os = require('os');
-        const interfaces = os.networkInterfaces();
-        
-        for (const devName in interfaces) {
-            const iface = interfaces[devName];
-            for (let i = 0; i < iface.length; i++) {
-                const alias = iface[i];
-                if (alias.family === 'IPv4' && alias.address !== '127.0.0.1' && !alias.internal) {
-                    this.localIP = alias.address;
-                    return;
-                }
-            }
-        }
-        this.localIP = '127.0.0.1'; // Fallback
+    if (error.code && RETRYABLE_NETWORK_CODES.has(error.code)) {
+        return true;
     }
-    
-    generateCallId() {
-        return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}@${this.localIP}`;
+    const status = error.response?.status || error.statusCode;
+    if (status) {
+        // Timeouts, throttling, auth/account problems and server faults are provider-side;
+        // anything else in 4xx-6xx is a rejection of the call itself (bad number, busy, declined)
+        return status === 401 || status === 403 || status === 407 || status === 408 || status === 429 ||
+            (status >= 500 && status < 600);
     }
-    
-    generateTag() {
-        return Math.random().toString(36).substr(2, 8);
+    // No definitive rejection from the provider - treat it as a provider fault
+    return true;
+};
+
+// Wraps a provider failure so the failover chain can tell transient faults from permanent rejections
+const providerCallError = (providerName, error, message = error.message) => {
+    const wrapped = new Error(`${providerName} call failed: ${message}`);
+    wrapped.provider = providerName;
+    wrapped.statusCode = error.response?.status || error.statusCode;
+    wrapped.code = error.code;
+    wrapped.retryable = isRetryableProviderError(error);
+    return wrapped;
+};
+
+// --- Normalized Call Status ---
+// One lifecycle for every provider: QUEUED -> INITIATED -> RINGING -> ANSWERED -> a terminal state
+const CALL_STATUS = Object.freeze({
+    QUEUED: 'QUEUED',
+    INITIATED: 'INITIATED',
+    RINGING: 'RINGING',
+    ANSWERED: 'ANSWERED',
+    COMPLETED: 'COMPLETED',
+    BUSY: 'BUSY',
+    NO_ANSWER: 'NO_ANSWER',
+    FAILED: 'FAILED',
+    CANCELED: 'CANCELED'
+});
+
+const TERMINAL_CALL_STATUSES = new Set([
+    CALL_STATUS.COMPLETED, CALL_STATUS.BUSY, CALL_STATUS.NO_ANSWER, CALL_STATUS.FAILED, CALL_STATUS.CANCELED
+]);
+
+const CALL_STATUS_RANK = {
+    [CALL_STATUS.QUEUED]: 0,
+    [CALL_STATUS.INITIATED]: 1,
+    [CALL_STATUS.RINGING]: 2,
+    [CALL_STATUS.ANSWERED]: 3
+};
+
+const getCallStatusRank = (status) => TERMINAL_CALL_STATUSES.has(status) ? 4 : (CALL_STATUS_RANK[status] ?? 1);
+
+const toIsoTimestamp = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// SIP final response codes that describe why a call never connected
+const sipResponseToCallStatus = (statusCode) => {
+    if (statusCode === 486 || statusCode === 600) return CALL_STATUS.BUSY;
+    if (statusCode === 408 || statusCode === 480) return CALL_STATUS.NO_ANSWER;
+    if (statusCode === 487) return CALL_STATUS.CANCELED;
+    return CALL_STATUS.FAILED;
+};
+
+/**
+ * Builds the provider-independent status shape returned by every client's getCallStatus.
+ * Duration is in seconds; the answer time is derived from end time and duration when a provider omits it.
+ */
+const buildCallStatus = ({ callId, status, nativeStatus, created, ringing, answered, ended, duration, hangupCause, providerData }) => {
+    const durationSeconds = duration !== undefined && duration !== null && duration !== '' && !isNaN(Number(duration))
+        ? Number(duration)
+        : null;
+    const endedAt = toIsoTimestamp(ended);
+    let answeredAt = toIsoTimestamp(answered);
+    if (!answeredAt && endedAt && durationSeconds > 0) {
+        answeredAt = new Date(new Date(endedAt).getTime() - durationSeconds * 1000).toISOString();
     }
-    
-    generateBranch() {
-        return `z9hG4bK${Math.random().toString(36).substr(2, 16)}`;
+
+    return {
+        callId,
+        status: status || CALL_STATUS.INITIATED,
+        nativeStatus: nativeStatus ?? null,
+        timestamps: {
+            created: toIsoTimestamp(created),
+            ringing: toIsoTimestamp(ringing),
+            answered: answeredAt,
+            ended: endedAt
+        },
+        duration: durationSeconds,
+        hangupCause: hangupCause || null,
+        providerData: providerData || null
+    };
+};
+
+const providerHangupError = (providerName, error, message = error.message) => {
+    const wrapped = providerCallError(providerName, error, message);
+    wrapped.message = `${providerName} hangup failed: ${message}`;
+    return wrapped;
+};
+
+// --- Provider Circuit Breaker ---
+const BREAKER_STATES = { CLOSED: 'CLOSED', OPEN: 'OPEN', HALF_OPEN: 'HALF_OPEN' };
+
+const circuitBreakerConfig = {
+    failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD) || 5,
+    errorRateThreshold: parseFloat(process.env.CIRCUIT_BREAKER_ERROR_RATE) || 0.5,
+    windowMs: parseInt(process.env.CIRCUIT_BREAKER_WINDOW_MS) || 60000,
+    openMs: parseInt(process.env.CIRCUIT_BREAKER_OPEN_MS) || 30000,
+    halfOpenProbes: parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_PROBES) || 1,
+    slowCallMs: parseInt(process.env.CIRCUIT_BREAKER_SLOW_CALL_MS) || 5000
+};
+
+/**
+ * Tracks a provider's recent outcomes and stops sending it traffic once it keeps failing.
+ * CLOSED -> OPEN when the rolling window holds enough retryable failures at a high enough error rate,
+ * OPEN -> HALF_OPEN after the cooldown, HALF_OPEN -> CLOSED once every probe call succeeds.
+ */
+class CircuitBreaker extends EventEmitter {
+    constructor(name, config = circuitBreakerConfig) {
+        super();
+        this.name = name;
+        this.config = config;
+        this.state = BREAKER_STATES.CLOSED;
+        this.outcomes = []; // { time, success, latencyMs }
+        this.openedAt = null;
+        this.probesInFlight = 0;
+        this.probeSuccesses = 0;
+        this.lastError = null;
+        this.lastStateChange = new Date().toISOString();
     }
 
-    async register() {
-        if (this.registrationStatus === 'REGISTERED') {
-            return true;
+    pruneOutcomes() {
+        const cutoff = Date.now() - this.config.windowMs;
+        while (this.outcomes.length > 0 && this.outcomes[0].time < cutoff) {
+            this.outcomes.shift();
         }
-        
-        try {
-            logger.info({
-                proxyHost: this.sipConfig.proxyHost,
-                proxyPort: this.sipConfig.proxyPort,
-                username: this.sipConfig.username,
-                domain: this.sipConfig.domain,
-                localIP: this.localIP
-            }, 'Starting SIP registration');
-            
-            const callId = this.generateCallId();
-            const fromTag = this.generateTag();
-            
-            const registerMessage = {
-                method: 'REGISTER',
-                uri: `sip:${this.sipConfig.domain}`,
-                version: '2.0',
-                headers: {
-                    'Call-ID': callId,
-                    'From': `"${this.sipConfig.fromName}" <sip:${this.sipConfig.username}@${this.sipConfig.domain}>;tag=${fromTag}`,
-                    'To': `<sip:${this.sipConfig.username}@${this.sipConfig.domain}>`,
-                    'CSeq': `${this.cseq++} REGISTER`,
-                    'Via': `SIP/2.0/UDP ${this.localIP}:${this.sipConfig.localPort};branch=${this.generateBranch()}`,
-                    'Contact': `<sip:${this.sipConfig.username}@${this.localIP}:${this.sipConfig.localPort}>`,
-                    'Expires': '3600',
-                    'User-Agent': 'TrueSIP-API/1.9.1',
-                    'Max-Forwards': '70'
-                }
-            };
-            
-            logger.debug({ registerMessage }, 'Sending REGISTER message');
-            
-            const response = await this.sendSIPMessage(registerMessage);
-            
-            logger.info({ 
-                status: response.status, 
-                reason: response.reason,
-                headers: response.headers 
-            }, 'Received registration response');
-            
-            if (response.status === 401 || response.status === 407) {
-                // Authentication required
-                logger.info('Authentication required, sending credentials');
-                return await this.handleAuthChallenge(response, registerMessage);
-            } else if (response.status === 200) {
-                this.registrationStatus = 'REGISTERED';
-                logger.info('SIP registration successful');
-                return true;
-            } else {
-                logger.error({ 
-                    status: response.status, 
-                    reason: response.reason,
-                    headers: response.headers
-                }, 'SIP registration failed with unexpected status');
-                return false;
+    }
+
+    transition(state) {
+        if (this.state === state) return;
+        const previous = this.state;
+        this.state = state;
+        this.lastStateChange = new Date().toISOString();
+        this.probesInFlight = 0;
+        this.probeSuccesses = 0;
+        this.openedAt = state === BREAKER_STATES.OPEN ? Date.now() : null;
+        if (state === BREAKER_STATES.CLOSED) {
+            this.outcomes = [];
+        }
+        this.emit('stateChange', { provider: this.name, from: previous, to: state, lastError: this.lastError });
+    }
+
+    cooldownElapsed() {
+        return this.state === BREAKER_STATES.OPEN && Date.now() - this.openedAt >= this.config.openMs;
+    }
+
+    // Whether a call may be sent right now. Read-only: only execute() moves OPEN to HALF_OPEN
+    canRequest() {
+        if (this.state === BREAKER_STATES.OPEN) {
+            return this.cooldownElapsed();
+        }
+        if (this.state === BREAKER_STATES.HALF_OPEN) {
+            return this.probesInFlight < this.config.halfOpenProbes;
+        }
+        return true;
+    }
+
+    recordSuccess(latencyMs) {
+        this.outcomes.push({ time: Date.now(), success: true, latencyMs });
+        this.pruneOutcomes();
+
+        if (this.state === BREAKER_STATES.HALF_OPEN) {
+            this.probeSuccesses++;
+            if (this.probeSuccesses >= this.config.halfOpenProbes) {
+                this.transition(BREAKER_STATES.CLOSED);
             }
-            
-        } catch (error) {
-            logger.error({ 
-                error: error.message,
-                stack: error.stack,
-                sipConfig: {
-                    proxyHost: this.sipConfig.proxyHost,
-                    proxyPort: this.sipConfig.proxyPort,
-                    domain: this.sipConfig.domain,
-                    localIP: this.localIP
-                }
-            }, 'SIP registration error');
-            return false;
         }
     }
-    
-    async handleAuthChallenge(challengeResponse, originalMessage) {
+
+    recordFailure(latencyMs, error) {
+        this.lastError = error.message;
+        this.outcomes.push({ time: Date.now(), success: false, latencyMs });
+        this.pruneOutcomes();
+
+        if (this.state === BREAKER_STATES.HALF_OPEN) {
+            this.transition(BREAKER_STATES.OPEN);
+            return;
+        }
+
+        const failures = this.outcomes.filter(outcome => !outcome.success).length;
+        if (failures >= this.config.failureThreshold && failures / this.outcomes.length >= this.config.errorRateThreshold) {
+            this.transition(BREAKER_STATES.OPEN);
+        }
+    }
+
+    async execute(fn) {
+        if (this.cooldownElapsed()) {
+            this.transition(BREAKER_STATES.HALF_OPEN);
+        }
+        if (!this.canRequest()) {
+            const openError = new Error(`${this.name} circuit is ${this.state}, skipping provider`);
+            openError.circuitOpen = true;
+            openError.retryable = true;
+            throw openError;
+        }
+
+        const isProbe = this.state === BREAKER_STATES.HALF_OPEN;
+        if (isProbe) this.probesInFlight++;
+
+        const startedAt = Date.now();
         try {
-            // Parse WWW-Authenticate or Proxy-Authenticate header
-            const authHeader = challengeResponse.headers['www-authenticate'] || challengeResponse.headers['proxy-authenticate'];
-            if (!authHeader) {
-                throw new Error('No authentication header found');
-            }
-            
-            // Extract realm and nonce
-            const realmMatch = authHeader.match(/realm="([^"]+)"/);
-            const nonceMatch = authHeader.match(/nonce="([^"]+)"/);
-            
-            if (!realmMatch || !nonceMatch) {
-                throw new Error('Invalid authentication header format');
-            }
-            
-            this.authRealm = realmMatch[1];
-            this.authNonce = nonceMatch[1];
-            
-            // Generate response hash
-            const crypto = require('crypto');
-            const uri = originalMessage.uri;
-            const method = originalMessage.method;
-            
-            const ha1 = crypto.createHash('md5').update(`${this.sipConfig.username}:${this.authRealm}:${this.sipConfig.password}`).digest('hex');
-            const ha2 = crypto.createHash('md5').update(`${method}:${uri}`).digest('hex');
-            const response = crypto.createHash('md5').update(`${ha1}:${this.authNonce}:${ha2}`).digest('hex');
-            
-            // Create authenticated request
-            const authMessage = {
-                ...originalMessage,
-                headers: {
-                    ...originalMessage.headers,
-                    'CSeq': `${this.cseq++} ${originalMessage.method}`,
-                    'Authorization': `Digest username="${this.sipConfig.username}", realm="${this.authRealm}", nonce="${this.authNonce}", uri="${uri}", response="${response}"`
-                }
-            };
-            
-            const authResponse = await this.sendSIPMessage(authMessage);
-            
-            if (authResponse.status === 200) {
-                this.registrationStatus = 'REGISTERED';
-                logger.info('SIP authentication successful');
-                return true;
+            const result = await fn();
+            this.recordSuccess(Date.now() - startedAt);
+            return result;
+        } catch (error) {
+            // Only provider-side faults count against the provider; a rejected destination is not an outage
+            if (isRetryableProviderError(error)) {
+                this.recordFailure(Date.now() - startedAt, error);
             } else {
-                logger.error({ status: authResponse.status }, 'SIP authentication failed');
-                return false;
+                this.recordSuccess(Date.now() - startedAt);
             }
-            
-        } catch (error) {
-            logger.error({ error: error.message }, 'Authentication challenge handling failed');
-            return false;
+            throw error;
+        } finally {
+            if (isProbe && this.probesInFlight > 0) this.probesInFlight--;
         }
     }
 
-    async makeCall(to, from, audioContent, options = {}) {
-        const callId = this.generateCallId();
-        
-        try {
-            logger.info({ callId, to, from }, 'Initiating SIP call');
-            
-            // Check if we should skip registration (for providers that block registration)
-            const skipRegistration = process.env.SIP_SKIP_REGISTRATION === 'true';
-            
-            if (!skipRegistration && this.registrationStatus !== 'REGISTERED') {
-                logger.info('Attempting SIP registration before call...');
-                const registered = await this.register();
-                if (!registered) {
-                    logger.warn('SIP registration failed, attempting direct call without registration');
-                }
-            } else if (skipRegistration) {
+    // Snapshot for health and routing; reading it never changes the breaker's state
+    getStatus() {
+        const cutoff = Date.now() - this.config.windowMs;
+        const outcomes = this.outcomes.filter(outcome => outcome.time >= cutoff);
+        const total = outcomes.length;
+        const failures = outcomes.filter(outcome => !outcome.success).length;
+        const errorRate = total > 0 ? failures / total : 0;
+        const avgLatencyMs = total > 0
+            ? Math.round(outcomes.reduce((sum, outcome) => sum + outcome.latencyMs, 0) / total)
+            : null;
+
+        // 100 = every recent call succeeded quickly; slow calls cost up to 20 points, an open breaker scores 0
+        let healthScore = Math.round((1 - errorRate) * 100);
+        if (avgLatencyMs && avgLatencyMs > this.config.slowCallMs) {
+            healthScore -= Math.min(20, Math.round((avgLatencyMs / this.config.slowCallMs - 1) * 20));
+        }
+        if (this.state === BREAKER_STATES.OPEN) {
+            healthScore = 0;
+        }
+
+        return {
+            state: this.state,
+            healthScore: Math.max(0, healthScore),
+            recentCalls: total,
+            recentFailures: failures,
+            errorRate: Math.round(errorRate * 1000) / 1000,
+            avgLatencyMs,
+            lastError: this.lastError,
+            lastStateChange: this.lastStateChange,
+            nextProbeAt: this.state === BREAKER_STATES.OPEN
+                ? new Date(this.openedAt + this.config.openMs).toISOString()
+                : null
+        };
+    }
+}
+
+// --- RTP Media ---
+// G.711 audio for SIP calls: decoded 8 kHz mono PCM (see Audio Decoding) is encoded per the
+// codec negotiated in the answer SDP and streamed as 20 ms RTP packets (RFC 3550 / 3551)
+const RTP_CLOCK_RATE = 8000;
+const RTP_PACKET_MS = 20;
+const RTP_SAMPLES_PER_PACKET = RTP_CLOCK_RATE * RTP_PACKET_MS / 1000;
+const RTP_PAYLOAD_TYPES = { PCMU: 0, PCMA: 8 };
+// Dynamic payload type we offer for RFC 4733 telephone-events; the answer's own mapping is used on receive
+const RTP_TELEPHONE_EVENT_PAYLOAD_TYPE = 101;
+// RFC 4733 event codes 0-15 are the DTMF keys
+const DTMF_EVENT_DIGITS = '0123456789*#ABCD';
+const MEDIA_MAX_SOURCE_BYTES = 5 * 1024 * 1024;
+
+const rtpConfig = {
+    portMin: parseInt(process.env.SIP_RTP_PORT_MIN) || 10000,
+    portMax: parseInt(process.env.SIP_RTP_PORT_MAX) || 20000
+};
+
+// ITU-T G.711 companding, after the reference implementation (16-bit linear in, 8-bit out)
+const linearToMuLaw = (sample) => {
+    const BIAS = 0x84;
+    const CLIP = 32635;
+    const sign = sample < 0 ? 0x80 : 0;
+    let magnitude = Math.min(Math.abs(sample), CLIP) + BIAS;
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+    }
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0F;
+    return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+};
+
+const linearToALaw = (sample) => {
+    let value = sample >> 3;
+    let mask;
+    if (value >= 0) {
+        mask = 0xD5;
+    } else {
+        mask = 0x55;
+        value = -value - 1;
+    }
+    let segment = 0;
+    while (segment < 8 && value > (0x20 << segment) - 1) {
+        segment++;
+    }
+    if (segment >= 8) {
+        return 0x7F ^ mask;
+    }
+    const mantissa = segment < 2 ? (value >> 1) & 0x0F : (value >> segment) & 0x0F;
+    return ((segment << 4) | mantissa) ^ mask;
+};
+
+const G711_ENCODERS = { PCMU: linearToMuLaw, PCMA: linearToALaw };
+
+/**
+ * Reads the remote media address and our codec from an answer SDP. The first PCMU/PCMA
+ * payload type in the answer's m=audio line wins, whether static or mapped by a=rtpmap.
+ * `telephoneEvent` is the payload type the far end uses for RFC 4733 DTMF, if it accepted it.
+ * @returns {{ address: string, port: number, codec: string, payloadType: number, telephoneEvent: number|null }|null}
+ */
+function parseSdpAnswer(sdp) {
+    const lines = String(sdp || '').split(/\r?\n/).map(line => line.trim());
+    let sessionAddress = null;
+    let media = null;
+    for (const line of lines) {
+        if (line.startsWith('m=')) {
+            if (media && media.kind === 'audio') break; // Only the first audio stream matters
+            const [kind, port, , ...payloadTypes] = line.substring(2).split(/\s+/);
+            media = { kind, port: parseInt(port), payloadTypes: payloadTypes.map(Number), address: null, rtpmap: {} };
+        } else if (line.startsWith('c=')) {
+            const address = line.split(/\s+/)[2];
+            if (media) media.address = address; else sessionAddress = address;
+        } else if (line.startsWith('a=rtpmap:') && media) {
+            const match = line.match(/^a=rtpmap:(\d+)\s+([^/]+)\/(\d+)/);
+            if (match) media.rtpmap[match[1]] = { name: match[2].toUpperCase(), rate: parseInt(match[3]) };
+        }
+    }
+    if (!media || media.kind !== 'audio' || !media.port) {
+        return null;
+    }
+    
+    const telephoneEvent = media.payloadTypes.find(payloadType => {
+        const mapped = media.rtpmap[payloadType];
+        return mapped && mapped.name === 'TELEPHONE-EVENT' && mapped.rate === RTP_CLOCK_RATE;
+    });
+    for (const payloadType of media.payloadTypes) {
+        const mapped = media.rtpmap[payloadType];
+        const codec = mapped ? (mapped.rate === RTP_CLOCK_RATE ? mapped.name : null)
+            : Object.keys(RTP_PAYLOAD_TYPES).find(name => RTP_PAYLOAD_TYPES[name] === payloadType);
+        if (codec && G711_ENCODERS[codec]) {
+            return {
+                address: media.address || sessionAddress,
+                port: media.port,
+                codec,
+                payloadType,
+                telephoneEvent: telephoneEvent === undefined ? null : telephoneEvent
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Carries another party's session description into a re-INVITE on our own dialog. The o=
+ * line is replaced with the one from our earlier offer, version incremented, since a
+ * modified offer must continue the session it updates (RFC 3264 section 8).
+ */
+function continueSdpSession(sdp, previousOffer) {
+    const origin = String(previousOffer || '').match(/^o=(\S+) (\S+) (\d+) (.+)$/m);
+    if (!origin) {
+        return sdp;
+    }
+    return String(sdp).replace(/^o=.*$/m, `o=${origin[1]} ${origin[2]} ${Number(origin[3]) + 1} ${origin[4].trim()}`);
+}
+
+/**
+ * One RTP stream: a UDP socket on an even port from the RTP range, plus the sender state
+ * (random SSRC, sequence number and timestamp). Emits 'ended' when playback finishes and
+ * 'dtmf' for each key the far end sends as an RFC 4733 telephone-event.
+ */
+class MediaSession extends EventEmitter {
+    constructor(localAddress) {
+        super();
+        this.localAddress = localAddress;
+        this.localPort = null;
+        this.socket = null;
+        this.remote = null;
+        this.ssrc = crypto.randomBytes(4).readUInt32BE(0);
+        this.sequence = crypto.randomBytes(2).readUInt16BE(0);
+        this.timestamp = crypto.randomBytes(4).readUInt32BE(0);
+        this.timer = null;
+        this.closed = false;
+        this.lastEventTimestamp = null;
+    }
+
+    async open() {
+        const dgram = require('dgram');
+        const base = rtpConfig.portMin + (rtpConfig.portMin % 2);
+        const span = Math.max(1, Math.floor((rtpConfig.portMax - base) / 2));
+        const first = Math.floor(Math.random() * span);
+        // RTP uses the even port (RTCP would take the odd one above it); try until one is free
+        for (let attempt = 0; attempt < Math.min(span, 50); attempt++) {
+            const port = base + ((first + attempt) % span) * 2;
+            const socket = dgram.createSocket('udp4');
+            try {
+                await new Promise((resolve, reject) => {
+                    socket.once('error', reject);
+                    socket.bind({ port, exclusive: true }, () => {
+                        socket.off('error', reject);
+                        resolve();
+                    });
+                });
+                socket.on('error', (error) => logger.warn({ port, error: error.message }, 'RTP socket error'));
+                socket.on('message', (packet) => this.handlePacket(packet));
+                this.socket = socket;
+                this.localPort = port;
+                return port;
+            } catch (error) {
+                socket.close();
+            }
+        }
+        throw new Error(`No free RTP port between ${rtpConfig.portMin} and ${rtpConfig.portMax}`);
+    }
+
+    setRemote(remote) {
+        this.remote = remote;
+    }
+
+    /**
+     * Picks telephone-events out of inbound RTP (audio is ignored). An event is repeated in
+     * several packets sharing one RTP timestamp, so a key is reported once per timestamp;
+     * reporting on the first packet rather than the end bit survives the end packets being lost.
+     */
+    handlePacket(packet) {
+        if (!this.remote || this.remote.telephoneEvent === null || packet.length < 12 || packet[0] >> 6 !== 2) return;
+        if ((packet[1] & 0x7F) !== this.remote.telephoneEvent) return;
+        
+        let offset = 12 + (packet[0] & 0x0F) * 4; // Skip CSRCs
+        if (packet[0] & 0x10 && packet.length >= offset + 4) {
+            offset += 4 + packet.readUInt16BE(offset + 2) * 4; // And a header extension
+        }
+        if (packet.length < offset + 4) return;
+        
+        const digit = DTMF_EVENT_DIGITS[packet[offset]];
+        const timestamp = packet.readUInt32BE(4);
+        if (digit && timestamp !== this.lastEventTimestamp) {
+            this.lastEventTimestamp = timestamp;
+            this.emit('dtmf', digit);
+        }
+    }
+
+    sendPacket(payload, marker) {
+        const header = Buffer.alloc(12);
+        header[0] = 0x80; // Version 2, no padding, extension or CSRCs
+        header[1] = (marker ? 0x80 : 0) | this.remote.payloadType;
+        header.writeUInt16BE(this.sequence, 2);
+        header.writeUInt32BE(this.timestamp, 4);
+        header.writeUInt32BE(this.ssrc, 8);
+        this.socket.send(Buffer.concat([header, payload]), this.remote.port, this.remote.address);
+        this.sequence = (this.sequence + 1) & 0xFFFF;
+        this.timestamp = (this.timestamp + RTP_SAMPLES_PER_PACKET) >>> 0;
+    }
+
+    /**
+     * Streams the samples in real time. Each send is scheduled against the start time
+     * rather than the previous send, so timer jitter does not accumulate into drift.
+     */
+    play(samples) {
+        const encode = G711_ENCODERS[this.remote.codec];
+        const packets = Math.ceil(samples.length / RTP_SAMPLES_PER_PACKET);
+        const startedAt = Date.now();
+        let index = 0;
+        
+        const sendNext = () => {
+            if (this.closed) return;
+            if (index >= packets) {
+                this.emit('ended');
+                return;
+            }
+            const payload = Buffer.alloc(RTP_SAMPLES_PER_PACKET, encode(0)); // The last packet is padded with silence
+            const offset = index * RTP_SAMPLES_PER_PACKET;
+            const end = Math.min(offset + RTP_SAMPLES_PER_PACKET, samples.length);
+            for (let i = offset; i < end; i++) {
+                payload[i - offset] = encode(samples[i]);
+            }
+            this.sendPacket(payload, index === 0); // Marker bit on the first packet of the talkspurt
+            index++;
+            this.timer = setTimeout(sendNext, Math.max(0, startedAt + index * RTP_PACKET_MS - Date.now()));
+        };
+        sendNext();
+    }
+
+    // Stops playback without emitting 'ended'; the socket stays open for inbound events
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        clearTimeout(this.timer);
+        if (this.socket) this.socket.close();
+    }
+}
+
+// --- Audio Decoding ---
+// The WAV, FLAC and MP3 decoders live in lib/audio-decoding.js. The call route only probes an
+// audioUrl's headers; full decodes (for SIP playback and TTS output) run on worker threads, so a
+// large file never stalls this process's event loop
+const mediaDecodeConfig = {
+    workers: parseInt(process.env.MEDIA_DECODE_WORKERS) || 1,
+    timeoutMs: parseInt(process.env.MEDIA_DECODE_TIMEOUT_MS) || 30000
+};
+
+/**
+ * A small pool of decode threads, started on first use. Each thread decodes one file at a time;
+ * a thread that crashes or overruns the timeout is terminated and replaced on the next job.
+ */
+class AudioDecodePool {
+    constructor(config) {
+        this.config = config;
+        this.threads = new Map(); // worker -> current job, or null when idle
+        this.queue = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * @returns {Promise<object>} See decodeAudio; failures about the file itself are flagged invalidAudio
+     */
+    decode(buffer, hints = {}) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextId++, buffer, hints, resolve, reject });
+            this.drain();
+        });
+    }
+
+    drain() {
+        while (this.queue.length > 0) {
+            let worker = Array.from(this.threads.keys()).find(thread => this.threads.get(thread) === null);
+            if (!worker) {
+                if (this.threads.size >= this.config.workers) return;
+                worker = this.spawn();
+            }
+            this.run(worker, this.queue.shift());
+        }
+    }
+
+    spawn() {
+        const worker = new Worker(path.join(__dirname, 'lib', 'audio-decode-worker.js'));
+        worker.on('message', ({ id, source, error }) => {
+            const job = this.threads.get(worker);
+            if (!job || job.id !== id) return;
+            this.finish(worker, job);
+            if (error) {
+                job.reject(Object.assign(new Error(error.message), { invalidAudio: error.invalidAudio }));
+            } else {
+                job.resolve(source);
+            }
+        });
+        worker.on('error', error => {
+            logger.error({ error: error.message }, 'Audio decode thread crashed');
+        });
+        worker.on('exit', code => {
+            const job = this.threads.get(worker);
+            this.threads.delete(worker);
+            if (job) {
+                clearTimeout(job.timer);
+                job.reject(new Error(job.timedOut
+                    ? `Audio decoding took longer than ${this.config.timeoutMs} ms`
+                    : `Audio decode thread exited with code ${code}`));
+            }
+            this.drain();
+        });
+        worker.unref(); // Decode threads must not hold up shutdown (after the listeners, which would re-ref it)
+        this.threads.set(worker, null);
+        return worker;
+    }
+
+    run(worker, job) {
+        this.threads.set(worker, job);
+        job.timer = setTimeout(() => {
+            job.timedOut = true;
+            worker.terminate();
+        }, this.config.timeoutMs);
+        worker.postMessage({ id: job.id, buffer: job.buffer, hints: job.hints });
+    }
+
+    finish(worker, job) {
+        clearTimeout(job.timer);
+        this.threads.set(worker, null);
+        setImmediate(() => this.drain());
+    }
+}
+
+const audioDecodePool = new AudioDecodePool(mediaDecodeConfig);
+
+// Downloads an audioUrl, bounded by MEDIA_MAX_SOURCE_BYTES
+async function fetchMediaSource(audioUrl) {
+    const response = await axios.get(audioUrl, {
+        responseType: 'arraybuffer',
+        maxContentLength: MEDIA_MAX_SOURCE_BYTES,
+        timeout: 15000,
+        maxRedirects: 3
+    });
+    return { buffer: Buffer.from(response.data), hints: { contentType: response.headers['content-type'], url: audioUrl } };
+}
+
+/**
+ * Downloads an audioUrl and validates its headers (see probeAudio) without decoding it.
+ * @returns {Promise<{ buffer: Buffer, hints: object, format: string, sampleRate: number, channels: number }>}
+ */
+async function probeMediaSource(audioUrl) {
+    const fetched = await fetchMediaSource(audioUrl);
+    return { ...fetched, ...probeAudio(fetched.buffer, fetched.hints) };
+}
+
+// Fully decodes fetched (or rendered) audio on a decode thread
+const decodeMediaSource = ({ buffer, hints }) => audioDecodePool.decode(buffer, hints);
+
+/**
+ * Downloads and decodes the audio for a call, for SIP calls placed without a source the route
+ * already decoded.
+ * @returns {Promise<object>} See decodeAudio
+ */
+async function loadMediaSource(audioUrl) {
+    return decodeMediaSource(await fetchMediaSource(audioUrl));
+}
+
+// --- Text-to-Speech ---
+// Renders text for SIP playout: a backend turns text + voice into WAV, the engine converts it
+// to 8 kHz mono PCM and caches the result on disk keyed by text, voice and language
+const ttsConfig = {
+    backend: (process.env.TTS_BACKEND || 'http').toLowerCase(),
+    httpUrl: process.env.TTS_HTTP_URL || null,
+    httpApiKey: process.env.TTS_HTTP_API_KEY || null,
+    timeoutMs: parseInt(process.env.TTS_HTTP_TIMEOUT_MS) || 15000,
+    defaultVoice: process.env.TTS_DEFAULT_VOICE || 'en-US-AriaNeural',
+    cacheDir: process.env.TTS_CACHE_DIR || path.join(os.tmpdir(), 'truesip-tts-cache'),
+    cacheTtlHours: parseInt(process.env.TTS_CACHE_TTL_HOURS) || 168,
+    maxTextLength: parseInt(process.env.TTS_MAX_TEXT_LENGTH) || 3000
+};
+
+/**
+ * Any service that answers `POST { text, voice, language, sampleRate, format: 'wav' }` with a
+ * WAV body. Point TTS_HTTP_URL at a local stand-in to test without a real engine.
+ */
+class HttpTtsBackend {
+    constructor() {
+        if (!ttsConfig.httpUrl || !isValidUrl(ttsConfig.httpUrl)) {
+            throw new Error('TTS_HTTP_URL must be set to an http(s) URL');
+        }
+        this.url = ttsConfig.httpUrl;
+    }
+
+    async synthesize(text, { voice, language }) {
+        const response = await axios.post(this.url, {
+            text,
+            voice,
+            language,
+            sampleRate: RTP_CLOCK_RATE,
+            format: 'wav'
+        }, {
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'audio/wav',
+                ...(ttsConfig.httpApiKey ? { 'Authorization': `Bearer ${ttsConfig.httpApiKey}` } : {})
+            },
+            responseType: 'arraybuffer',
+            maxContentLength: MEDIA_MAX_SOURCE_BYTES,
+            timeout: ttsConfig.timeoutMs
+        });
+        return Buffer.from(response.data);
+    }
+}
+
+const createTtsBackend = (name) => {
+    switch (name) {
+        case 'http': return new HttpTtsBackend();
+        default: throw new Error(`Unknown TTS backend: ${name}`);
+    }
+};
+
+class TtsEngine {
+    constructor(backend) {
+        this.backend = backend;
+        this.inFlight = new Map(); // cache key -> Promise, so concurrent calls for one prompt render it once
+        this.stats = { hits: 0, misses: 0, errors: 0 };
+        fs.mkdirSync(ttsConfig.cacheDir, { recursive: true });
+        
+        const prune = setInterval(() => this.pruneCache(), 6 * 60 * 60 * 1000);
+        prune.unref();
+        this.pruneCache();
+    }
+
+    cacheKey(text, voice, language) {
+        return crypto.createHash('sha256').update(JSON.stringify([text, voice, language])).digest('hex');
+    }
+
+    /**
+     * Renders text to 8 kHz mono 16-bit samples, from the disk cache when possible.
+     * @returns {Promise<{ samples: Int16Array, cached: boolean }>}
+     */
+    async render(text, { voice = ttsConfig.defaultVoice, language = 'en-US' } = {}) {
+        const key = this.cacheKey(text, voice, language);
+        const file = path.join(ttsConfig.cacheDir, `${key}.pcm`);
+        
+        try {
+            const cached = await fs.promises.readFile(file);
+            this.stats.hits++;
+            return { samples: new Int16Array(cached.buffer.slice(cached.byteOffset, cached.byteOffset + cached.length)), cached: true };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn({ file, error: error.message }, 'Unreadable TTS cache entry, rendering again');
+            }
+        }
+        
+        if (!this.inFlight.has(key)) {
+            const rendering = this.synthesize(text, voice, language, file)
+                .finally(() => this.inFlight.delete(key));
+            this.inFlight.set(key, rendering);
+        }
+        const samples = await this.inFlight.get(key);
+        return { samples, cached: false };
+    }
+
+    async synthesize(text, voice, language, file) {
+        this.stats.misses++;
+        let samples;
+        try {
+            samples = (await decodeMediaSource({ buffer: await this.backend.synthesize(text, { voice, language }) })).samples;
+        } catch (error) {
+            this.stats.errors++;
+            throw new Error(`TTS rendering failed: ${error.message}`);
+        }
+        
+        // Write then rename, so a concurrent reader never sees a half-written file
+        const temporary = `${file}.${process.pid}.tmp`;
+        try {
+            await fs.promises.writeFile(temporary, Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength));
+            await fs.promises.rename(temporary, file);
+        } catch (error) {
+            logger.warn({ file, error: error.message }, 'Failed to cache rendered TTS audio');
+        }
+        return samples;
+    }
+
+    async pruneCache() {
+        const cutoff = Date.now() - ttsConfig.cacheTtlHours * 60 * 60 * 1000;
+        try {
+            for (const name of await fs.promises.readdir(ttsConfig.cacheDir)) {
+                const file = path.join(ttsConfig.cacheDir, name);
+                const stats = await fs.promises.stat(file);
+                if (stats.mtimeMs < cutoff) {
+                    await fs.promises.unlink(file);
+                }
+            }
+        } catch (error) {
+            logger.warn({ cacheDir: ttsConfig.cacheDir, error: error.message }, 'TTS cache pruning failed');
+        }
+    }
+
+    getStatus() {
+        return {
+            backend: ttsConfig.backend,
+            cacheDir: ttsConfig.cacheDir,
+            defaultVoice: ttsConfig.defaultVoice,
+            ...this.stats
+        };
+    }
+}
+
+// Null when no backend is configured; SIP text calls then fail over to another provider
+const ttsEngine = (() => {
+    if (ttsConfig.backend === 'http' && !ttsConfig.httpUrl) {
+        return null;
+    }
+    try {
+        return new TtsEngine(createTtsBackend(ttsConfig.backend));
+    } catch (error) {
+        logger.error({ backend: ttsConfig.backend, error: error.message }, 'Failed to initialize TTS engine');
+        return null;
+    }
+})();
+
+// 16-bit mono PCM WAV container for rendered audio
+function encodeWav(samples, sampleRate = RTP_CLOCK_RATE) {
+    const header = Buffer.alloc(44);
+    const dataLength = samples.length * 2;
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataLength, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // Mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataLength, 40);
+    return Buffer.concat([header, Buffer.from(samples.buffer, samples.byteOffset, dataLength)]);
+}
+
+// --- SIP Client Configuration and Handler ---
+const SIP_STATUS_MAP = {
+    CALLING: CALL_STATUS.INITIATED,
+    RINGING: CALL_STATUS.RINGING,
+    ANSWERED: CALL_STATUS.ANSWERED,
+    COMPLETED: CALL_STATUS.COMPLETED,
+    BUSY: CALL_STATUS.BUSY,
+    NO_ANSWER: CALL_STATUS.NO_ANSWER,
+    CANCELED: CALL_STATUS.CANCELED,
+    FAILED: CALL_STATUS.FAILED
+};
+
+// Final INVITE responses that mean something more specific than FAILED
+const SIP_ALLOWED_METHODS = 'INVITE, ACK, CANCEL, BYE, OPTIONS, INFO, NOTIFY';
+
+// SIP INFO bodies that carry a key press (the legacy, pre-RFC 6086 usage trunks still send)
+const SIP_INFO_DTMF_TYPES = ['application/dtmf-relay', 'application/dtmf'];
+
+// How long an IVR call waits for the transfer digit once the prompt has finished, as the HTTP providers do
+const SIP_DTMF_TIMEOUT_MS = 10000;
+
+// Ended calls stay in activeCalls this long so status lookups still see the SIP cause
+const SIP_ENDED_CALL_RETENTION_MS = 10 * 60 * 1000;
+const SIP_TERMINAL_STATES = new Set(['COMPLETED', 'CANCELED', 'FAILED', 'BUSY', 'NO_ANSWER']);
+
+// Splits a comma-separated SIP header list without breaking inside <...>
+const splitSipHeaderList = (value) => String(value || '').split(/,(?![^<]*>)/).map(entry => entry.trim()).filter(Boolean);
+
+/**
+ * Reads the key from a SIP INFO body: `Signal=5` (application/dtmf-relay, where some
+ * gateways send 10 and 11 for * and #) or a bare key (application/dtmf).
+ * @returns {string|null}
+ */
+const parseSipInfoDtmf = (contentType, body) => {
+    const text = String(body || '').trim();
+    const signal = contentType === 'application/dtmf-relay'
+        ? (text.match(/^signal\s*=\s*(\S+)/im) || [])[1]
+        : text;
+    if (!signal) return null;
+    if (/^(1[0-5]|[0-9])$/.test(signal)) return DTMF_EVENT_DIGITS[parseInt(signal)];
+    return /^[*#A-D]$/i.test(signal) ? signal.toUpperCase() : null;
+};
+
+// The URI inside a name-addr (`"Name" <sip:...>;tag=...`) or a bare addr-spec
+const extractSipUri = (value) => {
+    const bracketed = String(value || '').match(/<([^>]+)>/);
+    return bracketed ? bracketed[1] : String(value || '').split(';')[0].trim();
+};
+
+// RFC 7616 digest algorithms by strength; each also comes in a -sess variant that folds the nonce and cnonce into HA1
+const SIP_DIGEST_ALGORITHMS = ['SHA-512-256', 'SHA-256', 'MD5'];
+const SIP_DIGEST_HASHES = { 'SHA-512-256': 'sha512-256', 'SHA-256': 'sha256', 'MD5': 'md5' };
+
+// Failed REGISTERs are retried with exponential backoff between these bounds
+const SIP_REGISTER_RETRY_BASE_MS = 30 * 1000;
+const SIP_REGISTER_RETRY_MAX_MS = 5 * 60 * 1000;
+
+/**
+ * Parses the Digest challenges in WWW-Authenticate or Proxy-Authenticate values (one
+ * header may hold several), keeping those we can answer, strongest algorithm first.
+ * @returns {{ realm: string, nonce: string, opaque: string|null, algorithm: string|null, hash: string, sess: boolean, qop: string[], stale: boolean }[]}
+ */
+const parseDigestChallenges = (values) => [].concat(values || [])
+    .flatMap(value => String(value).split(/,?\s*(?=\bDigest\s)/i))
+    .filter(challenge => /^Digest\s/i.test(challenge.trim()))
+    .map(challenge => {
+        const params = {};
+        for (const [, name, quoted, token] of challenge.trim().substring(6).matchAll(/([\w-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g)) {
+            params[name.toLowerCase()] = quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : token;
+        }
+        const algorithm = (params.algorithm || 'MD5').toUpperCase();
+        const base = algorithm.replace(/-SESS$/, '');
+        return {
+            realm: params.realm || '',
+            nonce: params.nonce,
+            opaque: params.opaque !== undefined ? params.opaque : null,
+            algorithm: params.algorithm || null, // Echoed back as the server spelled it
+            hash: SIP_DIGEST_HASHES[base],
+            sess: algorithm !== base,
+            qop: params.qop ? params.qop.split(',').map(option => option.trim().toLowerCase()) : [],
+            stale: String(params.stale).toLowerCase() === 'true',
+            strength: SIP_DIGEST_ALGORITHMS.indexOf(base)
+        };
+    })
+    .filter(challenge => challenge.nonce && challenge.hash)
+    .sort((a, b) => a.strength - b.strength)
+    .map(({ strength, ...challenge }) => challenge);
+
+const quoteSipString = (value) => `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+
+/**
+ * Digest credentials for one request (RFC 2617 / RFC 7616). Every use of a nonce bumps its
+ * nonce count; the cnonce stays fixed per nonce, as the -sess HA1 depends on it. qop=auth
+ * is preferred, auth-int (which also hashes the body) is used when it is the only option,
+ * and a challenge without qop gets the RFC 2069 response.
+ */
+function buildDigestCredentials(session, { method, uri, body, username, password }) {
+    const { challenge } = session;
+    const hash = (value) => crypto.createHash(challenge.hash).update(value).digest('hex');
+    session.nc++;
+    const nc = session.nc.toString(16).padStart(8, '0');
+    const qop = challenge.qop.includes('auth') ? 'auth' : (challenge.qop.includes('auth-int') ? 'auth-int' : null);
+    
+    let ha1 = hash(`${username}:${challenge.realm}:${password}`);
+    if (challenge.sess) {
+        ha1 = hash(`${ha1}:${challenge.nonce}:${session.cnonce}`);
+    }
+    const ha2 = hash(qop === 'auth-int' ? `${method}:${uri}:${hash(body || '')}` : `${method}:${uri}`);
+    const response = qop
+        ? hash(`${ha1}:${challenge.nonce}:${nc}:${session.cnonce}:${qop}:${ha2}`)
+        : hash(`${ha1}:${challenge.nonce}:${ha2}`);
+    
+    const params = [
+        `username=${quoteSipString(username)}`,
+        `realm=${quoteSipString(challenge.realm)}`,
+        `nonce=${quoteSipString(challenge.nonce)}`,
+        `uri=${quoteSipString(uri)}`,
+        `response="${response}"`
+    ];
+    if (challenge.algorithm) params.push(`algorithm=${challenge.algorithm}`);
+    if (challenge.opaque !== null) params.push(`opaque=${quoteSipString(challenge.opaque)}`);
+    if (qop) params.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${session.cnonce}"`);
+    return `Digest ${params.join(', ')}`;
+}
+
+// RFC 3261 timer values: T1 is the RTT estimate, T2 caps non-INVITE retransmits,
+// and 64*T1 bounds a transaction (Timers B and F) and the server response cache (Timer J)
+const SIP_TIMER_T1_MS = 500;
+const SIP_TIMER_T2_MS = 4000;
+const SIP_TRANSACTION_TIMEOUT_MS = 64 * SIP_TIMER_T1_MS;
+
+const SIP_COMPACT_HEADERS = {
+    v: 'via', i: 'call-id', f: 'from', t: 'to', m: 'contact', l: 'content-length',
+    c: 'content-type', k: 'supported', s: 'subject', e: 'content-encoding', o: 'event', r: 'refer-to'
+};
+
+// Challenge headers carry commas inside their values, so repeats are kept as an array instead of folded into one
+const SIP_UNFOLDABLE_HEADERS = new Set(['www-authenticate', 'proxy-authenticate', 'authorization', 'proxy-authorization']);
+
+const SIP_REASON_PHRASES = {
+    200: 'OK',
+    403: 'Forbidden',
+    415: 'Unsupported Media Type',
+    481: 'Call/Transaction Does Not Exist',
+    488: 'Not Acceptable Here',
+    489: 'Bad Event',
+    501: 'Not Implemented',
+    603: 'Decline'
+};
+
+/**
+ * One long-lived UDP socket bound on the SIP port, plus the RFC 3261 client transaction
+ * layer on top of it. Responses are matched to their transaction by top Via branch and
+ * CSeq method; requests arriving from the far end are emitted as 'request' events.
+ */
+class SIPTransport extends EventEmitter {
+    constructor({ localPort, proxyHost, proxyPort }) {
+        super();
+        this.localPort = localPort;
+        this.proxyHost = proxyHost;
+        this.proxyPort = proxyPort;
+        this.socket = null;
+        this.ready = null;
+        this.transactions = new Map(); // `${branch}:${method}` -> client transaction
+        this.completedInvites = new Map(); // `${branch}:INVITE` -> { ack, timer } while Timer D runs
+        this.responseCache = new Map(); // `${branch}:${method}` -> { data, address, port, timer }
+        this.pendingPings = new Set();
+    }
+
+    start() {
+        if (this.ready) {
+            return this.ready;
+        }
+        this.ready = new Promise((resolve, reject) => {
+            const dgram = require('dgram');
+            const socket = dgram.createSocket('udp4');
+            
+            const onBindError = (error) => {
+                this.ready = null;
+                socket.close();
+                logger.error({ localPort: this.localPort, error: error.message }, 'Failed to bind SIP socket');
+                reject(error);
+            };
+            socket.once('error', onBindError);
+            socket.on('message', (data, rinfo) => this.handleDatagram(data, rinfo));
+            
+            // exclusive: cluster workers each bind their own port instead of sharing one handle,
+            // so responses always come back to the worker that owns the transaction
+            socket.bind({ port: this.localPort, exclusive: true }, () => {
+                socket.off('error', onBindError);
+                socket.on('error', (error) => {
+                    logger.error({ localPort: this.localPort, error: error.message }, 'SIP socket error');
+                });
+                this.socket = socket;
+                logger.info({ localPort: this.localPort }, 'SIP transport listening');
+                resolve();
+            });
+        });
+        return this.ready;
+    }
+
+    /**
+     * Starts a client transaction and resolves with its final response. INVITE is
+     * retransmitted on Timer A until the first provisional response and times out on
+     * Timer B; other methods use Timers E and F. `onProvisional` sees every 1xx.
+     */
+    async request(message, { onProvisional } = {}) {
+        await this.start();
+        
+        const branch = SIPTransport.getBranch(message.headers['Via']);
+        const key = `${branch}:${message.method}`;
+        const data = this.serialize(message);
+        const isInvite = message.method === 'INVITE';
+        
+        return new Promise((resolve, reject) => {
+            const transaction = { key, message, method: message.method, onProvisional, resolve, reject, interval: SIP_TIMER_T1_MS };
+            this.transactions.set(key, transaction);
+            
+            const retransmit = () => {
+                transaction.retransmitTimer = setTimeout(() => {
+                    this.send(data);
+                    transaction.interval = isInvite ? transaction.interval * 2 : Math.min(transaction.interval * 2, SIP_TIMER_T2_MS);
+                    retransmit();
+                }, transaction.interval);
+            };
+            transaction.timeoutTimer = setTimeout(() => {
+                this.terminate(transaction);
+                logger.error({
+                    host: this.proxyHost,
+                    port: this.proxyPort,
+                    method: message.method,
+                    callId: message.headers['Call-ID']
+                }, 'SIP request timeout - no response from server');
+                reject(new Error(`SIP request timeout - no response from ${this.proxyHost}:${this.proxyPort}`));
+            }, SIP_TRANSACTION_TIMEOUT_MS);
+            
+            this.send(data, (error) => {
+                if (error && this.transactions.get(key) === transaction) {
+                    this.terminate(transaction);
+                    logger.error({ error: error.message, method: message.method, callId: message.headers['Call-ID'] }, 'Failed to send SIP message');
+                    reject(error);
+                }
+            });
+            retransmit();
+        });
+    }
+
+    // Stateless send, used for ACK and anything else that is not a transaction
+    send(data, callback) {
+        this.socket.send(data, this.proxyPort, this.proxyHost, callback);
+    }
+
+    terminate(transaction) {
+        clearTimeout(transaction.retransmitTimer);
+        clearTimeout(transaction.timeoutTimer);
+        this.transactions.delete(transaction.key);
+    }
+
+    /**
+     * Gives up on a transaction that will never see a final response, e.g. an INVITE
+     * whose CANCEL was answered but whose 487 never arrived.
+     */
+    abandon(branch, method, reason) {
+        const transaction = this.transactions.get(`${branch}:${method}`);
+        if (transaction) {
+            this.terminate(transaction);
+            transaction.reject(new Error(reason));
+        }
+    }
+
+    /**
+     * ACKs a non-2xx final response to an INVITE. This ACK belongs to the INVITE
+     * transaction (same branch, same Request-URI), and is replayed for retransmitted
+     * finals until Timer D expires.
+     */
+    acknowledgeFailure(transaction, response) {
+        const invite = transaction.message;
+        const ack = this.serialize({
+            method: 'ACK',
+            uri: invite.uri,
+            version: '2.0',
+            headers: {
+                'Call-ID': invite.headers['Call-ID'],
+                'From': invite.headers['From'],
+                'To': response.headers.to,
+                'CSeq': `${invite.headers['CSeq'].split(/\s+/)[0]} ACK`,
+                'Via': invite.headers['Via'],
+                'Route': invite.headers['Route'],
+                'User-Agent': 'TrueSIP-API/1.9.1',
+                'Max-Forwards': '70'
+            }
+        });
+        this.send(ack);
+        const timer = setTimeout(() => this.completedInvites.delete(transaction.key), SIP_TRANSACTION_TIMEOUT_MS);
+        timer.unref();
+        this.completedInvites.set(transaction.key, { ack, timer });
+    }
+
+    handleDatagram(data, rinfo) {
+        const text = data.toString();
+        
+        // CRLF keep-alive pong (RFC 5626)
+        if (text.trim() === '') {
+            for (const resolvePing of this.pendingPings) resolvePing(true);
+            this.pendingPings.clear();
+            return;
+        }
+        
+        let message;
+        try {
+            message = this.parse(text);
+        } catch (error) {
+            logger.warn({ from: `${rinfo.address}:${rinfo.port}`, error: error.message, rawData: text.substring(0, 200) }, 'Dropped unparseable SIP datagram');
+            return;
+        }
+        
+        if (message.status) {
+            this.handleResponse(message);
+        } else {
+            this.handleRequest(message, rinfo);
+        }
+    }
+
+    handleResponse(response) {
+        const branch = SIPTransport.getBranch(response.headers.via);
+        const cseqMethod = (response.headers.cseq || '').split(/\s+/)[1];
+        const key = `${branch}:${cseqMethod}`;
+        const transaction = this.transactions.get(key);
+        
+        logger.debug({ status: response.status, method: cseqMethod, callId: response.headers['call-id'], matched: !!transaction }, 'Received SIP response');
+        
+        const completed = this.completedInvites.get(key);
+        if (!transaction && completed && response.status >= 300) {
+            this.send(completed.ack);
+            return;
+        }
+        if (!transaction) {
+            // Retransmitted finals and 2xx from forked legs land here once the transaction is gone
+            this.emit('strayResponse', response);
+            return;
+        }
+        
+        if (response.status < 200) {
+            if (transaction.method === 'INVITE') {
+                // Proceeding: stop retransmitting and wait for the final response
+                clearTimeout(transaction.retransmitTimer);
+                clearTimeout(transaction.timeoutTimer);
+            } else {
+                transaction.interval = SIP_TIMER_T2_MS;
+            }
+            if (transaction.onProvisional) transaction.onProvisional(response);
+            return;
+        }
+        
+        this.terminate(transaction);
+        if (transaction.method === 'INVITE' && response.status >= 300) {
+            this.acknowledgeFailure(transaction, response);
+        }
+        transaction.resolve(response);
+    }
+
+    handleRequest(request, rinfo) {
+        const branch = SIPTransport.getBranch(request.headers.via);
+        const cached = this.responseCache.get(`${branch}:${request.method}`);
+        if (cached) {
+            // Retransmission of a request we already answered
+            this.socket.send(cached.data, cached.port, cached.address);
+            return;
+        }
+        logger.debug({ method: request.method, callId: request.headers['call-id'], from: `${rinfo.address}:${rinfo.port}` }, 'Received SIP request');
+        this.emit('request', request, rinfo);
+    }
+
+    /**
+     * Answers a request from the far end, echoing its Via, From, To, Call-ID and CSeq, and
+     * keeps the response long enough (Timer J) to replay it for retransmitted requests.
+     */
+    respond(request, rinfo, status, extraHeaders = {}, content = null) {
+        let to = request.headers.to;
+        if (to && !/;tag=/.test(to) && status > 100) {
+            to += `;tag=${Math.random().toString(36).substr(2, 8)}`;
+        }
+        const response = {
+            status,
+            reason: SIP_REASON_PHRASES[status] || 'Unknown',
+            headers: {
+                'Via': request.headers.via,
+                'From': request.headers.from,
+                'To': to,
+                'Call-ID': request.headers['call-id'],
+                'CSeq': request.headers.cseq,
+                'User-Agent': 'TrueSIP-API/1.9.1',
+                ...extraHeaders
+            },
+            content
+        };
+        const data = this.serialize(response);
+        this.socket.send(data, rinfo.port, rinfo.address);
+        
+        const key = `${SIPTransport.getBranch(request.headers.via)}:${request.method}`;
+        const timer = setTimeout(() => this.responseCache.delete(key), SIP_TRANSACTION_TIMEOUT_MS);
+        timer.unref();
+        this.responseCache.set(key, { data, address: rinfo.address, port: rinfo.port, timer });
+    }
+
+    // Sends a CRLF keep-alive and resolves true if the proxy pongs within the timeout
+    async ping(timeoutMs = 5000) {
+        await this.start();
+        return new Promise((resolve) => {
+            let settled = false;
+            const settle = (result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timeout);
+                this.pendingPings.delete(settle);
+                resolve(result);
+            };
+            const timeout = setTimeout(() => settle(false), timeoutMs);
+            this.pendingPings.add(settle);
+            this.send(Buffer.from('\r\n\r\n'), (error) => {
+                if (error) settle(false);
+            });
+        });
+    }
+
+    static getBranch(via) {
+        const match = String(via || '').match(/;\s*branch=([^;,\s]+)/i);
+        return match ? match[1] : null;
+    }
+
+    serialize(message) {
+        let sipString = message.status
+            ? `SIP/2.0 ${message.status} ${message.reason}\r\n`
+            : `${message.method} ${message.uri} SIP/${message.version}\r\n`;
+        
+        // Add Content-Length header if content is present
+        if (message.content) {
+            const contentLength = Buffer.byteLength(message.content, 'utf8');
+            message.headers['Content-Length'] = contentLength.toString();
+        } else {
+            message.headers['Content-Length'] = '0';
+        }
+        
+        // Add headers
+        for (const [name, value] of Object.entries(message.headers)) {
+            if (value === undefined || value === null) continue;
+            if (Array.isArray(value)) {
+                value.forEach(v => {
+                    sipString += `${name}: ${this.serializeHeaderValue(v)}\r\n`;
+                });
+            } else {
+                sipString += `${name}: ${this.serializeHeaderValue(value)}\r\n`;
+            }
+        }
+        
+        sipString += `\r\n`;
+        
+        // Add content if present
+        if (message.content) {
+            sipString += message.content;
+        }
+        
+        logger.debug({ 
+            messagePreview: sipString.substring(0, 200) + (sipString.length > 200 ? '...' : ''),
+            totalLength: sipString.length 
+        }, 'Serialized SIP message');
+        
+        return Buffer.from(sipString);
+    }
+
+    serializeHeaderValue(value) {
+        if (typeof value === 'string') {
+            return value;
+        }
+        if (typeof value === 'object') {
+            if (value.uri) {
+                let result = value.uri;
+                if (value.params) {
+                    for (const [key, val] of Object.entries(value.params)) {
+                        result += `;${key}=${val}`;
+                    }
+                }
+                return result;
+            }
+            if (value.seq && value.method) {
+                return `${value.seq} ${value.method}`;
+            }
+            if (value.version && value.protocol) {
+                let result = `SIP/${value.version}/${value.protocol} ${value.host}`;
+                if (value.port) result += `:${value.port}`;
+                if (value.params) {
+                    for (const [key, val] of Object.entries(value.params)) {
+                        result += `;${key}=${val}`;
+                    }
+                }
+                return result;
+            }
+        }
+        return String(value);
+    }
+
+    // Parses a request or response; header names are lower-cased and compact forms expanded
+    parse(data) {
+        const separator = data.indexOf('\r\n\r\n');
+        const head = separator === -1 ? data : data.substring(0, separator);
+        const lines = head.split('\r\n');
+        const startLine = lines[0];
+        
+        const message = { headers: this.parseHeaders(lines.slice(1)) };
+        const statusMatch = startLine.match(/^SIP\/([\d\.]+)\s+(\d{3})\s*(.*)$/);
+        const requestMatch = startLine.match(/^([A-Z]+)\s+(\S+)\s+SIP\/([\d\.]+)$/);
+        if (statusMatch) {
+            message.version = statusMatch[1];
+            message.status = parseInt(statusMatch[2]);
+            message.reason = statusMatch[3];
+        } else if (requestMatch) {
+            message.method = requestMatch[1];
+            message.uri = requestMatch[2];
+            message.version = requestMatch[3];
+        } else {
+            throw new Error('Invalid SIP message format');
+        }
+        
+        const body = separator === -1 ? '' : data.substring(separator + 4);
+        const contentLength = parseInt(message.headers['content-length']);
+        message.content = Number.isNaN(contentLength) ? body : Buffer.from(body).subarray(0, contentLength).toString();
+        return message;
+    }
+
+    parseHeaders(lines) {
+        const headers = {};
+        // Unfold continuation lines (leading whitespace) onto the header they belong to
+        const unfolded = [];
+        for (const line of lines) {
+            if (/^[ \t]/.test(line) && unfolded.length > 0) {
+                unfolded[unfolded.length - 1] += ` ${line.trim()}`;
+            } else {
+                unfolded.push(line);
+            }
+        }
+        for (const line of unfolded) {
+            const colonIndex = line.indexOf(':');
+            if (colonIndex > 0) {
+                const rawName = line.substring(0, colonIndex).trim().toLowerCase();
+                const name = SIP_COMPACT_HEADERS[rawName] || rawName;
+                const value = line.substring(colonIndex + 1).trim();
+                if (headers[name] === undefined) {
+                    headers[name] = value;
+                } else if (SIP_UNFOLDABLE_HEADERS.has(name)) {
+                    headers[name] = [].concat(headers[name], value);
+                } else {
+                    // Repeated list headers (Via, Record-Route, ...) fold into one comma-separated value
+                    headers[name] += `, ${value}`;
+                }
+            }
+        }
+        return headers;
+    }
+}
+
+/**
+ * Offset of this process's SIP port from SIP_LOCAL_PORT, so processes sharing a host do not
+ * bind the same socket. Our own primary numbers its workers (WORKER_INDEX), PM2 numbers its
+ * instances (NODE_APP_INSTANCE) and any other cluster worker falls back to its worker id.
+ */
+function sipPortOffset(env = process.env, worker = cluster.worker) {
+    for (const name of ['WORKER_INDEX', 'NODE_APP_INSTANCE']) {
+        const index = parseInt(env[name], 10);
+        if (index >= 0) return index;
+    }
+    return worker ? worker.id - 1 : 0;
+}
+
+class SIPClient {
+    constructor() {
+        this.sipConfig = {
+            proxyHost: process.env.SIP_PROXY_HOST,
+            proxyPort: parseInt(process.env.SIP_PROXY_PORT) || 5060,
+            username: process.env.SIP_USERNAME,
+            password: process.env.SIP_PASSWORD,
+            domain: process.env.SIP_DOMAIN,
+            fromName: process.env.SIP_FROM_NAME || 'TrueSIP API',
+            // Cluster workers bind consecutive ports so each owns its own socket
+            localPort: (parseInt(process.env.SIP_LOCAL_PORT) || 5070) + sipPortOffset(),
+            transport: process.env.SIP_TRANSPORT || 'UDP',
+            // Address put in the SDP for RTP; set it when the server sits behind NAT
+            mediaAddress: process.env.SIP_MEDIA_IP || null,
+            ringTimeoutSec: parseInt(process.env.SIP_RING_TIMEOUT_SEC) || 60,
+            maxCallDurationSec: parseInt(process.env.SIP_MAX_CALL_DURATION_SEC) || 600,
+            // For providers that block registration
+            skipRegistration: process.env.SIP_SKIP_REGISTRATION === 'true',
+            registerExpiresSec: parseInt(process.env.SIP_REGISTER_EXPIRES_SEC) || 3600
+        };
+        this.transport = new SIPTransport({
+            localPort: this.sipConfig.localPort,
+            proxyHost: this.sipConfig.proxyHost,
+            proxyPort: this.sipConfig.proxyPort
+        });
+        this.transport.on('request', (request, rinfo) => this.handleIncomingRequest(request, rinfo));
+        this.transport.on('strayResponse', (response) => this.handleStrayResponse(response));
+        this.transport.start().catch(() => {}); // Bind now so the trunk can reach us before the first call; failures are logged
+        this.activeCalls = new Map();
+        this.bridgeLegs = new Map(); // Call-ID of a transfer target leg -> that leg's dialog state
+        this.cseq = 1;
+        this.localIP = null;
+        this.digestSessions = new Map(); // realm -> { challenge, header, nc, cnonce }
+        
+        // Get local IP address
+        this.getLocalIP();
+        
+        this.registration = {
+            state: 'UNREGISTERED',
+            callId: this.generateCallId(),
+            fromTag: this.generateTag(),
+            requestedExpires: this.sipConfig.registerExpiresSec,
+            expiresAt: null,
+            lastRegisteredAt: null,
+            lastAttemptAt: null,
+            nextAttemptAt: null,
+            lastError: null,
+            consecutiveFailures: 0,
+            pending: null,
+            timer: null
+        };
+        if (!this.sipConfig.skipRegistration) {
+            this.register(); // Registers in the background and keeps refreshing; failures are logged and retried
+        }
+    }
+    
+    getLocalIP() {
+        const os = require('os');
+        const interfaces = os.networkInterfaces();
+        
+        for (const devName in interfaces) {
+            const iface = interfaces[devName];
+            for (let i = 0; i < iface.length; i++) {
+                const alias = iface[i];
+                if (alias.family === 'IPv4' && alias.address !== '127.0.0.1' && !alias.internal) {
+                    this.localIP = alias.address;
+                    return;
+                }
+            }
+        }
+        this.localIP = '127.0.0.1'; // Fallback
+    }
+    
+    generateCallId() {
+        return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}@${this.localIP}`;
+    }
+    
+    generateTag() {
+        return Math.random().toString(36).substr(2, 8);
+    }
+    
+    generateBranch() {
+        return `z9hG4bK${Math.random().toString(36).substr(2, 16)}`;
+    }
+
+    get registrationStatus() {
+        const { state, expiresAt } = this.registration;
+        return state === 'REGISTERED' && expiresAt <= Date.now() ? 'EXPIRED' : state;
+    }
+
+    /**
+     * Registers (or refreshes the registration) unless a current one exists. Concurrent
+     * callers share the REGISTER in flight. Resolves false on failure, which also schedules a retry.
+     */
+    async register(force = false) {
+        if (this.registrationStatus === 'REGISTERED' && !force) {
+            return true;
+        }
+        if (!this.registration.pending) {
+            this.registration.pending = this.sendRegister().finally(() => {
+                this.registration.pending = null;
+            });
+        }
+        return this.registration.pending;
+    }
+
+    async sendRegister(expires = this.registration.requestedExpires) {
+        clearTimeout(this.registration.timer);
+        this.registration.lastAttemptAt = new Date();
+        this.registration.nextAttemptAt = null;
+        
+        try {
+            logger.info({
+                proxyHost: this.sipConfig.proxyHost,
+                proxyPort: this.sipConfig.proxyPort,
+                username: this.sipConfig.username,
+                domain: this.sipConfig.domain,
+                localIP: this.localIP,
+                expires
+            }, 'Starting SIP registration');
+            
+            // Refreshes reuse the Call-ID and From tag, so the registrar sees one binding being renewed
+            const registerMessage = {
+                method: 'REGISTER',
+                uri: `sip:${this.sipConfig.domain}`,
+                version: '2.0',
+                headers: {
+                    'Call-ID': this.registration.callId,
+                    'From': `"${this.sipConfig.fromName}" <sip:${this.sipConfig.username}@${this.sipConfig.domain}>;tag=${this.registration.fromTag}`,
+                    'To': `<sip:${this.sipConfig.username}@${this.sipConfig.domain}>`,
+                    'CSeq': `${this.cseq++} REGISTER`,
+                    'Via': `SIP/2.0/UDP ${this.localIP}:${this.sipConfig.localPort};branch=${this.generateBranch()}`,
+                    'Contact': `<sip:${this.sipConfig.username}@${this.localIP}:${this.sipConfig.localPort}>`,
+                    'Expires': String(expires),
+                    'User-Agent': 'TrueSIP-API/1.9.1',
+                    'Max-Forwards': '70'
+                }
+            };
+            
+            logger.debug({ registerMessage }, 'Sending REGISTER message');
+            
+            const response = await this.sendSIPMessage(registerMessage);
+            
+            logger.info({ 
+                status: response.status, 
+                reason: response.reason,
+                headers: response.headers 
+            }, 'Received registration response');
+            
+            if (response.status >= 200 && response.status < 300) {
+                this.acceptRegistration(response, expires);
+                return true;
+            }
+            const minExpires = parseInt(response.headers['min-expires']);
+            if (response.status === 423 && minExpires > expires) {
+                // Interval Too Brief: ask again for the shortest interval the registrar allows
+                this.registration.requestedExpires = minExpires;
+                return await this.sendRegister(minExpires);
+            }
+            logger.error({ 
+                status: response.status, 
+                reason: response.reason,
+                headers: response.headers
+            }, 'SIP registration failed with unexpected status');
+            this.failRegistration(`${response.status} ${response.reason}`);
+            return false;
+            
+        } catch (error) {
+            logger.error({ 
+                error: error.message,
+                stack: error.stack,
+                sipConfig: {
+                    proxyHost: this.sipConfig.proxyHost,
+                    proxyPort: this.sipConfig.proxyPort,
+                    domain: this.sipConfig.domain,
+                    localIP: this.localIP
+                }
+            }, 'SIP registration error');
+            this.failRegistration(error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Records a successful REGISTER and schedules its refresh. The registrar may grant a
+     * different interval than we asked for, in our Contact's expires parameter or in Expires.
+     */
+    acceptRegistration(response, requested) {
+        const ownContact = splitSipHeaderList(response.headers.contact)
+            .find(contact => contact.includes(`${this.localIP}:${this.sipConfig.localPort}`));
+        const contactExpires = ownContact && ownContact.match(/;\s*expires=(\d+)/i);
+        const granted = contactExpires ? parseInt(contactExpires[1])
+            : (parseInt(response.headers.expires) >= 0 ? parseInt(response.headers.expires) : requested);
+        
+        const now = Date.now();
+        Object.assign(this.registration, {
+            state: 'REGISTERED',
+            expiresAt: now + granted * 1000,
+            lastRegisteredAt: new Date(now),
+            lastError: null,
+            consecutiveFailures: 0
+        });
+        // Refresh well before the binding lapses: a minute early, or halfway for short intervals
+        this.scheduleRegistration(Math.max(granted / 2, granted - 60) * 1000);
+        logger.info({ expiresSec: granted }, 'SIP registration successful');
+    }
+
+    // A failed refresh leaves an unexpired binding in place; retries back off until one succeeds
+    failRegistration(reason) {
+        const registration = this.registration;
+        registration.consecutiveFailures++;
+        registration.lastError = reason;
+        if (registration.state !== 'REGISTERED') {
+            registration.state = 'FAILED';
+        }
+        const backoff = Math.min(SIP_REGISTER_RETRY_BASE_MS * 2 ** (registration.consecutiveFailures - 1), SIP_REGISTER_RETRY_MAX_MS);
+        this.scheduleRegistration(registration.expiresAt > Date.now()
+            ? Math.min(backoff, Math.max(registration.expiresAt - Date.now(), SIP_REGISTER_RETRY_BASE_MS))
+            : backoff);
+    }
+
+    scheduleRegistration(delayMs) {
+        clearTimeout(this.registration.timer);
+        this.registration.nextAttemptAt = new Date(Date.now() + delayMs);
+        this.registration.timer = setTimeout(() => this.register(true), delayMs);
+        this.registration.timer.unref();
+    }
+
+    getRegistrationStatus() {
+        const { expiresAt, lastRegisteredAt, lastAttemptAt, nextAttemptAt, lastError, consecutiveFailures } = this.registration;
+        if (this.sipConfig.skipRegistration) {
+            return { status: 'DISABLED' };
+        }
+        return {
+            status: this.registrationStatus,
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+            expiresInSec: expiresAt ? Math.max(0, Math.round((expiresAt - Date.now()) / 1000)) : null,
+            lastRegisteredAt: lastRegisteredAt ? lastRegisteredAt.toISOString() : null,
+            lastAttemptAt: lastAttemptAt ? lastAttemptAt.toISOString() : null,
+            nextAttemptAt: nextAttemptAt ? nextAttemptAt.toISOString() : null,
+            lastError,
+            consecutiveFailures
+        };
+    }
+
+    /**
+     * Adds credentials for every realm that has challenged us, so requests after the first
+     * are authorized up front. Each use counts against the nonce (nc); CANCEL is never
+     * authenticated, since it must match the INVITE it cancels.
+     */
+    authorize(message) {
+        if (message.method === 'CANCEL') return;
+        const credentials = { 'Authorization': [], 'Proxy-Authorization': [] };
+        for (const session of this.digestSessions.values()) {
+            credentials[session.header].push(buildDigestCredentials(session, {
+                method: message.method,
+                uri: message.uri,
+                body: message.content,
+                username: this.sipConfig.username,
+                password: this.sipConfig.password
+            }));
+        }
+        for (const [header, values] of Object.entries(credentials)) {
+            message.headers[header] = values.length === 0 ? undefined : (values.length === 1 ? values[0] : values);
+        }
+    }
+
+    /**
+     * Takes up the challenges in a 401/407, strongest supported algorithm per realm.
+     * Returns false when there is nothing new to answer with: no password, no usable
+     * challenge, or the same nonce rejected again without `stale=true` (bad credentials).
+     */
+    acceptChallenge(response) {
+        if (!this.sipConfig.username || !this.sipConfig.password) return false;
+        const proxy = response.status === 407;
+        const challenges = parseDigestChallenges(response.headers[proxy ? 'proxy-authenticate' : 'www-authenticate']);
+        
+        const accepted = new Set();
+        for (const challenge of challenges) {
+            // Challenges come strongest first; a nonce we already answered is only retried when stale
+            const current = this.digestSessions.get(challenge.realm);
+            const rejected = current && current.challenge.nonce === challenge.nonce && !challenge.stale;
+            if (accepted.has(challenge.realm) || rejected) continue;
+            this.digestSessions.set(challenge.realm, {
+                challenge,
+                header: proxy ? 'Proxy-Authorization' : 'Authorization',
+                nc: 0,
+                cnonce: crypto.randomBytes(8).toString('hex')
+            });
+            accepted.add(challenge.realm);
+        }
+        if (accepted.size === 0) {
+            logger.warn({ status: response.status, realms: challenges.map(challenge => challenge.realm) }, 'SIP credentials rejected or challenge unsupported');
+        }
+        return accepted.size > 0;
+    }
+    
+    async makeCall(to, from, audioContent, options = {}) {
+        const callId = this.generateCallId();
+        let media = null;
+        
+        try {
+            logger.info({ callId, to, from }, 'Initiating SIP call');
+            
+            if (!this.sipConfig.skipRegistration && this.registrationStatus !== 'REGISTERED') {
+                logger.info('Attempting SIP registration before call...');
+                const registered = await this.register();
+                if (!registered) {
+                    logger.warn('SIP registration failed, attempting direct call without registration');
+                }
+            } else if (this.sipConfig.skipRegistration) {
                 logger.info('Skipping SIP registration (SIP_SKIP_REGISTRATION=true)');
             }
-            
-            const fromTag = this.generateTag();
-            const branch = this.generateBranch();
-            
-            // Create proper SIP INVITE
-            const inviteMessage = {
-                method: 'INVITE',
-                uri: `sip:${to}@${this.sipConfig.domain}`,
-                version: '2.0',
-                headers: {
-                    'Call-ID': callId,
-                    'From': `"${this.sipConfig.fromName}" <sip:${from}@${this.sipConfig.domain}>;tag=${fromTag}`,
-                    'To': `<sip:${to}@${this.sipConfig.domain}>`,
-                    'CSeq': `${this.cseq++} INVITE`,
-                    'Via': `SIP/2.0/UDP ${this.localIP}:${this.sipConfig.localPort};branch=${branch}`,
-                    'Contact': `<sip:${this.sipConfig.username}@${this.localIP}:${this.sipConfig.localPort}>`,
-                    'User-Agent': 'TrueSIP-API/1.9.1',
-                    'Max-Forwards': '70',
-                    'Content-Type': 'application/sdp'
-                },
-                content: this.generateSDP(audioContent, options)
+            
+            // The failover loop skips SIP for text calls without TTS; this only guards direct callers.
+            // It is a configuration gap, not an outage, so it must not count against the breaker.
+            if (options.isText && !ttsEngine) {
+                const unsupported = new Error(SIP_TTS_UNAVAILABLE_MESSAGE);
+                unsupported.retryable = false;
+                throw unsupported;
+            }
+            const samples = options.isText
+                ? (await ttsEngine.render(audioContent, { voice: options.voice, language: options.language })).samples
+                : (options.audioSource || await loadMediaSource(audioContent)).samples;
+            media = new MediaSession(this.sipConfig.mediaAddress || this.localIP);
+            await media.open();
+            
+            const fromTag = this.generateTag();
+            const branch = this.generateBranch();
+            const inviteCSeq = this.cseq++;
+            
+            // Create proper SIP INVITE
+            const inviteMessage = {
+                method: 'INVITE',
+                uri: `sip:${to}@${this.sipConfig.domain}`,
+                version: '2.0',
+                headers: {
+                    'Call-ID': callId,
+                    'From': `"${this.sipConfig.fromName}" <sip:${from}@${this.sipConfig.domain}>;tag=${fromTag}`,
+                    'To': `<sip:${to}@${this.sipConfig.domain}>`,
+                    'CSeq': `${inviteCSeq} INVITE`,
+                    'Via': `SIP/2.0/UDP ${this.localIP}:${this.sipConfig.localPort};branch=${branch}`,
+                    'Contact': `<sip:${this.sipConfig.username}@${this.localIP}:${this.sipConfig.localPort}>`,
+                    'User-Agent': 'TrueSIP-API/1.9.1',
+                    'Max-Forwards': '70',
+                    'Content-Type': 'application/sdp'
+                },
+                content: this.generateSDP(media)
+            };
+
+            // Store call information, including what CANCEL and BYE need to address the dialog
+            this.activeCalls.set(callId, {
+                to,
+                from,
+                status: 'CALLING',
+                startTime: new Date(),
+                audioContent,
+                options,
+                uri: inviteMessage.uri,
+                fromHeader: inviteMessage.headers['From'],
+                toHeader: inviteMessage.headers['To'],
+                inviteBranch: branch,
+                inviteCSeq,
+                localSdp: inviteMessage.content,
+                media,
+                samples
+            });
+            const ringTimer = setTimeout(() => this.cancelOnRingTimeout(callId), this.sipConfig.ringTimeoutSec * 1000);
+            ringTimer.unref();
+            this.activeCalls.get(callId).ringTimer = ringTimer;
+
+            // Return as soon as the trunk accepts the INVITE; the rest of the transaction
+            // (ringing, answer or rejection) keeps updating activeCalls in the background
+            const response = await new Promise((resolve, reject) => {
+                let settled = false;
+                const settle = (callback, value) => {
+                    if (!settled) {
+                        settled = true;
+                        callback(value);
+                    }
+                };
+                this.sendSIPMessage(inviteMessage, {
+                    onProvisional: (provisional) => {
+                        this.handleInviteResponse(callId, provisional);
+                        settle(resolve, provisional);
+                    },
+                    onRetry: (retry) => this.adoptInviteRetry(this.activeCalls.get(callId), retry)
+                }).then((final) => {
+                    if (settled || final.status < 300) {
+                        this.handleInviteResponse(callId, final);
+                    }
+                    settle(resolve, final);
+                }).catch((error) => {
+                    if (settled) {
+                        logger.error({ callId, error: error.message }, 'SIP INVITE transaction failed');
+                        this.handleInviteResponse(callId, { status: 408, reason: 'Request Timeout', headers: {} });
+                    }
+                    settle(reject, error);
+                });
+            });
+            
+            if (response.status < 300) {
+                logger.info({ callId, status: response.status }, 'SIP call in progress');
+            } else {
+                // Call failed
+                this.activeCalls.delete(callId);
+                // providerCallError adds the "SIP call failed" prefix
+                const sipError = new Error(`status ${response.status}: ${response.reason}`);
+                sipError.statusCode = response.status;
+                throw sipError;
+            }
+            
+            return {
+                success: true,
+                callId,
+                status: 'INITIATED',
+                tracking: {
+                    bulkId: callId,
+                    messageId: callId,
+                    to,
+                    from,
+                    timestamp: new Date().toISOString()
+                }
+            };
+            
+        } catch (error) {
+            logger.error({ callId, error: error.message }, 'SIP call failed');
+            
+            // Clean up failed call
+            const failedCall = this.activeCalls.get(callId);
+            if (failedCall) clearTimeout(failedCall.ringTimer);
+            if (media) media.close();
+            this.activeCalls.delete(callId);
+            
+            throw providerCallError('SIP', error);
+        }
+    }
+
+    async hangupCall(callId) {
+        const call = this.activeCalls.get(callId);
+        if (!call) {
+            const notFound = new Error('Call not found');
+            notFound.statusCode = 404;
+            throw providerHangupError('SIP', notFound);
+        }
+        
+        // An unanswered INVITE is cancelled within its own transaction; an answered one needs a BYE in the dialog
+        const answered = call.status === 'ANSWERED';
+        try {
+            await (answered ? this.sendBye(callId, call) : this.sendCancel(callId, call));
+        } catch (error) {
+            logger.error({ callId, method: answered ? 'BYE' : 'CANCEL', error: error.message }, 'Failed to hangup SIP call');
+            throw providerHangupError('SIP', error);
+        }
+        
+        this.finishCall(callId, answered ? 'COMPLETED' : 'CANCELED', answered ? 'BYE' : 'CANCEL');
+        logger.info({ callId, method: answered ? 'BYE' : 'CANCEL' }, 'SIP call hung up');
+        return { success: true, callId };
+    }
+
+    /**
+     * Ends an answered call from our side (playback finished, maximum duration reached).
+     * The call is marked completed even if the BYE goes unanswered, since the far end may already be gone.
+     */
+    async endCall(callId, cause) {
+        const call = this.activeCalls.get(callId);
+        if (!call || call.status !== 'ANSWERED') return;
+        
+        try {
+            await this.sendBye(callId, call);
+        } catch (error) {
+            logger.warn({ callId, cause, error: error.message }, 'BYE was not acknowledged');
+        }
+        this.finishCall(callId, 'COMPLETED', cause);
+        logger.info({ callId, cause }, 'SIP call ended');
+    }
+
+    async cancelOnRingTimeout(callId) {
+        const call = this.activeCalls.get(callId);
+        if (!call || (call.status !== 'CALLING' && call.status !== 'RINGING')) return;
+        
+        logger.info({ callId, ringTimeoutSec: this.sipConfig.ringTimeoutSec }, 'SIP call not answered in time, cancelling');
+        try {
+            await this.sendCancel(callId, call);
+        } catch (error) {
+            logger.warn({ callId, error: error.message }, 'CANCEL was not acknowledged');
+        }
+        this.finishCall(callId, 'NO_ANSWER', 'RING_TIMEOUT');
+    }
+
+    // Moves a call to a terminal state, stops its timers and schedules its removal
+    finishCall(callId, status, cause) {
+        const call = this.activeCalls.get(callId);
+        if (!call) return;
+        
+        clearTimeout(call.ringTimer);
+        clearTimeout(call.maxDurationTimer);
+        clearTimeout(call.dtmfTimer);
+        if (call.media) call.media.close();
+        call.samples = null;
+        call.status = status;
+        call.endTime = new Date();
+        call.sipCause = cause;
+        this.syncCallRecord(callId);
+        if (call.bridge) this.releaseBridgeLeg(call.bridge);
+        
+        const cleanup = setTimeout(() => {
+            this.activeCalls.delete(callId);
+            if (call.bridge) this.bridgeLegs.delete(call.bridge.callId);
+        }, SIP_ENDED_CALL_RETENTION_MS);
+        cleanup.unref();
+    }
+
+    async sendCancel(callId, call) {
+        const response = await this.sendSIPMessage({
+            method: 'CANCEL',
+            uri: call.uri,
+            version: '2.0',
+            headers: {
+                'Call-ID': callId,
+                'From': call.fromHeader,
+                'To': call.toHeader.replace(/;tag=[^;]*/, ''),
+                'CSeq': `${call.inviteCSeq} CANCEL`,
+                'Via': `SIP/2.0/UDP ${this.localIP}:${this.sipConfig.localPort};branch=${call.inviteBranch}`,
+                'User-Agent': 'TrueSIP-API/1.9.1',
+                'Max-Forwards': '70'
+            }
+        });
+        // The INVITE should now end with 487; stop waiting for it if it never comes
+        const abandonTimer = setTimeout(() => {
+            this.transport.abandon(call.inviteBranch, 'INVITE', 'No final response to cancelled INVITE');
+        }, SIP_TRANSACTION_TIMEOUT_MS);
+        abandonTimer.unref();
+        if (response.status >= 300) {
+            const sipError = new Error(`CANCEL rejected with status ${response.status}: ${response.reason}`);
+            sipError.statusCode = response.status;
+            throw sipError;
+        }
+    }
+
+    async sendBye(callId, call) {
+        const response = await this.sendSIPMessage(this.buildInDialogRequest(callId, call, 'BYE', this.cseq++));
+        // 481 means the far end already tore the dialog down, which is the outcome we wanted
+        if (response.status >= 300 && response.status !== 481) {
+            const sipError = new Error(`BYE rejected with status ${response.status}: ${response.reason}`);
+            sipError.statusCode = response.status;
+            throw sipError;
+        }
+    }
+
+    /**
+     * Builds a request inside an established dialog: sent to the remote target through the
+     * route set learned from the 2xx (loose routing, or strict routing when the first hop lacks ;lr).
+     */
+    buildInDialogRequest(callId, call, method, cseq) {
+        let uri = call.remoteTarget || call.uri;
+        let routes = call.routeSet || [];
+        if (routes.length > 0 && !/;lr\b/i.test(routes[0])) {
+            uri = extractSipUri(routes[0]);
+            routes = [...routes.slice(1), `<${call.remoteTarget || call.uri}>`];
+        }
+        return {
+            method,
+            uri,
+            version: '2.0',
+            headers: {
+                'Call-ID': callId,
+                'From': call.fromHeader,
+                'To': call.toHeader,
+                'CSeq': `${cseq} ${method}`,
+                'Via': `SIP/2.0/UDP ${this.localIP}:${this.sipConfig.localPort};branch=${this.generateBranch()}`,
+                'Route': routes.length > 0 ? routes : undefined,
+                'User-Agent': 'TrueSIP-API/1.9.1',
+                'Max-Forwards': '70'
+            }
+        };
+    }
+
+    // The ACK for a 2xx is its own transaction-less request; it is replayed for every 2xx retransmission
+    sendAck(callId, call) {
+        const ack = this.buildInDialogRequest(callId, call, 'ACK', call.inviteCSeq);
+        call.ackData = this.transport.serialize(ack);
+        this.transport.send(call.ackData);
+    }
+
+    // Offer G.711 on the call's RTP port, plus RFC 4733 telephone-events for the callee's keys; we only
+    // send audio, but stay sendrecv so trunks that latch onto inbound RTP still work
+    generateSDP(media) {
+        const sessionId = Date.now();
+        const version = sessionId;
+        const address = this.sipConfig.mediaAddress || this.localIP;
+        
+        let sdp = `v=0\r\n`;
+        sdp += `o=TrueSIP ${sessionId} ${version} IN IP4 ${address}\r\n`;
+        sdp += `s=TrueSIP Call\r\n`;
+        sdp += `c=IN IP4 ${address}\r\n`;
+        sdp += `t=0 0\r\n`;
+        sdp += `m=audio ${media.localPort} RTP/AVP ${RTP_PAYLOAD_TYPES.PCMU} ${RTP_PAYLOAD_TYPES.PCMA} ${RTP_TELEPHONE_EVENT_PAYLOAD_TYPE}\r\n`;
+        sdp += `a=rtpmap:${RTP_PAYLOAD_TYPES.PCMU} PCMU/${RTP_CLOCK_RATE}\r\n`;
+        sdp += `a=rtpmap:${RTP_PAYLOAD_TYPES.PCMA} PCMA/${RTP_CLOCK_RATE}\r\n`;
+        sdp += `a=rtpmap:${RTP_TELEPHONE_EVENT_PAYLOAD_TYPE} telephone-event/${RTP_CLOCK_RATE}\r\n`;
+        sdp += `a=fmtp:${RTP_TELEPHONE_EVENT_PAYLOAD_TYPE} 0-15\r\n`;
+        sdp += `a=ptime:${RTP_PACKET_MS}\r\n`;
+        sdp += `a=sendrecv\r\n`;
+        
+        return sdp;
+    }
+
+    /**
+     * Starts playback once the call is answered and hangs up when it finishes. A call
+     * whose answer SDP has no usable G.711 stream is ended straight away.
+     */
+    startMedia(callId, call, answerSdp) {
+        const remote = parseSdpAnswer(answerSdp);
+        if (!remote || !remote.address) {
+            logger.warn({ callId }, 'Answer SDP has no PCMU/PCMA audio stream');
+            this.endCall(callId, 'NO_COMMON_CODEC');
+            return;
+        }
+        
+        call.media.setRemote(remote);
+        call.media.on('dtmf', (digit) => this.handleDtmf(callId, digit, 'rfc4733'));
+        call.media.once('ended', () => {
+            if (!this.expectsTransferDigit(call)) {
+                this.endCall(callId, 'PLAYBACK_FINISHED');
+                return;
+            }
+            // Give the callee the same window to press the transfer key that the HTTP providers' gathers do
+            call.dtmfTimer = setTimeout(() => this.endCall(callId, 'NO_INPUT'), SIP_DTMF_TIMEOUT_MS);
+            call.dtmfTimer.unref();
+        });
+        logger.info({ callId, remote, samples: call.samples.length }, 'Starting RTP playback');
+        call.media.play(call.samples);
+    }
+
+    expectsTransferDigit(call) {
+        return Boolean(call.options.transferTo && call.options.dtmfDigit) && !call.transfer;
+    }
+
+    /**
+     * Records a key the callee pressed, whether it came as an RFC 4733 event or a SIP INFO.
+     * On an IVR call the first key decides: the transfer digit transfers the callee, any
+     * other key hangs up, as the gathers on the HTTP providers do.
+     */
+    handleDtmf(callId, digit, source) {
+        const call = this.activeCalls.get(callId);
+        if (!call || call.status !== 'ANSWERED') return;
+        
+        logger.info({ callId, digit, source }, 'SIP call received DTMF');
+        updateCallRecord(callId, { dtmf: { value: digit, inputMethod: 'dtmf', source } });
+        if (!this.expectsTransferDigit(call)) return;
+        
+        clearTimeout(call.dtmfTimer);
+        if (digit === String(call.options.dtmfDigit)) {
+            this.transferCall(callId, call);
+        } else {
+            this.endCall(callId, 'DTMF_NO_MATCH');
+        }
+    }
+
+    /**
+     * Blind-transfers the callee with a REFER (RFC 3515); the NOTIFYs that follow report how
+     * the callee's new call goes. A far end that refuses REFER is bridged to the target instead.
+     */
+    async transferCall(callId, call) {
+        const target = `sip:${call.options.transferTo}@${this.sipConfig.domain}`;
+        call.transfer = { target: call.options.transferTo, method: 'REFER', state: 'PENDING', progress: null };
+        call.media.stop();
+        this.syncCallRecord(callId);
+        logger.info({ callId, transferTo: call.options.transferTo }, 'Transferring SIP call');
+        
+        const refer = this.buildInDialogRequest(callId, call, 'REFER', this.cseq++);
+        refer.headers['Refer-To'] = `<${target}>`;
+        refer.headers['Referred-By'] = `<sip:${call.from}@${this.sipConfig.domain}>`;
+        refer.headers['Contact'] = `<sip:${this.sipConfig.username}@${this.localIP}:${this.sipConfig.localPort}>`;
+        try {
+            const response = await this.sendSIPMessage(refer);
+            if (response.status < 300) {
+                if (call.transfer.state === 'PENDING') call.transfer.state = 'ACCEPTED';
+                this.syncCallRecord(callId);
+                return;
+            }
+            logger.info({ callId, status: response.status, reason: response.reason }, 'REFER refused, bridging the transfer instead');
+        } catch (error) {
+            logger.warn({ callId, error: error.message }, 'REFER went unanswered, bridging the transfer instead');
+        }
+        
+        if (SIP_TERMINAL_STATES.has(call.status)) return;
+        call.transfer.method = 'BRIDGE';
+        try {
+            await this.bridgeCall(callId, call, target);
+        } catch (error) {
+            logger.warn({ callId, error: error.message }, 'SIP transfer failed');
+            call.transfer.state = 'FAILED';
+            call.transfer.progress = error.message;
+            this.endCall(callId, 'TRANSFER_FAILED');
+        }
+    }
+
+    /**
+     * Third-party call control (RFC 3725): calls the target with the callee's session
+     * description as the offer, then re-INVITEs the callee with the target's answer, so the
+     * two exchange RTP directly while both dialogs stay with us. Either side hanging up ends both.
+     */
+    async bridgeCall(callId, call, target) {
+        const legCallId = this.generateCallId();
+        const branch = this.generateBranch();
+        const leg = {
+            callId: legCallId,
+            parentCallId: callId,
+            uri: target,
+            fromHeader: `"${this.sipConfig.fromName}" <sip:${call.from}@${this.sipConfig.domain}>;tag=${this.generateTag()}`,
+            toHeader: `<${target}>`,
+            inviteBranch: branch,
+            inviteCSeq: this.cseq++,
+            answered: false,
+            ended: false
+        };
+        call.bridge = leg;
+        this.bridgeLegs.set(legCallId, leg);
+        call.transfer.state = 'BRIDGING';
+        this.syncCallRecord(callId);
+        
+        const ringTimer = setTimeout(() => {
+            this.sendCancel(legCallId, leg).catch(error => {
+                logger.warn({ callId, error: error.message }, 'CANCEL of unanswered transfer target was not acknowledged');
+            });
+        }, this.sipConfig.ringTimeoutSec * 1000);
+        ringTimer.unref();
+        let response;
+        try {
+            response = await this.sendSIPMessage({
+                method: 'INVITE',
+                uri: target,
+                version: '2.0',
+                headers: {
+                    'Call-ID': legCallId,
+                    'From': leg.fromHeader,
+                    'To': leg.toHeader,
+                    'CSeq': `${leg.inviteCSeq} INVITE`,
+                    'Via': `SIP/2.0/UDP ${this.localIP}:${this.sipConfig.localPort};branch=${branch}`,
+                    'Contact': `<sip:${this.sipConfig.username}@${this.localIP}:${this.sipConfig.localPort}>`,
+                    'User-Agent': 'TrueSIP-API/1.9.1',
+                    'Max-Forwards': '70',
+                    'Content-Type': 'application/sdp'
+                },
+                content: call.remoteSdp
+            }, {
+                onProvisional: (provisional) => {
+                    if (provisional.status > 100) {
+                        call.transfer.progress = `${provisional.status} ${provisional.reason}`;
+                        this.syncCallRecord(callId);
+                    }
+                },
+                onRetry: (retry) => this.adoptInviteRetry(leg, retry)
+            });
+        } finally {
+            clearTimeout(ringTimer);
+        }
+        if (response.status >= 300) {
+            leg.ended = true;
+            throw new Error(`Transfer target answered ${response.status} ${response.reason}`);
+        }
+        
+        leg.answered = true;
+        leg.toHeader = response.headers.to;
+        leg.remoteTarget = extractSipUri(response.headers.contact) || target;
+        leg.routeSet = splitSipHeaderList(response.headers['record-route']).reverse();
+        this.sendAck(legCallId, leg);
+        if (SIP_TERMINAL_STATES.has(call.status)) {
+            // The callee hung up while the target was ringing and our CANCEL crossed this answer
+            this.sendBye(legCallId, leg).catch(error => {
+                logger.warn({ callId, bridgeCallId: legCallId, error: error.message }, 'BYE to transfer target was not acknowledged');
+            });
+            return;
+        }
+        
+        const reinvite = this.buildInDialogRequest(callId, call, 'INVITE', this.cseq++);
+        reinvite.headers['Contact'] = `<sip:${this.sipConfig.username}@${this.localIP}:${this.sipConfig.localPort}>`;
+        reinvite.headers['Content-Type'] = 'application/sdp';
+        reinvite.content = continueSdpSession(response.content, call.localSdp);
+        let acknowledged = reinvite;
+        const answer = await this.sendSIPMessage(reinvite, { onRetry: (retry) => { acknowledged = retry; } });
+        if (answer.status >= 300) {
+            throw new Error(`Callee refused the bridging re-INVITE with ${answer.status} ${answer.reason}`);
+        }
+        call.inviteCSeq = parseInt(acknowledged.headers['CSeq']);
+        this.sendAck(callId, call);
+        
+        // Media now flows between the two parties; our RTP socket has nothing left to do
+        call.media.close();
+        call.transfer.state = 'COMPLETED';
+        call.transfer.progress = `${response.status} ${response.reason}`;
+        logger.info({ callId, bridgeCallId: legCallId }, 'SIP call bridged to transfer target');
+        updateCallRecord(callId, { transferredTo: call.options.transferTo });
+        this.syncCallRecord(callId);
+    }
+
+    // Hangs up the target leg of a bridge, cancelling it if it has not answered yet
+    releaseBridgeLeg(leg) {
+        if (leg.ended) return;
+        leg.ended = true;
+        const release = leg.answered ? this.sendBye(leg.callId, leg) : this.sendCancel(leg.callId, leg);
+        release.catch(error => {
+            logger.warn({ callId: leg.parentCallId, bridgeCallId: leg.callId, error: error.message }, 'Transfer target leg did not acknowledge hangup');
+        });
+    }
+
+    /**
+     * Follows an accepted REFER through its NOTIFYs: each message/sipfrag body carries the
+     * status line of the callee's call to the target. A 2xx completes the transfer and we
+     * leave the dialog; a failure ends the call, since the prompt has already stopped.
+     */
+    handleTransferNotify(request, rinfo, callId, call) {
+        if (!call || !call.transfer || call.transfer.method !== 'REFER') {
+            return this.transport.respond(request, rinfo, 481);
+        }
+        if (!/^refer\b/i.test(request.headers.event || '')) {
+            return this.transport.respond(request, rinfo, 489);
+        }
+        this.transport.respond(request, rinfo, 200);
+        
+        const fragment = String(request.content || '').match(/^SIP\/2\.0\s+(\d{3})\s*(.*)$/m);
+        const terminated = /^terminated\b/i.test(request.headers['subscription-state'] || '');
+        if (SIP_TERMINAL_STATES.has(call.status) || ['COMPLETED', 'FAILED'].includes(call.transfer.state)) {
+            return;
+        }
+        if (fragment) {
+            call.transfer.progress = `${fragment[1]} ${fragment[2].trim()}`.trim();
+        }
+        const status = fragment ? parseInt(fragment[1]) : null;
+        logger.info({ callId, progress: call.transfer.progress, terminated }, 'SIP transfer progress');
+        
+        if (status >= 200 && status < 300) {
+            call.transfer.state = 'COMPLETED';
+            updateCallRecord(callId, { transferredTo: call.options.transferTo });
+            this.endCall(callId, 'TRANSFERRED');
+        } else if (status >= 300 || terminated) {
+            call.transfer.state = 'FAILED';
+            this.endCall(callId, 'TRANSFER_FAILED');
+        } else {
+            call.transfer.state = 'IN_PROGRESS';
+            this.syncCallRecord(callId);
+        }
+    }
+
+    /**
+     * Sends a request as a client transaction, answering a 401/407 once: the request goes
+     * out again as a new transaction (fresh branch, next CSeq) carrying the credentials.
+     * `onRetry` sees the resent request, so callers can track the INVITE a CANCEL or ACK must address.
+     */
+    async sendSIPMessage(message, options = {}) {
+        logger.debug({
+            host: this.sipConfig.proxyHost,
+            port: this.sipConfig.proxyPort,
+            method: message.method,
+            callId: message.headers['Call-ID']
+        }, 'Sending SIP message');
+        this.authorize(message);
+        const response = await this.transport.request(message, options);
+        
+        const challenged = response.status === 401 || response.status === 407;
+        if (!challenged || options.authRetried || message.method === 'CANCEL' || !this.acceptChallenge(response)) {
+            return response;
+        }
+        logger.info({ method: message.method, status: response.status, callId: message.headers['Call-ID'] }, 'Answering SIP digest challenge');
+        const retry = {
+            ...message,
+            headers: {
+                ...message.headers,
+                'CSeq': `${this.cseq++} ${message.method}`,
+                'Via': message.headers['Via'].replace(/branch=[^;]+/, `branch=${this.generateBranch()}`)
+            }
+        };
+        if (options.onRetry) options.onRetry(retry);
+        return this.sendSIPMessage(retry, { ...options, authRetried: true });
+    }
+
+    // A challenged INVITE is resent as a new transaction; CANCEL and the ACK must address that one
+    adoptInviteRetry(dialog, retry) {
+        if (!dialog) return;
+        dialog.inviteBranch = SIPTransport.getBranch(retry.headers['Via']);
+        dialog.inviteCSeq = parseInt(retry.headers['CSeq']);
+    }
+
+    /**
+     * Answers requests the far end sends on its own: BYE ends the call, OPTIONS is a
+     * health probe, INFO carries key presses, NOTIFY reports on a transfer, and anything
+     * outside a known dialog gets 481.
+     */
+    handleIncomingRequest(request, rinfo) {
+        const callId = request.headers['call-id'];
+        const call = this.activeCalls.get(callId);
+        
+        switch (request.method) {
+            case 'ACK':
+                return;
+            case 'OPTIONS':
+                return this.transport.respond(request, rinfo, 200, { 'Allow': SIP_ALLOWED_METHODS });
+            case 'BYE': {
+                const leg = this.bridgeLegs.get(callId);
+                if (!call && leg && !leg.ended) {
+                    // The transfer target hung up a bridged call; the callee goes too
+                    this.transport.respond(request, rinfo, 200);
+                    leg.ended = true;
+                    logger.info({ callId: leg.parentCallId, bridgeCallId: callId }, 'Transfer target ended the bridged call');
+                    this.endCall(leg.parentCallId, 'BRIDGE_ENDED');
+                    return;
+                }
+                if (!call) {
+                    return this.transport.respond(request, rinfo, 481);
+                }
+                this.transport.respond(request, rinfo, 200);
+                // Our own BYE or CANCEL crossed this one, or it repeats one already handled
+                if (TERMINAL_CALL_STATUSES.has(call.status)) return;
+                logger.info({ callId }, 'SIP call ended by the far end');
+                this.finishCall(callId, 'COMPLETED', 'BYE_RECEIVED');
+                return;
+            }
+            case 'INFO': {
+                if (!call) {
+                    return this.transport.respond(request, rinfo, 481);
+                }
+                const contentType = String(request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+                if (request.content && !SIP_INFO_DTMF_TYPES.includes(contentType)) {
+                    return this.transport.respond(request, rinfo, 415, { 'Accept': SIP_INFO_DTMF_TYPES.join(', ') });
+                }
+                this.transport.respond(request, rinfo, 200);
+                const digit = parseSipInfoDtmf(contentType, request.content);
+                if (digit) this.handleDtmf(callId, digit, 'sip-info');
+                return;
+            }
+            case 'NOTIFY':
+                return this.handleTransferNotify(request, rinfo, callId, call);
+            case 'INVITE':
+                // Re-INVITEs are refused without ending the call; new inbound calls are not accepted
+                return this.transport.respond(request, rinfo, call ? 488 : 603);
+            case 'CANCEL':
+                return this.transport.respond(request, rinfo, 481);
+            default:
+                return this.transport.respond(request, rinfo, call ? 501 : 481, { 'Allow': SIP_ALLOWED_METHODS });
+        }
+    }
+
+    /**
+     * Applies a response to the outstanding INVITE. Provisional responses mark the call
+     * ringing, a 2xx establishes the dialog (remote tag, target and route set) and is ACKed,
+     * and a failure ends the call with its SIP cause (the transaction ACKs those).
+     */
+    handleInviteResponse(callId, response) {
+        const call = this.activeCalls.get(callId);
+        if (!call) return;
+        
+        // Keep the remote tag once the far end has sent one
+        if (response.headers.to && /;tag=/.test(response.headers.to)) {
+            call.toHeader = response.headers.to;
+        }
+        
+        if (response.status >= 200 && response.status < 300) {
+            call.remoteTarget = extractSipUri(response.headers.contact) || call.uri;
+            call.routeSet = splitSipHeaderList(response.headers['record-route']).reverse();
+            call.remoteSdp = response.content;
+            this.sendAck(callId, call);
+            
+            if (SIP_TERMINAL_STATES.has(call.status)) {
+                // Answered after we gave up on it (CANCEL crossed the 200): confirm, then leave
+                logger.info({ callId }, 'SIP call answered after cancel, sending BYE');
+                this.sendBye(callId, call).catch(error => {
+                    logger.warn({ callId, error: error.message }, 'BYE after late answer was not acknowledged');
+                });
+                return;
+            }
+            
+            clearTimeout(call.ringTimer);
+            call.status = 'ANSWERED';
+            call.answerTime = new Date();
+            call.maxDurationTimer = setTimeout(() => this.endCall(callId, 'MAX_DURATION'), this.sipConfig.maxCallDurationSec * 1000);
+            call.maxDurationTimer.unref();
+            logger.info({ callId }, 'SIP call answered');
+            this.syncCallRecord(callId);
+            this.startMedia(callId, call, response.content);
+            return;
+        }
+        
+        if (SIP_TERMINAL_STATES.has(call.status)) {
+            return;
+        }
+        if (response.status === 180 || response.status === 183) {
+            call.status = 'RINGING';
+            this.syncCallRecord(callId);
+        } else if (response.status >= 300) {
+            logger.info({ callId, status: response.status, reason: response.reason }, 'SIP call ended before answer');
+            this.finishCall(callId, sipResponseToCallStatus(response.status), `${response.status} ${response.reason}`);
+        }
+    }
+
+    // A retransmitted 2xx means our ACK was lost; send it again
+    handleStrayResponse(response) {
+        const callId = response.headers['call-id'];
+        const call = this.activeCalls.get(callId) || this.bridgeLegs.get(callId);
+        const isInvite = /\bINVITE$/.test(response.headers.cseq || '');
+        if (call && call.ackData && isInvite && response.status >= 200 && response.status < 300) {
+            this.transport.send(call.ackData);
+        }
+    }
+
+    // Pushes the current SIP state into the shared call record (and from there to events)
+    syncCallRecord(callId) {
+        const status = this.getCallStatus(callId);
+        if (!status.error) {
+            updateCallRecord(callId, status);
+        }
+    }
+
+    getCallStatus(callId) {
+        const call = this.activeCalls.get(callId);
+        if (!call) {
+            return { error: 'Call not found' };
+        }
+        
+        return buildCallStatus({
+            callId,
+            status: SIP_STATUS_MAP[call.status],
+            nativeStatus: call.status,
+            created: call.startTime,
+            answered: call.answerTime,
+            ended: call.endTime,
+            duration: call.answerTime ? Math.round(((call.endTime || new Date()) - call.answerTime) / 1000) : null,
+            hangupCause: call.sipCause,
+            providerData: { to: call.to, from: call.from, transfer: call.transfer || null }
+        });
+    }
+
+    getAllCalls() {
+        // Timers, sockets and sample buffers stay internal
+        return Array.from(this.activeCalls.entries()).map(([callId, { ringTimer, maxDurationTimer, dtmfTimer, ackData, media, samples, localSdp, remoteSdp, bridge, ...call }]) => ({
+            callId,
+            ...call,
+            bridgeCallId: bridge ? bridge.callId : null,
+            media: media && media.remote ? { localPort: media.localPort, remote: media.remote } : null
+        }));
+    }
+    
+    async testConnectivity() {
+        try {
+            logger.info('Testing basic SIP connectivity...');
+            
+            // First test basic UDP connectivity
+            const udpTest = await this.testUDPConnectivity();
+            if (!udpTest.success) {
+                return udpTest;
+            }
+            
+            // Try to send a simple OPTIONS request to test SIP protocol
+            const callId = this.generateCallId();
+            
+            const optionsMessage = {
+                method: 'OPTIONS',
+                uri: `sip:${this.sipConfig.domain}`,
+                version: '2.0',
+                headers: {
+                    'Call-ID': callId,
+                    'From': `<sip:${this.sipConfig.username}@${this.sipConfig.domain}>;tag=${this.generateTag()}`,
+                    'To': `<sip:${this.sipConfig.domain}>`,
+                    'CSeq': `${this.cseq++} OPTIONS`,
+                    'Via': `SIP/2.0/UDP ${this.localIP}:${this.sipConfig.localPort};branch=${this.generateBranch()}`,
+                    'User-Agent': 'TrueSIP-API/1.9.1',
+                    'Max-Forwards': '70'
+                }
+            };
+            
+            const response = await this.sendSIPMessage(optionsMessage);
+            
+            if (response.status === 200 || response.status === 404 || response.status === 405) {
+                // Any of these responses indicate connectivity is working
+                logger.info('SIP connectivity test successful');
+                return { success: true, status: response.status, message: 'SIP server is reachable' };
+            } else {
+                logger.warn({ status: response.status }, 'SIP connectivity test received unexpected response');
+                return { success: false, status: response.status, message: `Unexpected response: ${response.status}` };
+            }
+            
+        } catch (error) {
+            logger.error({ error: error.message }, 'SIP connectivity test failed');
+            
+            // Provide more specific error messages
+            if (error.message.includes('timeout')) {
+                return { 
+                    success: false, 
+                    error: error.message, 
+                    message: 'Connection timeout - SIP server may be blocking traffic or unreachable',
+                    troubleshooting: [
+                        'Check if SIP provider allows connections from DigitalOcean IPs',
+                        'Verify SIP_PROXY_HOST and SIP_PROXY_PORT are correct',
+                        'Contact SIP provider about firewall rules'
+                    ]
+                };
+            } else if (error.message.includes('ECONNREFUSED')) {
+                return {
+                    success: false,
+                    error: error.message,
+                    message: 'Connection refused - SIP server is not accepting connections on this port',
+                    troubleshooting: [
+                        'Verify SIP_PROXY_PORT (should be 5060 for most providers)',
+                        'Check if SIP service is running on the server',
+                        'Try different port if provider uses non-standard port'
+                    ]
+                };
+            } else {
+                return { success: false, error: error.message, message: 'SIP server is not reachable' };
+            }
+        }
+    }
+    
+    async testUDPConnectivity() {
+        try {
+            // A CRLF keep-alive on the SIP socket itself, so the check covers the port calls use
+            const ponged = await this.transport.ping(5000);
+            if (!ponged) {
+                return {
+                    success: false,
+                    error: 'UDP connectivity test timeout',
+                    message: `Cannot reach ${this.sipConfig.proxyHost}:${this.sipConfig.proxyPort} via UDP`
+                };
+            }
+            return {
+                success: true,
+                message: 'UDP connectivity confirmed'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                message: 'UDP socket error'
+            };
+        }
+    }
+}
+
+// --- VoIP Service Clients ---
+const TWILIO_STATUS_MAP = {
+    'queued': CALL_STATUS.QUEUED,
+    'initiated': CALL_STATUS.INITIATED,
+    'ringing': CALL_STATUS.RINGING,
+    'in-progress': CALL_STATUS.ANSWERED,
+    'completed': CALL_STATUS.COMPLETED,
+    'busy': CALL_STATUS.BUSY,
+    'no-answer': CALL_STATUS.NO_ANSWER,
+    'failed': CALL_STATUS.FAILED,
+    'canceled': CALL_STATUS.CANCELED
+};
+
+class TwilioClient {
+    constructor() {
+        this.accountSid = process.env.TWILIO_ACCOUNT_SID;
+        this.authToken = process.env.TWILIO_AUTH_TOKEN;
+        this.baseUrl = `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}`;
+        this.activeCalls = new Map();
+    }
+
+    async makeCall(to, from, audioContent, options = {}) {
+        try {
+            logger.info({ to, from, provider: 'Twilio' }, 'Initiating Twilio call');
+
+            // Twilio fetches the TwiML for this call from /twiml/:callId once the callee answers
+            const instructionsId = await storeCallInstructions('twilio', from, audioContent, options);
+            const twimlUrl = buildPublicUrl(`/twiml/${instructionsId}`);
+            if (!twimlUrl) {
+                // A configuration fault rather than a Twilio outage, so it must not trip the breaker
+                const configError = new Error('PUBLIC_BASE_URL must be a valid URL so Twilio can fetch the TwiML');
+                configError.retryable = false;
+                throw configError;
+            }
+
+            const callData = {
+                Url: twimlUrl,
+                To: to,
+                From: from,
+                Method: 'POST'
             };
+
+            const auth = Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64');
             
-            // Add authorization if we have credentials
-            if (this.authRealm && this.authNonce) {
-                const crypto = require('crypto');
-                const uri = inviteMessage.uri;
-                const method = 'INVITE';
-                
-                const ha1 = crypto.createHash('md5').update(`${this.sipConfig.username}:${this.authRealm}:${this.sipConfig.password}`).digest('hex');
-                const ha2 = crypto.createHash('md5').update(`${method}:${uri}`).digest('hex');
-                const response = crypto.createHash('md5').update(`${ha1}:${this.authNonce}:${ha2}`).digest('hex');
-                
-                inviteMessage.headers['Authorization'] = `Digest username="${this.sipConfig.username}", realm="${this.authRealm}", nonce="${this.authNonce}", uri="${uri}", response="${response}"`;
-            }
+            const response = await axios.post(
+                `${this.baseUrl}/Calls.json`,
+                new URLSearchParams(callData),
+                {
+                    headers: {
+                        'Authorization': `Basic ${auth}`,
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    },
+                    timeout: 10000
+                }
+            );
 
-            // Store call information
-            this.activeCalls.set(callId, {
+            const callSid = response.data.sid;
+            
+            this.activeCalls.set(callSid, {
                 to,
                 from,
-                status: 'CALLING',
+                status: 'INITIATED',
                 startTime: new Date(),
                 audioContent,
-                options
+                options,
+                instructionsId
             });
 
-            const response = await this.sendSIPMessage(inviteMessage);
-            
-            if (response.status === 100 || response.status === 180 || response.status === 183) {
-                // Call in progress
-                this.activeCalls.get(callId).status = 'RINGING';
-                logger.info({ callId, status: response.status }, 'SIP call in progress');
-            } else if (response.status === 200) {
-                // Call answered
-                this.activeCalls.get(callId).status = 'ANSWERED';
-                logger.info({ callId }, 'SIP call answered');
-            } else if (response.status >= 400) {
-                // Call failed
-                this.activeCalls.delete(callId);
-                throw new Error(`SIP call failed with status ${response.status}: ${response.reason}`);
-            }
-            
+            logger.info({ callSid, to }, 'Twilio call initiated successfully');
+
             return {
                 success: true,
-                callId,
+                callId: callSid,
                 status: 'INITIATED',
                 tracking: {
-                    bulkId: callId,
-                    messageId: callId,
+                    bulkId: callSid,
+                    messageId: callSid,
                     to,
                     from,
                     timestamp: new Date().toISOString()
                 }
             };
-            
+
         } catch (error) {
-            logger.error({ callId, error: error.message }, 'SIP call failed');
-            
-            // Clean up failed call
-            this.activeCalls.delete(callId);
-            
-            throw new Error(`SIP call failed: ${error.message}`);
+            logger.error({ error: error.message }, 'Twilio call failed');
+            throw providerCallError('Twilio', error);
         }
     }
 
-    generateSDP(audioContent, options) {
-        const sessionId = Date.now();
-        const version = sessionId;
-        
-        // Basic SDP for audio call
-        let sdp = `v=0\r\n`;
-        sdp += `o=TrueSIP ${sessionId} ${version} IN IP4 localhost\r\n`;
-        sdp += `s=TrueSIP Call\r\n`;
-        sdp += `c=IN IP4 localhost\r\n`;
-        sdp += `t=0 0\r\n`;
-        sdp += `m=audio 8000 RTP/AVP 0 8\r\n`;
-        sdp += `a=rtpmap:0 PCMU/8000\r\n`;
-        sdp += `a=rtpmap:8 PCMA/8000\r\n`;
-        
-        // Add custom attributes for TTS or audio file
-        if (audioContent) {
-            if (options.isText) {
-                sdp += `a=tts-text:${audioContent}\r\n`;
-                sdp += `a=tts-voice:${options.voice || 'en-US-AriaNeural'}\r\n`;
-            } else {
-                sdp += `a=audio-url:${audioContent}\r\n`;
-            }
+    /**
+     * Renders the TwiML that speaks or plays a call's message. When a transfer is
+     * configured the message is wrapped in a one-digit Gather posting to gatherActionUrl.
+     */
+    static buildTwiml(instructions, gatherActionUrl) {
+        const message = instructions.text
+            ? `<Say voice="alice" language="${escapeXml(instructions.language)}">${escapeXml(instructions.text)}</Say>`
+            : `<Play>${escapeXml(instructions.audioUrl)}</Play>`;
+
+        if (instructions.transferTo && instructions.dtmfDigit) {
+            return `<?xml version="1.0" encoding="UTF-8"?><Response><Gather numDigits="1" action="${escapeXml(gatherActionUrl)}" method="POST">${message}</Gather><Hangup/></Response>`;
         }
-        
-        return sdp;
+        return `<?xml version="1.0" encoding="UTF-8"?><Response>${message}<Hangup/></Response>`;
     }
 
-    async sendSIPMessage(message) {
-        return new Promise((resolve, reject) => {
-            // Create UDP socket for SIP communication
-            const dgram = require('dgram');
-            const socket = dgram.createSocket('udp4');
-            
-            let responseReceived = false;
-            let timeoutHandle;
-            
-            // Serialize SIP message
-            const sipMessage = this.serializeSIPMessage(message);
-            
-            logger.debug({
-                host: this.sipConfig.proxyHost,
-                port: this.sipConfig.proxyPort,
-                messageSize: sipMessage.length,
-                callId: message.headers['call-id']
-            }, 'Sending SIP message');
-            
-            // Set up timeout first
-            timeoutHandle = setTimeout(() => {
-                if (!responseReceived) {
-                    responseReceived = true;
-                    socket.close();
-                    logger.error({
-                        host: this.sipConfig.proxyHost,
-                        port: this.sipConfig.proxyPort,
-                        callId: message.headers['call-id']
-                    }, 'SIP request timeout - no response from server');
-                    reject(new Error(`SIP request timeout - no response from ${this.sipConfig.proxyHost}:${this.sipConfig.proxyPort}`));
-                }
-            }, 30000); // Increased to 30 seconds
-            
-            // Listen for response before sending
-            socket.on('message', (data, rinfo) => {
-                if (!responseReceived) {
-                    responseReceived = true;
-                    clearTimeout(timeoutHandle);
-                    
-                    logger.debug({
-                        from: `${rinfo.address}:${rinfo.port}`,
-                        size: data.length,
-                        callId: message.headers['call-id']
-                    }, 'Received SIP response');
-                    
-                    try {
-                        const response = this.parseSIPResponse(data.toString());
-                        socket.close();
-                        resolve(response);
-                    } catch (parseError) {
-                        logger.error({
-                            error: parseError.message,
-                            rawData: data.toString().substring(0, 200),
-                            callId: message.headers['call-id']
-                        }, 'Failed to parse SIP response');
-                        socket.close();
-                        reject(parseError);
-                    }
-                }
-            });
+    /**
+     * Renders the TwiML answering a Gather: dial the transfer target on a matching digit, otherwise hang up.
+     */
+    static buildGatherTwiml(instructions, digits) {
+        if (instructions.transferTo && digits === instructions.dtmfDigit) {
+            return `<?xml version="1.0" encoding="UTF-8"?><Response><Dial>${escapeXml(instructions.transferTo)}</Dial></Response>`;
+        }
+        return '<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>';
+    }
+
+    async hangupCall(callSid) {
+        try {
+            const auth = Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64');
             
-            // Handle socket errors
-            socket.on('error', (err) => {
-                if (!responseReceived) {
-                    responseReceived = true;
-                    clearTimeout(timeoutHandle);
-                    logger.error({
-                        error: err.message,
-                        host: this.sipConfig.proxyHost,
-                        port: this.sipConfig.proxyPort,
-                        callId: message.headers['call-id']
-                    }, 'Socket error');
-                    socket.close();
-                    reject(err);
+            // Status=completed ends an in-progress call and cancels one that is still queued or ringing
+            await axios.post(
+                `${this.baseUrl}/Calls/${callSid}.json`,
+                new URLSearchParams({ Status: 'completed' }),
+                {
+                    headers: {
+                        'Authorization': `Basic ${auth}`,
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    },
+                    timeout: 5000
                 }
-            });
+            );
+
+            this.activeCalls.delete(callSid);
+            logger.info({ callSid }, 'Twilio call hung up');
+            return { success: true, callId: callSid };
+
+        } catch (error) {
+            logger.error({ callSid, error: error.message }, 'Failed to hangup Twilio call');
+            throw providerHangupError('Twilio', error);
+        }
+    }
+
+    async getCallStatus(callSid) {
+        try {
+            const auth = Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64');
             
-            // Send the message
-            socket.send(sipMessage, this.sipConfig.proxyPort, this.sipConfig.proxyHost, (error) => {
-                if (error) {
-                    if (!responseReceived) {
-                        responseReceived = true;
-                        clearTimeout(timeoutHandle);
-                        logger.error({
-                            error: error.message,
-                            host: this.sipConfig.proxyHost,
-                            port: this.sipConfig.proxyPort,
-                            callId: message.headers['call-id']
-                        }, 'Failed to send SIP message');
-                        socket.close();
-                        reject(error);
-                    }
-                } else {
-                    logger.debug({
-                        host: this.sipConfig.proxyHost,
-                        port: this.sipConfig.proxyPort,
-                        callId: message.headers['call-id']
-                    }, 'SIP message sent successfully');
+            const response = await axios.get(
+                `${this.baseUrl}/Calls/${callSid}.json`,
+                {
+                    headers: {
+                        'Authorization': `Basic ${auth}`
+                    },
+                    timeout: 5000
                 }
+            );
+
+            const call = response.data;
+            return buildCallStatus({
+                callId: callSid,
+                status: TWILIO_STATUS_MAP[call.status],
+                nativeStatus: call.status,
+                created: call.date_created,
+                ended: call.end_time,
+                duration: call.duration,
+                hangupCause: TERMINAL_CALL_STATUSES.has(TWILIO_STATUS_MAP[call.status]) && call.status !== 'completed' ? call.status : null,
+                providerData: { startTime: call.start_time, price: call.price, priceUnit: call.price_unit, answeredBy: call.answered_by }
             });
-        });
+
+        } catch (error) {
+            return { error: 'Call not found or error retrieving status' };
+        }
     }
+}
 
-    serializeSIPMessage(message) {
-        let sipString = `${message.method} ${message.uri} SIP/${message.version}\r\n`;
-        
-        // Add Content-Length header if content is present
-        if (message.content) {
-            const contentLength = Buffer.byteLength(message.content, 'utf8');
-            message.headers['Content-Length'] = contentLength.toString();
-        } else {
-            message.headers['Content-Length'] = '0';
+const VONAGE_STATUS_MAP = {
+    'started': CALL_STATUS.INITIATED,
+    'ringing': CALL_STATUS.RINGING,
+    'answered': CALL_STATUS.ANSWERED,
+    'machine': CALL_STATUS.ANSWERED,
+    'completed': CALL_STATUS.COMPLETED,
+    'busy': CALL_STATUS.BUSY,
+    'timeout': CALL_STATUS.NO_ANSWER,
+    'unanswered': CALL_STATUS.NO_ANSWER,
+    'failed': CALL_STATUS.FAILED,
+    'rejected': CALL_STATUS.FAILED,
+    'cancelled': CALL_STATUS.CANCELED
+};
+
+// Vonage rejects application JWTs older than their exp; renew this long before it
+const VONAGE_JWT_TTL_SEC = 900;
+const VONAGE_JWT_RENEW_BEFORE_SEC = 60;
+
+class VonageClient {
+    constructor() {
+        this.applicationId = process.env.VONAGE_APPLICATION_ID;
+        this.privateKey = VonageClient.loadPrivateKey();
+        // VONAGE_BASE_URL points the client at a local stand-in for testing
+        this.baseUrl = `${(process.env.VONAGE_BASE_URL || 'https://api.nexmo.com').replace(/\/+$/, '')}/v1/calls`;
+        this.activeCalls = new Map();
+        this.cachedJwt = null;
+    }
+
+    /**
+     * Loads the application's PEM private key from VONAGE_PRIVATE_KEY_PATH or,
+     * failing that, VONAGE_PRIVATE_KEY (literal "\n" sequences become line breaks).
+     */
+    static loadPrivateKey() {
+        const pem = process.env.VONAGE_PRIVATE_KEY_PATH
+            ? fs.readFileSync(process.env.VONAGE_PRIVATE_KEY_PATH, 'utf8')
+            : process.env.VONAGE_PRIVATE_KEY.replace(/\\n/g, '\n');
+        const key = crypto.createPrivateKey(pem);
+        if (key.asymmetricKeyType !== 'rsa') {
+            throw new Error(`Vonage private key must be RSA, got ${key.asymmetricKeyType}`);
         }
-        
-        // Add headers
-        for (const [name, value] of Object.entries(message.headers)) {
-            if (Array.isArray(value)) {
-                value.forEach(v => {
-                    sipString += `${name}: ${this.serializeHeaderValue(v)}\r\n`;
-                });
+        return key;
+    }
+
+    async makeCall(to, from, audioContent, options = {}) {
+        try {
+            logger.info({ to, from, provider: 'Vonage' }, 'Initiating Vonage call');
+
+            let ncco;
+            if (options.isText) {
+                // Text-to-Speech call
+                ncco = [{
+                    "action": "talk",
+                    "text": audioContent,
+                    "voiceName": "Amy"
+                }];
             } else {
-                sipString += `${name}: ${this.serializeHeaderValue(value)}\r\n`;
+                // Audio file call
+                ncco = [{
+                    "action": "stream",
+                    "streamUrl": [audioContent]
+                }];
             }
-        }
-        
-        sipString += `\r\n`;
-        
-        // Add content if present
-        if (message.content) {
-            sipString += message.content;
-        }
-        
-        logger.debug({ 
-            messagePreview: sipString.substring(0, 200) + (sipString.length > 200 ? '...' : ''),
-            totalLength: sipString.length 
-        }, 'Serialized SIP message');
-        
-        return Buffer.from(sipString);
-    }
 
-    serializeHeaderValue(value) {
-        if (typeof value === 'string') {
-            return value;
-        }
-        if (typeof value === 'object') {
-            if (value.uri) {
-                let result = value.uri;
-                if (value.params) {
-                    for (const [key, val] of Object.entries(value.params)) {
-                        result += `;${key}=${val}`;
-                    }
+            const jwt = this.generateJWT();
+            
+            const callData = {
+                to: [{ type: 'phone', number: to }],
+                from: { type: 'phone', number: from },
+                ncco: ncco
+            };
+
+            const response = await axios.post(
+                this.baseUrl,
+                callData,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${jwt}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: 10000
                 }
-                return result;
-            }
-            if (value.seq && value.method) {
-                return `${value.seq} ${value.method}`;
-            }
-            if (value.version && value.protocol) {
-                let result = `SIP/${value.version}/${value.protocol} ${value.host}`;
-                if (value.port) result += `:${value.port}`;
-                if (value.params) {
-                    for (const [key, val] of Object.entries(value.params)) {
-                        result += `;${key}=${val}`;
-                    }
+            );
+
+            const callUuid = response.data.uuid;
+            
+            this.activeCalls.set(callUuid, {
+                to,
+                from,
+                status: 'INITIATED',
+                startTime: new Date(),
+                audioContent,
+                options
+            });
+
+            logger.info({ callUuid, to }, 'Vonage call initiated successfully');
+
+            return {
+                success: true,
+                callId: callUuid,
+                status: 'INITIATED',
+                tracking: {
+                    bulkId: callUuid,
+                    messageId: callUuid,
+                    to,
+                    from,
+                    timestamp: new Date().toISOString()
                 }
-                return result;
-            }
-        }
-        return String(value);
-    }
+            };
 
-    parseSIPResponse(data) {
-        const lines = data.split('\r\n');
-        const statusLine = lines[0];
-        const statusMatch = statusLine.match(/^SIP\/([\d\.]+)\s+(\d+)\s+(.*)$/);
-        
-        if (!statusMatch) {
-            throw new Error('Invalid SIP response format');
+        } catch (error) {
+            logger.error({ error: error.message }, 'Vonage call failed');
+            throw providerCallError('Vonage', error);
         }
-        
-        return {
-            version: statusMatch[1],
-            status: parseInt(statusMatch[2]),
-            reason: statusMatch[3],
-            headers: this.parseHeaders(lines.slice(1))
-        };
     }
 
-    parseHeaders(lines) {
-        const headers = {};
-        for (const line of lines) {
-            if (line.trim() === '') break;
-            const colonIndex = line.indexOf(':');
-            if (colonIndex > 0) {
-                const name = line.substring(0, colonIndex).trim().toLowerCase();
-                const value = line.substring(colonIndex + 1).trim();
-                headers[name] = value;
-            }
+    /**
+     * Returns an RS256 application JWT, reusing the cached token until it is
+     * within VONAGE_JWT_RENEW_BEFORE_SEC of expiring.
+     */
+    generateJWT() {
+        const now = Math.floor(Date.now() / 1000);
+        if (this.cachedJwt && this.cachedJwt.exp - VONAGE_JWT_RENEW_BEFORE_SEC > now) {
+            return this.cachedJwt.token;
         }
-        return headers;
-    }
 
-    getCallStatus(callId) {
-        const call = this.activeCalls.get(callId);
-        if (!call) {
-            return { error: 'Call not found' };
-        }
-        
-        return {
-            callId,
-            status: call.status,
-            to: call.to,
-            from: call.from,
-            startTime: call.startTime,
-            duration: Date.now() - call.startTime.getTime()
+        const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT' })).toString('base64url');
+        const claims = {
+            application_id: this.applicationId,
+            iat: now,
+            exp: now + VONAGE_JWT_TTL_SEC,
+            jti: uuidv4()
         };
-    }
+        const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+        const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), this.privateKey).toString('base64url');
 
-    getAllCalls() {
-        return Array.from(this.activeCalls.entries()).map(([callId, call]) => ({
-            callId,
-            ...call
-        }));
+        this.cachedJwt = { token: `${header}.${payload}.${signature}`, exp: claims.exp };
+        return this.cachedJwt.token;
     }
-    
-    async testConnectivity() {
+
+    async hangupCall(callUuid) {
         try {
-            logger.info('Testing basic SIP connectivity...');
-            
-            // First test basic UDP connectivity
-            const udpTest = await this.testUDPConnectivity();
-            if (!udpTest.success) {
-                return udpTest;
-            }
-            
-            // Try to send a simple OPTIONS request to test SIP protocol
-            const callId = this.generateCallId();
+            const jwt = this.generateJWT();
             
-            const optionsMessage = {
-                method: 'OPTIONS',
-                uri: `sip:${this.sipConfig.domain}`,
-                version: '2.0',
-                headers: {
-                    'Call-ID': callId,
-                    'From': `<sip:${this.sipConfig.username}@${this.sipConfig.domain}>;tag=${this.generateTag()}`,
-                    'To': `<sip:${this.sipConfig.domain}>`,
-                    'CSeq': `${this.cseq++} OPTIONS`,
-                    'Via': `SIP/2.0/UDP ${this.localIP}:${this.sipConfig.localPort};branch=${this.generateBranch()}`,
-                    'User-Agent': 'TrueSIP-API/1.9.1',
-                    'Max-Forwards': '70'
+            await axios.put(
+                `${this.baseUrl}/${callUuid}`,
+                { action: 'hangup' },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${jwt}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: 5000
                 }
-            };
-            
-            const response = await this.sendSIPMessage(optionsMessage);
-            
-            if (response.status === 200 || response.status === 404 || response.status === 405) {
-                // Any of these responses indicate connectivity is working
-                logger.info('SIP connectivity test successful');
-                return { success: true, status: response.status, message: 'SIP server is reachable' };
-            } else {
-                logger.warn({ status: response.status }, 'SIP connectivity test received unexpected response');
-                return { success: false, status: response.status, message: `Unexpected response: ${response.status}` };
-            }
-            
+            );
+
+            this.activeCalls.delete(callUuid);
+            logger.info({ callUuid }, 'Vonage call hung up');
+            return { success: true, callId: callUuid };
+
         } catch (error) {
-            logger.error({ error: error.message }, 'SIP connectivity test failed');
-            
-            // Provide more specific error messages
-            if (error.message.includes('timeout')) {
-                return { 
-                    success: false, 
-                    error: error.message, 
-                    message: 'Connection timeout - SIP server may be blocking traffic or unreachable',
-                    troubleshooting: [
-                        'Check if SIP provider allows connections from DigitalOcean IPs',
-                        'Verify SIP_PROXY_HOST and SIP_PROXY_PORT are correct',
-                        'Contact SIP provider about firewall rules'
-                    ]
-                };
-            } else if (error.message.includes('ECONNREFUSED')) {
-                return {
-                    success: false,
-                    error: error.message,
-                    message: 'Connection refused - SIP server is not accepting connections on this port',
-                    troubleshooting: [
-                        'Verify SIP_PROXY_PORT (should be 5060 for most providers)',
-                        'Check if SIP service is running on the server',
-                        'Try different port if provider uses non-standard port'
-                    ]
-                };
-            } else {
-                return { success: false, error: error.message, message: 'SIP server is not reachable' };
-            }
+            logger.error({ callUuid, error: error.message }, 'Failed to hangup Vonage call');
+            throw providerHangupError('Vonage', error);
         }
     }
-    
-    async testUDPConnectivity() {
-        return new Promise((resolve) => {
-            const dgram = require('dgram');
-            const socket = dgram.createSocket('udp4');
-            
-            // Create a simple test message
-            const testMessage = Buffer.from('\r\n\r\n'); // Empty message to test connectivity
-            
-            let responseReceived = false;
-            
-            const timeout = setTimeout(() => {
-                if (!responseReceived) {
-                    responseReceived = true;
-                    socket.close();
-                    resolve({
-                        success: false,
-                        error: 'UDP connectivity test timeout',
-                        message: `Cannot reach ${this.sipConfig.proxyHost}:${this.sipConfig.proxyPort} via UDP`
-                    });
-                }
-            }, 5000);
-            
-            socket.on('error', (err) => {
-                if (!responseReceived) {
-                    responseReceived = true;
-                    clearTimeout(timeout);
-                    socket.close();
-                    resolve({
-                        success: false,
-                        error: err.message,
-                        message: 'UDP socket error'
-                    });
-                }
-            });
-            
-            socket.on('message', () => {
-                if (!responseReceived) {
-                    responseReceived = true;
-                    clearTimeout(timeout);
-                    socket.close();
-                    resolve({
-                        success: true,
-                        message: 'UDP connectivity confirmed'
-                    });
-                }
-            });
+
+    async getCallStatus(callUuid) {
+        try {
+            const jwt = this.generateJWT();
             
-            socket.send(testMessage, this.sipConfig.proxyPort, this.sipConfig.proxyHost, (error) => {
-                if (error && !responseReceived) {
-                    responseReceived = true;
-                    clearTimeout(timeout);
-                    socket.close();
-                    resolve({
-                        success: false,
-                        error: error.message,
-                        message: 'Failed to send UDP test packet'
-                    });
+            const response = await axios.get(
+                `${this.baseUrl}/${callUuid}`,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${jwt}`
+                    },
+                    timeout: 5000
                 }
+            );
+
+            const call = response.data;
+            return buildCallStatus({
+                callId: callUuid,
+                status: VONAGE_STATUS_MAP[call.status],
+                nativeStatus: call.status,
+                created: call.start_time,
+                ended: call.end_time,
+                duration: call.duration,
+                hangupCause: call.detail || null,
+                providerData: { price: call.price, rate: call.rate, network: call.network }
             });
-        });
+
+        } catch (error) {
+            return { error: 'Call not found or error retrieving status' };
+        }
     }
 }
 
-// --- VoIP Service Clients ---
-class TwilioClient {
+const WAVIX_STATUS_MAP = {
+    'queued': CALL_STATUS.QUEUED,
+    'initiated': CALL_STATUS.INITIATED,
+    'ringing': CALL_STATUS.RINGING,
+    'answered': CALL_STATUS.ANSWERED,
+    'in-progress': CALL_STATUS.ANSWERED,
+    'completed': CALL_STATUS.COMPLETED,
+    'busy': CALL_STATUS.BUSY,
+    'no_answer': CALL_STATUS.NO_ANSWER,
+    'no-answer': CALL_STATUS.NO_ANSWER,
+    'failed': CALL_STATUS.FAILED,
+    'canceled': CALL_STATUS.CANCELED
+};
+
+class WavixClient {
     constructor() {
-        this.accountSid = process.env.TWILIO_ACCOUNT_SID;
-        this.authToken = process.env.TWILIO_AUTH_TOKEN;
-        this.baseUrl = `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}`;
+        this.apiKey = process.env.WAVIX_API_KEY;
+        this.baseUrl = process.env.WAVIX_BASE_URL || 'https://api.wavix.com/v1';
         this.activeCalls = new Map();
     }
 
+    // Wavix speaks with named neural voices; the generic female/male choices map onto its defaults
+    static resolveVoice(voice) {
+        if (!voice || voice === 'female') return 'en-US-AriaNeural';
+        if (voice === 'male') return 'en-US-GuyNeural';
+        return voice;
+    }
+
     async makeCall(to, from, audioContent, options = {}) {
         try {
-            logger.info({ to, from, provider: 'Twilio' }, 'Initiating Twilio call');
+            logger.info({ to, from, provider: 'Wavix' }, 'Initiating Wavix call');
 
-            let twiml;
+            let callData;
             if (options.isText) {
                 // Text-to-Speech call
-                twiml = `<Response><Say voice="alice">${audioContent}</Say></Response>`;
+                callData = {
+                    to: to,
+                    from: from,
+                    tts: {
+                        text: audioContent,
+                        voice: WavixClient.resolveVoice(options.voice),
+                        speed: options.speed || 1.0
+                    }
+                };
             } else {
                 // Audio file call
-                twiml = `<Response><Play>${audioContent}</Play></Response>`;
+                callData = {
+                    to: to,
+                    from: from,
+                    audio_url: audioContent
+                };
             }
 
             // Add transfer logic if specified
             if (options.transferTo && options.dtmfDigit) {
-                twiml = `<Response>
-                    <Gather numDigits="1" action="/transfer">
-                        <Say voice="alice">${audioContent}</Say>
-                    </Gather>
-                </Response>`;
+                callData.transfer = {
+                    destination: options.transferTo,
+                    dtmf_digit: options.dtmfDigit
+                };
             }
 
-            const callData = {
-                Url: process.env.TWILIO_WEBHOOK_URL || 'http://demo.twilio.com/docs/voice.xml',
-                To: to,
-                From: from,
-                Method: 'POST'
-            };
+            // When this server is reachable, Wavix takes the call instructions from /wavix/:callId instead
+            const instructionsId = await storeCallInstructions('wavix', from, audioContent, options);
+            const answerUrl = buildPublicUrl(`/wavix/${instructionsId}`);
+            if (answerUrl) {
+                callData.answer_url = appendWebhookToken(answerUrl);
+            }
 
-            const auth = Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64');
-            
             const response = await axios.post(
-                `${this.baseUrl}/Calls.json`,
-                new URLSearchParams(callData),
+                `${this.baseUrl}/calls`,
+                callData,
                 {
                     headers: {
-                        'Authorization': `Basic ${auth}`,
-                        'Content-Type': 'application/x-www-form-urlencoded'
+                        'Authorization': `Bearer ${this.apiKey}`,
+                        'Content-Type': 'application/json'
                     },
                     timeout: 10000
                 }
             );
 
-            const callSid = response.data.sid;
+            const callId = response.data.call_id || response.data.id;
             
-            this.activeCalls.set(callSid, {
+            this.activeCalls.set(callId, {
                 to,
                 from,
                 status: 'INITIATED',
@@ -1176,48 +3687,100 @@ class TwilioClient {
                 options
             });
 
-            logger.info({ callSid, to }, 'Twilio call initiated successfully');
+            await linkCallInstructions(instructionsId, callId);
+            logger.info({ callId, to }, 'Wavix call initiated successfully');
 
             return {
                 success: true,
-                callId: callSid,
+                callId,
                 status: 'INITIATED',
                 tracking: {
-                    bulkId: callSid,
-                    messageId: callSid,
+                    bulkId: callId,
+                    messageId: callId,
                     to,
                     from,
                     timestamp: new Date().toISOString()
                 }
-            };
+            };
+
+        } catch (error) {
+            logger.error({ error: error.message }, 'Wavix call failed');
+            throw providerCallError('Wavix', error);
+        }
+    }
+
+    /**
+     * Renders the Wavix call XML that speaks or plays a call's message. When a transfer is
+     * configured the message is wrapped in a one-digit Gather posting to gatherActionUrl.
+     */
+    static buildAnswerXml(instructions, gatherActionUrl) {
+        const message = instructions.text
+            ? `<Say voice="${escapeXml(WavixClient.resolveVoice(instructions.voice))}" language="${escapeXml(instructions.language)}">${escapeXml(instructions.text)}</Say>`
+            : `<Play>${escapeXml(instructions.audioUrl)}</Play>`;
+
+        if (instructions.transferTo && instructions.dtmfDigit) {
+            return `<?xml version="1.0" encoding="UTF-8"?><Response><Gather numDigits="1" timeout="10" action="${escapeXml(gatherActionUrl)}" method="POST">${message}</Gather><Hangup/></Response>`;
+        }
+        return `<?xml version="1.0" encoding="UTF-8"?><Response>${message}<Hangup/></Response>`;
+    }
+
+    /**
+     * Renders the Wavix call XML answering a Gather: dial the transfer target on a matching digit, otherwise hang up.
+     */
+    static buildGatherXml(instructions, digits) {
+        if (instructions.transferTo && digits === instructions.dtmfDigit) {
+            return `<?xml version="1.0" encoding="UTF-8"?><Response><Dial>${escapeXml(instructions.transferTo)}</Dial></Response>`;
+        }
+        return '<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>';
+    }
+
+    async hangupCall(callId) {
+        try {
+            await axios.delete(
+                `${this.baseUrl}/calls/${callId}`,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${this.apiKey}`
+                    },
+                    timeout: 5000
+                }
+            );
+
+            this.activeCalls.delete(callId);
+            logger.info({ callId }, 'Wavix call hung up');
+            return { success: true, callId };
 
         } catch (error) {
-            logger.error({ error: error.message }, 'Twilio call failed');
-            throw new Error(`Twilio call failed: ${error.message}`);
+            logger.error({ callId, error: error.message }, 'Failed to hangup Wavix call');
+            throw providerHangupError('Wavix', error);
         }
     }
 
-    async getCallStatus(callSid) {
+    async getCallStatus(callId) {
         try {
-            const auth = Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64');
-            
             const response = await axios.get(
-                `${this.baseUrl}/Calls/${callSid}.json`,
+                `${this.baseUrl}/calls/${callId}`,
                 {
                     headers: {
-                        'Authorization': `Basic ${auth}`
+                        'Authorization': `Bearer ${this.apiKey}`
                     },
                     timeout: 5000
                 }
             );
 
-            return {
-                callId: callSid,
-                status: response.data.status,
-                duration: response.data.duration,
-                startTime: response.data.start_time,
-                endTime: response.data.end_time
-            };
+            const call = response.data;
+            const nativeStatus = (call.status || '').toLowerCase();
+            return buildCallStatus({
+                callId,
+                status: WAVIX_STATUS_MAP[nativeStatus],
+                nativeStatus: call.status,
+                created: call.start_time,
+                answered: call.answer_time,
+                ended: call.end_time,
+                duration: call.duration,
+                hangupCause: call.hangup_cause || call.disposition,
+                providerData: { charge: call.charge }
+            });
 
         } catch (error) {
             return { error: 'Call not found or error retrieving status' };
@@ -1225,55 +3788,66 @@ class TwilioClient {
     }
 }
 
-class VonageClient {
+// Plivo reports `call_status` for live calls and `call_state` in the CDR of finished ones
+const PLIVO_STATUS_MAP = {
+    'queued': CALL_STATUS.QUEUED,
+    'ringing': CALL_STATUS.RINGING,
+    'early media': CALL_STATUS.RINGING,
+    'in-progress': CALL_STATUS.ANSWERED,
+    'answer': CALL_STATUS.ANSWERED,
+    'completed': CALL_STATUS.COMPLETED,
+    'busy': CALL_STATUS.BUSY,
+    'no-answer': CALL_STATUS.NO_ANSWER,
+    'no_answer': CALL_STATUS.NO_ANSWER,
+    'timeout': CALL_STATUS.NO_ANSWER,
+    'failed': CALL_STATUS.FAILED,
+    'cancel': CALL_STATUS.CANCELED
+};
+
+class PlivoClient {
     constructor() {
-        this.apiKey = process.env.VONAGE_API_KEY;
-        this.apiSecret = process.env.VONAGE_API_SECRET;
-        this.baseUrl = 'https://api.nexmo.com/v1/calls';
+        this.authId = process.env.PLIVO_AUTH_ID;
+        this.authToken = process.env.PLIVO_AUTH_TOKEN;
+        this.baseUrl = 'https://api.plivo.com/v1/Account';
         this.activeCalls = new Map();
     }
 
     async makeCall(to, from, audioContent, options = {}) {
         try {
-            logger.info({ to, from, provider: 'Vonage' }, 'Initiating Vonage call');
+            logger.info({ to, from, provider: 'Plivo' }, 'Initiating Plivo call');
 
-            let ncco;
-            if (options.isText) {
-                // Text-to-Speech call
-                ncco = [{
-                    "action": "talk",
-                    "text": audioContent,
-                    "voiceName": "Amy"
-                }];
-            } else {
-                // Audio file call
-                ncco = [{
-                    "action": "stream",
-                    "streamUrl": [audioContent]
-                }];
+            const auth = Buffer.from(`${this.authId}:${this.authToken}`).toString('base64');
+            
+            // Plivo fetches the call's XML from /plivo/:callId once the callee answers
+            const instructionsId = await storeCallInstructions('plivo', from, audioContent, options);
+            const answerUrl = buildPublicUrl(`/plivo/${instructionsId}`);
+            if (!answerUrl) {
+                // A configuration fault rather than a Plivo outage, so it must not trip the breaker
+                const configError = new Error('PUBLIC_BASE_URL must be a valid URL so Plivo can fetch the answer XML');
+                configError.retryable = false;
+                throw configError;
             }
 
-            const jwt = this.generateJWT();
-            
-            const callData = {
-                to: [{ type: 'phone', number: to }],
-                from: { type: 'phone', number: from },
-                ncco: ncco
+            let callData = {
+                to: to,
+                from: from,
+                answer_url: answerUrl,
+                answer_method: 'POST'
             };
 
             const response = await axios.post(
-                this.baseUrl,
+                `${this.baseUrl}/${this.authId}/Call/`,
                 callData,
                 {
                     headers: {
-                        'Authorization': `Bearer ${jwt}`,
+                        'Authorization': `Basic ${auth}`,
                         'Content-Type': 'application/json'
                     },
                     timeout: 10000
                 }
             );
 
-            const callUuid = response.data.uuid;
+            const callUuid = response.data.request_uuid;
             
             this.activeCalls.set(callUuid, {
                 to,
@@ -1284,7 +3858,8 @@ class VonageClient {
                 options
             });
 
-            logger.info({ callUuid, to }, 'Vonage call initiated successfully');
+            await linkCallInstructions(instructionsId, callUuid);
+            logger.info({ callUuid, to }, 'Plivo call initiated successfully');
 
             return {
                 success: true,
@@ -1300,46 +3875,101 @@ class VonageClient {
             };
 
         } catch (error) {
-            logger.error({ error: error.message }, 'Vonage call failed');
-            throw new Error(`Vonage call failed: ${error.message}`);
+            logger.error({ error: error.message }, 'Plivo call failed');
+            throw providerCallError('Plivo', error);
         }
     }
 
-    generateJWT() {
-        // Simplified JWT generation for Vonage
-        const crypto = require('crypto');
-        const header = Buffer.from(JSON.stringify({"alg":"RS256","typ":"JWT"})).toString('base64url');
-        const payload = Buffer.from(JSON.stringify({
-            "iat": Math.floor(Date.now() / 1000),
-            "exp": Math.floor(Date.now() / 1000) + 3600,
-            "iss": this.apiKey
-        })).toString('base64url');
-        
-        // Note: This is simplified. In production, use a proper JWT library
-        return `${header}.${payload}.signature`;
+    /**
+     * Renders the Plivo XML that speaks or plays a call's message. When a transfer is
+     * configured the message is wrapped in a one-digit GetDigits posting to digitsActionUrl.
+     */
+    static buildAnswerXml(instructions, digitsActionUrl) {
+        // Plivo's basic voices are WOMAN and MAN; anything else (e.g. Polly.Joanna) is passed through
+        const voice = !instructions.voice || instructions.voice === 'female' ? 'WOMAN'
+            : instructions.voice === 'male' ? 'MAN' : instructions.voice;
+        const message = instructions.text
+            ? `<Speak voice="${escapeXml(voice)}" language="${escapeXml(instructions.language)}">${escapeXml(instructions.text)}</Speak>`
+            : `<Play>${escapeXml(instructions.audioUrl)}</Play>`;
+
+        if (instructions.transferTo && instructions.dtmfDigit) {
+            return `<?xml version="1.0" encoding="UTF-8"?><Response><GetDigits action="${escapeXml(digitsActionUrl)}" method="POST" numDigits="1" timeout="10" retries="1">${message}</GetDigits><Hangup/></Response>`;
+        }
+        return `<?xml version="1.0" encoding="UTF-8"?><Response>${message}<Hangup/></Response>`;
+    }
+
+    /**
+     * Renders the Plivo XML answering GetDigits: dial the transfer target on a matching digit, otherwise hang up.
+     */
+    static buildDigitsXml(instructions, digits) {
+        if (instructions.transferTo && digits === instructions.dtmfDigit) {
+            return `<?xml version="1.0" encoding="UTF-8"?><Response><Dial><Number>${escapeXml(instructions.transferTo)}</Number></Dial></Response>`;
+        }
+        return '<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>';
+    }
+
+    async hangupCall(callUuid) {
+        const auth = Buffer.from(`${this.authId}:${this.authToken}`).toString('base64');
+        const requestOptions = {
+            headers: {
+                'Authorization': `Basic ${auth}`
+            },
+            timeout: 5000
+        };
+
+        try {
+            await axios.delete(`${this.baseUrl}/${this.authId}/Call/${callUuid}/`, requestOptions);
+        } catch (error) {
+            // A call that has not been answered yet is still only a request
+            if (error.response?.status !== 404) {
+                logger.error({ callUuid, error: error.message }, 'Failed to hangup Plivo call');
+                throw providerHangupError('Plivo', error);
+            }
+            try {
+                await axios.delete(`${this.baseUrl}/${this.authId}/Request/${callUuid}/`, requestOptions);
+            } catch (requestError) {
+                logger.error({ callUuid, error: requestError.message }, 'Failed to cancel Plivo call request');
+                throw providerHangupError('Plivo', requestError);
+            }
+        }
+
+        this.activeCalls.delete(callUuid);
+        logger.info({ callUuid }, 'Plivo call hung up');
+        return { success: true, callId: callUuid };
     }
 
     async getCallStatus(callUuid) {
         try {
-            const jwt = this.generateJWT();
+            const auth = Buffer.from(`${this.authId}:${this.authToken}`).toString('base64');
             
             const response = await axios.get(
-                `${this.baseUrl}/${callUuid}`,
+                `${this.baseUrl}/${this.authId}/Call/${callUuid}/`,
                 {
                     headers: {
-                        'Authorization': `Bearer ${jwt}`
+                        'Authorization': `Basic ${auth}`
                     },
                     timeout: 5000
                 }
             );
 
-            return {
+            const call = response.data;
+            const nativeStatus = call.call_status || call.call_state || '';
+            // A finished CDR says ANSWER for calls that connected and then hung up normally
+            let status = PLIVO_STATUS_MAP[nativeStatus.toLowerCase()];
+            if (status === CALL_STATUS.ANSWERED && call.end_time) {
+                status = CALL_STATUS.COMPLETED;
+            }
+            return buildCallStatus({
                 callId: callUuid,
-                status: response.data.status,
-                duration: response.data.duration,
-                startTime: response.data.start_time,
-                endTime: response.data.end_time
-            };
+                status,
+                nativeStatus,
+                created: call.initiation_time || call.start_time,
+                answered: call.answer_time,
+                ended: call.end_time,
+                duration: call.call_duration ?? call.duration,
+                hangupCause: call.hangup_cause_name,
+                providerData: { totalCost: call.total_cost, hangupSource: call.hangup_source }
+            });
 
         } catch (error) {
             return { error: 'Call not found or error retrieving status' };
@@ -1347,59 +3977,88 @@ class VonageClient {
     }
 }
 
-class WavixClient {
+// Sinch reports ONGOING/FINAL plus a result once the call is over
+const SINCH_RESULT_MAP = {
+    'ANSWERED': CALL_STATUS.COMPLETED,
+    'BUSY': CALL_STATUS.BUSY,
+    'NOANSWER': CALL_STATUS.NO_ANSWER,
+    'FAILED': CALL_STATUS.FAILED,
+    'CANCEL': CALL_STATUS.CANCELED
+};
+
+class SinchClient {
     constructor() {
-        this.apiKey = process.env.WAVIX_API_KEY;
-        this.baseUrl = process.env.WAVIX_BASE_URL || 'https://api.wavix.com/v1';
+        this.applicationKey = process.env.SINCH_APPLICATION_KEY;
+        this.applicationSecret = process.env.SINCH_APPLICATION_SECRET;
+        this.baseUrl = 'https://calling.api.sinch.com/calling/v1';
         this.activeCalls = new Map();
     }
 
     async makeCall(to, from, audioContent, options = {}) {
         try {
-            logger.info({ to, from, provider: 'Wavix' }, 'Initiating Wavix call');
+            logger.info({ to, from, provider: 'Sinch' }, 'Initiating Sinch call');
+
+            // Generate timestamp and authorization
+            const timestamp = new Date().toISOString();
+            const auth = this.generateAuth('POST', '/calling/v1/callouts', '', timestamp);
+
+            // Callbacks to /webhook/sinch find the call's message through the custom field
+            const instructionsId = await storeCallInstructions('sinch', from, audioContent, options);
 
             let callData;
-            if (options.isText) {
-                // Text-to-Speech call
+            if (options.isText && !(options.transferTo && options.dtmfDigit)) {
+                // Text-to-Speech call; Sinch speaks the text itself and reports the outcome via DiCE
                 callData = {
-                    to: to,
-                    from: from,
-                    tts: {
+                    method: 'ttsCallout',
+                    ttsCallout: {
+                        cli: from,
+                        destination: {
+                            type: 'number',
+                            endpoint: to
+                        },
                         text: audioContent,
-                        voice: options.voice || 'en-US-AriaNeural',
-                        speed: options.speed || 1.0
+                        locale: options.language || 'en-US',
+                        prompts: options.voice || '#male1',
+                        custom: instructionsId,
+                        enableDice: true
                     }
                 };
             } else {
-                // Audio file call
+                // Audio file and IVR calls: the ACE callback answers with the SVAML to play the message
                 callData = {
-                    to: to,
-                    from: from,
-                    audio_url: audioContent
-                };
-            }
-
-            // Add transfer logic if specified
-            if (options.transferTo && options.dtmfDigit) {
-                callData.transfer = {
-                    destination: options.transferTo,
-                    dtmf_digit: options.dtmfDigit
+                    method: 'customCallout',
+                    customCallout: {
+                        cli: from,
+                        destination: {
+                            type: 'number',
+                            endpoint: to
+                        },
+                        custom: instructionsId,
+                        ice: JSON.stringify({
+                            action: {
+                                name: 'connectPstn',
+                                number: to,
+                                cli: from
+                            }
+                        })
+                    }
                 };
             }
 
             const response = await axios.post(
-                `${this.baseUrl}/calls`,
+                `${this.baseUrl}/callouts`,
                 callData,
                 {
                     headers: {
-                        'Authorization': `Bearer ${this.apiKey}`,
-                        'Content-Type': 'application/json'
+                        'Authorization': auth,
+                        'Content-Type': 'application/json',
+                        'X-Timestamp': timestamp
                     },
                     timeout: 10000
                 }
             );
 
-            const callId = response.data.call_id || response.data.id;
+            const callId = response.data.callId;
             
             this.activeCalls.set(callId, {
                 to,
@@ -1410,7 +4069,8 @@ class WavixClient {
                 options
             });
 
-            logger.info({ callId, to }, 'Wavix call initiated successfully');
+            await linkCallInstructions(instructionsId, callId);
+            logger.info({ callId, to }, 'Sinch call initiated successfully');
 
             return {
                 success: true,
@@ -1426,30 +4086,150 @@ class WavixClient {
             };
 
         } catch (error) {
-            logger.error({ error: error.message }, 'Wavix call failed');
-            throw new Error(`Wavix call failed: ${error.message}`);
+            logger.error({ error: error.message }, 'Sinch call failed');
+            throw providerCallError('Sinch', error);
+        }
+    }
+
+    /**
+     * Builds the SVAML answering an ACE event: speak or play the message and hang up,
+     * or run a one-digit menu whose matching option returns to us through PIE.
+     */
+    static buildAceSvaml(instructions) {
+        const prompt = instructions.text
+            ? `#tts[${instructions.text.replace(/[\[\]]/g, '')}]`
+            : `#href[${instructions.audioUrl}]`;
+
+        if (instructions.transferTo && instructions.dtmfDigit) {
+            return {
+                instructions: [],
+                action: {
+                    name: 'runMenu',
+                    barge: true,
+                    locale: instructions.language,
+                    mainMenu: 'main',
+                    menus: [{
+                        id: 'main',
+                        mainPrompt: prompt,
+                        repeats: 1,
+                        maxDigits: 1,
+                        timeoutMills: 10000,
+                        options: [{
+                            dtmf: instructions.dtmfDigit,
+                            action: 'return(transfer)'
+                        }]
+                    }]
+                }
+            };
+        }
+
+        return {
+            instructions: [{
+                name: 'playFiles',
+                ids: [prompt],
+                locale: instructions.language
+            }],
+            action: { name: 'hangup' }
+        };
+    }
+
+    /**
+     * Builds the SVAML answering a PIE event: connect the transfer target when the menu
+     * returned the transfer option, otherwise hang up.
+     */
+    static buildPieSvaml(instructions, menuResult, cli) {
+        if (instructions && instructions.transferTo && menuResult.type === 'return' && menuResult.value === 'transfer') {
+            return {
+                instructions: [],
+                action: {
+                    name: 'connectPstn',
+                    number: instructions.transferTo,
+                    cli: cli
+                }
+            };
+        }
+        return { instructions: [], action: { name: 'hangup' } };
+    }
+
+    generateAuth(method, path, body, timestamp) {
+        const crypto = require('crypto');
+        
+        // Create content hash
+        const contentHash = crypto.createHash('md5').update(body).digest('base64');
+        
+        // Create string to sign
+        const stringToSign = `${method}\n${contentHash}\napplication/json\nx-timestamp:${timestamp}\n${path}`;
+        
+        // Create signature
+        const signature = crypto.createHmac('sha256', Buffer.from(this.applicationSecret, 'base64'))
+            .update(stringToSign, 'utf8')
+            .digest('base64');
+        
+        return `Application ${this.applicationKey}:${signature}`;
+    }
+
+    async hangupCall(callId) {
+        try {
+            const timestamp = new Date().toISOString();
+            const body = JSON.stringify({ instructions: [], action: { name: 'hangup' } });
+            const auth = this.generateAuth('PATCH', `/calling/v1/calls/id/${callId}`, body, timestamp);
+            
+            await axios.patch(
+                `${this.baseUrl}/calls/id/${callId}`,
+                body,
+                {
+                    headers: {
+                        'Authorization': auth,
+                        'Content-Type': 'application/json',
+                        'X-Timestamp': timestamp
+                    },
+                    timeout: 5000
+                }
+            );
+
+            this.activeCalls.delete(callId);
+            logger.info({ callId }, 'Sinch call hung up');
+            return { success: true, callId };
+
+        } catch (error) {
+            logger.error({ callId, error: error.message }, 'Failed to hangup Sinch call');
+            throw providerHangupError('Sinch', error);
         }
     }
 
     async getCallStatus(callId) {
         try {
+            const timestamp = new Date().toISOString();
+            const auth = this.generateAuth('GET', `/calling/v1/calls/id/${callId}`, '', timestamp);
+            
             const response = await axios.get(
-                `${this.baseUrl}/calls/${callId}`,
+                `${this.baseUrl}/calls/id/${callId}`,
                 {
                     headers: {
-                        'Authorization': `Bearer ${this.apiKey}`
+                        'Authorization': auth,
+                        'X-Timestamp': timestamp
                     },
                     timeout: 5000
                 }
             );
 
-            return {
+            const call = response.data;
+            let status;
+            if (call.status === 'FINAL') {
+                status = SINCH_RESULT_MAP[call.result] || CALL_STATUS.FAILED;
+            } else {
+                status = call.result === 'ANSWERED' ? CALL_STATUS.ANSWERED : CALL_STATUS.RINGING;
+            }
+            return buildCallStatus({
                 callId,
-                status: response.data.status,
-                duration: response.data.duration,
-                startTime: response.data.start_time,
-                endTime: response.data.end_time
-            };
+                status,
+                nativeStatus: call.result ? `${call.status}:${call.result}` : call.status,
+                created: call.createTime || call.timestamp,
+                ended: call.endTime,
+                duration: call.duration,
+                hangupCause: call.reason && call.reason !== 'N/A' ? call.reason : null,
+                providerData: { userRate: call.userRate, debit: call.debit }
+            });
 
         } catch (error) {
             return { error: 'Call not found or error retrieving status' };
@@ -1457,74 +4237,97 @@ class WavixClient {
     }
 }
 
-class PlivoClient {
+// Telnyx reports progress through call-control webhook events; hangups carry a cause
+const TELNYX_EVENT_STATUS_MAP = {
+    'call.initiated': CALL_STATUS.INITIATED,
+    'call.answered': CALL_STATUS.ANSWERED,
+    'call.bridged': CALL_STATUS.ANSWERED
+};
+
+const TELNYX_HANGUP_STATUS_MAP = {
+    'normal_clearing': CALL_STATUS.COMPLETED,
+    'user_busy': CALL_STATUS.BUSY,
+    'no_answer': CALL_STATUS.NO_ANSWER,
+    'timeout': CALL_STATUS.NO_ANSWER,
+    'originator_cancel': CALL_STATUS.CANCELED,
+    'call_rejected': CALL_STATUS.FAILED,
+    'not_found': CALL_STATUS.FAILED,
+    'unspecified': CALL_STATUS.FAILED
+};
+
+class TelnyxClient {
     constructor() {
-        this.authId = process.env.PLIVO_AUTH_ID;
-        this.authToken = process.env.PLIVO_AUTH_TOKEN;
-        this.baseUrl = 'https://api.plivo.com/v1/Account';
+        this.apiKey = process.env.TELNYX_API_KEY;
+        this.baseUrl = 'https://api.telnyx.com/v2';
         this.activeCalls = new Map();
     }
 
     async makeCall(to, from, audioContent, options = {}) {
         try {
-            logger.info({ to, from, provider: 'Plivo' }, 'Initiating Plivo call');
+            logger.info({ to, from, provider: 'Telnyx' }, 'Initiating Telnyx call');
 
-            const auth = Buffer.from(`${this.authId}:${this.authToken}`).toString('base64');
-            
             let callData = {
                 to: to,
                 from: from,
-                answer_method: 'GET'
+                connection_id: process.env.TELNYX_CONNECTION_ID,
+                webhook_url: process.env.TELNYX_WEBHOOK_URL || 'https://your-app.com/webhook/telnyx',
+                webhook_url_method: 'POST'
             };
 
             if (options.isText) {
-                // Text-to-Speech call - Use Plivo's speak element
-                const speakXml = `<?xml version="1.0" encoding="UTF-8"?>
-                <Response>
-                    <Speak voice="${options.voice || 'WOMAN'}" language="${options.language || 'en-US'}">${audioContent}</Speak>
-                </Response>`;
+                // Text-to-Speech call using Telnyx answering machine detection
+                callData.answering_machine_detection = 'premium';
+                callData.answering_machine_detection_config = {
+                    total_analysis_time_millis: 4000,
+                    after_greeting_silence_millis: 800,
+                    greeting_duration_millis: 3500,
+                    initial_silence_millis: 3500,
+                    maximum_number_of_words: 5,
+                    silence_threshold: 256
+                };
                 
-                // Create a temporary answer URL or use inline XML
-                callData.answer_url = `data:application/xml;base64,${Buffer.from(speakXml).toString('base64')}`;
+                // Store TTS content for webhook processing
+                callData.custom_headers = [{
+                    name: 'X-TTS-Text',
+                    value: Buffer.from(audioContent).toString('base64')
+                }, {
+                    name: 'X-Voice-Type',
+                    value: options.voice || 'alice'
+                }];
             } else {
-                // Audio file call - Use Plivo's play element
-                const playXml = `<?xml version="1.0" encoding="UTF-8"?>
-                <Response>
-                    <Play>${audioContent}</Play>
-                </Response>`;
-                
-                callData.answer_url = `data:application/xml;base64,${Buffer.from(playXml).toString('base64')}`;
+                // Audio file call
+                callData.custom_headers = [{
+                    name: 'X-Audio-URL',
+                    value: audioContent
+                }];
             }
 
             // Add transfer logic if specified
             if (options.transferTo && options.dtmfDigit) {
-                const transferXml = `<?xml version="1.0" encoding="UTF-8"?>
-                <Response>
-                    <Speak>Press ${options.dtmfDigit} to be transferred</Speak>
-                    <GetDigits action="/plivo/transfer/${options.transferTo}" method="POST" numDigits="1">
-                        <Speak>Enter your choice</Speak>
-                    </GetDigits>
-                    <Speak>Thank you for calling</Speak>
-                </Response>`;
-                
-                callData.answer_url = `data:application/xml;base64,${Buffer.from(transferXml).toString('base64')}`;
+                callData.custom_headers.push({
+                    name: 'X-Transfer-To',
+                    value: options.transferTo
+                }, {
+                    name: 'X-DTMF-Digit',
+                    value: options.dtmfDigit
+                });
             }
 
             const response = await axios.post(
-                `${this.baseUrl}/${this.authId}/Call/`,
+                `${this.baseUrl}/calls`,
                 callData,
                 {
                     headers: {
-                        'Authorization': `Basic ${auth}`,
+                        'Authorization': `Bearer ${this.apiKey}`,
                         'Content-Type': 'application/json'
                     },
                     timeout: 10000
                 }
             );
 
-            const callUuid = response.data.request_uuid;
+            const callId = response.data.data.call_control_id;
             
-            this.activeCalls.set(callUuid, {
+            this.activeCalls.set(callId, {
                 to,
                 from,
                 status: 'INITIATED',
@@ -1533,15 +4336,15 @@ class PlivoClient {
                 options
             });
 
-            logger.info({ callUuid, to }, 'Plivo call initiated successfully');
+            logger.info({ callId, to }, 'Telnyx call initiated successfully');
 
             return {
                 success: true,
-                callId: callUuid,
+                callId,
                 status: 'INITIATED',
                 tracking: {
-                    bulkId: callUuid,
-                    messageId: callUuid,
+                    bulkId: callId,
+                    messageId: callId,
                     to,
                     from,
                     timestamp: new Date().toISOString()
@@ -1549,206 +4352,287 @@ class PlivoClient {
             };
 
         } catch (error) {
-            logger.error({ error: error.message }, 'Plivo call failed');
-            throw new Error(`Plivo call failed: ${error.message}`);
+            logger.error({ error: error.message }, 'Telnyx call failed');
+            throw providerCallError('Telnyx', error);
         }
     }
 
-    async getCallStatus(callUuid) {
+    async answerCall(callControlId) {
         try {
-            const auth = Buffer.from(`${this.authId}:${this.authToken}`).toString('base64');
-            
-            const response = await axios.get(
-                `${this.baseUrl}/${this.authId}/Call/${callUuid}/`,
+            const response = await axios.post(
+                `${this.baseUrl}/calls/${callControlId}/actions/answer`,
+                {},
                 {
                     headers: {
-                        'Authorization': `Basic ${auth}`
+                        'Authorization': `Bearer ${this.apiKey}`,
+                        'Content-Type': 'application/json'
                     },
                     timeout: 5000
                 }
             );
 
-            return {
-                callId: callUuid,
-                status: response.data.call_status,
-                duration: response.data.duration,
-                startTime: response.data.start_time,
-                endTime: response.data.end_time,
-                totalCost: response.data.total_cost
-            };
-
+            return response.data;
         } catch (error) {
-            return { error: 'Call not found or error retrieving status' };
+            logger.error({ error: error.message }, 'Failed to answer Telnyx call');
+            throw error;
         }
     }
-}
 
-class SinchClient {
-    constructor() {
-        this.applicationKey = process.env.SINCH_APPLICATION_KEY;
-        this.applicationSecret = process.env.SINCH_APPLICATION_SECRET;
-        this.baseUrl = 'https://calling.api.sinch.com/calling/v1';
-        this.activeCalls = new Map();
+    async speakText(callControlId, text, voice = 'alice', language = 'en-US') {
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/calls/${callControlId}/actions/speak`,
+                {
+                    payload: text,
+                    voice: voice,
+                    language: language
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${this.apiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: 5000
+                }
+            );
+
+            return response.data;
+        } catch (error) {
+            logger.error({ error: error.message }, 'Failed to speak text in Telnyx call');
+            throw error;
+        }
     }
 
-    async makeCall(to, from, audioContent, options = {}) {
+    async playAudio(callControlId, audioUrl) {
         try {
-            logger.info({ to, from, provider: 'Sinch' }, 'Initiating Sinch call');
-
-            // Generate timestamp and authorization
-            const timestamp = new Date().toISOString();
-            const auth = this.generateAuth('POST', '/calling/v1/callouts', '', timestamp);
+            const response = await axios.post(
+                `${this.baseUrl}/calls/${callControlId}/actions/playback_start`,
+                {
+                    audio_url: audioUrl
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${this.apiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: 5000
+                }
+            );
 
-            let callData;
-            if (options.isText) {
-                // Text-to-Speech call using Sinch SVAML
-                callData = {
-                    method: 'ttsCallout',
-                    ttsCallout: {
-                        cli: from,
-                        destination: {
-                            type: 'number',
-                            endpoint: to
-                        },
-                        text: audioContent,
-                        locale: options.locale || 'en-US',
-                        prompts: options.voice || '#male1'
-                    }
-                };
-            } else {
-                // Audio file call using custom callback
-                callData = {
-                    method: 'customCallout',
-                    customCallout: {
-                        cli: from,
-                        destination: {
-                            type: 'number',
-                            endpoint: to
-                        },
-                        custom: `data:application/json;base64,${Buffer.from(JSON.stringify({
-                            instructions: [{
-                                name: 'playFiles',
-                                files: [{ id: audioContent }]
-                            }]
-                        })).toString('base64')}`
-                    }
-                };
-            }
+            return response.data;
+        } catch (error) {
+            logger.error({ error: error.message }, 'Failed to play audio in Telnyx call');
+            throw error;
+        }
+    }
 
-            // Add IVR logic if specified
-            if (options.transferTo && options.dtmfDigit) {
-                if (options.isText) {
-                    callData.ttsCallout.custom = `data:application/json;base64,${Buffer.from(JSON.stringify({
-                        instructions: [
-                            {
-                                name: 'say',
-                                text: audioContent,
-                                locale: options.locale || 'en-US'
-                            },
-                            {
-                                name: 'runMenu',
-                                barge: true,
-                                menus: [{
-                                    id: 'main',
-                                    mainPrompt: '#tts[Press ' + options.dtmfDigit + ' to be transferred]',
-                                    options: [{
-                                        dtmf: options.dtmfDigit,
-                                        action: 'connectPstn',
-                                        number: options.transferTo
-                                    }]
-                                }]
-                            }
-                        ]
-                    })).toString('base64')}`;
+    async gatherDigits(callControlId, instructions) {
+        try {
+            // The prompt is spoken or played while Telnyx listens for a single key press
+            const action = instructions.text ? 'gather_using_speak' : 'gather_using_audio';
+            const prompt = instructions.text
+                ? { payload: instructions.text, voice: instructions.voice, language: instructions.language }
+                : { audio_url: instructions.audioUrl };
+            const response = await axios.post(
+                `${this.baseUrl}/calls/${callControlId}/actions/${action}`,
+                {
+                    ...prompt,
+                    minimum_digits: 1,
+                    maximum_digits: 1,
+                    valid_digits: '0123456789*#',
+                    timeout_millis: 10000
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${this.apiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: 5000
                 }
-            }
+            );
+
+            return response.data;
+        } catch (error) {
+            logger.error({ error: error.message }, 'Failed to gather digits in Telnyx call');
+            throw error;
+        }
+    }
 
+    async transferCall(callControlId, to) {
+        try {
             const response = await axios.post(
-                `${this.baseUrl}/callouts`,
-                callData,
+                `${this.baseUrl}/calls/${callControlId}/actions/transfer`,
+                {
+                    to: to
+                },
                 {
                     headers: {
-                        'Authorization': auth,
-                        'Content-Type': 'application/json',
-                        'X-Timestamp': timestamp
+                        'Authorization': `Bearer ${this.apiKey}`,
+                        'Content-Type': 'application/json'
                     },
-                    timeout: 10000
+                    timeout: 5000
                 }
             );
 
-            const callId = response.data.callId;
-            
-            this.activeCalls.set(callId, {
-                to,
-                from,
-                status: 'INITIATED',
-                startTime: new Date(),
-                audioContent,
-                options
-            });
+            return response.data;
+        } catch (error) {
+            logger.error({ error: error.message }, 'Failed to transfer Telnyx call');
+            throw error;
+        }
+    }
 
-            logger.info({ callId, to }, 'Sinch call initiated successfully');
+    async hangupCall(callControlId) {
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/calls/${callControlId}/actions/hangup`,
+                {},
+                {
+                    headers: {
+                        'Authorization': `Bearer ${this.apiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: 5000
+                }
+            );
+
+            return response.data;
+        } catch (error) {
+            logger.error({ error: error.message }, 'Failed to hangup Telnyx call');
+            throw providerHangupError('Telnyx', error);
+        }
+    }
 
+    /**
+     * Recovers what a call should play from the worker that placed it, or from the
+     * X-* custom headers Telnyx echoes back when another worker placed it.
+     * @returns {object|null} { text, audioUrl, voice, language, transferTo, dtmfDigit }
+     */
+    getCallInstructions(callControlId, payload) {
+        const call = this.activeCalls.get(callControlId);
+        if (call) {
             return {
-                success: true,
-                callId,
-                status: 'INITIATED',
-                tracking: {
-                    bulkId: callId,
-                    messageId: callId,
-                    to,
-                    from,
-                    timestamp: new Date().toISOString()
-                }
+                text: call.options.isText ? call.audioContent : null,
+                audioUrl: call.options.isText ? null : call.audioContent,
+                voice: call.options.voice || 'alice',
+                language: call.options.language || 'en-US',
+                transferTo: call.options.transferTo || null,
+                dtmfDigit: call.options.dtmfDigit || null
             };
+        }
 
-        } catch (error) {
-            logger.error({ error: error.message }, 'Sinch call failed');
-            throw new Error(`Sinch call failed: ${error.message}`);
+        const headers = {};
+        for (const header of payload.custom_headers || []) {
+            headers[String(header.name).toLowerCase()] = header.value;
         }
+        if (!headers['x-tts-text'] && !headers['x-audio-url']) {
+            return null;
+        }
+        return {
+            text: headers['x-tts-text'] ? Buffer.from(headers['x-tts-text'], 'base64').toString('utf8') : null,
+            audioUrl: headers['x-audio-url'] || null,
+            voice: headers['x-voice-type'] || 'alice',
+            language: 'en-US',
+            transferTo: headers['x-transfer-to'] || null,
+            dtmfDigit: headers['x-dtmf-digit'] || null
+        };
     }
 
-    generateAuth(method, path, body, timestamp) {
-        const crypto = require('crypto');
-        
-        // Create content hash
-        const contentHash = crypto.createHash('md5').update(body).digest('base64');
-        
-        // Create string to sign
-        const stringToSign = `${method}\n${contentHash}\napplication/json\nx-timestamp:${timestamp}\n${path}`;
-        
-        // Create signature
-        const signature = crypto.createHmac('sha256', Buffer.from(this.applicationSecret, 'base64'))
-            .update(stringToSign, 'utf8')
-            .digest('base64');
-        
-        return `Application ${this.applicationKey}:${signature}`;
+    /**
+     * Drives a call through its message once Telnyx reports events for it:
+     * play or speak on answer, gather a digit when a transfer is configured,
+     * transfer on a matching digit, and hang up once the message is done.
+     * @returns {string|null} The call-control action taken, if any
+     */
+    async handleWebhookEvent(event) {
+        const payload = event.payload || {};
+        const callControlId = payload.call_control_id;
+
+        switch (event.event_type) {
+            case 'call.answered': {
+                const instructions = this.getCallInstructions(callControlId, payload);
+                if (!instructions) {
+                    logger.warn({ callControlId }, 'No message found for answered Telnyx call');
+                    await this.hangupCall(callControlId);
+                    return 'hangup';
+                }
+                if (instructions.transferTo && instructions.dtmfDigit) {
+                    await this.gatherDigits(callControlId, instructions);
+                    return 'gather';
+                }
+                if (instructions.text) {
+                    await this.speakText(callControlId, instructions.text, instructions.voice, instructions.language);
+                    return 'speak';
+                }
+                await this.playAudio(callControlId, instructions.audioUrl);
+                return 'playback';
+            }
+            case 'call.gather.ended': {
+                const instructions = this.getCallInstructions(callControlId, payload);
+                if (instructions && instructions.transferTo && payload.digits === instructions.dtmfDigit) {
+                    logger.info({ callControlId, transferTo: instructions.transferTo }, 'DTMF matched, transferring Telnyx call');
+                    await this.transferCall(callControlId, instructions.transferTo);
+                    return 'transfer';
+                }
+                await this.hangupCall(callControlId);
+                return 'hangup';
+            }
+            case 'call.speak.ended':
+            case 'call.playback.ended':
+                await this.hangupCall(callControlId);
+                return 'hangup';
+            case 'call.hangup':
+                this.activeCalls.delete(callControlId);
+                return null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Maps a call-control webhook event onto the normalized lifecycle.
+     * @returns {object|null} Partial call status, or null for events that do not change the call state
+     */
+    static normalizeWebhookEvent(event) {
+        const payload = event.payload || {};
+        if (event.event_type === 'call.hangup') {
+            const cause = payload.hangup_cause || 'unspecified';
+            return {
+                status: TELNYX_HANGUP_STATUS_MAP[cause] || CALL_STATUS.FAILED,
+                nativeStatus: event.event_type,
+                ended: payload.end_time || event.occurred_at,
+                hangupCause: cause
+            };
+        }
+        const status = TELNYX_EVENT_STATUS_MAP[event.event_type];
+        if (!status) return null;
+        return {
+            status,
+            nativeStatus: event.event_type,
+            answered: status === CALL_STATUS.ANSWERED ? event.occurred_at : undefined
+        };
     }
 
-    async getCallStatus(callId) {
+    async getCallStatus(callControlId) {
         try {
-            const timestamp = new Date().toISOString();
-            const auth = this.generateAuth('GET', `/calling/v1/calls/id/${callId}`, '', timestamp);
-            
             const response = await axios.get(
-                `${this.baseUrl}/calls/id/${callId}`,
+                `${this.baseUrl}/calls/${callControlId}`,
                 {
                     headers: {
-                        'Authorization': auth,
-                        'X-Timestamp': timestamp
+                        'Authorization': `Bearer ${this.apiKey}`
                     },
                     timeout: 5000
                 }
             );
 
-            return {
-                callId,
-                status: response.data.status,
-                duration: response.data.duration,
-                startTime: response.data.createTime,
-                endTime: response.data.endTime,
-                result: response.data.result
-            };
+            // Telnyx only says whether the leg is alive; webhook events supply the finer states
+            const call = response.data.data;
+            return buildCallStatus({
+                callId: callControlId,
+                status: call.is_alive ? CALL_STATUS.INITIATED : CALL_STATUS.COMPLETED,
+                nativeStatus: call.is_alive ? 'alive' : 'ended',
+                duration: call.call_duration,
+                providerData: { callSessionId: call.call_session_id, callLegId: call.call_leg_id }
+            });
 
         } catch (error) {
             return { error: 'Call not found or error retrieving status' };
@@ -1756,92 +4640,132 @@ class SinchClient {
     }
 }
 
-class TelnyxClient {
+// =============================================================================
+// === CORRECTED ENABLEX CLIENT ================================================
+// =============================================================================
+const ENABLEX_STATE_MAP = {
+    'initiated': CALL_STATUS.INITIATED,
+    'ringing': CALL_STATUS.RINGING,
+    'connected': CALL_STATUS.ANSWERED,
+    'answered': CALL_STATUS.ANSWERED,
+    'disconnected': CALL_STATUS.COMPLETED,
+    'completed': CALL_STATUS.COMPLETED,
+    'busy': CALL_STATUS.BUSY,
+    'noanswer': CALL_STATUS.NO_ANSWER,
+    'no-answer': CALL_STATUS.NO_ANSWER,
+    'failed': CALL_STATUS.FAILED,
+    'cancelled': CALL_STATUS.CANCELED
+};
+
+// How long to wait for a transfer digit after the EnableX prompt finishes
+const ENABLEX_GATHER_TIMEOUT_MS = 10000;
+
+class EnableXClient {
     constructor() {
-        this.apiKey = process.env.TELNYX_API_KEY;
-        this.baseUrl = 'https://api.telnyx.com/v2';
+        this.appId = process.env.ENABLEX_APP_ID;
+        this.appKey = process.env.ENABLEX_APP_KEY;
+        this.baseUrl = 'https://api.enablex.io/voice/v1';
         this.activeCalls = new Map();
+        // IVR state each event needs, shared because EnableX events can land on any worker
+        this.calls = new SharedStore('enablex-calls', { ttlSec: 86400 });
+        this.gatherTimers = new Map(); // callId -> this worker's no-digit timer
+    }
+
+    // The call's shared IVR state, or null when no worker placed it (or its state expired)
+    async getTrackedCall(callId) {
+        return this.calls.get(callId);
+    }
+
+    /**
+     * Generates the correct Basic Authentication header for EnableX.
+     * @returns {string} The Basic Auth header value.
+     */
+    getAuthHeader() {
+        if (!this.appId || !this.appKey) {
+            throw new Error('EnableX App ID or App Key is missing from environment variables.');
+        }
+        // Encode 'APP_ID:APP_KEY' to Base64
+        const credentials = Buffer.from(`${this.appId}:${this.appKey}`).toString('base64');
+        return `Basic ${credentials}`;
     }
 
     async makeCall(to, from, audioContent, options = {}) {
         try {
-            logger.info({ to, from, provider: 'Telnyx' }, 'Initiating Telnyx call');
+            logger.info({ to, from, provider: 'EnableX' }, 'Initiating EnableX call');
 
+            const authHeader = this.getAuthHeader();
+            
+            // --- CONSTRUCT THE CORRECT ENABLEX PAYLOAD ---
             let callData = {
-                to: to,
+                name: "SESPCL API Call",
                 from: from,
-                connection_id: process.env.TELNYX_CONNECTION_ID,
-                webhook_url: process.env.TELNYX_WEBHOOK_URL || 'https://your-app.com/webhook/telnyx',
-                webhook_url_method: 'POST'
+                to: to, // EnableX expects a simple string for the 'to' number
+                event_url: process.env.ENABLEX_WEBHOOK_URL || 'https://your-app.com/webhook/enablex'
             };
 
+            // Define the action to take when the call connects
             if (options.isText) {
-                // Text-to-Speech call using Telnyx answering machine detection
-                callData.answering_machine_detection = 'premium';
-                callData.answering_machine_detection_config = {
-                    total_analysis_time_millis: 4000,
-                    after_greeting_silence_millis: 800,
-                    greeting_duration_millis: 3500,
-                    initial_silence_millis: 3500,
-                    maximum_number_of_words: 5,
-                    silence_threshold: 256
+                callData.action_on_connect = {
+                    play: {
+                        text: audioContent,
+                        voice: options.voice || "female", // Example voices: female, male
+                        language: options.language || "en-US",
+                        prompt_ref: "tts-prompt-from-server"
+                    }
+                };
+            } else { // Assumes audioContent is an audioUrl
+                callData.action_on_connect = {
+                    play: {
+                        file_url: [audioContent], // file_url should be an array of strings
+                        prompt_ref: "audio-prompt-from-server"
+                    }
                 };
-                
-                // Store TTS content for webhook processing
-                callData.custom_headers = [{
-                    name: 'X-TTS-Text',
-                    value: Buffer.from(audioContent).toString('base64')
-                }, {
-                    name: 'X-Voice-Type',
-                    value: options.voice || 'alice'
-                }];
-            } else {
-                // Audio file call
-                callData.custom_headers = [{
-                    name: 'X-Audio-URL',
-                    value: audioContent
-                }];
             }
 
-            // Add transfer logic if specified
+            // EnableX cannot transfer in the initial request: the prompt collects a digit and
+            // the /webhook/enablex handler transfers the live call when it matches.
             if (options.transferTo && options.dtmfDigit) {
-                callData.custom_headers.push({
-                    name: 'X-Transfer-To',
-                    value: options.transferTo
-                }, {
-                    name: 'X-DTMF-Digit',
-                    value: options.dtmfDigit
-                });
+                callData.action_on_connect.play.dtmf = true;
             }
 
             const response = await axios.post(
-                `${this.baseUrl}/calls`,
+                `${this.baseUrl}/call`, // Correct endpoint
                 callData,
                 {
                     headers: {
-                        'Authorization': `Bearer ${this.apiKey}`,
+                        'Authorization': authHeader, // Use Basic Auth
                         'Content-Type': 'application/json'
                     },
-                    timeout: 10000
+                    timeout: 15000
                 }
             );
-
-            const callId = response.data.data.call_control_id;
+            
+            // The call identifier from EnableX is 'voice_id'
+            const callId = response.data.voice_id || 'unknown-enablex-id';
             
             this.activeCalls.set(callId, {
                 to,
                 from,
                 status: 'INITIATED',
                 startTime: new Date(),
-                audioContent,
                 options
             });
+            // The call is already placed, so a store failure is logged rather than failing over
+            await this.calls.set(callId, {
+                from,
+                transferTo: options.transferTo || null,
+                dtmfDigit: options.dtmfDigit || null,
+                status: 'INITIATED',
+                gather: null // WAITING after the prompt, then DIGIT or TIMED_OUT
+            }).catch(storeError => {
+                logger.error({ callId, error: storeError.message }, 'Failed to store EnableX IVR state; its events will be rejected');
+            });
 
-            logger.info({ callId, to }, 'Telnyx call initiated successfully');
+            logger.info({ callId, to }, 'EnableX call initiated successfully');
 
             return {
                 success: true,
-                callId,
+                callId: callId,
                 status: 'INITIATED',
                 tracking: {
                     bulkId: callId,
@@ -1853,350 +4777,1056 @@ class TelnyxClient {
             };
 
         } catch (error) {
-            logger.error({ error: error.message }, 'Telnyx call failed');
-            throw new Error(`Telnyx call failed: ${error.message}`);
+            const statusCode = error.response ? error.response.status : 500;
+            const errorDetails = error.response ? error.response.data : error.message;
+            logger.error({ error: errorDetails, statusCode, provider: 'EnableX' }, 'EnableX call failed');
+            // Ensure a consistent error object is thrown
+            const errorMessage = error.response ? JSON.stringify(error.response.data) : error.message;
+            throw providerCallError('EnableX', error, errorMessage);
         }
     }
 
-    async answerCall(callControlId) {
+    async transferCall(callId, to, from = process.env.DEFAULT_CALLER_ID) {
         try {
-            const response = await axios.post(
-                `${this.baseUrl}/calls/${callControlId}/actions/answer`,
-                {},
+            const authHeader = this.getAuthHeader();
+            const response = await axios.put(
+                `${this.baseUrl}/call/${callId}/transfer`,
+                {
+                    from,
+                    to: to
+                },
                 {
                     headers: {
-                        'Authorization': `Bearer ${this.apiKey}`,
+                        'Authorization': authHeader,
                         'Content-Type': 'application/json'
                     },
                     timeout: 5000
                 }
             );
 
+            logger.info({ callId, to }, 'EnableX call transferred');
             return response.data;
+
         } catch (error) {
-            logger.error({ error: error.message }, 'Failed to answer Telnyx call');
+            logger.error({ error: error.message }, `Failed to transfer EnableX call ${callId}`);
             throw error;
         }
     }
 
-    async speakText(callControlId, text, voice = 'alice') {
+    /**
+     * Tracks call state from EnableX events and completes the IVR flow: once the
+     * prompt has played, a matching digit transfers the call and anything else
+     * (a wrong digit, or no digit within the gather window) hangs up.
+     * A prompt event for a call no worker knows about is rejected rather than hung up.
+     * @returns {Promise<string|null>} The action taken, if any
+     */
+    async handleWebhookEvent(event) {
+        const callId = event.voice_id;
+
+        if (event.state) {
+            const state = String(event.state).toLowerCase();
+            if (TERMINAL_CALL_STATUSES.has(ENABLEX_STATE_MAP[state])) {
+                this.clearGatherTimer(callId);
+                this.activeCalls.delete(callId);
+                await this.calls.delete(callId);
+            } else {
+                await this.calls.update(callId, call => ({ ...call, status: state.toUpperCase() }));
+            }
+            return null;
+        }
+
+        if (event.playstate !== 'digitcollected' && event.playstate !== 'playfinished') {
+            return null;
+        }
+        const call = await this.calls.get(callId);
+        if (!call) {
+            const unknownCall = new Error(`No IVR state for EnableX call ${callId}; it was not placed by this server or has expired`);
+            unknownCall.statusCode = 404;
+            throw unknownCall;
+        }
+
+        const transferPending = Boolean(call.transferTo && call.dtmfDigit);
+        if (event.playstate === 'digitcollected') {
+            this.clearGatherTimer(callId);
+            // Claim the gather so a no-digit timer on another worker stands down
+            let claimed = false;
+            await this.calls.update(callId, current => {
+                claimed = current.gather !== 'TIMED_OUT';
+                return claimed ? { ...current, gather: 'DIGIT' } : undefined;
+            });
+            if (!claimed) {
+                logger.info({ callId, digit: event.digit }, 'EnableX digit arrived after the gather window closed');
+                return null;
+            }
+            if (transferPending && String(event.digit) === String(call.dtmfDigit)) {
+                await this.transferCall(callId, call.transferTo, call.from);
+                await this.calls.update(callId, current => ({ ...current, status: 'TRANSFERRED' }));
+                return 'transfer';
+            }
+            await this.hangupCall(callId);
+            return 'hangup';
+        }
+
+        if (!transferPending) {
+            await this.hangupCall(callId);
+            return 'hangup';
+        }
+        // Give the callee time to press the digit after the prompt ends
+        await this.calls.update(callId, current => ({ ...current, gather: 'WAITING' }));
+        this.clearGatherTimer(callId);
+        const gatherTimer = setTimeout(() => {
+            this.gatherTimers.delete(callId);
+            this.expireGather(callId).catch(error => {
+                logger.error({ callId, error: error.message }, 'EnableX gather timeout handling failed');
+            });
+        }, ENABLEX_GATHER_TIMEOUT_MS);
+        gatherTimer.unref();
+        this.gatherTimers.set(callId, gatherTimer);
+        return 'gather';
+    }
+
+    clearGatherTimer(callId) {
+        clearTimeout(this.gatherTimers.get(callId));
+        this.gatherTimers.delete(callId);
+    }
+
+    // Hangs up when no digit arrived on any worker during the gather window
+    async expireGather(callId) {
+        let expired = false;
+        await this.calls.update(callId, call => {
+            expired = call.gather === 'WAITING';
+            return expired ? { ...call, gather: 'TIMED_OUT' } : undefined;
+        });
+        if (expired) {
+            logger.info({ callId }, 'No transfer digit collected, hanging up EnableX call');
+            await this.hangupCall(callId);
+        }
+    }
+
+    /**
+     * Maps an EnableX state event onto the normalized lifecycle.
+     * @returns {object|null} Partial call status, or null for play/DTMF events
+     */
+    static normalizeWebhookEvent(event) {
+        if (!event.state) return null;
+        const state = String(event.state).toLowerCase();
+        const status = ENABLEX_STATE_MAP[state];
+        if (!status) return null;
+        return {
+            status,
+            nativeStatus: state,
+            hangupCause: TERMINAL_CALL_STATUSES.has(status) ? (event.reason || event.cause || state) : undefined
+        };
+    }
+
+    async hangupCall(callId) {
         try {
-            const response = await axios.post(
-                `${this.baseUrl}/calls/${callControlId}/actions/speak`,
-                {
-                    payload: text,
-                    voice: voice,
-                    language: 'en-US'
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.apiKey}`,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 5000
-                }
-            );
+            const authHeader = this.getAuthHeader();
+            await axios.delete(`${this.baseUrl}/call/${callId}`, {
+                headers: { 'Authorization': authHeader },
+                timeout: 5000
+            });
+
+            this.activeCalls.delete(callId);
+            this.clearGatherTimer(callId);
+            logger.info({ callId }, 'EnableX call hung up');
+            return { success: true, callId };
 
-            return response.data;
         } catch (error) {
-            logger.error({ error: error.message }, 'Failed to speak text in Telnyx call');
-            throw error;
+            logger.error({ error: error.message }, `Failed to hangup EnableX call ${callId}`);
+            throw providerHangupError('EnableX', error);
+        }
+    }
+
+    async getCallStatus(callId) {
+       try {
+           const authHeader = this.getAuthHeader();
+           const response = await axios.get(`${this.baseUrl}/call/${callId}`, {
+               headers: { 'Authorization': authHeader },
+               timeout: 5000
+           });
+           const call = response.data;
+           const nativeStatus = call.state || call.status || '';
+           return buildCallStatus({
+               callId,
+               status: ENABLEX_STATE_MAP[nativeStatus.toLowerCase()],
+               nativeStatus,
+               created: call.created_at || call.start_time,
+               answered: call.connected_at,
+               ended: call.disconnected_at || call.end_time,
+               duration: call.duration,
+               hangupCause: call.reason || call.cause,
+               providerData: call
+           });
+       } catch (error) {
+           logger.error({ error: error.message }, `Failed to get EnableX call status for ${callId}`);
+           return { error: 'Call not found or error retrieving status' };
+       }
+    }
+}
+
+// Amazon Connect only reports why a contact ended; anything unlisted is treated as a normal completion
+const AWS_DISCONNECT_REASON_MAP = {
+    'CUSTOMER_DISCONNECT': CALL_STATUS.COMPLETED,
+    'AGENT_DISCONNECT': CALL_STATUS.COMPLETED,
+    'CONTACT_FLOW_DISCONNECT': CALL_STATUS.COMPLETED,
+    'THIRD_PARTY_DISCONNECT': CALL_STATUS.COMPLETED,
+    'API': CALL_STATUS.CANCELED,
+    'EXPIRED': CALL_STATUS.NO_ANSWER,
+    'TELECOM_PROBLEM': CALL_STATUS.FAILED,
+    'BARGED': CALL_STATUS.COMPLETED,
+    'OTHER': CALL_STATUS.FAILED
+};
+
+// RFC 3986 encoding as SigV4 expects it (encodeURIComponent leaves !'()* alone)
+const awsUriEncode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+class AWSConnectClient {
+    constructor() {
+        this.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+        this.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+        this.sessionToken = process.env.AWS_SESSION_TOKEN;
+        this.region = process.env.AWS_REGION || 'us-east-1';
+        this.instanceId = process.env.AWS_CONNECT_INSTANCE_ID;
+        this.contactFlowId = process.env.AWS_CONNECT_CONTACT_FLOW_ID;
+        this.queueId = process.env.AWS_CONNECT_QUEUE_ID;
+        // AWS_ENDPOINT_URL points the client at a local mock for testing
+        this.endpoint = (process.env.AWS_ENDPOINT_URL || `https://connect.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+        this.activeCalls = new Map();
+    }
+
+    /**
+     * Signs a request with AWS Signature Version 4 for the "connect" service.
+     * @returns {object} Headers to send, including Authorization
+     */
+    signRequest(method, path, body, date = new Date()) {
+        const host = new URL(this.endpoint).host;
+        const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+        const credentialScope = `${dateStamp}/${this.region}/connect/aws4_request`;
+        const payloadHash = crypto.createHash('sha256').update(body, 'utf8').digest('hex');
+
+        const headers = {
+            'content-type': 'application/json',
+            'host': host,
+            'x-amz-date': amzDate
+        };
+        if (this.sessionToken) {
+            headers['x-amz-security-token'] = this.sessionToken;
         }
+
+        const signedHeaders = Object.keys(headers).sort().join(';');
+        const canonicalHeaders = Object.keys(headers).sort().map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+        // Every service but S3 encodes path segments twice: `path` is already encoded for the wire
+        const canonicalUri = path.split('/').map(awsUriEncode).join('/');
+        const canonicalRequest = [method, canonicalUri, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            credentialScope,
+            crypto.createHash('sha256').update(canonicalRequest, 'utf8').digest('hex')
+        ].join('\n');
+
+        const hmac = (key, data) => crypto.createHmac('sha256', key).update(data, 'utf8').digest();
+        const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region), 'connect'), 'aws4_request');
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+
+        // axios derives Host from the URL itself, so it is signed but not sent explicitly
+        delete headers.host;
+        return {
+            ...headers,
+            'Authorization': `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        };
     }
 
-    async playAudio(callControlId, audioUrl) {
-        try {
-            const response = await axios.post(
-                `${this.baseUrl}/calls/${callControlId}/actions/playback_start`,
-                {
-                    audio_url: audioUrl
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.apiKey}`,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 5000
+    async request(method, path, payload) {
+        const body = payload ? JSON.stringify(payload) : '';
+        const response = await axios({
+            method,
+            url: `${this.endpoint}${path}`,
+            data: body || undefined,
+            headers: this.signRequest(method, path, body),
+            // Send the exact bytes that were signed
+            transformRequest: [data => data],
+            timeout: 10000
+        });
+        return response.data;
+    }
+
+    // AWS error bodies carry the reason in "message" (or "Message")
+    static errorMessage(error) {
+        const data = error.response && error.response.data;
+        return (data && (data.message || data.Message)) || error.message;
+    }
+
+    async makeCall(to, from, audioContent, options = {}) {
+        try {
+            logger.info({ to, from, provider: 'AWS Connect' }, 'Initiating AWS Connect call');
+
+            // The contact flow reads the message from these attributes, e.g. $.Attributes.messageText
+            const attributes = {
+                messageType: options.isText ? 'text' : 'audio',
+                [options.isText ? 'messageText' : 'audioUrl']: audioContent,
+                voice: options.voice,
+                language: options.language,
+                transferTo: options.transferTo,
+                dtmfDigit: options.dtmfDigit
+            };
+            Object.keys(attributes).forEach(key => {
+                if (attributes[key] === undefined || attributes[key] === null) delete attributes[key];
+                else attributes[key] = String(attributes[key]);
+            });
+
+            const contactRequest = {
+                InstanceId: this.instanceId,
+                ContactFlowId: this.contactFlowId,
+                DestinationPhoneNumber: to,
+                SourcePhoneNumber: from,
+                Attributes: attributes,
+                ClientToken: uuidv4()
+            };
+            if (this.queueId) {
+                contactRequest.QueueId = this.queueId;
+            }
+
+            const result = await this.request('PUT', '/contact/outbound-voice', contactRequest);
+            const callId = result.ContactId;
+            
+            // Store call information
+            this.activeCalls.set(callId, {
+                to,
+                from,
+                status: 'INITIATED',
+                startTime: new Date(),
+                audioContent,
+                options
+            });
+
+            logger.info({ callId, to }, 'AWS Connect call initiated successfully');
+            
+            return {
+                success: true,
+                callId,
+                status: 'INITIATED',
+                tracking: {
+                    bulkId: callId,
+                    messageId: callId,
+                    to,
+                    from,
+                    timestamp: new Date().toISOString()
                 }
-            );
+            };
 
-            return response.data;
         } catch (error) {
-            logger.error({ error: error.message }, 'Failed to play audio in Telnyx call');
-            throw error;
+            logger.error({ error: AWSConnectClient.errorMessage(error) }, 'AWS Connect call failed');
+            throw providerCallError('AWS Connect', error, AWSConnectClient.errorMessage(error));
         }
     }
 
-    async hangupCall(callControlId) {
+    async hangupCall(callId) {
         try {
-            const response = await axios.post(
-                `${this.baseUrl}/calls/${callControlId}/actions/hangup`,
-                {},
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.apiKey}`,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 5000
-                }
-            );
+            await this.request('POST', '/contact/stop', {
+                ContactId: callId,
+                InstanceId: this.instanceId
+            });
+
+            this.activeCalls.delete(callId);
+            logger.info({ callId }, 'AWS Connect contact stopped');
+            return { success: true, callId };
 
-            return response.data;
         } catch (error) {
-            logger.error({ error: error.message }, 'Failed to hangup Telnyx call');
-            throw error;
+            logger.error({ callId, error: AWSConnectClient.errorMessage(error) }, 'Failed to stop AWS Connect contact');
+            throw providerHangupError('AWS Connect', error, AWSConnectClient.errorMessage(error));
         }
     }
 
-    async getCallStatus(callControlId) {
+    async getCallStatus(callId) {
         try {
-            const response = await axios.get(
-                `${this.baseUrl}/calls/${callControlId}`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.apiKey}`
-                    },
-                    timeout: 5000
-                }
-            );
+            const result = await this.request('GET', `/contacts/${awsUriEncode(this.instanceId)}/${awsUriEncode(callId)}`);
+            const contact = result.Contact || {};
+
+            let status = CALL_STATUS.INITIATED;
+            if (contact.DisconnectTimestamp) {
+                status = AWS_DISCONNECT_REASON_MAP[contact.DisconnectReason] || CALL_STATUS.COMPLETED;
+            } else if (contact.ConnectedToSystemTimestamp) {
+                status = CALL_STATUS.ANSWERED;
+            }
 
-            return {
-                callId: callControlId,
-                status: response.data.data.call_session_id ? 'ACTIVE' : 'COMPLETED',
-                duration: response.data.data.duration,
-                startTime: response.data.data.start_time,
-                endTime: response.data.data.end_time,
-                direction: response.data.data.direction
-            };
+            return buildCallStatus({
+                callId,
+                status,
+                nativeStatus: contact.DisconnectReason || (contact.ConnectedToSystemTimestamp ? 'CONNECTED' : 'INITIATED'),
+                created: contact.InitiationTimestamp,
+                answered: contact.ConnectedToSystemTimestamp,
+                ended: contact.DisconnectTimestamp,
+                hangupCause: contact.DisconnectReason,
+                providerData: contact
+            });
 
         } catch (error) {
-            return { error: 'Call not found or error retrieving status' };
+            const statusCode = error.response ? error.response.status : null;
+            logger.error({ callId, error: AWSConnectClient.errorMessage(error) }, 'Failed to get AWS Connect contact');
+            return { error: AWSConnectClient.errorMessage(error), statusCode };
         }
     }
 }
 
-// =============================================================================
-// === CORRECTED ENABLEX CLIENT ================================================
-// =============================================================================
-class EnableXClient {
+// Infobip delivery report status groups; UNDELIVERABLE is refined by the error name
+const INFOBIP_STATUS_GROUP_MAP = {
+    'PENDING': CALL_STATUS.QUEUED,
+    'DELIVERED': CALL_STATUS.COMPLETED,
+    'UNDELIVERABLE': CALL_STATUS.FAILED,
+    'EXPIRED': CALL_STATUS.NO_ANSWER,
+    'REJECTED': CALL_STATUS.FAILED
+};
+
+class InfobipClient {
     constructor() {
-        this.appId = process.env.ENABLEX_APP_ID;
-        this.appKey = process.env.ENABLEX_APP_KEY;
-        this.baseUrl = 'https://api.enablex.io/voice/v1';
-        this.activeCalls = new Map();
+        this.apiKey = process.env.INFOBIP_API_KEY;
+        this.baseUrl = `https://${process.env.INFOBIP_BASE_URL}`;
+        // Delivery reports pushed to /webhook/infobip, keyed by message ID, and the message IDs in each
+        // bulk; shared because Infobip can push a report to any worker
+        this.reports = new SharedStore('infobip-reports', { ttlSec: 86400 });
+        this.bulkMessages = new SharedStore('infobip-bulk-messages', { ttlSec: 86400 });
+    }
+
+    // Where Infobip should push delivery reports, when this server is publicly reachable
+    getNotifyUrl() {
+        const notifyUrl = buildPublicUrl('/webhook/infobip');
+        return notifyUrl ? appendWebhookToken(notifyUrl) : null;
     }
 
     /**
-     * Generates the correct Basic Authentication header for EnableX.
-     * @returns {string} The Basic Auth header value.
+     * Stores a delivery report so status lookups can be served without polling Infobip.
+     * Each message keeps its own report; a bulk only records which messages it holds.
+     * @returns {Promise<object>} The report's normalized status
      */
-    getAuthHeader() {
-        if (!this.appId || !this.appKey) {
-            throw new Error('EnableX App ID or App Key is missing from environment variables.');
+    async storeReport(report) {
+        const normalized = InfobipClient.normalizeReport(report);
+        if (!report.messageId) {
+            return normalized;
         }
-        // Encode 'APP_ID:APP_KEY' to Base64
-        const credentials = Buffer.from(`${this.appId}:${this.appKey}`).toString('base64');
-        return `Basic ${credentials}`;
+        await this.reports.set(report.messageId, normalized);
+        if (report.bulkId) {
+            await this.bulkMessages.update(report.bulkId, messageIds => {
+                const known = messageIds || [];
+                return known.includes(report.messageId) ? undefined : [...known, report.messageId];
+            }, { create: true });
+        }
+        return normalized;
+    }
+
+    // The stored report for a message ID or, for a bulk ID, its first message (a call has one destination)
+    async getStoredReport(id) {
+        const report = await this.reports.get(id);
+        if (report) {
+            return report;
+        }
+        const messageIds = await this.bulkMessages.get(id);
+        return messageIds && messageIds.length > 0 ? this.reports.get(messageIds[0]) : null;
+    }
+
+    getHeaders() {
+        return {
+            'Authorization': `App ${this.apiKey}`,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        };
     }
 
     async makeCall(to, from, audioContent, options = {}) {
         try {
-            logger.info({ to, from, provider: 'EnableX' }, 'Initiating EnableX call');
+            let apiUrl = `${this.baseUrl}/tts/3/advanced`;
+            let payload;
 
-            const authHeader = this.getAuthHeader();
-            
-            // --- CONSTRUCT THE CORRECT ENABLEX PAYLOAD ---
-            let callData = {
-                name: "SESPCL API Call",
-                from: from,
-                to: to, // EnableX expects a simple string for the 'to' number
-                event_url: process.env.ENABLEX_WEBHOOK_URL || 'https://your-app.com/webhook/enablex'
-            };
-
-            // Define the action to take when the call connects
-            if (options.isText) {
-                callData.action_on_connect = {
-                    play: {
-                        text: audioContent,
-                        voice: options.voice || "female", // Example voices: female, male
-                        language: options.language || "en-US",
-                        prompt_ref: "tts-prompt-from-server"
-                    }
-                };
-            } else { // Assumes audioContent is an audioUrl
-                callData.action_on_connect = {
-                    play: {
-                        file_url: [audioContent] // file_url should be an array of strings
-                    }
+            // --- Construct Payload based on call type ---
+            if (options.transferTo && options.dtmfDigit) {
+                // IVR Call
+                logger.info({ to, transferTo: options.transferTo, dtmfDigit: options.dtmfDigit, provider: 'Infobip' }, 'Preparing Infobip IVR call');
+                payload = {
+                    messages: [{
+                        from,
+                        destinations: [{ to }],
+                        text: audioContent, // IVR must use text
+                        language: "en",
+                        voice: { name: "Joanna", gender: "female" },
+                        callTransfers: [{
+                            destination: { type: "PHONE", number: options.transferTo },
+                            dtmf: options.dtmfDigit
+                        }]
+                    }]
                 };
+            } else if (!options.isText) {
+                // Simple Audio File Call
+                logger.info({ to, provider: 'Infobip' }, 'Preparing Infobip audio file call');
+                payload = { messages: [{ from, destinations: [{ to }], audioFileUrl: audioContent }] };
+            } else {
+                // Simple TTS Call (using a different endpoint)
+                logger.info({ to, provider: 'Infobip' }, 'Preparing Infobip TTS call');
+                apiUrl = `${this.baseUrl}/tts/3/single`;
+                payload = { from, to, text: audioContent, language: 'en', voice: { name: "Joanna", gender: "female" } };
             }
 
-            // NOTE: EnableX handles IVR (transfers) via webhooks and subsequent API calls.
-            // The logic for 'transferToNumber' and 'dtmfTransferDigit' must be handled 
-            // in your webhook endpoint by making a new API call to modify the live call.
-            // It cannot be done in this initial API request.
+            // Ask Infobip to push the delivery report instead of waiting to be polled
+            const notifyUrl = this.getNotifyUrl();
+            if (notifyUrl) {
+                const notifyTarget = payload.messages ? payload.messages[0] : payload;
+                notifyTarget.notifyUrl = notifyUrl;
+                notifyTarget.notifyContentType = 'application/json';
+            }
 
-            const response = await axios.post(
-                `${this.baseUrl}/call`, // Correct endpoint
-                callData,
-                {
-                    headers: {
-                        'Authorization': authHeader, // Use Basic Auth
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 15000
-                }
-            );
-            
-            // The call identifier from EnableX is 'voice_id'
-            const callId = response.data.voice_id || 'unknown-enablex-id';
-            
-            this.activeCalls.set(callId, { to, from, status: 'INITIATED' });
+            const response = await axios.post(apiUrl, payload, {
+                headers: this.getHeaders(),
+                timeout: 10000 // Shorter timeout for high-scale
+            });
 
-            logger.info({ callId, to }, 'EnableX call initiated successfully');
+            const bulkId = response.data.bulkId || response.data.messages?.[0]?.messageId;
+            logger.info({ to, bulkId }, 'Infobip call initiated successfully');
 
             return {
                 success: true,
-                callId: callId,
+                callId: bulkId,
                 status: 'INITIATED',
-                tracking: {
-                    bulkId: callId,
-                    messageId: callId,
-                    to,
-                    from,
-                    timestamp: new Date().toISOString()
-                }
+                // Infobip's own response is the tracking payload clients already consume
+                tracking: response.data
             };
 
         } catch (error) {
-            const statusCode = error.response ? error.response.status : 500;
-            const errorDetails = error.response ? error.response.data : error.message;
-            logger.error({ error: errorDetails, statusCode, provider: 'EnableX' }, 'EnableX call failed');
-            // Ensure a consistent error object is thrown
             const errorMessage = error.response ? JSON.stringify(error.response.data) : error.message;
-            throw new Error(`EnableX call failed: ${errorMessage}`);
+            logger.error({ error: errorMessage, statusCode: error.response?.status }, 'Infobip call failed');
+            throw providerCallError('Infobip', error, errorMessage);
+        }
+    }
+
+    // Maps one Infobip voice delivery report onto the normalized lifecycle
+    static normalizeReport(report) {
+        const voiceCall = report.voiceCall || {};
+        const dtmfCodes = voiceCall.dtmfCodes || report.dtmfCodes || null;
+        const statusGroup = report.status?.groupName;
+        const errorName = report.error && report.error.name !== 'NO_ERROR' ? report.error.name : null;
+
+        let status = INFOBIP_STATUS_GROUP_MAP[statusGroup] || CALL_STATUS.INITIATED;
+        if (statusGroup === 'UNDELIVERABLE' && errorName) {
+            if (/BUSY/.test(errorName)) status = CALL_STATUS.BUSY;
+            else if (/NO_ANSWER|NOT_ANSWERED/.test(errorName)) status = CALL_STATUS.NO_ANSWER;
+            else if (/CANCEL/.test(errorName)) status = CALL_STATUS.CANCELED;
+        }
+
+        return buildCallStatus({
+            callId: report.bulkId || report.messageId,
+            status,
+            nativeStatus: report.status?.name || statusGroup,
+            created: report.sentAt,
+            answered: voiceCall.answerTime || report.answerTime,
+            ended: voiceCall.endTime || report.endTime || report.doneAt,
+            duration: voiceCall.duration ?? report.duration,
+            hangupCause: errorName,
+            providerData: {
+                statusGroup,
+                dtmfCodes,
+                transfer: voiceCall.callTransfer || voiceCall.transfer || report.callTransfer || null,
+                price: report.price || null,
+                report
+            }
+        });
+    }
+
+    async hangupCall(bulkId) {
+        // Infobip's TTS API has no operation that ends a call once it has been submitted
+        const unsupported = new Error('Infobip does not support terminating calls');
+        unsupported.statusCode = 501;
+        unsupported.retryable = false;
+        throw providerHangupError('Infobip', unsupported);
+    }
+
+    async getCallStatus(bulkId) {
+        try {
+            const pushed = await this.getStoredReport(bulkId);
+            if (pushed) {
+                return pushed;
+            }
+        } catch (error) {
+            logger.warn({ bulkId, error: error.message }, 'Stored Infobip reports unavailable, polling Infobip');
+        }
+
+        try {
+            const response = await axios.get(`${this.baseUrl}/tts/3/reports`, {
+                headers: this.getHeaders(),
+                params: { bulkId },
+                timeout: 5000
+            });
+
+            const results = response.data.results || [];
+            if (results.length === 0) {
+                return { error: 'No delivery report available yet for this bulk ID', statusCode: 404 };
+            }
+            // Only final reports are kept; a pending one must be polled again
+            const normalized = InfobipClient.normalizeReport(results[0]);
+            if (TERMINAL_CALL_STATUSES.has(normalized.status)) {
+                await this.storeReport(results[0]).catch(error => {
+                    logger.warn({ bulkId, error: error.message }, 'Failed to store polled Infobip report');
+                });
+            }
+            return normalized;
+
+        } catch (error) {
+            logger.error({ bulkId, statusCode: error.response?.status }, 'Failed to fetch Infobip call status');
+            return { error: 'Call not found or error retrieving status', statusCode: error.response?.status || 500 };
+        }
+    }
+}
+
+// --- Provider Registry ---
+const createProviderClient = (name) => {
+    switch (name) {
+        case 'twilio': return new TwilioClient();
+        case 'vonage': return new VonageClient();
+        case 'aws': return new AWSConnectClient();
+        case 'wavix': return new WavixClient();
+        case 'plivo': return new PlivoClient();
+        case 'sinch': return new SinchClient();
+        case 'telnyx': return new TelnyxClient();
+        case 'enablex': return new EnableXClient();
+        case 'sip': return new SIPClient();
+        case 'infobip': return new InfobipClient();
+        default: return null;
+    }
+};
+
+/**
+ * Instantiates every provider whose credentials are present, each validated on its own,
+ * so one misconfigured provider never takes the others (or the process) down with it.
+ */
+class ProviderRegistry {
+    constructor() {
+        this.entries = new Map(); // name -> { client, breaker, missingEnv, error }
+    }
+
+    initialize() {
+        for (const [name, requiredEnv] of Object.entries(PROVIDER_REQUIRED_ENV)) {
+            const missingEnv = requiredEnv
+                .filter(varName => Array.isArray(varName) ? !varName.some(name => process.env[name]) : !process.env[varName])
+                .map(varName => Array.isArray(varName) ? varName.join(' or ') : varName);
+            const entry = { client: null, breaker: null, missingEnv, error: null };
+            this.entries.set(name, entry);
+
+            if (missingEnv.length > 0) {
+                logger.debug({ provider: name, missingEnv }, 'Provider not configured');
+                continue;
+            }
+
+            try {
+                entry.client = createProviderClient(name);
+                entry.breaker = new CircuitBreaker(name.toUpperCase());
+                entry.breaker.on('stateChange', ({ provider, from, to, lastError }) => {
+                    const level = to === BREAKER_STATES.OPEN ? 'warn' : 'info';
+                    logger[level]({ provider, from, to, lastError }, `Circuit breaker for ${provider} is now ${to}`);
+                    eventBus.emit('breaker', { provider, from, to, lastError });
+                });
+                logger.info(`${name.toUpperCase()} client initialized`);
+            } catch (error) {
+                entry.error = error.message;
+                logger.error({ provider: name, error: error.message }, 'Failed to initialize provider client');
+            }
+        }
+    }
+
+    has(name) {
+        return !!this.entries.get(name)?.client;
+    }
+
+    getClient(name) {
+        return this.entries.get(name)?.client || null;
+    }
+
+    getBreaker(name) {
+        return this.entries.get(name)?.breaker || null;
+    }
+
+    configuredNames() {
+        return Array.from(this.entries.keys()).filter(name => this.has(name));
+    }
+
+    getBreakerStatuses() {
+        return Object.fromEntries(this.configuredNames().map(name => [name.toUpperCase(), this.getBreaker(name).getStatus()]));
+    }
+
+    describe(name) {
+        const entry = this.entries.get(name);
+        const breakerStatus = entry.breaker ? entry.breaker.getStatus() : null;
+        return {
+            provider: name.toUpperCase(),
+            configured: !!entry.client,
+            healthy: !!entry.client && breakerStatus.state !== BREAKER_STATES.OPEN,
+            inChain: providerChain.includes(name),
+            chainPosition: providerChain.includes(name) ? providerChain.indexOf(name) + 1 : null,
+            missingEnv: entry.missingEnv,
+            error: entry.error,
+            breaker: breakerStatus
+        };
+    }
+}
+
+// Initialize blocklist system (only when serving; the tests require this file for its internals)
+if (require.main === module) {
+    setupBlocklistRefresh();
+}
+
+// Initialize every provider that has credentials
+const providerRegistry = new ProviderRegistry();
+providerRegistry.initialize();
+
+// The failover chain only keeps providers that actually initialized
+const providerChain = requestedProviderChain.filter(name => {
+    if (providerRegistry.has(name)) return true;
+    logger.error({ provider: name, missingEnv: providerRegistry.entries.get(name).missingEnv }, 'Provider in chain is not configured, removing it from the chain');
+    return false;
+});
+
+if (providerChain.length === 0) {
+    logger.error({ requestedProviderChain }, 'No provider in the chain is configured - calls will fail until credentials are set');
+}
+
+const sipClient = providerRegistry.getClient('sip');
+
+// --- Cluster SIP Hangups ---
+// Only the worker that placed a SIP call holds its dialog, so a hangup request landing on another
+// worker is handed to the primary, which asks the other workers (see the primary block above)
+const peerSipHangups = new Map(); // id -> { resolve, reject, timer }
+let peerSipHangupId = 0;
+
+function requestPeerSipHangup(callId) {
+    return new Promise((resolve, reject) => {
+        if (!process.connected) {
+            reject(new Error('the IPC channel to the primary is closed'));
+            return;
+        }
+        const id = ++peerSipHangupId;
+        const timer = setTimeout(() => {
+            peerSipHangups.delete(id);
+            reject(new Error('no worker answered in time'));
+        }, SHARED_STATE_TIMEOUT_MS);
+        peerSipHangups.set(id, { resolve, reject, timer });
+        process.send({ type: 'sip-hangup', id, callId }, error => {
+            if (error && peerSipHangups.delete(id)) {
+                clearTimeout(timer);
+                reject(error);
+            }
+        });
+    });
+}
+
+if (cluster.isWorker) {
+    process.on('message', async message => {
+        if (!message) return;
+        if (message.type === 'sip-hangup-reply') {
+            const pending = peerSipHangups.get(message.id);
+            if (!pending) return;
+            peerSipHangups.delete(message.id);
+            clearTimeout(pending.timer);
+            pending.resolve(message);
+        } else if (message.type === 'sip-hangup-peer') {
+            const reply = { type: 'sip-hangup-peer-reply', id: message.id, found: !!sipClient?.activeCalls.has(message.callId) };
+            if (reply.found) {
+                try {
+                    await sipClient.hangupCall(message.callId);
+                } catch (error) {
+                    reply.error = error.message;
+                    reply.statusCode = error.statusCode;
+                }
+            }
+            if (process.connected) process.send(reply);
         }
+    });
+}
+
+/**
+ * Hangs up a call through the provider that owns it. Under cluster a SIP call placed by another
+ * worker is hung up by that worker; the errors match what the provider's own hangupCall throws.
+ */
+async function hangupProviderCall(providerName, callId) {
+    const client = providerRegistry.getClient(providerName);
+    if (providerName !== 'sip' || !cluster.isWorker || client.activeCalls.has(callId)) {
+        return client.hangupCall(callId);
+    }
+
+    let reply;
+    try {
+        reply = await requestPeerSipHangup(callId);
+    } catch (error) {
+        logger.warn({ callId, error: error.message }, 'Could not reach the worker that owns the SIP call');
+        const unreachable = new Error(`SIP hangup failed: the worker that owns the call could not be reached (${error.message})`);
+        unreachable.statusCode = 503;
+        throw unreachable;
+    }
+    if (!reply.found) {
+        return client.hangupCall(callId); // Nobody holds the dialog: the usual 404
+    }
+    logger.info({ callId }, 'SIP call hung up by the worker that owns it');
+    if (reply.error) {
+        const failed = new Error(reply.error);
+        failed.statusCode = reply.statusCode;
+        throw failed;
+    }
+    return { success: true, callId };
+}
+
+logger.info({ providerChain, configured: providerRegistry.configuredNames() }, 'Provider failover chain configured');
+
+// --- Hosted Call Instructions ---
+// Providers that fetch call instructions over HTTP (Twilio TwiML, Plivo and Wavix XML) are
+// pointed at routes on this server, so PUBLIC_BASE_URL must be reachable from the provider.
+const publicBaseUrl = process.env.PUBLIC_BASE_URL ? process.env.PUBLIC_BASE_URL.replace(/\/+$/, '') : null;
+if (publicBaseUrl && !isValidUrl(publicBaseUrl)) {
+    logger.error({ publicBaseUrl }, 'PUBLIC_BASE_URL is not a valid URL; hosted call instructions are disabled');
+}
+
+// Shared so the provider's fetch is answered by whichever worker it lands on
+const callInstructions = new SharedStore('call-instructions', {
+    ttlSec: 86400 // Long enough for queued and long-ringing calls
+});
+
+const buildPublicUrl = (path) => {
+    if (!publicBaseUrl || !isValidUrl(publicBaseUrl)) {
+        return null;
+    }
+    return `${publicBaseUrl}${path}`;
+};
+
+// Providers that cannot sign their callbacks prove themselves with the shared secret in the URL
+const appendWebhookToken = (url) => {
+    if (!process.env.WEBHOOK_SHARED_SECRET) {
+        return url;
+    }
+    return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(process.env.WEBHOOK_SHARED_SECRET)}`;
+};
+
+const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Stores what a call should play under an unguessable ID used in the provider's callback URLs.
+// Resolves once the instructions are readable from every worker, before the provider is called.
+async function storeCallInstructions(providerName, from, audioContent, options) {
+    const instructionsId = uuidv4();
+    await callInstructions.set(instructionsId, {
+        provider: providerName,
+        from,
+        text: options.isText ? audioContent : null,
+        audioUrl: options.isText ? null : audioContent,
+        voice: options.voice,
+        language: options.language || 'en-US',
+        transferTo: options.transferTo || null,
+        dtmfDigit: options.dtmfDigit || null,
+        createdAt: new Date().toISOString()
+    });
+    return instructionsId;
+}
+
+// Records the provider's call ID against its instructions once the call has been placed.
+// The call is already live, so a failure is logged instead of failing over to another provider.
+async function linkCallInstructions(instructionsId, callId) {
+    try {
+        await callInstructions.update(instructionsId, instructions => ({ ...instructions, callId }));
+    } catch (error) {
+        logger.error({ instructionsId, callId, error: error.message }, 'Failed to link call instructions to the placed call');
     }
+}
 
-    // You would also need to implement getCallStatus, hangupCall, etc.
-    // using the same Basic Authentication method.
-    async getCallStatus(callId) {
-       try {
-           const authHeader = this.getAuthHeader();
-           const response = await axios.get(`${this.baseUrl}/call/${callId}`, {
-               headers: { 'Authorization': authHeader },
-               timeout: 5000
-           });
-           return response.data;
-       } catch (error) {
-           logger.error({ error: error.message }, `Failed to get EnableX call status for ${callId}`);
-           return { error: 'Call not found or error retrieving status' };
-       }
+// Looks up a hosted call's instructions for a provider callback; an unreadable store is logged
+// and answered like an unknown call
+async function findCallInstructions(instructionsId, log) {
+    try {
+        return await callInstructions.get(instructionsId);
+    } catch (error) {
+        log.error({ instructionsId, error: error.message }, 'Failed to read call instructions');
+        return null;
     }
 }
 
-class AWSConnectClient {
-    constructor() {
-        this.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
-        this.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
-        this.region = process.env.AWS_REGION || 'us-east-1';
-        this.instanceId = process.env.AWS_CONNECT_INSTANCE_ID;
-        this.activeCalls = new Map();
+// --- Call Events ---
+// Everything that happens to a call is published here; status callbacks subscribe to it
+const CALL_EVENT_TYPES = ['queued', 'ringing', 'answered', 'dtmf', 'transferred', 'completed', 'failed', 'blocked'];
+
+const STATUS_EVENT_TYPES = {
+    [CALL_STATUS.QUEUED]: 'queued',
+    [CALL_STATUS.RINGING]: 'ringing',
+    [CALL_STATUS.ANSWERED]: 'answered',
+    [CALL_STATUS.COMPLETED]: 'completed',
+    [CALL_STATUS.CANCELED]: 'completed',
+    [CALL_STATUS.BUSY]: 'failed',
+    [CALL_STATUS.NO_ANSWER]: 'failed',
+    [CALL_STATUS.FAILED]: 'failed'
+};
+
+const eventBus = new EventEmitter();
+eventBus.setMaxListeners(0);
+
+/**
+ * Publishes a call event. `record` is the call record, or for calls that were never
+ * placed (blocked), a stand-in carrying to/from and the caller's statusCallback.
+ */
+function publishCallEvent(type, record, data = {}) {
+    const event = {
+        id: uuidv4(),
+        event: type,
+        callId: record.callId || null,
+        provider: record.provider ? record.provider.toUpperCase() : null,
+        status: record.status || null,
+        to: record.to,
+        from: record.from,
+        timestamp: new Date().toISOString(),
+        data
+    };
+    eventBus.emit('call', event, record.statusCallback || null);
+    return event;
+}
+
+// --- Call Tracking ---
+// Which provider placed each call, plus the latest normalized status (TTL: 24 hours).
+// Shared so a provider webhook updates the record whichever worker it lands on.
+const callRecords = new SharedStore('call-records', { ttlSec: 86400 });
+
+// The call has already been placed when it is tracked, so a store failure is logged, never thrown
+async function trackCall(callId, providerName, { to, from, statusCallback = null }) {
+    const now = new Date().toISOString();
+    const record = {
+        callId,
+        provider: providerName,
+        to,
+        from,
+        status: CALL_STATUS.INITIATED,
+        nativeStatus: null,
+        timestamps: { created: now, ringing: null, answered: null, ended: null },
+        duration: null,
+        hangupCause: null,
+        dtmf: null,
+        transferredTo: null,
+        statusCallback,
+        updatedAt: now
+    };
+    try {
+        await callRecords.set(callId, record);
+    } catch (error) {
+        logger.error({ callId, provider: providerName, error: error.message }, 'Failed to store call record');
     }
+    publishCallEvent('queued', record);
+    return record;
+}
 
-    async makeCall(to, from, audioContent, options = {}) {
-        try {
-            logger.info({ to, from, provider: 'AWS Connect' }, 'Initiating AWS Connect call');
+// Reads a call record; an unreadable store is logged and treated as an untracked call
+async function findCallRecord(callId) {
+    try {
+        return await callRecords.get(callId);
+    } catch (error) {
+        logger.error({ callId, error: error.message }, 'Failed to read call record');
+        return null;
+    }
+}
 
-            // AWS Connect requires more complex setup
-            // This is a simplified implementation
-            const callId = uuidv4();
-            
-            // Store call information
-            this.activeCalls.set(callId, {
-                to,
-                from,
-                status: 'INITIATED',
-                startTime: new Date(),
-                audioContent,
-                options
-            });
+/**
+ * Merges a partial normalized status into the call's record.
+ * Status only moves forward through the lifecycle and a terminal state is never replaced,
+ * so a late poll cannot undo what a webhook already reported. Status changes, DTMF and
+ * transfers are published as call events. Never rejects: a store failure is logged.
+ * @returns {Promise<object|null>} The merged record, or null for an untracked call
+ */
+async function updateCallRecord(callId, update) {
+    let previousStatus;
+    let transferred;
+    let record;
+    try {
+        // Runs again on the fresh record if another worker wrote it in the meantime
+        record = await callRecords.update(callId, current => {
+            previousStatus = current.status;
+            transferred = mergeCallRecord(current, update);
+            return current;
+        });
+    } catch (error) {
+        logger.error({ callId, error: error.message }, 'Failed to update call record');
+        return null;
+    }
+    if (!record) return null;
 
-            // Note: AWS Connect integration would require AWS SDK
-            // This is a placeholder implementation
-            
-            return {
-                success: true,
-                callId,
-                status: 'INITIATED',
-                tracking: {
-                    bulkId: callId,
-                    messageId: callId,
-                    to,
-                    from,
-                    timestamp: new Date().toISOString()
-                }
-            };
+    if (update.dtmf) {
+        publishCallEvent('dtmf', record, { dtmf: update.dtmf });
+    }
+    if (transferred) {
+        publishCallEvent('transferred', record, { transferTo: record.transferredTo });
+    }
+    if (record.status !== previousStatus && STATUS_EVENT_TYPES[record.status]) {
+        publishCallEvent(STATUS_EVENT_TYPES[record.status], record, {
+            nativeStatus: record.nativeStatus,
+            duration: record.duration,
+            hangupCause: record.hangupCause
+        });
+    }
+    return record;
+}
 
-        } catch (error) {
-            logger.error({ error: error.message }, 'AWS Connect call failed');
-            throw new Error(`AWS Connect call failed: ${error.message}`);
-        }
+// Applies an update to a record in place; returns whether it recorded a new transfer
+function mergeCallRecord(record, update) {
+    const currentRank = getCallStatusRank(record.status);
+    if (update.status && !TERMINAL_CALL_STATUSES.has(record.status) && getCallStatusRank(update.status) >= currentRank) {
+        record.status = update.status;
+        if (update.nativeStatus) record.nativeStatus = update.nativeStatus;
     }
 
-    async getCallStatus(callId) {
-        const call = this.activeCalls.get(callId);
-        if (!call) {
-            return { error: 'Call not found' };
-        }
-        
-        return {
-            callId,
-            status: call.status,
-            to: call.to,
-            from: call.from,
-            startTime: call.startTime,
-            duration: Date.now() - call.startTime.getTime()
-        };
+    const timestamps = update.timestamps || {};
+    for (const key of ['created', 'ringing', 'answered', 'ended']) {
+        const value = toIsoTimestamp(timestamps[key] || update[key]);
+        if (value && !record.timestamps[key]) record.timestamps[key] = value;
     }
+    if (record.status === CALL_STATUS.RINGING && !record.timestamps.ringing) {
+        record.timestamps.ringing = new Date().toISOString();
+    }
+    if (record.status === CALL_STATUS.ANSWERED && !record.timestamps.answered) {
+        record.timestamps.answered = new Date().toISOString();
+    }
+    if (TERMINAL_CALL_STATUSES.has(record.status) && !record.timestamps.ended) {
+        record.timestamps.ended = new Date().toISOString();
+    }
+
+    if (update.duration !== undefined && update.duration !== null) {
+        record.duration = update.duration;
+    } else if (record.timestamps.answered && record.timestamps.ended) {
+        record.duration = Math.round((new Date(record.timestamps.ended) - new Date(record.timestamps.answered)) / 1000);
+    }
+    if (update.hangupCause) record.hangupCause = update.hangupCause;
+    if (update.dtmf) record.dtmf = update.dtmf;
+    const transferred = Boolean(update.transferredTo && !record.transferredTo);
+    if (transferred) record.transferredTo = update.transferredTo;
+
+    record.updatedAt = new Date().toISOString();
+    return transferred;
 }
 
-// Initialize blocklist system
-setupBlocklistRefresh();
-
-// Initialize clients based on configuration
-let voipClient = null;
-let sipClient = null;
-
-if (useVoIP) {
-    if (voipProvider === 'twilio') {
-        voipClient = new TwilioClient();
-        logger.info('Twilio VoIP client initialized');
-    } else if (voipProvider === 'vonage') {
-        voipClient = new VonageClient();
-        logger.info('Vonage VoIP client initialized');
-    } else if (voipProvider === 'aws') {
-        voipClient = new AWSConnectClient();
-        logger.info('AWS Connect VoIP client initialized');
-    } else if (voipProvider === 'wavix') {
-        voipClient = new WavixClient();
-        logger.info('Wavix VoIP client initialized');
-    } else if (voipProvider === 'plivo') {
-        voipClient = new PlivoClient();
-        logger.info('Plivo VoIP client initialized');
-    } else if (voipProvider === 'sinch') {
-        voipClient = new SinchClient();
-        logger.info('Sinch VoIP client initialized');
-    } else if (voipProvider === 'telnyx') {
-        voipClient = new TelnyxClient();
-        logger.info('Telnyx VoIP client initialized');
-    } else if (voipProvider === 'enablex') {
-        voipClient = new EnableXClient();
-        logger.info('EnableX VoIP client initialized');
-    }
-} else if (useSip) {
-    sipClient = new SIPClient();
-    logger.info('SIP client initialized');
+// Call ID shapes that identify a provider even when this worker did not place the call
+const CALL_ID_PATTERNS = [
+    { provider: 'twilio', pattern: /^CA[0-9a-f]{32}$/ },
+    { provider: 'telnyx', pattern: /^v[23]:/ },
+    { provider: 'sip', pattern: /^\d+-[a-z0-9]+@/ }
+];
+
+// Finds the provider that owns a call ID: tracked record, caller hint, live call maps, ID shape, then Infobip bulk IDs
+async function resolveCallOwner(callId, providerHint) {
+    const record = await findCallRecord(callId);
+    if (record) return record.provider;
+
+    if (providerHint && providerRegistry.has(providerHint)) return providerHint;
+
+    const liveOwner = providerRegistry.configuredNames()
+        .find(name => providerRegistry.getClient(name).activeCalls?.has(callId));
+    if (liveOwner) return liveOwner;
+
+    const patternMatch = CALL_ID_PATTERNS.find(({ provider, pattern }) => pattern.test(callId) && providerRegistry.has(provider));
+    if (patternMatch) return patternMatch.provider;
+
+    return providerRegistry.has('infobip') ? 'infobip' : null;
 }
 
 // Function to check if text contains blocked words
@@ -2235,6 +5865,346 @@ function containsBlockedWords(text) {
     return null;
 }
 
+// --- Status Callbacks ---
+const statusCallbackConfig = {
+    // Customers verify the signature with this secret; callbacks are refused until one is set
+    secret: process.env.STATUS_CALLBACK_SECRET || null,
+    // Optional list of callback hosts (exact, or *.example.com for subdomains); when set, only these are accepted
+    allowedHosts: (process.env.STATUS_CALLBACK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+    maxAttempts: parseInt(process.env.STATUS_CALLBACK_MAX_ATTEMPTS) || 5,
+    retryBaseMs: parseInt(process.env.STATUS_CALLBACK_RETRY_BASE_MS) || 1000,
+    retryMaxMs: parseInt(process.env.STATUS_CALLBACK_RETRY_MAX_MS) || 60000,
+    timeoutMs: parseInt(process.env.STATUS_CALLBACK_TIMEOUT_MS) || 5000,
+    deadLetterMax: parseInt(process.env.STATUS_CALLBACK_DEAD_LETTER_MAX) || 1000
+};
+
+// The signing secret must not be the API key: every receiver would then hold a credential for this server
+if (!statusCallbackConfig.secret) {
+    logger.warn('STATUS_CALLBACK_SECRET is not set; calls requesting a statusCallbackUrl will be rejected');
+} else if (statusCallbackConfig.secret === process.env.MY_API_KEY) {
+    logger.error('STATUS_CALLBACK_SECRET must differ from MY_API_KEY; status callbacks are disabled');
+    statusCallbackConfig.secret = null;
+}
+
+// Callback targets must be public: private, loopback, link-local (cloud metadata), CGNAT, multicast and
+// documentation ranges are refused when the call is requested and again whenever a delivery connects
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+    return family !== 0 && !NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const isAllowedCallbackHost = (hostname) => statusCallbackConfig.allowedHosts.some(entry =>
+    entry.startsWith('*.') ? hostname.endsWith(entry.substring(1)) : hostname === entry);
+
+const callbackTargetError = (message) => {
+    const error = new Error(message);
+    error.code = 'ECALLBACKTARGET';
+    error.retryable = false;
+    return error;
+};
+
+/**
+ * Checks that a statusCallbackUrl may be called: an allowlisted host when STATUS_CALLBACK_ALLOWED_HOSTS
+ * is set, otherwise a host whose every resolved address is public.
+ * @throws {Error} code ECALLBACKTARGET describing why the target is refused
+ */
+async function assertCallbackTarget(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (statusCallbackConfig.allowedHosts.length > 0) {
+        if (!isAllowedCallbackHost(hostname)) {
+            throw callbackTargetError(`${hostname} is not an allowed status callback host`);
+        }
+        return;
+    }
+    let addresses;
+    try {
+        addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+        throw callbackTargetError(`${hostname} does not resolve (${error.code || error.message})`);
+    }
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+        throw callbackTargetError(blocked.address === hostname
+            ? `${hostname} is a non-public address`
+            : `${hostname} resolves to the non-public address ${blocked.address}`);
+    }
+}
+
+// dns.lookup for deliveries: a host that passed the check cannot later re-resolve to an internal address
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+        if (blocked) {
+            return callback(callbackTargetError(`${hostname} resolves to the non-public address ${blocked.address}`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Allowlisted hosts are trusted as configured; everything else connects through the guarded lookup
+const callbackHttpAgent = new (require('http').Agent)({ keepAlive: true, maxSockets: 50, lookup: lookupPublicAddress });
+const callbackHttpsAgent = new (require('https').Agent)({ keepAlive: true, maxSockets: 50, lookup: lookupPublicAddress });
+
+/**
+ * Delivers call events to customer statusCallbackUrls as signed JSON POSTs.
+ * Failed deliveries are retried with exponential backoff; once attempts run out
+ * (or the endpoint rejects the event outright) the delivery is dead-lettered
+ * where it can be inspected and replayed. Dead letters live in shared state (TTL: 7 days),
+ * so any worker can list, replay or discard them; the delivery counters are per worker.
+ */
+class StatusCallbackDispatcher {
+    constructor(config) {
+        this.config = config;
+        // id -> { id, url, event, attempts, lastError, lastStatusCode, failedAt }
+        this.deadLetters = new SharedStore('status-callback-dead-letters', { ttlSec: 604800 });
+        this.stats = { delivered: 0, retried: 0, deadLettered: 0, replayed: 0 };
+    }
+
+    // Signature over "timestamp.body", sent as X-Callback-Signature: t=<timestamp>,v1=<hex>
+    sign(body, timestamp) {
+        return crypto.createHmac('sha256', this.config.secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    async send(url, event) {
+        const body = JSON.stringify(event);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const guarded = this.config.allowedHosts.length === 0;
+        await axios.post(url, body, {
+            httpAgent: guarded ? callbackHttpAgent : httpAgent,
+            httpsAgent: guarded ? callbackHttpsAgent : httpsAgent,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'TrueSIP-API/1.9.1',
+                'X-Callback-Event': event.event,
+                'X-Callback-Id': event.id,
+                'X-Callback-Signature': `t=${timestamp},v1=${this.sign(body, timestamp)}`
+            },
+            timeout: this.config.timeoutMs,
+            maxRedirects: 0
+        });
+    }
+
+    // Network faults, timeouts, 408, 429 and 5xx are worth retrying; other 4xx mean the endpoint refused the event,
+    // and a target that resolves to a non-public address is never retried
+    static isRetryable(error) {
+        if (error.code === 'ECALLBACKTARGET') return false;
+        const statusCode = error.response?.status;
+        if (!statusCode) return true;
+        return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+    }
+
+    dispatch(url, event, attempt = 1) {
+        this.send(url, event)
+            .then(() => {
+                this.stats.delivered++;
+                logger.debug({ url, eventId: event.id, event: event.event, attempt }, 'Status callback delivered');
+            })
+            .catch(error => {
+                if (StatusCallbackDispatcher.isRetryable(error) && attempt < this.config.maxAttempts) {
+                    const delay = Math.min(this.config.retryBaseMs * 2 ** (attempt - 1), this.config.retryMaxMs);
+                    this.stats.retried++;
+                    logger.warn({ url, eventId: event.id, attempt, delay, error: error.message }, 'Status callback failed, retrying');
+                    setTimeout(() => this.dispatch(url, event, attempt + 1), delay).unref();
+                    return;
+                }
+                this.deadLetter(url, event, attempt, error).catch(storeError => {
+                    logger.error({ url, eventId: event.id, error: storeError.message }, 'Failed to store dead-lettered status callback');
+                });
+            });
+    }
+
+    async deadLetter(url, event, attempts, error) {
+        const entry = {
+            id: event.id,
+            url,
+            event,
+            attempts,
+            lastError: error.message,
+            lastStatusCode: error.response?.status || null,
+            failedAt: new Date().toISOString()
+        };
+        this.stats.deadLettered++;
+        logger.error({ url, eventId: event.id, event: event.event, attempts, error: error.message }, 'Status callback dead-lettered');
+        await this.deadLetters.set(entry.id, entry);
+        // Drop the oldest entries once the list is full
+        const entries = await this.listDeadLetters();
+        const overflow = entries.slice(0, Math.max(0, entries.length - this.config.deadLetterMax));
+        await Promise.all(overflow.map(stale => this.deadLetters.delete(stale.id)));
+    }
+
+    // Oldest first
+    async listDeadLetters({ callId } = {}) {
+        const entries = (await this.deadLetters.values())
+            .sort((a, b) => a.failedAt.localeCompare(b.failedAt));
+        return callId ? entries.filter(entry => entry.event.callId === callId) : entries;
+    }
+
+    /**
+     * Re-sends a dead-lettered event once. It leaves the list on success and stays
+     * (with the new error) on failure.
+     * @returns {Promise<object|null>} { delivered, entry }, or null for an unknown ID
+     */
+    async replay(id) {
+        const entry = await this.deadLetters.get(id);
+        if (!entry) {
+            return null;
+        }
+        try {
+            await this.send(entry.url, entry.event);
+            await this.deadLetters.delete(id);
+            this.stats.replayed++;
+            logger.info({ url: entry.url, eventId: id }, 'Dead-lettered status callback replayed');
+            return { delivered: true, entry };
+        } catch (error) {
+            const failed = {
+                ...entry,
+                attempts: entry.attempts + 1,
+                lastError: error.message,
+                lastStatusCode: error.response?.status || null,
+                failedAt: new Date().toISOString()
+            };
+            // Another worker may have discarded or replayed it meanwhile; only a surviving entry is updated
+            await this.deadLetters.update(id, () => failed);
+            return { delivered: false, entry: failed };
+        }
+    }
+
+    remove(id) {
+        return this.deadLetters.delete(id);
+    }
+
+    async getStatus() {
+        return {
+            ...this.stats,
+            deadLetters: await this.deadLetters.values().then(entries => entries.length, () => null),
+            maxAttempts: this.config.maxAttempts,
+            retryBaseMs: this.config.retryBaseMs
+        };
+    }
+}
+
+const statusCallbacks = new StatusCallbackDispatcher(statusCallbackConfig);
+
+eventBus.on('call', (event, subscription) => {
+    if (subscription && subscription.events.includes(event.event)) {
+        statusCallbacks.dispatch(subscription.url, event);
+    }
+});
+
+/**
+ * Reads statusCallbackUrl / statusCallbackEvents from a call request.
+ * Events may be an array or a comma-separated string and default to every event.
+ * The URL's host is resolved here, so a private or internal target fails the request.
+ * @returns {Promise<{ subscription: object|null, error: string|null }>}
+ */
+async function parseStatusCallback(body) {
+    const { statusCallbackUrl, statusCallbackEvents } = body;
+    if (statusCallbackUrl === undefined) {
+        return { subscription: null, error: statusCallbackEvents !== undefined ? '`statusCallbackEvents` requires `statusCallbackUrl`.' : null };
+    }
+    if (!statusCallbackConfig.secret) {
+        return { subscription: null, error: 'Status callbacks are not available: STATUS_CALLBACK_SECRET is not configured on this server.' };
+    }
+    if (typeof statusCallbackUrl !== 'string' || !isValidUrl(statusCallbackUrl)) {
+        return { subscription: null, error: 'Invalid `statusCallbackUrl`; it must be an http(s) URL.' };
+    }
+    try {
+        await assertCallbackTarget(statusCallbackUrl);
+    } catch (error) {
+        return { subscription: null, error: `Invalid \`statusCallbackUrl\`: ${error.message}.` };
+    }
+
+    let events = CALL_EVENT_TYPES;
+    if (statusCallbackEvents !== undefined) {
+        const requested = Array.isArray(statusCallbackEvents) ? statusCallbackEvents
+            : typeof statusCallbackEvents === 'string' ? statusCallbackEvents.split(',') : null;
+        const normalized = requested && requested.map(name => String(name).trim().toLowerCase()).filter(Boolean);
+        const unknown = normalized ? normalized.filter(name => !CALL_EVENT_TYPES.includes(name)) : [];
+        if (!normalized || normalized.length === 0 || unknown.length > 0) {
+            return { subscription: null, error: `Invalid \`statusCallbackEvents\`. Supported events: ${CALL_EVENT_TYPES.join(', ')}.` };
+        }
+        events = Array.from(new Set(normalized));
+    }
+    return { subscription: { url: statusCallbackUrl, events }, error: null };
+}
+
+// --- Event Stream ---
+// Live feed for GET /api/v1/events: call events, blocklist hits (`blocked`) and breaker changes
+const STREAM_EVENT_TYPES = [...CALL_EVENT_TYPES, 'breaker'];
+
+const eventStreamConfig = {
+    maxClients: parseInt(process.env.EVENT_STREAM_MAX_CLIENTS) || 100,
+    heartbeatMs: parseInt(process.env.EVENT_STREAM_HEARTBEAT_MS) || 15000,
+    tokenTtlSec: parseInt(process.env.EVENT_STREAM_TOKEN_TTL_SEC) || 300
+};
+
+const eventStream = new EventEmitter();
+eventStream.setMaxListeners(0);
+const eventStreamClients = new Set();
+
+// Delivers locally and, under cluster, hands the event to the primary for the other workers.
+// A worker whose IPC channel is gone (the primary is exiting) still serves its own streams.
+function emitStreamEvent(event, fromPeer = false) {
+    eventStream.emit('event', event);
+    if (cluster.isWorker && !fromPeer && process.connected) {
+        process.send({ type: 'event-stream', event }, error => {
+            if (error) logger.warn({ eventId: event.id, error: error.message }, 'Failed to relay stream event to the primary');
+        });
+    }
+}
+
+eventBus.on('call', event => emitStreamEvent(event));
+
+eventBus.on('breaker', ({ provider, from, to, lastError }) => {
+    emitStreamEvent({
+        id: uuidv4(),
+        event: 'breaker',
+        callId: null,
+        provider,
+        status: to,
+        timestamp: new Date().toISOString(),
+        data: { from, to, lastError }
+    });
+});
+
+if (cluster.isWorker) {
+    process.on('message', message => {
+        if (message && message.type === 'event-stream') {
+            emitStreamEvent(message.event, true);
+        }
+    });
+}
+
+// Ends every open stream so server.close() is not held up by them
+function closeEventStreams() {
+    for (const res of eventStreamClients) {
+        res.end();
+    }
+}
+
+/**
+ * Parses a comma-separated query filter (or repeated query parameter) into a list.
+ * @returns {string[]|null} null when the filter is absent
+ */
+const parseListQuery = (value) => {
+    if (value === undefined) return null;
+    const values = (Array.isArray(value) ? value : [value]).flatMap(item => String(item).split(','));
+    return values.map(item => item.trim()).filter(Boolean);
+};
+
 // --- Blocklist Check Middleware ---
 const blocklistCheck = (req, res, next) => {
     // Only check blocklist for call endpoints
@@ -2275,12 +6245,225 @@ const blocklistCheck = (req, res, next) => {
     next();
 };
 
-// --- API Key Authentication Middleware ---
-const apiKeyAuth = (req, res, next) => {
-    const userApiKey = req.headers['x-api-key'];
-    if (!userApiKey || !process.env.MY_API_KEY || userApiKey !== process.env.MY_API_KEY) {
-        req.log.warn({ ip: req.ip }, 'Unauthorized access attempt');
-        return res.status(401).json({ error: 'Unauthorized. Invalid or missing API Key.' });
+// --- API Key Authentication Middleware ---
+const apiKeyAuth = (req, res, next) => {
+    const userApiKey = req.headers['x-api-key'];
+    if (!userApiKey || !process.env.MY_API_KEY || userApiKey !== process.env.MY_API_KEY) {
+        req.log.warn({ ip: req.ip }, 'Unauthorized access attempt');
+        return res.status(401).json({ error: 'Unauthorized. Invalid or missing API Key.' });
+    }
+    next();
+};
+
+// --- Event Stream Tokens ---
+// Browser EventSource cannot send the x-api-key header, so POST /api/v1/events/token trades the key for a
+// short-lived token that GET /api/v1/events accepts as ?token= or as the cookie below. Tokens are
+// "<expiry>.<hmac>" signed with a key derived from MY_API_KEY: any worker can check them, and rotating
+// the API key revokes them.
+const EVENT_STREAM_TOKEN_COOKIE = 'truesip_events_token';
+
+const signEventStreamToken = (expiresAt) => crypto
+    .createHmac('sha256', `event-stream-token:${process.env.MY_API_KEY}`)
+    .update(String(expiresAt))
+    .digest('base64url');
+
+function issueEventStreamToken() {
+    const expiresAt = Math.floor(Date.now() / 1000) + eventStreamConfig.tokenTtlSec;
+    return { token: `${expiresAt}.${signEventStreamToken(expiresAt)}`, expiresAt };
+}
+
+function isValidEventStreamToken(token) {
+    if (typeof token !== 'string' || !process.env.MY_API_KEY) return false;
+    const [expiresAt, signature] = token.split('.');
+    if (!/^\d+$/.test(expiresAt) || !signature || Number(expiresAt) < Date.now() / 1000) return false;
+    return safeEqual(signature, signEventStreamToken(expiresAt));
+}
+
+// Reads one cookie from the Cookie header (no cookie parser is installed)
+const readCookie = (req, name) => {
+    for (const pair of (req.headers.cookie || '').split(';')) {
+        const index = pair.indexOf('=');
+        if (index > 0 && pair.slice(0, index).trim() === name) {
+            return decodeURIComponent(pair.slice(index + 1).trim());
+        }
+    }
+    return null;
+};
+
+// The API key header, or an event stream token from the query string or cookie
+const eventStreamAuth = (req, res, next) => {
+    if (req.headers['x-api-key']) {
+        return apiKeyAuth(req, res, next);
+    }
+    const token = typeof req.query.token === 'string' ? req.query.token : readCookie(req, EVENT_STREAM_TOKEN_COOKIE);
+    if (!isValidEventStreamToken(token)) {
+        req.log.warn({ ip: req.ip }, 'Unauthorized event stream attempt');
+        return res.status(401).json({ error: 'Unauthorized. Invalid, expired or missing API Key or event stream token.' });
+    }
+    next();
+};
+
+// --- Webhook Signature Verification ---
+const webhookVerificationConfig = {
+    skip: process.env.SKIP_WEBHOOK_VERIFICATION === 'true',
+    toleranceSec: parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SEC) || 300
+};
+if (webhookVerificationConfig.skip) {
+    logger.warn('Webhook signature verification disabled (SKIP_WEBHOOK_VERIFICATION=true)');
+}
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// The URL the provider signed: our public address when one is configured, otherwise what we were reached on
+const getSignedUrl = (req) => `${publicBaseUrl || `${req.protocol}://${req.get('host')}`}${req.originalUrl}`;
+
+const isFreshTimestamp = (timestampSec) => {
+    const timestamp = Number(timestampSec);
+    return Number.isFinite(timestamp) && Math.abs(Date.now() / 1000 - timestamp) <= webhookVerificationConfig.toleranceSec;
+};
+
+const verifySharedToken = (req) => {
+    if (!process.env.WEBHOOK_SHARED_SECRET) return 'WEBHOOK_SHARED_SECRET is not configured';
+    return safeEqual(req.query.token || '', process.env.WEBHOOK_SHARED_SECRET) ? null : 'webhook token mismatch';
+};
+
+// Each verifier returns null when the request is authentic, otherwise the reason it was rejected
+const WEBHOOK_VERIFIERS = {
+    // HMAC-SHA1 over the full URL followed by every POST parameter, sorted by name
+    twilio: (req) => {
+        const signature = req.get('x-twilio-signature');
+        if (!process.env.TWILIO_AUTH_TOKEN) return 'TWILIO_AUTH_TOKEN is not configured';
+        if (!signature) return 'missing X-Twilio-Signature header';
+
+        const params = req.method === 'POST' && req.is('application/x-www-form-urlencoded') ? req.body : {};
+        const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], getSignedUrl(req));
+        const expected = crypto.createHmac('sha1', process.env.TWILIO_AUTH_TOKEN).update(data, 'utf8').digest('base64');
+        return safeEqual(signature, expected) ? null : 'X-Twilio-Signature mismatch';
+    },
+
+    // ed25519 over "timestamp|body" with the account's public key
+    telnyx: (req) => {
+        const signature = req.get('telnyx-signature-ed25519');
+        const timestamp = req.get('telnyx-timestamp');
+        if (!process.env.TELNYX_PUBLIC_KEY) return 'TELNYX_PUBLIC_KEY is not configured';
+        if (!signature || !timestamp) return 'missing telnyx-signature-ed25519 or telnyx-timestamp header';
+        if (!isFreshTimestamp(timestamp)) return 'telnyx-timestamp outside tolerance';
+
+        try {
+            // Telnyx publishes the raw 32-byte key; wrap it in the SPKI prefix Node expects
+            const publicKey = crypto.createPublicKey({
+                key: Buffer.concat([Buffer.from('302a300506032b6570032100', 'hex'), Buffer.from(process.env.TELNYX_PUBLIC_KEY, 'base64')]),
+                format: 'der',
+                type: 'spki'
+            });
+            const payload = Buffer.concat([Buffer.from(`${timestamp}|`), req.rawBody || Buffer.alloc(0)]);
+            return crypto.verify(null, payload, publicKey, Buffer.from(signature, 'base64')) ? null : 'telnyx-signature-ed25519 mismatch';
+        } catch (error) {
+            return `telnyx-signature-ed25519 could not be verified: ${error.message}`;
+        }
+    },
+
+    // HS256 JWT in the Authorization header, carrying a SHA-256 hash of the body
+    vonage: (req) => {
+        const authorization = req.get('authorization') || '';
+        if (!process.env.VONAGE_SIGNATURE_SECRET) return 'VONAGE_SIGNATURE_SECRET is not configured';
+        if (!authorization.startsWith('Bearer ')) return 'missing bearer token';
+
+        const [header, payload, signature] = authorization.slice(7).split('.');
+        if (!header || !payload || !signature) return 'malformed JWT';
+        const expected = crypto.createHmac('sha256', process.env.VONAGE_SIGNATURE_SECRET).update(`${header}.${payload}`).digest('base64url');
+        if (!safeEqual(signature, expected)) return 'JWT signature mismatch';
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return 'malformed JWT payload';
+        }
+        if (claims.exp && Date.now() / 1000 > claims.exp) return 'JWT expired';
+        if (claims.iat && !isFreshTimestamp(claims.iat)) return 'JWT iat outside tolerance';
+        if (claims.payload_hash) {
+            const bodyHash = crypto.createHash('sha256').update(req.rawBody || Buffer.alloc(0)).digest('hex');
+            if (!safeEqual(claims.payload_hash, bodyHash)) return 'JWT payload_hash does not match body';
+        }
+        return null;
+    },
+
+    // HMAC-SHA256 over "URL + sorted POST params" and the nonce; the header may list several signatures
+    plivo: (req) => {
+        const signatures = req.get('x-plivo-signature-v3');
+        const nonce = req.get('x-plivo-signature-v3-nonce');
+        if (!process.env.PLIVO_AUTH_TOKEN) return 'PLIVO_AUTH_TOKEN is not configured';
+        if (!signatures || !nonce) return 'missing X-Plivo-Signature-V3 or nonce header';
+
+        const params = req.method === 'POST' && req.is('application/x-www-form-urlencoded') ? req.body : {};
+        const url = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], getSignedUrl(req));
+        const expected = crypto.createHmac('sha256', process.env.PLIVO_AUTH_TOKEN).update(`${url}.${nonce}`).digest('base64');
+        return signatures.split(',').some(signature => safeEqual(signature.trim(), expected)) ? null : 'X-Plivo-Signature-V3 mismatch';
+    },
+
+    // Same application signing scheme Sinch uses for our API requests, applied to the callback
+    sinch: (req) => {
+        const authorization = req.get('authorization') || '';
+        const timestamp = req.get('x-timestamp');
+        if (!process.env.SINCH_APPLICATION_KEY || !process.env.SINCH_APPLICATION_SECRET) return 'Sinch application credentials are not configured';
+        if (!authorization.startsWith('Application ') || !timestamp) return 'missing Application authorization or x-timestamp header';
+
+        const [applicationKey, signature] = authorization.slice(12).split(':');
+        if (applicationKey !== process.env.SINCH_APPLICATION_KEY) return 'unknown Sinch application key';
+        const timestampMs = Date.parse(timestamp);
+        if (Number.isNaN(timestampMs) || !isFreshTimestamp(timestampMs / 1000)) return 'x-timestamp outside tolerance';
+
+        const contentMd5 = crypto.createHash('md5').update(req.rawBody || Buffer.alloc(0)).digest('base64');
+        const stringToSign = `${req.method}\n${contentMd5}\n${req.get('content-type') || ''}\nx-timestamp:${timestamp}\n${req.originalUrl.split('?')[0]}`;
+        const expected = crypto.createHmac('sha256', Buffer.from(process.env.SINCH_APPLICATION_SECRET, 'base64')).update(stringToSign, 'utf8').digest('base64');
+        return safeEqual(signature || '', expected) ? null : 'Sinch signature mismatch';
+    },
+
+    // EnableX, Wavix and Infobip do not sign callbacks, so their URLs carry a shared secret instead
+    enablex: (req) => verifySharedToken(req),
+    wavix: (req) => verifySharedToken(req),
+    infobip: (req) => verifySharedToken(req)
+};
+
+/**
+ * Rejects provider callbacks that fail their provider's signature check.
+ * Mounted on /webhook (provider taken from the path) and on provider-specific
+ * callback paths such as /twiml with a fixed provider.
+ */
+const verifyWebhookSignature = (fixedProvider) => (req, res, next) => {
+    if (webhookVerificationConfig.skip) {
+        return next();
+    }
+
+    // Express matches routes case-insensitively, so /webhook/Telnyx must be checked as telnyx
+    const providerName = fixedProvider || req.path.split('/')[1].toLowerCase();
+    const verifier = Object.prototype.hasOwnProperty.call(WEBHOOK_VERIFIERS, providerName) ? WEBHOOK_VERIFIERS[providerName] : null;
+    if (!verifier) {
+        // Every callback route has a verifier; anything else under /webhook is not ours to serve
+        return res.status(404).json({ 
+            error: 'Not found', 
+            details: 'No webhook is served for this provider.' 
+        });
+    }
+
+    const reason = verifier(req);
+    if (reason) {
+        req.log.warn({
+            securityEvent: 'webhook_signature_rejected',
+            provider: providerName,
+            reason,
+            ip: req.ip,
+            path: req.originalUrl.split('?')[0]
+        }, 'Rejected webhook with invalid signature');
+        return res.status(401).json({ 
+            error: 'Unauthorized', 
+            details: 'Webhook signature verification failed.' 
+        });
     }
     next();
 };
@@ -2347,7 +6530,9 @@ async function analyzeContent(text, logger) {
 }
 
 // --- Helper Function for Audio Processing (optimized with streaming) ---
-async function processAudioFile(audioUrl, logger) {
+// Transcribes audio the route has already downloaded (see probeMediaSource)
+async function processAudioFile({ buffer, hints }, logger) {
+    const audioUrl = hints.url;
     const speechApiKey = process.env.GOOGLE_SPEECH_API_KEY;
     if (!speechApiKey) {
         logger.debug('Google Speech API key not found, skipping audio transcription.');
@@ -2365,27 +6550,18 @@ async function processAudioFile(audioUrl, logger) {
     try {
         logger.debug(`Processing audio from URL: ${audioUrl}`);
         
-        // Download with stricter limits for high-scale
-        const audioResponse = await axios.get(audioUrl, { 
-            responseType: 'arraybuffer',
-            maxContentLength: 5 * 1024 * 1024, // Reduced to 5MB for better memory management
-            timeout: 15000, // Reduced timeout
-            maxRedirects: 3
-        });
-        
-        // Process in chunks to avoid memory issues
-        const audioData = audioResponse.data;
-        if (audioData.length > 5 * 1024 * 1024) {
+        // Stricter limit than playback for better memory management
+        if (buffer.length > 5 * 1024 * 1024) {
             throw new Error('Audio file too large for processing');
         }
         
-        const audioBytes = Buffer.from(audioData).toString('base64');
+        const audioBytes = buffer.toString('base64');
         logger.debug('Transcribing audio...');
         
         const speechApiUrl = 'https://speech.googleapis.com/v1/speech:recognize';
         
         // Auto-detect format
-        const contentType = audioResponse.headers['content-type'] || '';
+        const contentType = hints.contentType || '';
         let encoding = 'LINEAR16';
         let sampleRate = 16000;
         
@@ -2432,6 +6608,374 @@ async function processAudioFile(audioUrl, logger) {
     }
 }
 
+// --- Least-Cost Routing ---
+/**
+ * Per-provider, per-prefix call rates loaded from RATE_TABLE_PATH.
+ * CSV: `provider,prefix,rate[,currency]` (header optional, # comments allowed)
+ * JSON: `[{ "provider": "telnyx", "prefix": "1212", "rate": 0.004, "currency": "USD" }]`
+ *       or `{ "telnyx": { "1": 0.005, "1212": 0.004 } }`
+ */
+class RateTable {
+    constructor() {
+        this.rates = new Map(); // provider -> Map(prefix -> { rate, currency })
+        this.currency = null;
+        this.source = null;
+        this.loadedAt = null;
+        this.entryCount = 0;
+    }
+
+    load(filePath) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        const entries = filePath.toLowerCase().endsWith('.json') ? this.parseJSON(raw) : this.parseCSV(raw);
+
+        const rates = new Map();
+        const currencies = new Set();
+        let entryCount = 0;
+        entries.forEach(({ provider, prefix, rate, currency }) => {
+            const providerName = String(provider || '').trim().toLowerCase();
+            const cleanPrefix = String(prefix || '').replace(/[^\d]/g, '');
+            const numericRate = parseFloat(rate);
+            if (!PROVIDER_REQUIRED_ENV[providerName] || !cleanPrefix || !Number.isFinite(numericRate) || numericRate < 0) {
+                logger.warn({ provider, prefix, rate }, 'Skipping invalid rate table entry');
+                return;
+            }
+            const currencyCode = String(currency || 'USD').trim().toUpperCase();
+            currencies.add(currencyCode);
+            if (!rates.has(providerName)) rates.set(providerName, new Map());
+            rates.get(providerName).set(cleanPrefix, { rate: numericRate, currency: currencyCode });
+            entryCount++;
+        });
+
+        // Rates are compared as plain numbers, so they must all be in one currency
+        if (currencies.size > 1) {
+            throw new Error(`Rate table mixes currencies (${Array.from(currencies).join(', ')}); convert every rate to one currency`);
+        }
+
+        this.rates = rates;
+        this.currency = currencies.size === 1 ? currencies.values().next().value : null;
+        this.entryCount = entryCount;
+        this.source = filePath;
+        this.loadedAt = new Date().toISOString();
+        logger.info({ source: filePath, entries: entryCount, providers: Array.from(rates.keys()) }, 'Rate table loaded');
+    }
+
+    parseJSON(raw) {
+        const data = JSON.parse(raw);
+        if (Array.isArray(data)) {
+            return data;
+        }
+        return Object.entries(data).flatMap(([provider, prefixes]) =>
+            Object.entries(prefixes).map(([prefix, rate]) => ({ provider, prefix, rate }))
+        );
+    }
+
+    parseCSV(raw) {
+        return raw.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => line.split(',').map(field => field.trim()))
+            .filter(([provider, , rate]) => provider.toLowerCase() !== 'provider' && rate !== undefined)
+            .map(([provider, prefix, rate, currency]) => ({ provider, prefix, rate, currency }));
+    }
+
+    get size() {
+        return this.entryCount;
+    }
+
+    // Longest-prefix match of an E.164 number against one provider's rates
+    lookup(providerName, number) {
+        const prefixes = this.rates.get(providerName);
+        if (!prefixes) return null;
+
+        const digits = number.replace(/[^\d]/g, '');
+        for (let length = digits.length; length > 0; length--) {
+            const prefix = digits.substring(0, length);
+            const match = prefixes.get(prefix);
+            if (match) {
+                return { prefix, ...match };
+            }
+        }
+        return null;
+    }
+
+    getStatus() {
+        return {
+            source: this.source,
+            loadedAt: this.loadedAt,
+            entries: this.entryCount,
+            currency: this.currency,
+            providers: Object.fromEntries(Array.from(this.rates.entries()).map(([name, prefixes]) => [name.toUpperCase(), prefixes.size]))
+        };
+    }
+}
+
+const routingStrategy = (process.env.ROUTING_STRATEGY || 'priority').toLowerCase(); // priority, least_cost
+const rateTable = new RateTable();
+
+if (process.env.RATE_TABLE_PATH) {
+    try {
+        rateTable.load(process.env.RATE_TABLE_PATH);
+    } catch (error) {
+        logger.error({ error: error.message, source: process.env.RATE_TABLE_PATH }, 'Failed to load rate table, least-cost routing disabled');
+    }
+}
+
+const buildRouteCandidate = (name, to) => {
+    const breaker = providerRegistry.getBreaker(name);
+    return {
+        provider: name.toUpperCase(),
+        name,
+        chainPosition: providerChain.includes(name) ? providerChain.indexOf(name) : providerChain.length,
+        rate: rateTable.lookup(name, to),
+        breakerState: breaker.state,
+        // An open breaker past its cooldown admits a probe call, so it still counts as available
+        available: breaker.canRequest()
+    };
+};
+
+/**
+ * Orders the providers for a destination by PROVIDER_CHAIN or, with least-cost routing, by price.
+ * The cheapest priced provider goes first; providers without a rate for the destination
+ * keep their chain order after the priced ones.
+ */
+function planBaseRoute(to) {
+    const candidates = providerChain.map(name => buildRouteCandidate(name, to));
+
+    if (routingStrategy !== 'least_cost' || rateTable.size === 0) {
+        return {
+            strategy: 'priority',
+            providers: candidates.map(candidate => candidate.name),
+            candidates,
+            reason: 'Providers are tried in PROVIDER_CHAIN order.'
+        };
+    }
+
+    const priced = candidates.filter(candidate => candidate.rate)
+        .sort((a, b) => a.rate.rate - b.rate.rate || a.chainPosition - b.chainPosition);
+    const unpriced = candidates.filter(candidate => !candidate.rate);
+    const ordered = [...priced, ...unpriced];
+
+    const selected = ordered.find(candidate => candidate.available);
+    let reason;
+    if (!selected) {
+        reason = 'Every configured provider is currently unavailable (circuit open).';
+    } else if (selected.rate) {
+        const skipped = ordered.slice(0, ordered.indexOf(selected)).map(candidate => candidate.provider);
+        reason = `${selected.provider} has the lowest available rate (${selected.rate.rate} ${selected.rate.currency}/min) ` +
+            `for prefix ${selected.rate.prefix}` + (skipped.length ? `; skipped unavailable ${skipped.join(', ')}.` : '.');
+    } else {
+        reason = `No provider has a rate for this destination; falling back to chain order (${selected.provider}).`;
+    }
+
+    return {
+        strategy: 'least_cost',
+        providers: ordered.map(candidate => candidate.name),
+        candidates: ordered,
+        reason
+    };
+}
+
+// Weighted A/B split across providers, e.g. TRAFFIC_SPLIT=telnyx:70,plivo:30
+const parseTrafficSplit = (value) => {
+    if (!value) return [];
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).reduce((split, entry) => {
+        const [name, weight] = entry.split(':').map(part => part.trim());
+        const providerName = (name || '').toLowerCase();
+        const numericWeight = parseFloat(weight);
+        if (!providerRegistry.has(providerName) || !Number.isFinite(numericWeight) || numericWeight <= 0) {
+            logger.error({ entry }, 'Ignoring TRAFFIC_SPLIT entry: provider must be configured with a positive weight');
+            return split;
+        }
+        split.push({ name: providerName, weight: numericWeight, selections: 0 });
+        return split;
+    }, []);
+};
+
+const trafficSplit = parseTrafficSplit(process.env.TRAFFIC_SPLIT);
+
+// Weighted random pick among split members whose breaker is not open
+const pickWeightedProvider = (availableNames) => {
+    const eligible = trafficSplit.filter(entry => availableNames.includes(entry.name));
+    const totalWeight = eligible.reduce((sum, entry) => sum + entry.weight, 0);
+    if (totalWeight === 0) return null;
+
+    let roll = Math.random() * totalWeight;
+    for (const entry of eligible) {
+        roll -= entry.weight;
+        if (roll < 0) return { entry, share: entry.weight / totalWeight };
+    }
+    const last = eligible[eligible.length - 1];
+    return { entry: last, share: last.weight / totalWeight };
+};
+
+const getTrafficSplitStatus = () => {
+    const totalWeight = trafficSplit.reduce((sum, entry) => sum + entry.weight, 0);
+    return trafficSplit.map(entry => ({
+        provider: entry.name.toUpperCase(),
+        weight: entry.weight,
+        share: Math.round((entry.weight / totalWeight) * 1000) / 10,
+        selections: entry.selections
+    }));
+};
+
+/**
+ * Decides the order in which providers are tried for a call.
+ * A caller-requested provider wins outright; otherwise a configured weighted split picks the
+ * first provider and the base route (chain or least-cost order) supplies the failover tail.
+ * @param {string} to - E.164 destination
+ * @param {object} [options]
+ * @param {string} [options.provider] - Provider forced by the caller
+ * @param {boolean} [options.dryRun] - Do not count the pick against the split statistics
+ */
+function planRoute(to, options = {}) {
+    const base = planBaseRoute(to);
+
+    if (options.provider) {
+        const requested = buildRouteCandidate(options.provider, to);
+        return {
+            strategy: 'override',
+            providers: [requested.name],
+            candidates: [requested],
+            reason: `Caller requested ${options.provider.toUpperCase()}; failover is disabled for this call.`
+        };
+    }
+
+    if (trafficSplit.length > 0) {
+        const availableNames = trafficSplit.map(entry => buildRouteCandidate(entry.name, to))
+            .filter(candidate => candidate.available).map(candidate => candidate.name);
+        const pick = pickWeightedProvider(availableNames);
+        if (pick) {
+            if (!options.dryRun) pick.entry.selections++;
+            const first = buildRouteCandidate(pick.entry.name, to);
+            const rest = base.candidates.filter(candidate => candidate.name !== pick.entry.name);
+            return {
+                strategy: 'weighted',
+                providers: [first, ...rest].map(candidate => candidate.name),
+                candidates: [first, ...rest],
+                reason: `${first.provider} selected by weighted split (${Math.round(pick.share * 100)}% of available traffic); ` +
+                    `failover follows ${base.strategy} order.`
+            };
+        }
+    }
+
+    return base;
+}
+
+// --- Provider Failover ---
+const SIP_TTS_UNAVAILABLE_MESSAGE = 'Text-to-speech is not configured for SIP calls (set TTS_HTTP_URL)';
+
+// Why a provider cannot take this call at all (so it is skipped rather than tried), or null
+const providerUnsupportedReason = (providerName, body) => {
+    if (providerName === 'sip' && body.text && !ttsEngine) return 'tts_not_configured';
+    return null;
+};
+
+const buildProviderCallOptions = (providerName, body, decodedAudio = null) => {
+    const options = {
+        isText: !!body.text,
+        voice: body.voice || 'female', // Pass voice from request or default
+        language: body.language || 'en-US', // Pass language from request or default
+        // IVR options for providers that support it in the initial call
+        transferTo: body.transferToNumber,
+        dtmfDigit: body.dtmfTransferDigit
+    };
+    if (providerName === 'sip') {
+        options.voice = body.voice || ttsConfig.defaultVoice;
+        options.audioSource = decodedAudio; // Already decoded by the call route, when it has an audioUrl
+    }
+    if (providerName === 'wavix') {
+        options.voice = WavixClient.resolveVoice(body.voice);
+    }
+    return options;
+};
+
+/**
+ * Tries each provider in order, moving to the next one only when the failure is retryable.
+ * @returns {Promise<{result: object|null, provider: string|null, attempts: object[], error: Error|null}>}
+ */
+async function placeCallWithFailover(chain, to, callerId, audioContent, body, log, statusCallback = null, decodedAudio = null) {
+    const attempts = [];
+    let lastError = null;
+    let lastProvider = null;
+
+    for (const providerName of chain) {
+        const client = providerRegistry.getClient(providerName);
+        const breaker = providerRegistry.getBreaker(providerName);
+        if (!client) continue;
+
+        const label = providerName.toUpperCase();
+
+        // A provider that cannot speak this call is passed over without touching its breaker
+        const unsupported = providerUnsupportedReason(providerName, body);
+        if (unsupported) {
+            attempts.push({ provider: label, success: false, skipped: true, reason: unsupported, breakerState: breaker.state });
+            log.warn({ to, provider: label, reason: unsupported }, `${label} cannot place this call, skipping provider`);
+            lastError = lastError || providerCallError(label, Object.assign(new Error(SIP_TTS_UNAVAILABLE_MESSAGE), { retryable: false }));
+            continue;
+        }
+
+        // Providers with a tripped breaker are skipped without spending a request on them
+        if (!breaker.canRequest()) {
+            attempts.push({ provider: label, success: false, skipped: true, reason: 'circuit_open', breakerState: breaker.state });
+            log.warn({ to, provider: label }, `${label} circuit breaker is open, skipping provider`);
+            continue;
+        }
+
+        const startedAt = Date.now();
+        lastProvider = label;
+
+        try {
+            log.info({ to, provider: label, attempt: attempts.length + 1 }, `Routing call via ${label}`);
+            const result = await breaker.execute(
+                () => client.makeCall(to, callerId, audioContent, buildProviderCallOptions(providerName, body, decodedAudio))
+            );
+
+            attempts.push({ provider: label, success: true, durationMs: Date.now() - startedAt });
+            await trackCall(result.callId, providerName, { to, from: callerId, statusCallback });
+            log.info({ callId: result.callId, to }, `${label} call initiated successfully`);
+            return { result, provider: label, attempts, error: null };
+
+        } catch (error) {
+            const retryable = isRetryableProviderError(error);
+            attempts.push({
+                provider: label,
+                success: false,
+                durationMs: Date.now() - startedAt,
+                error: error.message,
+                statusCode: error.statusCode,
+                retryable,
+                breakerState: breaker.state
+            });
+            lastError = error;
+
+            if (!retryable) {
+                log.warn({ to, provider: label, error: error.message }, `${label} rejected the call, not failing over`);
+                break;
+            }
+            log.warn({ to, provider: label, error: error.message }, `${label} call failed, trying next provider`);
+        }
+    }
+
+    return { result: null, provider: lastProvider, attempts, error: lastError };
+}
+
+// Upstream statuses that describe our account with the provider rather than the caller's request:
+// a 401 passed through would tell the client its own API key is wrong
+const UPSTREAM_STATUS_MAP = { 401: 502, 402: 502, 403: 502, 407: 502, 408: 504, 429: 503 };
+
+/**
+ * Picks the HTTP status for a call no provider accepted. Rejections of the call itself (bad
+ * number, unsupported audio) keep the provider's 4xx; SIP response codes are not HTTP statuses,
+ * so a SIP failure stays a 500.
+ * @returns {{ statusCode: number, upstreamStatus: number|null }}
+ */
+function callFailureStatus(callError) {
+    const upstreamStatus = callError && callError.provider !== 'SIP' && callError.statusCode >= 400 && callError.statusCode < 600
+        ? callError.statusCode
+        : null;
+    if (!upstreamStatus) return { statusCode: 500, upstreamStatus: null };
+    return { statusCode: UPSTREAM_STATUS_MAP[upstreamStatus] || upstreamStatus, upstreamStatus };
+}
 
 // --- API Routes ---
 
@@ -2441,7 +6985,7 @@ async function processAudioFile(audioUrl, logger) {
  * @access  Private (Requires API Key)
  */
 app.post('/api/v1/call/tts', apiKeyAuth, heavyLimiter, async (req, res) => {
-    const { to, text, from, audioUrl, transferToNumber, dtmfTransferDigit } = req.body;
+    const { to, text, from, audioUrl, transferToNumber, dtmfTransferDigit, provider: requestedProvider } = req.body;
 
     // Input validation
     if (!to || (!text && !audioUrl)) {
@@ -2505,12 +7049,53 @@ app.post('/api/v1/call/tts', apiKeyAuth, heavyLimiter, async (req, res) => {
             details: 'IVR call transfers cannot be used with an audioUrl. Please use `text` for the prompt.' 
         });
     }
+    
+    // Validate provider override
+    if (requestedProvider !== undefined && (typeof requestedProvider !== 'string' || !providerRegistry.has(requestedProvider.toLowerCase()))) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: `Unknown or unconfigured provider. Configured providers: ${providerRegistry.configuredNames().join(', ')}.` 
+        });
+    }
+    
+    // A forced provider gets no failover, so one that cannot place this call is a bad request
+    if (requestedProvider !== undefined && providerUnsupportedReason(requestedProvider.toLowerCase(), req.body) === 'tts_not_configured') {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: `${SIP_TTS_UNAVAILABLE_MESSAGE}; send an \`audioUrl\` or choose another provider.` 
+        });
+    }
+    
+    // Validate status callback subscription
+    const { subscription: statusCallback, error: statusCallbackError } = await parseStatusCallback(req.body);
+    if (statusCallbackError) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: statusCallbackError 
+        });
+    }
+
+    // Check the audio's headers before anything else, so an unsupported or oversized file fails
+    // the request instead of the call
+    let audioSource = null;
+    if (audioUrl) {
+        try {
+            audioSource = await probeMediaSource(audioUrl);
+            req.log.debug({ format: audioSource.format, sampleRate: audioSource.sampleRate, channels: audioSource.channels }, 'Audio source probed');
+        } catch (error) {
+            req.log.warn({ audioUrl, error: error.message }, 'Audio source rejected');
+            return res.status(400).json({ 
+                error: error.invalidAudio ? 'Invalid audio file' : 'Audio download failed', 
+                details: error.message 
+            });
+        }
+    }
 
     let messageContent = text;
 
     // --- AUDIO TRANSCRIPTION & ANALYSIS ---
     if (audioUrl) {
-        const audioResult = await processAudioFile(audioUrl, req.log);
+        const audioResult = await processAudioFile(audioSource, req.log);
         if (!audioResult.success) {
             return res.status(500).json({ 
                 error: 'Audio processing failed', 
@@ -2540,6 +7125,7 @@ app.post('/api/v1/call/tts', apiKeyAuth, heavyLimiter, async (req, res) => {
     // Check blocked numbers
     if (toNumber && blocklist.has(toNumber)) {
         req.log.warn({ to: toNumber, ip: req.ip }, 'Blocked number call attempt');
+        publishCallEvent('blocked', { to, from: from || process.env.DEFAULT_CALLER_ID, statusCallback }, { reason: 'blocked_number' });
         return res.status(403).json({ 
             error: 'Call blocked', 
             details: 'This number is on the security blocklist and cannot be called.',
@@ -2558,6 +7144,7 @@ app.post('/api/v1/call/tts', apiKeyAuth, heavyLimiter, async (req, res) => {
                 blockedWord: blockedWord,
                 textLength: textContent.length 
             }, 'Blocked word in call content');
+            publishCallEvent('blocked', { to, from: from || process.env.DEFAULT_CALLER_ID, statusCallback }, { reason: 'blocked_content' });
             return res.status(403).json({ 
                 error: 'Call blocked', 
                 details: 'The message content contains blocked words/phrases and cannot be sent.',
@@ -2568,190 +7155,459 @@ app.post('/api/v1/call/tts', apiKeyAuth, heavyLimiter, async (req, res) => {
     }
     
     const callerId = from || process.env.DEFAULT_CALLER_ID;
+    const audioContent = text || audioUrl;
+    
+    // Order the providers for this destination, then walk them until one accepts the call
+    const route = planRoute(to, { provider: requestedProvider && requestedProvider.toLowerCase() });
     
-    // Route to VoIP service if enabled, then SIP, then Infobip
-    if (useVoIP && voipClient) {
+    // Every other provider fetches the URL itself; only SIP plays the samples, so the file is
+    // fully decoded (off this thread) just when SIP may take the call
+    let decodedAudio = null;
+    if (audioSource && route.providers.includes('sip')) {
         try {
-            req.log.info({ to, provider: voipProvider.toUpperCase() }, `Routing call via ${voipProvider.toUpperCase()}`);
-            
-            const voipOptions = {
-                isText: !!text,
-                voice: req.body.voice || 'female', // Pass voice from request or default
-                language: req.body.language || 'en-US', // Pass language from request or default
-                // IVR options for providers that support it in the initial call
-                transferTo: transferToNumber,
-                dtmfDigit: dtmfTransferDigit
-            };
-            
-            const audioContent = text || audioUrl;
-            const voipResult = await voipClient.makeCall(to, callerId, audioContent, voipOptions);
-            
-            req.log.info({ callId: voipResult.callId, to }, `${voipProvider.toUpperCase()} call initiated successfully`);
-            return res.status(200).json({
-                message: `Call initiated successfully via ${voipProvider.toUpperCase()}.`,
-                provider: voipProvider.toUpperCase(),
-                tracking: voipResult.tracking,
-                processedBy: `worker-${process.pid}`
-            });
-            
-        } catch (voipError) {
-            req.log.error({ to, error: voipError.message }, `${voipProvider.toUpperCase()} call failed`);
-            return res.status(500).json({
-                error: `${voipProvider.toUpperCase()} call failed`,
-                details: voipError.message,
-                provider: voipProvider.toUpperCase()
+            decodedAudio = await decodeMediaSource(audioSource);
+            req.log.debug({ format: decodedAudio.format, durationSec: decodedAudio.durationSec }, 'Audio source decoded');
+        } catch (error) {
+            req.log.warn({ audioUrl, error: error.message }, 'Audio source failed to decode');
+            return res.status(error.invalidAudio ? 400 : 500).json({ 
+                error: error.invalidAudio ? 'Invalid audio file' : 'Audio decoding failed', 
+                details: error.message 
             });
         }
-    } else if (useSip && sipClient) {
-        try {
-            req.log.info({ to, provider: 'SIP' }, 'Routing call via SIP');
-            
-            const sipOptions = {
-                isText: !!text,
-                voice: 'en-US-AriaNeural',
-                transferTo: transferToNumber,
-                dtmfDigit: dtmfTransferDigit
-            };
-            
-            const audioContent = text || audioUrl;
-            const sipResult = await sipClient.makeCall(to, callerId, audioContent, sipOptions);
-            
-            req.log.info({ callId: sipResult.callId, to }, 'SIP call initiated successfully');
-            return res.status(200).json({
-                message: 'Call initiated successfully via SIP.',
-                provider: 'SIP',
-                tracking: sipResult.tracking,
-                processedBy: `worker-${process.pid}`
-            });
-            
-        } catch (sipError) {
-            req.log.error({ to, error: sipError.message }, 'SIP call failed');
-            return res.status(500).json({
-                error: 'SIP call failed',
-                details: sipError.message,
-                provider: 'SIP'
-            });
+    }
+    
+    const { result, provider, attempts, error: callError } = await placeCallWithFailover(
+        route.providers, to, callerId, audioContent, req.body, req.log, statusCallback, decodedAudio
+    );
+    const routing = { strategy: route.strategy, reason: route.reason };
+    
+    if (result) {
+        return res.status(200).json({
+            message: `Call initiated successfully via ${provider}.`,
+            provider,
+            tracking: result.tracking,
+            attempts,
+            routing,
+            statusCallback,
+            processedBy: `worker-${process.pid}`
+        });
+    }
+    
+    // Base the status on the last provider's so callers can tell a rejected number from an outage
+    const { statusCode, upstreamStatus } = callFailureStatus(callError);
+    req.log.error({ to, statusCode, upstreamStatus, attempts }, 'Call initiation failed on every provider');
+    publishCallEvent('failed', { to, from: callerId, status: CALL_STATUS.FAILED, statusCallback }, {
+        reason: 'initiation_failed',
+        attempts,
+        error: callError ? callError.message : null
+    });
+    res.status(statusCode).json({ 
+        error: 'Call initiation failed', 
+        details: callError ? callError.message : 'No provider is available to place the call.',
+        statusCode,
+        upstreamStatus,
+        provider,
+        attempts,
+        routing
+    });
+});
+
+/**
+ * @route   GET /api/v1/call/status/:bulkId
+ * @desc    Get the normalized status of a call from the provider that placed it
+ * @access  Private (Requires API Key)
+ */
+app.get('/api/v1/call/status/:bulkId', apiKeyAuth, async (req, res) => {
+    const { bulkId } = req.params;
+    
+    if (!bulkId || typeof bulkId !== 'string' || bulkId.trim().length === 0) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: 'Missing or invalid bulkId parameter.' 
+        });
+    }
+    
+    const callId = bulkId.trim();
+    const providerHint = typeof req.query.provider === 'string' ? req.query.provider.toLowerCase() : null;
+    const providerName = await resolveCallOwner(callId, providerHint);
+    
+    if (!providerName) {
+        return res.status(404).json({ 
+            error: 'Call not found', 
+            details: 'No configured provider owns this call ID.' 
+        });
+    }
+    
+    const label = providerName.toUpperCase();
+    req.log.info({ callId, provider: label }, 'Fetching call status');
+    const providerStatus = await providerRegistry.getClient(providerName).getCallStatus(callId);
+    
+    // Webhook-fed records survive after the provider stops answering for a call
+    const record = await findCallRecord(callId);
+    if (providerStatus.error) {
+        if (record) {
+            return res.status(200).json({ ...record, provider: label, lookupError: providerStatus.error });
         }
+        req.log.error({ callId, provider: label, error: providerStatus.error }, 'Failed to fetch call status');
+        const statusCode = providerStatus.statusCode || 404;
+        return res.status(statusCode).json({ 
+            error: 'Status retrieval failed', 
+            details: providerStatus.error,
+            provider: label,
+            statusCode
+        });
+    }
+    
+    if (record) {
+        const merged = await updateCallRecord(callId, providerStatus) || record;
+        return res.status(200).json({ ...merged, provider: label, providerData: providerStatus.providerData });
+    }
+    
+    res.status(200).json({ provider: label, ...providerStatus });
+});
+
+/**
+ * @route   DELETE /api/v1/call/:callId
+ * @desc    Hang up a ringing or live call on the provider that placed it
+ * @access  Private (Requires API Key)
+ */
+app.delete('/api/v1/call/:callId', apiKeyAuth, async (req, res) => {
+    const callId = req.params.callId.trim();
+    const providerHint = typeof req.query.provider === 'string' ? req.query.provider.toLowerCase() : null;
+    const providerName = await resolveCallOwner(callId, providerHint);
+
+    if (!providerName) {
+        return res.status(404).json({
+            error: 'Call not found',
+            details: 'No configured provider owns this call ID.'
+        });
+    }
+
+    const label = providerName.toUpperCase();
+    const record = await findCallRecord(callId);
+    if (record && TERMINAL_CALL_STATUSES.has(record.status)) {
+        return res.status(409).json({
+            error: 'Call already ended',
+            details: `Call is already ${record.status}.`,
+            provider: label,
+            status: record.status
+        });
+    }
+
+    req.log.info({ callId, provider: label }, 'Hanging up call');
+    try {
+        await hangupProviderCall(providerName, callId);
+    } catch (error) {
+        req.log.error({ callId, provider: label, error: error.message }, 'Call hangup failed');
+        const statusCode = [404, 501, 503].includes(error.statusCode) ? error.statusCode : 502;
+        return res.status(statusCode).json({
+            error: 'Call hangup failed',
+            details: error.message,
+            provider: label
+        });
+    }
+
+    // A call that never reached the callee was cancelled rather than completed
+    const finalStatus = record && record.timestamps.answered ? CALL_STATUS.COMPLETED : CALL_STATUS.CANCELED;
+    await updateCallRecord(callId, { status: finalStatus, hangupCause: 'HANGUP_REQUESTED' });
+
+    res.status(200).json({
+        message: 'Call hangup requested successfully.',
+        provider: label,
+        callId,
+        status: finalStatus
+    });
+});
+
+/**
+ * @route   GET /api/v1/providers
+ * @desc    List every supported provider with its configuration and health
+ * @access  Private (Requires API Key)
+ */
+app.get('/api/v1/providers', apiKeyAuth, (req, res) => {
+    const providers = Object.keys(PROVIDER_REQUIRED_ENV).map(name => providerRegistry.describe(name));
+
+    res.status(200).json({
+        totalProviders: providers.length,
+        configured: providers.filter(provider => provider.configured).length,
+        healthy: providers.filter(provider => provider.healthy).length,
+        providerChain: providerChain.map(name => name.toUpperCase()),
+        providers,
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * @route   POST /api/v1/tts/preview
+ * @desc    Render text with the SIP TTS engine and return it as an 8 kHz mono WAV
+ * @access  Private (Requires API Key)
+ */
+app.post('/api/v1/tts/preview', apiKeyAuth, heavyLimiter, async (req, res) => {
+    const { text, voice, language } = req.body;
+    
+    if (!ttsEngine) {
+        return res.status(503).json({ 
+            error: 'TTS not configured', 
+            details: 'Set TTS_HTTP_URL to enable text-to-speech rendering.' 
+        });
+    }
+    if (typeof text !== 'string' || text.trim().length === 0 || text.length > ttsConfig.maxTextLength) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: `\`text\` is required and must be at most ${ttsConfig.maxTextLength} characters.` 
+        });
+    }
+    if ((voice !== undefined && typeof voice !== 'string') || (language !== undefined && typeof language !== 'string')) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: '`voice` and `language` must be strings.' 
+        });
+    }
+    
+    try {
+        const { samples, cached } = await ttsEngine.render(text, {
+            voice: voice || ttsConfig.defaultVoice,
+            language: language || 'en-US'
+        });
+        req.log.info({ textLength: text.length, voice, cached, samples: samples.length }, 'TTS preview rendered');
+        res.status(200).set({
+            'Content-Type': 'audio/wav',
+            'X-TTS-Cache': cached ? 'hit' : 'miss',
+            'X-Audio-Duration': (samples.length / RTP_CLOCK_RATE).toFixed(2)
+        }).send(encodeWav(samples));
+    } catch (error) {
+        req.log.error({ error: error.message }, 'TTS preview failed');
+        res.status(502).json({ 
+            error: 'TTS rendering failed', 
+            details: error.message 
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/routing/quote
+ * @desc    Explain which provider a destination would be routed to and why
+ * @access  Private (Requires API Key)
+ */
+app.get('/api/v1/routing/quote', apiKeyAuth, (req, res) => {
+    const { to, provider } = req.query;
+    
+    if (!to || !isValidPhoneNumber(to)) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: 'Query parameter `to` must be a phone number in E.164 format.' 
+        });
     }
     
-    // Fallback to Infobip if SIP is not enabled
-    const infobipHeaders = { 'Authorization': `App ${process.env.INFOBIP_API_KEY}`, 'Content-Type': 'application/json', 'Accept': 'application/json' };
-    
-    let infobipApiUrl = `https://${process.env.INFOBIP_BASE_URL}/tts/3/advanced`;
-    let infobipPayload;
-
-    // --- Construct Payload based on call type ---
-    if (transferToNumber && dtmfTransferDigit) {
-        // IVR Call
-        console.log(`[INFO] Preparing IVR call to ${to}, transferring to ${transferToNumber} on digit ${dtmfTransferDigit}`);
-        infobipPayload = {
-            messages: [{
-                from: callerId,
-                destinations: [{ to }],
-                text: text, // IVR must use text
-                language: "en",
-                voice: { name: "Joanna", gender: "female" },
-                callTransfers: [{
-                    destination: { type: "PHONE", number: transferToNumber },
-                    dtmf: dtmfTransferDigit
-                }]
-            }]
-        };
+    if (provider && (typeof provider !== 'string' || !providerRegistry.has(provider.toLowerCase()))) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: `Unknown or unconfigured provider. Configured providers: ${providerRegistry.configuredNames().join(', ')}.` 
+        });
+    }
+    
+    const route = planRoute(to, { provider: provider && provider.toLowerCase(), dryRun: true });
+    const selected = route.candidates.find(candidate => candidate.available) || null;
+    
+    res.status(200).json({
+        to,
+        strategy: route.strategy,
+        selected: selected ? {
+            provider: selected.provider,
+            prefix: selected.rate ? selected.rate.prefix : null,
+            rate: selected.rate ? selected.rate.rate : null,
+            currency: selected.rate ? selected.rate.currency : null
+        } : null,
+        reason: route.reason,
+        candidates: route.candidates.map((candidate, index) => ({
+            rank: index + 1,
+            provider: candidate.provider,
+            prefix: candidate.rate ? candidate.rate.prefix : null,
+            rate: candidate.rate ? candidate.rate.rate : null,
+            currency: candidate.rate ? candidate.rate.currency : null,
+            breakerState: candidate.breakerState,
+            available: candidate.available
+        })),
+        timestamp: new Date().toISOString()
+    });
+});
 
-    } else if (audioUrl) {
-        // Simple Audio File Call
-        console.log(`[INFO] Preparing audio file call to ${to}`);
-        infobipPayload = { messages: [{ from: callerId, destinations: [{ to }], audioFileUrl: audioUrl }] };
+// Dead letters live in shared state; when it cannot be reached the routes answer 503
+function deadLetterStoreUnavailable(req, res, error) {
+    req.log.error({ error: error.message }, 'Dead letter store unavailable');
+    res.status(503).json({ 
+        error: 'Dead letters unavailable', 
+        details: 'The dead letter store could not be reached; try again shortly.' 
+    });
+}
 
-    } else {
-        // Simple TTS Call (using a different endpoint)
-        console.log(`[INFO] Preparing TTS call to ${to}`);
-        infobipApiUrl = `https://${process.env.INFOBIP_BASE_URL}/tts/3/single`;
-        infobipPayload = { from: callerId, to, text, language: 'en', voice: { name: "Joanna", gender: "female" } };
+/**
+ * @route   GET /api/v1/callbacks/dead-letters
+ * @desc    List status callbacks that exhausted their retries (optionally filtered by ?callId=)
+ * @access  Private (Requires API Key)
+ */
+app.get('/api/v1/callbacks/dead-letters', apiKeyAuth, async (req, res) => {
+    const callId = typeof req.query.callId === 'string' ? req.query.callId : undefined;
+    let entries;
+    try {
+        entries = await statusCallbacks.listDeadLetters({ callId });
+    } catch (error) {
+        return deadLetterStoreUnavailable(req, res, error);
+    }
+    res.status(200).json({
+        total: entries.length,
+        deadLetters: entries
+    });
+});
+
+/**
+ * @route   POST /api/v1/callbacks/dead-letters/replay
+ * @desc    Replay every dead-lettered status callback once
+ * @access  Private (Requires API Key)
+ */
+app.post('/api/v1/callbacks/dead-letters/replay', apiKeyAuth, async (req, res) => {
+    try {
+        const ids = (await statusCallbacks.listDeadLetters()).map(entry => entry.id);
+        let delivered = 0;
+        // One at a time so a struggling endpoint is not hit with the whole backlog at once
+        for (const id of ids) {
+            const result = await statusCallbacks.replay(id);
+            if (result && result.delivered) delivered++;
+        }
+        req.log.info({ replayed: ids.length, delivered }, 'Dead-lettered status callbacks replayed');
+        res.status(200).json({
+            replayed: ids.length,
+            delivered,
+            remaining: (await statusCallbacks.listDeadLetters()).length
+        });
+    } catch (error) {
+        deadLetterStoreUnavailable(req, res, error);
     }
+});
 
-    // --- Send Request to Infobip ---
+/**
+ * @route   POST /api/v1/callbacks/dead-letters/:id/replay
+ * @desc    Replay a single dead-lettered status callback
+ * @access  Private (Requires API Key)
+ */
+app.post('/api/v1/callbacks/dead-letters/:id/replay', apiKeyAuth, async (req, res) => {
+    let result;
     try {
-        req.log.info({ to }, 'Sending request to Infobip');
-        const infobipResponse = await axios.post(infobipApiUrl, infobipPayload, { 
-            headers: infobipHeaders,
-            timeout: 10000 // Shorter timeout for high-scale
+        result = await statusCallbacks.replay(req.params.id);
+    } catch (error) {
+        return deadLetterStoreUnavailable(req, res, error);
+    }
+    if (!result) {
+        return res.status(404).json({ 
+            error: 'Not found', 
+            details: `No dead-lettered callback with ID ${req.params.id}.` 
         });
-        
-        req.log.info({ to, bulkId: infobipResponse.data.bulkId }, 'Call initiated successfully');
-        res.status(200).json({ 
-            message: 'Call initiated successfully.', 
-            tracking: infobipResponse.data,
-            processedBy: `worker-${process.pid}`
+    }
+    if (!result.delivered) {
+        return res.status(502).json({ 
+            error: 'Replay failed', 
+            details: result.entry.lastError,
+            deadLetter: result.entry
         });
+    }
+    res.status(200).json({ delivered: true, deadLetter: result.entry });
+});
 
+/**
+ * @route   DELETE /api/v1/callbacks/dead-letters/:id
+ * @desc    Discard a dead-lettered status callback
+ * @access  Private (Requires API Key)
+ */
+app.delete('/api/v1/callbacks/dead-letters/:id', apiKeyAuth, async (req, res) => {
+    let removed;
+    try {
+        removed = await statusCallbacks.remove(req.params.id);
     } catch (error) {
-        const statusCode = error.response ? error.response.status : 500;
-        const errorMessage = error.response ? error.response.data : 'Internal Server Error';
-        req.log.error({ to, statusCode, error: errorMessage }, 'Failed to call Infobip');
-        res.status(statusCode).json({ 
-            error: 'Call initiation failed', 
-            details: 'Failed to initiate call via backend service.',
-            statusCode: statusCode
+        return deadLetterStoreUnavailable(req, res, error);
+    }
+    if (!removed) {
+        return res.status(404).json({ 
+            error: 'Not found', 
+            details: `No dead-lettered callback with ID ${req.params.id}.` 
         });
     }
+    res.status(204).end();
 });
 
 /**
- * @route   GET /api/v1/call/status/:bulkId
- * @desc    Get call status and reports for a specific bulk ID
+ * @route   POST /api/v1/events/token
+ * @desc    Issue a short-lived token for GET /api/v1/events, returned in the body and set as a cookie
  * @access  Private (Requires API Key)
  */
-app.get('/api/v1/call/status/:bulkId', apiKeyAuth, async (req, res) => {
-    const { bulkId } = req.params;
+app.post('/api/v1/events/token', apiKeyAuth, (req, res) => {
+    const { token, expiresAt } = issueEventStreamToken();
+    res.cookie(EVENT_STREAM_TOKEN_COOKIE, token, {
+        httpOnly: true,
+        secure: req.secure,
+        sameSite: 'strict',
+        path: '/api/v1/events',
+        maxAge: eventStreamConfig.tokenTtlSec * 1000
+    });
+    res.status(200).json({
+        token,
+        expiresAt: new Date(expiresAt * 1000).toISOString()
+    });
+});
+
+/**
+ * @route   GET /api/v1/events
+ * @desc    Server-Sent Events stream of call events, blocklist hits and breaker changes.
+ *          Filter with ?callId=a,b and ?events=answered,completed,breaker
+ * @access  Private (Requires API Key, or a token from POST /api/v1/events/token)
+ */
+app.get('/api/v1/events', eventStreamAuth, (req, res) => {
+    const callIds = parseListQuery(req.query.callId);
+    const eventTypes = parseListQuery(req.query.events);
     
-    if (!bulkId || typeof bulkId !== 'string' || bulkId.trim().length === 0) {
+    const unknown = eventTypes ? eventTypes.filter(type => !STREAM_EVENT_TYPES.includes(type)) : [];
+    if (unknown.length > 0 || (eventTypes && eventTypes.length === 0)) {
         return res.status(400).json({ 
             error: 'Validation failed', 
-            details: 'Missing or invalid bulkId parameter.' 
+            details: `Invalid \`events\` filter. Supported events: ${STREAM_EVENT_TYPES.join(', ')}.` 
         });
     }
-    
-    // Check if it's a SIP call first
-    if (useSip && sipClient) {
-        const sipStatus = sipClient.getCallStatus(bulkId);
-        if (!sipStatus.error) {
-            req.log.info({ callId: bulkId, provider: 'SIP' }, 'Retrieved SIP call status');
-            return res.status(200).json({
-                provider: 'SIP',
-                callId: bulkId,
-                ...sipStatus
-            });
-        }
+    if (eventStreamClients.size >= eventStreamConfig.maxClients) {
+        return res.status(503).json({ 
+            error: 'Too many event streams', 
+            details: `This worker already serves ${eventStreamConfig.maxClients} event streams.` 
+        });
     }
     
-    // Fallback to Infobip status check
-    const infobipHeaders = { 
-        'Authorization': `App ${process.env.INFOBIP_API_KEY}`, 
-        'Accept': 'application/json' 
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop Nginx from buffering the stream
+    });
+    // The compression middleware buffers writes; flush pushes each event out immediately
+    const write = (chunk) => {
+        res.write(chunk);
+        if (typeof res.flush === 'function') res.flush();
     };
-    const infobipReportsUrl = `https://${process.env.INFOBIP_BASE_URL}/tts/3/reports?bulkId=${encodeURIComponent(bulkId.trim())}`;
-
-    try {
-        req.log.info({ bulkId, provider: 'Infobip' }, 'Fetching call status');
-        const reportsResponse = await axios.get(infobipReportsUrl, { 
-            headers: infobipHeaders,
-            timeout: 5000
-        });
-        res.status(200).json({
-            provider: 'Infobip',
-            ...reportsResponse.data
-        });
-    } catch (error) {
-        const statusCode = error.response?.status || 500;
-        const errorDetails = error.response?.data || 'Internal Server Error';
-        req.log.error({ bulkId, statusCode }, 'Failed to fetch call status');
-        res.status(statusCode).json({ 
-            error: 'Status retrieval failed', 
-            details: 'Failed to get call status.',
-            statusCode: statusCode
-        });
-    }
+    write('retry: 3000\n\n');
+    
+    const onEvent = (event) => {
+        if (callIds && !callIds.includes(event.callId)) return;
+        if (eventTypes && !eventTypes.includes(event.event)) return;
+        write(`id: ${event.id}\nevent: ${event.event}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+    const heartbeat = setInterval(() => write(': heartbeat\n\n'), eventStreamConfig.heartbeatMs);
+    
+    eventStream.on('event', onEvent);
+    eventStreamClients.add(res);
+    req.log.info({ callIds, eventTypes, clients: eventStreamClients.size }, 'Event stream opened');
+    
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        eventStream.off('event', onEvent);
+        eventStreamClients.delete(res);
+        logger.debug({ clients: eventStreamClients.size }, 'Event stream closed');
+    });
 });
 
 /**
@@ -2760,7 +7616,7 @@ app.get('/api/v1/call/status/:bulkId', apiKeyAuth, async (req, res) => {
  * @access  Private (Requires API Key)
  */
 app.get('/api/v1/sip/calls', apiKeyAuth, (req, res) => {
-    if (!useSip || !sipClient) {
+    if (!sipClient) {
         return res.status(400).json({
             error: 'SIP not enabled',
             details: 'SIP routing is not enabled on this server.'
@@ -2780,19 +7636,45 @@ app.get('/api/v1/sip/calls', apiKeyAuth, (req, res) => {
  * @desc    Get server configuration and provider status
  * @access  Private (Requires API Key)
  */
-app.get('/api/v1/server/config', apiKeyAuth, (req, res) => {
+app.get('/api/v1/server/config', apiKeyAuth, async (req, res) => {
+    const sipEnabled = !!sipClient;
+    const infobipEnabled = providerRegistry.has('infobip');
     res.status(200).json({
-        provider: useSip ? 'SIP' : 'Infobip',
-        sipEnabled: useSip,
-        infobipEnabled: !useSip,
+        provider: providerChain.length > 0 ? providerChain[0].toUpperCase() : null,
+        providerChain: providerChain.map(name => name.toUpperCase()),
+        sipEnabled,
+        infobipEnabled,
         version: '1.9-hybrid',
         features: {
             contentAnalysis: !!process.env.PERSPECTIVE_API_KEY,
             audioTranscription: !!process.env.GOOGLE_SPEECH_API_KEY,
-            sipRouting: useSip,
-            infobipRouting: !useSip
+            sipRouting: sipEnabled,
+            infobipRouting: infobipEnabled,
+            providerFailover: providerChain.length > 1
+        },
+        circuitBreakers: {
+            config: circuitBreakerConfig,
+            providers: providerRegistry.getBreakerStatuses()
+        },
+        routing: {
+            strategy: routingStrategy,
+            rateTable: rateTable.getStatus(),
+            trafficSplit: getTrafficSplitStatus()
+        },
+        statusCallbacks: await statusCallbacks.getStatus(),
+        tts: ttsEngine ? ttsEngine.getStatus() : null,
+        media: {
+            formats: Object.keys(AUDIO_DECODERS),
+            maxDurationSec: mediaConfig.maxDurationSec,
+            maxChannels: mediaConfig.maxChannels,
+            maxSourceBytes: MEDIA_MAX_SOURCE_BYTES,
+            decodeWorkers: mediaDecodeConfig.workers
         },
-        sipConfig: useSip ? {
+        eventStream: {
+            ...eventStreamConfig,
+            clients: eventStreamClients.size
+        },
+        sipConfig: sipEnabled ? {
             proxyHost: process.env.SIP_PROXY_HOST,
             proxyPort: process.env.SIP_PROXY_PORT,
             domain: process.env.SIP_DOMAIN,
@@ -2980,7 +7862,7 @@ app.post('/api/v1/blocklist/words/check', apiKeyAuth, (req, res) => {
  * @access  Private (Requires API Key)
  */
 app.post('/api/v1/sip/test', apiKeyAuth, async (req, res) => {
-    if (!useSip || !sipClient) {
+    if (!sipClient) {
         return res.status(400).json({
             error: 'SIP not enabled',
             details: 'SIP routing is not enabled on this server.'
@@ -3007,7 +7889,8 @@ app.post('/api/v1/sip/test', apiKeyAuth, async (req, res) => {
                     domain: sipClient.sipConfig.domain,
                     username: sipClient.sipConfig.username
                 },
-                registrationStatus: sipClient.registrationStatus
+                registrationStatus: sipClient.registrationStatus,
+                registration: sipClient.getRegistrationStatus()
             }
         });
         
@@ -3020,6 +7903,370 @@ app.post('/api/v1/sip/test', apiKeyAuth, async (req, res) => {
     }
 });
 
+// --- Provider Webhooks ---
+app.use('/webhook', verifyWebhookSignature());
+app.use('/twiml', verifyWebhookSignature('twilio'));
+app.use('/plivo', verifyWebhookSignature('plivo'));
+app.use('/wavix', verifyWebhookSignature('wavix'));
+
+/**
+ * @route   POST /webhook/telnyx
+ * @desc    Receive Telnyx call-control events and play the call's message
+ * @access  Public (called by Telnyx)
+ */
+app.post('/webhook/telnyx', async (req, res) => {
+    const event = req.body && req.body.data;
+    if (!event || !event.event_type || !event.payload || !event.payload.call_control_id) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: 'Expected a Telnyx call-control event.' 
+        });
+    }
+
+    const telnyxClient = providerRegistry.getClient('telnyx');
+    if (!telnyxClient) {
+        return res.status(503).json({ 
+            error: 'Telnyx not configured', 
+            details: 'Telnyx credentials are not configured on this server.' 
+        });
+    }
+
+    const callControlId = event.payload.call_control_id;
+    const statusUpdate = TelnyxClient.normalizeWebhookEvent(event);
+    if (statusUpdate) {
+        await updateCallRecord(callControlId, statusUpdate);
+    }
+
+    // Telnyx retries anything but a 2xx, so command failures are logged rather than returned
+    let action = null;
+    try {
+        action = await telnyxClient.handleWebhookEvent(event);
+    } catch (error) {
+        req.log.error({ callControlId, eventType: event.event_type, error: error.message }, 'Telnyx webhook action failed');
+    }
+
+    if (event.event_type === 'call.gather.ended' && event.payload.digits) {
+        await updateCallRecord(callControlId, { dtmf: { value: event.payload.digits, inputMethod: 'dtmf' } });
+    }
+    if (action === 'transfer') {
+        const instructions = telnyxClient.getCallInstructions(callControlId, event.payload);
+        await updateCallRecord(callControlId, { transferredTo: instructions && instructions.transferTo });
+    }
+
+    req.log.info({ callControlId, eventType: event.event_type, action }, 'Telnyx webhook processed');
+    res.status(200).json({ received: true, action });
+});
+
+/**
+ * @route   POST /webhook/enablex
+ * @desc    Receive EnableX call events and complete DTMF transfers
+ * @access  Public (called by EnableX)
+ */
+app.post('/webhook/enablex', async (req, res) => {
+    const event = req.body || {};
+    if (!event.voice_id || (!event.state && !event.playstate)) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: 'Expected an EnableX voice event.' 
+        });
+    }
+
+    const enablexClient = providerRegistry.getClient('enablex');
+    if (!enablexClient) {
+        return res.status(503).json({ 
+            error: 'EnableX not configured', 
+            details: 'EnableX credentials are not configured on this server.' 
+        });
+    }
+
+    const statusUpdate = EnableXClient.normalizeWebhookEvent(event);
+    if (statusUpdate) {
+        await updateCallRecord(event.voice_id, statusUpdate);
+    }
+    if (event.playstate === 'digitcollected' && event.digit !== undefined) {
+        await updateCallRecord(event.voice_id, { dtmf: { value: String(event.digit), inputMethod: 'dtmf' } });
+    }
+
+    let action = null;
+    try {
+        action = await enablexClient.handleWebhookEvent(event);
+    } catch (error) {
+        req.log.error({ callId: event.voice_id, playstate: event.playstate, error: error.message }, 'EnableX webhook action failed');
+        // An unknown call is reported back instead of being hung up blindly
+        if (error.statusCode === 404) {
+            return res.status(404).json({ 
+                error: 'Call not found', 
+                details: error.message 
+            });
+        }
+    }
+
+    if (action === 'transfer') {
+        const call = await enablexClient.getTrackedCall(event.voice_id).catch(() => null);
+        await updateCallRecord(event.voice_id, { transferredTo: call && call.transferTo });
+    }
+
+    req.log.info({ callId: event.voice_id, state: event.state, playstate: event.playstate, action }, 'EnableX webhook processed');
+    res.status(200).json({ received: true, action });
+});
+
+// Records the call progress Twilio reports with every TwiML fetch
+const recordTwilioProgress = async (params) => {
+    if (params.CallSid && TWILIO_STATUS_MAP[params.CallStatus]) {
+        await updateCallRecord(params.CallSid, {
+            status: TWILIO_STATUS_MAP[params.CallStatus],
+            nativeStatus: params.CallStatus
+        });
+    }
+};
+
+const HANGUP_XML = '<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>';
+
+// Records the digit a hosted-XML call collected and, on a match, the transfer it triggered
+const recordGatherResult = async (callId, instructions, digits, transfer) => {
+    if (!callId || !digits) return;
+    await updateCallRecord(callId, { dtmf: { value: digits, inputMethod: 'dtmf' } });
+    if (transfer) {
+        await updateCallRecord(callId, { transferredTo: instructions.transferTo });
+    }
+};
+
+/**
+ * @route   GET|POST /twiml/:callId
+ * @desc    Serve the TwiML that speaks or plays a Twilio call's message
+ * @access  Public (fetched by Twilio)
+ */
+const serveTwiml = async (req, res) => {
+    const { callId } = req.params;
+    const params = req.method === 'GET' ? req.query : req.body;
+    const instructions = await findCallInstructions(callId, req.log);
+    if (!instructions) {
+        req.log.warn({ callId }, 'TwiML requested for unknown call');
+        return res.status(404).type('text/xml').send(HANGUP_XML);
+    }
+
+    await recordTwilioProgress(params || {});
+    const gatherPath = `/twiml/${callId}/gather`;
+    res.status(200).type('text/xml').send(TwilioClient.buildTwiml(instructions, buildPublicUrl(gatherPath) || gatherPath));
+};
+app.get('/twiml/:callId', serveTwiml);
+app.post('/twiml/:callId', serveTwiml);
+
+/**
+ * @route   POST /twiml/:callId/gather
+ * @desc    Transfer a Twilio call when the caller presses the configured digit
+ * @access  Public (called by Twilio)
+ */
+app.post('/twiml/:callId/gather', async (req, res) => {
+    const { callId } = req.params;
+    const instructions = await findCallInstructions(callId, req.log);
+    if (!instructions) {
+        req.log.warn({ callId }, 'TwiML gather for unknown call');
+        return res.status(404).type('text/xml').send(HANGUP_XML);
+    }
+
+    const digits = typeof req.body.Digits === 'string' ? req.body.Digits : '';
+    const transfer = Boolean(instructions.transferTo) && digits === instructions.dtmfDigit;
+    req.log.info({ callId, callSid: req.body.CallSid, digits, transfer }, 'Twilio gather received');
+    await recordGatherResult(req.body.CallSid, instructions, digits, transfer);
+    res.status(200).type('text/xml').send(TwilioClient.buildGatherTwiml(instructions, digits));
+});
+
+/**
+ * @route   POST /webhook/sinch
+ * @desc    Answer Sinch ICE/ACE/PIE callbacks with SVAML and record DiCE outcomes
+ * @access  Public (called by Sinch)
+ */
+app.post('/webhook/sinch', async (req, res) => {
+    const event = req.body || {};
+    const callId = event.callid;
+    if (!event.event || !callId) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: 'Expected a Sinch callback event.' 
+        });
+    }
+
+    const sinchClient = providerRegistry.getClient('sinch');
+    const instructions = event.custom ? await findCallInstructions(event.custom, req.log) : null;
+
+    switch (event.event) {
+        case 'ice':
+            // Inbound calls to the application are not served
+            req.log.info({ callId }, 'Rejecting inbound Sinch call');
+            return res.status(200).json({ instructions: [], action: { name: 'hangup' } });
+
+        case 'ace':
+            await updateCallRecord(callId, { status: CALL_STATUS.ANSWERED, nativeStatus: 'ace', answered: event.timestamp });
+            if (!instructions) {
+                req.log.warn({ callId }, 'No message found for answered Sinch call');
+                return res.status(200).json({ instructions: [], action: { name: 'hangup' } });
+            }
+            req.log.info({ callId, ivr: Boolean(instructions.transferTo) }, 'Answering Sinch ACE');
+            return res.status(200).json(SinchClient.buildAceSvaml(instructions));
+
+        case 'pie': {
+            const menuResult = event.menuResult || {};
+            const call = sinchClient && sinchClient.activeCalls.get(callId);
+            if (call) {
+                call.menuResult = menuResult;
+            }
+            await updateCallRecord(callId, { dtmf: { menuId: menuResult.menuId, type: menuResult.type, value: menuResult.value, inputMethod: menuResult.inputMethod } });
+            req.log.info({ callId, menuResult }, 'Sinch menu result received');
+            const callerId = (instructions && instructions.from) || (call ? call.from : process.env.DEFAULT_CALLER_ID);
+            const svaml = SinchClient.buildPieSvaml(instructions, menuResult, callerId);
+            if (svaml.action.name === 'connectPstn') {
+                await updateCallRecord(callId, { transferredTo: svaml.action.number });
+            }
+            return res.status(200).json(svaml);
+        }
+
+        case 'dice': {
+            const status = SINCH_RESULT_MAP[event.result] || CALL_STATUS.FAILED;
+            await updateCallRecord(callId, {
+                status,
+                nativeStatus: event.result,
+                ended: event.timestamp,
+                duration: typeof event.duration === 'number' ? event.duration : undefined,
+                hangupCause: event.reason
+            });
+            if (sinchClient) {
+                sinchClient.activeCalls.delete(callId);
+            }
+            req.log.info({ callId, result: event.result, reason: event.reason, duration: event.duration }, 'Sinch call ended');
+            return res.status(200).end();
+        }
+
+        default:
+            req.log.warn({ callId, event: event.event }, 'Unhandled Sinch callback event');
+            return res.status(200).end();
+    }
+});
+
+/**
+ * @route   POST /webhook/infobip
+ * @desc    Store Infobip voice delivery reports pushed to notifyUrl
+ * @access  Public (called by Infobip)
+ */
+app.post('/webhook/infobip', async (req, res) => {
+    const results = req.body && Array.isArray(req.body.results) ? req.body.results : null;
+    if (!results) {
+        return res.status(400).json({ 
+            error: 'Validation failed', 
+            details: 'Expected an Infobip delivery report with a results array.' 
+        });
+    }
+
+    const infobipClient = providerRegistry.getClient('infobip');
+    if (!infobipClient) {
+        return res.status(503).json({ 
+            error: 'Infobip not configured', 
+            details: 'Infobip credentials are not configured on this server.' 
+        });
+    }
+
+    for (const report of results) {
+        let normalized;
+        try {
+            normalized = await infobipClient.storeReport(report);
+        } catch (error) {
+            // The call record below still gets the report
+            req.log.error({ bulkId: report.bulkId, messageId: report.messageId, error: error.message }, 'Failed to store Infobip delivery report');
+            normalized = InfobipClient.normalizeReport(report);
+        }
+        const dtmfCodes = normalized.providerData.dtmfCodes;
+        await updateCallRecord(report.bulkId || report.messageId, {
+            ...normalized,
+            dtmf: dtmfCodes ? { value: dtmfCodes, inputMethod: 'dtmf' } : undefined
+        });
+        req.log.info({ bulkId: report.bulkId, messageId: report.messageId, status: normalized.status }, 'Infobip delivery report received');
+    }
+
+    res.status(200).json({ received: results.length });
+});
+
+/**
+ * @route   POST /plivo/:callId
+ * @desc    Serve the Plivo XML that speaks or plays a Plivo call's message
+ * @access  Public (fetched by Plivo)
+ */
+app.post('/plivo/:callId', async (req, res) => {
+    const { callId } = req.params;
+    const instructions = await findCallInstructions(callId, req.log);
+    if (!instructions) {
+        req.log.warn({ callId }, 'Plivo XML requested for unknown call');
+        return res.status(404).type('text/xml').send(HANGUP_XML);
+    }
+
+    if (instructions.callId && PLIVO_STATUS_MAP[req.body.CallStatus]) {
+        await updateCallRecord(instructions.callId, {
+            status: PLIVO_STATUS_MAP[req.body.CallStatus],
+            nativeStatus: req.body.CallStatus
+        });
+    }
+    res.status(200).type('text/xml').send(PlivoClient.buildAnswerXml(instructions, buildPublicUrl(`/plivo/${callId}/digits`)));
+});
+
+/**
+ * @route   POST /plivo/:callId/digits
+ * @desc    Transfer a Plivo call when the caller presses the configured digit
+ * @access  Public (called by Plivo)
+ */
+app.post('/plivo/:callId/digits', async (req, res) => {
+    const { callId } = req.params;
+    const instructions = await findCallInstructions(callId, req.log);
+    if (!instructions) {
+        req.log.warn({ callId }, 'Plivo digits for unknown call');
+        return res.status(404).type('text/xml').send(HANGUP_XML);
+    }
+
+    const digits = typeof req.body.Digits === 'string' ? req.body.Digits : '';
+    const transfer = Boolean(instructions.transferTo) && digits === instructions.dtmfDigit;
+    req.log.info({ callId, digits, transfer }, 'Plivo digits received');
+    await recordGatherResult(instructions.callId, instructions, digits, transfer);
+    res.status(200).type('text/xml').send(PlivoClient.buildDigitsXml(instructions, digits));
+});
+
+/**
+ * @route   POST /wavix/:callId
+ * @desc    Serve the call XML that speaks or plays a Wavix call's message
+ * @access  Public (fetched by Wavix)
+ */
+app.post('/wavix/:callId', async (req, res) => {
+    const { callId } = req.params;
+    const instructions = await findCallInstructions(callId, req.log);
+    if (!instructions) {
+        req.log.warn({ callId }, 'Wavix XML requested for unknown call');
+        return res.status(404).type('text/xml').send(HANGUP_XML);
+    }
+
+    if (instructions.callId) {
+        await updateCallRecord(instructions.callId, { status: CALL_STATUS.ANSWERED, nativeStatus: 'answered' });
+    }
+    res.status(200).type('text/xml').send(WavixClient.buildAnswerXml(instructions, appendWebhookToken(buildPublicUrl(`/wavix/${callId}/gather`))));
+});
+
+/**
+ * @route   POST /wavix/:callId/gather
+ * @desc    Transfer a Wavix call when the caller presses the configured digit
+ * @access  Public (called by Wavix)
+ */
+app.post('/wavix/:callId/gather', async (req, res) => {
+    const { callId } = req.params;
+    const instructions = await findCallInstructions(callId, req.log);
+    if (!instructions) {
+        req.log.warn({ callId }, 'Wavix gather for unknown call');
+        return res.status(404).type('text/xml').send(HANGUP_XML);
+    }
+
+    const rawDigits = req.body.Digits || req.body.digits;
+    const digits = typeof rawDigits === 'string' ? rawDigits : '';
+    const transfer = Boolean(instructions.transferTo) && digits === instructions.dtmfDigit;
+    req.log.info({ callId, digits, transfer }, 'Wavix gather received');
+    await recordGatherResult(instructions.callId, instructions, digits, transfer);
+    res.status(200).type('text/xml').send(WavixClient.buildGatherXml(instructions, digits));
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     const memUsage = process.memoryUsage();
@@ -3050,7 +8297,9 @@ app.get('/health', (req, res) => {
                 lastUpdated: wordBlocklistLastUpdated
             },
             source: 'dial.truesip.net'
-        }
+        },
+        providers: providerRegistry.getBreakerStatuses(),
+        sip: sipClient ? { registration: sipClient.getRegistrationStatus() } : null
     });
 });
 
@@ -3071,52 +8320,86 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    logger.info('SIGTERM received, shutting down gracefully');
-    server.close(() => {
-        logger.info('Process terminated');
-        process.exit(0);
+function startServer() {
+    // Graceful shutdown
+    process.on('SIGTERM', () => {
+        logger.info('SIGTERM received, shutting down gracefully');
+        closeEventStreams();
+        server.close(() => {
+            logger.info('Process terminated');
+            process.exit(0);
+        });
     });
-});
 
-process.on('SIGINT', () => {
-    logger.info('SIGINT received, shutting down gracefully');
-    server.close(() => {
-        logger.info('Process terminated');
-        process.exit(0);
+    process.on('SIGINT', () => {
+        logger.info('SIGINT received, shutting down gracefully');
+        closeEventStreams();
+        server.close(() => {
+            logger.info('Process terminated');
+            process.exit(0);
+        });
     });
-});
 
-const server = app.listen(PORT, () => {
-    logger.info({
-        port: PORT,
-        worker: process.pid,
-        env: process.env.NODE_ENV,
-        version: '1.9.1-optimized'
-    }, 'TTS API Server started');
-    
-    // Log optional features status
-    if (process.env.PERSPECTIVE_API_KEY) {
-        logger.info('Content analysis (Perspective API) enabled');
-    } else {
-        logger.warn('Content analysis disabled (no Perspective API key)');
-    }
-    
-    if (process.env.GOOGLE_SPEECH_API_KEY) {
-        logger.info('Audio transcription (Google Speech API) enabled');
-    } else {
-        logger.warn('Audio transcription disabled (no Google Speech API key)');
-    }
-    
-    // Performance monitoring
-    if (process.env.NODE_ENV === 'production') {
-        setInterval(() => {
-            const memUsage = process.memoryUsage();
-            const heapUsedMB = Math.round(memUsage.heapUsed / 1024 / 1024);
-            if (heapUsedMB > 1500) { // Alert if using >1.5GB
-                logger.warn({ heapUsedMB }, 'High memory usage detected');
-            }
-        }, 30000); // Check every 30 seconds
-    }
-});
+    const server = app.listen(PORT, () => {
+        logger.info({
+            port: PORT,
+            worker: process.pid,
+            env: process.env.NODE_ENV,
+            version: '1.9.1-optimized'
+        }, 'TTS API Server started');
+        
+        // Log optional features status
+        if (process.env.PERSPECTIVE_API_KEY) {
+            logger.info('Content analysis (Perspective API) enabled');
+        } else {
+            logger.warn('Content analysis disabled (no Perspective API key)');
+        }
+        
+        if (process.env.GOOGLE_SPEECH_API_KEY) {
+            logger.info('Audio transcription (Google Speech API) enabled');
+        } else {
+            logger.warn('Audio transcription disabled (no Google Speech API key)');
+        }
+        
+        // Performance monitoring
+        if (process.env.NODE_ENV === 'production') {
+            setInterval(() => {
+                const memUsage = process.memoryUsage();
+                const heapUsedMB = Math.round(memUsage.heapUsed / 1024 / 1024);
+                if (heapUsedMB > 1500) { // Alert if using >1.5GB
+                    logger.warn({ heapUsedMB }, 'High memory usage detected');
+                }
+            }, 30000); // Check every 30 seconds
+        }
+    });
+}
+
+if (require.main === module) {
+    startServer();
+}
+
+// Internals exercised by the test suite (test/*.test.js)
+module.exports = {
+    app,
+    BREAKER_STATES,
+    CircuitBreaker,
+    RateTable,
+    rateTable,
+    planRoute,
+    placeCallWithFailover,
+    callFailureStatus,
+    providerRegistry,
+    isRetryableProviderError,
+    WEBHOOK_VERIFIERS,
+    SIPTransport,
+    SIPClient,
+    sipPortOffset,
+    MediaSession,
+    parseSdpAnswer,
+    parseSipInfoDtmf,
+    parseDigestChallenges,
+    buildDigestCredentials,
+    TwilioClient,
+    VonageClient,
+    AWSConnectClient
+};
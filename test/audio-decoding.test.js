@@ -0,0 +1,287 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { mediaConfig, detectAudioFormat, probeAudio, decodeAudio } = require('../lib/audio-decoding');
+const { buildWav, pcm16, buildFlac, buildMp3Frame, buildId3v2Tag } = require('./support/audio-encoders');
+
+// Half-second sine tones encoded with LAME (lamejs 1.2.1): 22050 Hz mono at 32 kbps, and 44100 Hz
+// joint stereo at 128 kbps with 440 Hz on the left and 660 Hz on the right
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+const tone = (sampleRate, seconds, frequency, amplitude = 12000) =>
+    Array.from({ length: Math.floor(sampleRate * seconds) }, (_, i) => Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate)));
+
+// Goertzel: the amplitude of one frequency in 8 kHz samples (half the peak of a pure sine)
+const magnitudeAt = (samples, frequency) => {
+    const coefficient = 2 * Math.cos(2 * Math.PI * frequency / 8000);
+    let previous = 0;
+    let beforePrevious = 0;
+    for (const sample of samples) {
+        const current = sample + coefficient * previous - beforePrevious;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return Math.sqrt(previous ** 2 + beforePrevious ** 2 - coefficient * previous * beforePrevious) / samples.length;
+};
+
+const isInvalidAudio = (pattern) => (error) => error.invalidAudio === true && pattern.test(error.message);
+
+const withLimits = (limits, run) => {
+    const saved = { ...mediaConfig };
+    Object.assign(mediaConfig, limits);
+    try {
+        return run();
+    } finally {
+        Object.assign(mediaConfig, saved);
+    }
+};
+
+describe('format detection', () => {
+    test('prefers magic bytes and falls back to the content type or extension', () => {
+        const wav = buildWav({ data: pcm16([[0]]) });
+        assert.equal(detectAudioFormat(wav, { contentType: 'audio/mpeg', url: 'https://cdn.example.com/a.mp3' }), 'wav');
+        assert.equal(detectAudioFormat(Buffer.from('fLaC')), 'flac');
+        assert.equal(detectAudioFormat(buildId3v2Tag(0)), 'mp3');
+
+        const unknown = Buffer.from('not audio at all');
+        assert.equal(detectAudioFormat(unknown, { contentType: 'audio/x-flac' }), 'flac');
+        assert.equal(detectAudioFormat(unknown, { url: 'https://cdn.example.com/clip.WAV?x=1' }), 'wav');
+        assert.equal(detectAudioFormat(unknown, { url: 'not a url' }), null);
+    });
+
+    test('rejects unrecognized files', () => {
+        assert.throws(() => probeAudio(Buffer.from('<html></html>')), isInvalidAudio(/Unrecognized audio format; use WAV, FLAC or MP3/));
+    });
+});
+
+describe('WAV', () => {
+    const decodeAt8k = (options) => Array.from(decodeAudio(buildWav({ sampleRate: 8000, ...options })).samples);
+
+    test('down-mixes 16-bit stereo PCM', () => {
+        const result = decodeAudio(buildWav({ channels: 2, data: pcm16([[1000, 3000], [-2000, -4000], [32767, 32767]]) }));
+        assert.equal(result.format, 'wav');
+        assert.equal(result.channels, 2);
+        assert.deepEqual(Array.from(result.samples), [2000, -3000, 32767]);
+    });
+
+    test('scales 8, 24 and 32-bit PCM and float samples to 16 bits', () => {
+        assert.deepEqual(decodeAt8k({ bitsPerSample: 8, data: Buffer.from([128, 255, 0]) }), [0, 32512, -32768]);
+
+        const pcm24 = Buffer.alloc(6);
+        pcm24.writeIntLE(1000 * 256, 0, 3);
+        pcm24.writeIntLE(-1000 * 256, 3, 3);
+        assert.deepEqual(decodeAt8k({ bitsPerSample: 24, data: pcm24 }), [1000, -1000]);
+
+        const pcm32 = Buffer.alloc(4);
+        pcm32.writeInt32LE(-1000 * 65536);
+        assert.deepEqual(decodeAt8k({ bitsPerSample: 32, data: pcm32 }), [-1000]);
+
+        const float32 = Buffer.alloc(8);
+        float32.writeFloatLE(0.25, 0);
+        float32.writeFloatLE(-2, 4);
+        assert.deepEqual(decodeAt8k({ audioFormat: 3, bitsPerSample: 32, data: float32 }), [8192, -32768]);
+
+        const float64 = Buffer.alloc(8);
+        float64.writeDoubleLE(-1);
+        assert.deepEqual(decodeAt8k({ audioFormat: 3, bitsPerSample: 64, data: float64 }), [-32767]);
+    });
+
+    test('expands G.711 mu-law and A-law', () => {
+        assert.deepEqual(decodeAt8k({ audioFormat: 7, bitsPerSample: 8, data: Buffer.from([0xFF, 0x80, 0x00]) }), [0, 32124, -32124]);
+        assert.deepEqual(decodeAt8k({ audioFormat: 6, bitsPerSample: 8, data: Buffer.from([0xD5, 0x55, 0xAA]) }), [8, -8, 32256]);
+    });
+
+    test('reads WAVE_FORMAT_EXTENSIBLE and skips odd-sized chunks before the data', () => {
+        const wav = buildWav({ extensible: true, chunksBeforeData: [['LIST', Buffer.from('abc')]], data: pcm16([[123], [-456]]) });
+        assert.deepEqual(Array.from(decodeAudio(wav).samples), [123, -456]);
+    });
+
+    test('resamples to 8 kHz, keeping the voice band and filtering what 8 kHz cannot carry', () => {
+        const samples = tone(48000, 0.5, 1000).map((value, i) => value + Math.round(8000 * Math.sin(2 * Math.PI * 5000 * i / 48000)));
+        const result = decodeAudio(buildWav({ sampleRate: 48000, data: pcm16(samples.map(sample => [sample])) }));
+
+        assert.equal(result.sampleRate, 48000);
+        assert.equal(result.durationSec, 0.5);
+        assert.equal(result.samples.length, 4000);
+        const steady = result.samples.subarray(400, 3600);
+        assert.ok(Math.abs(magnitudeAt(steady, 1000) - 6000) < 300, 'the 1 kHz tone survives');
+        // 5 kHz would alias onto 3 kHz without the low-pass
+        assert.ok(magnitudeAt(steady, 3000) < 100, 'nothing aliases into the voice band');
+    });
+
+    test('probes the stream from its headers alone', () => {
+        const wav = buildWav({ sampleRate: 16000, channels: 2, data: pcm16([[0, 0]]) });
+        assert.deepEqual(probeAudio(wav), { format: 'wav', sampleRate: 16000, channels: 2 });
+    });
+
+    test('rejects unsupported encodings, missing chunks and streams beyond the limits', () => {
+        assert.throws(() => probeAudio(buildWav({ audioFormat: 2, bitsPerSample: 4, data: Buffer.alloc(4) })),
+            isInvalidAudio(/Unsupported WAV encoding \(format 2, 4-bit\)/));
+        assert.throws(() => probeAudio(buildWav({ data: pcm16([[0]]) }).subarray(0, 36)),
+            isInvalidAudio(/missing its fmt or data chunk/));
+        assert.throws(() => probeAudio(buildWav({ channels: 3, data: pcm16([[0, 0, 0]]) })),
+            isInvalidAudio(/Audio has 3 channels; at most 2 are supported/));
+        assert.throws(() => probeAudio(buildWav({ sampleRate: 0, data: pcm16([[0]]) })), isInvalidAudio(/Unsupported sample rate 0 Hz/));
+        assert.throws(() => decodeAudio(buildWav({ data: Buffer.alloc(0) })), isInvalidAudio(/contains no samples/));
+
+        withLimits({ maxDurationSec: 1 }, () => {
+            const twoSeconds = buildWav({ sampleRate: 8000, data: Buffer.alloc(2 * 8000 * 2) });
+            assert.throws(() => probeAudio(twoSeconds), isInvalidAudio(/longer than the 1 s limit/));
+        });
+    });
+});
+
+describe('FLAC', () => {
+    const ramp = Array.from({ length: 64 }, (_, i) => (i * 517) % 4000 - 2000);
+
+    test('decodes verbatim, constant and fixed-predictor subframes', () => {
+        const smooth = tone(8000, 0.008, 300);
+        const flac = buildFlac({
+            frames: [
+                { subframes: [{ type: 'verbatim', samples: ramp }] },
+                { subframes: [{ type: 'constant', samples: new Array(16).fill(-1234) }] },
+                { subframes: [{ type: 'fixed', riceParameter: 4, samples: smooth }] }
+            ]
+        });
+
+        const result = decodeAudio(flac);
+        assert.equal(result.format, 'flac');
+        assert.deepEqual(Array.from(result.samples), [...ramp, ...new Array(16).fill(-1234), ...smooth]);
+    });
+
+    test('undoes left/side stereo before down-mixing', () => {
+        const left = ramp;
+        const right = ramp.map(value => Math.trunc(-value / 2));
+        const flac = buildFlac({
+            channels: 2,
+            frames: [{
+                channelCode: 8,
+                subframes: [
+                    { type: 'verbatim', samples: left },
+                    { type: 'verbatim', samples: left.map((value, i) => value - right[i]) }
+                ]
+            }]
+        });
+
+        assert.deepEqual(Array.from(decodeAudio(flac).samples), left.map((value, i) => Math.round((value + right[i]) / 2)));
+    });
+
+    test('rejects a frame whose header or body checksum does not match', () => {
+        const flac = buildFlac({ frames: [{ subframes: [{ type: 'verbatim', samples: ramp }] }] });
+        const firstFrame = 4 + 4 + 34;
+
+        const badBody = Buffer.from(flac);
+        badBody[firstFrame + 12] ^= 0x01;
+        assert.throws(() => decodeAudio(badBody), isInvalidAudio(/FLAC frame checksum mismatch/));
+
+        const badHeader = Buffer.from(flac);
+        badHeader[firstFrame + 4] ^= 0x01; // Frame number
+        assert.throws(() => decodeAudio(badHeader), isInvalidAudio(/FLAC frame header checksum mismatch/));
+    });
+
+    test('rejects a stream that ends before STREAMINFO says it should', () => {
+        const flac = buildFlac({ totalSamples: 128, frames: [{ subframes: [{ type: 'verbatim', samples: ramp }] }] });
+        assert.throws(() => decodeAudio(flac), isInvalidAudio(/FLAC stream is truncated \(64 of 128 samples\)/));
+        assert.throws(() => decodeAudio(flac.subarray(0, flac.length - 1)), isInvalidAudio(/ends unexpectedly/));
+    });
+
+    test('enforces the duration limit from STREAMINFO without decoding', () => {
+        const flac = buildFlac({ totalSamples: 8000 * 10, frames: [] });
+        assert.deepEqual(probeAudio(flac), { format: 'flac', sampleRate: 8000, channels: 1 });
+        withLimits({ maxDurationSec: 5 }, () => {
+            assert.throws(() => probeAudio(flac), isInvalidAudio(/longer than the 5 s limit/));
+        });
+    });
+});
+
+describe('MP3', () => {
+    test('decodes a mono MPEG-2 LSF file', () => {
+        const result = decodeAudio(fixture('tone-440hz-22050-mono.mp3'));
+        assert.equal(result.format, 'mp3');
+        assert.equal(result.sampleRate, 22050);
+        assert.equal(result.channels, 1);
+
+        const steady = result.samples.subarray(800, 3200);
+        assert.ok(Math.abs(magnitudeAt(steady, 440) - 6000) < 600, 'the 440 Hz tone comes through at its level');
+        assert.ok(magnitudeAt(steady, 1000) < 100);
+    });
+
+    test('decodes and mixes a joint-stereo MPEG-1 file', () => {
+        const result = decodeAudio(fixture('tone-440-660hz-44100-stereo.mp3'));
+        assert.equal(result.sampleRate, 44100);
+        assert.equal(result.channels, 2);
+
+        // 440 Hz on the left, 660 Hz on the right, each at half level after the mix
+        const steady = result.samples.subarray(800, 3200);
+        assert.ok(Math.abs(magnitudeAt(steady, 440) - 3000) < 300);
+        assert.ok(Math.abs(magnitudeAt(steady, 660) - 3000) < 300);
+    });
+
+    test('skips ID3v2 and ID3v1 tags around the frames', () => {
+        const frames = Array.from({ length: 4 }, () => buildMp3Frame());
+        const id3v1 = Buffer.alloc(128);
+        id3v1.write('TAG', 0, 'latin1');
+        const result = decodeAudio(Buffer.concat([buildId3v2Tag(300), ...frames, id3v1]));
+
+        assert.equal(result.sampleRate, 44100);
+        assert.equal(result.durationSec, Math.round(4 * 1152 / 44100 * 100) / 100);
+        assert.ok(result.samples.every(sample => sample === 0));
+    });
+
+    test('probes MPEG-2.5 streams', () => {
+        const frames = Buffer.concat([buildMp3Frame({ version: 'mpeg2.5', sampleRateIndex: 2, bitrateIndex: 1 }), buildMp3Frame({ version: 'mpeg2.5', sampleRateIndex: 2, bitrateIndex: 1 })]);
+        assert.deepEqual(probeAudio(frames), { format: 'mp3', sampleRate: 8000, channels: 1 });
+    });
+
+    test('rejects Layer I/II audio and data without MPEG frames', () => {
+        const layer2 = Buffer.concat([buildMp3Frame({ layer: 2 }), buildMp3Frame({ layer: 2 })]);
+        assert.throws(() => probeAudio(layer2), isInvalidAudio(/MPEG Layer II audio is not supported/));
+        assert.throws(() => probeAudio(Buffer.alloc(2000, 0x55), { contentType: 'audio/mpeg' }), isInvalidAudio(/No MPEG audio frames found/));
+    });
+
+    test('conceals the odd damaged frame but rejects a mostly damaged stream', () => {
+        // Window switching with block type 0 is reserved, which makes the frame undecodable
+        const damaged = () => buildMp3Frame({ sideInfo: [[6, 0x10]] });
+        const good = () => buildMp3Frame();
+
+        const mostlyGood = Buffer.concat([damaged(), ...Array.from({ length: 30 }, good)]);
+        assert.equal(decodeAudio(mostlyGood).samples.length, Math.round(31 * 1152 * 8000 / 44100));
+
+        const mostlyDamaged = Buffer.concat(Array.from({ length: 10 }, damaged));
+        assert.throws(() => decodeAudio(mostlyDamaged), isInvalidAudio(/MP3 stream is corrupt \(10 damaged frames of 10\)/));
+    });
+
+    test('enforces the duration limit while decoding', () => {
+        const frames = Buffer.concat(Array.from({ length: 3 }, () => buildMp3Frame()));
+        withLimits({ maxDurationSec: 0.05 }, () => {
+            assert.doesNotThrow(() => probeAudio(frames));
+            assert.throws(() => decodeAudio(frames), isInvalidAudio(/longer than the 0.05 s limit/));
+        });
+    });
+});
+
+test('the decode worker returns the samples, or the error flagged as invalid audio', async () => {
+    const worker = new Worker(path.join(__dirname, '..', 'lib', 'audio-decode-worker.js'));
+    const decodeOnWorker = (id, buffer) => new Promise(resolve => {
+        const onMessage = (message) => {
+            if (message.id !== id) return;
+            worker.off('message', onMessage);
+            resolve(message);
+        };
+        worker.on('message', onMessage);
+        worker.postMessage({ id, buffer, hints: {} });
+    });
+
+    try {
+        const ok = await decodeOnWorker(1, buildWav({ data: pcm16([[100], [200]]) }));
+        assert.deepEqual(Array.from(ok.source.samples), [100, 200]);
+        assert.ok(ok.source.samples instanceof Int16Array);
+
+        const failed = await decodeOnWorker(2, Buffer.from('nope'));
+        assert.deepEqual(failed.error, { message: 'Unrecognized audio format; use WAV, FLAC or MP3', invalidAudio: true });
+    } finally {
+        await worker.terminate();
+    }
+});
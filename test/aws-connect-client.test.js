@@ -0,0 +1,120 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const loadServer = require('./support/load-server');
+const { startConnectMock } = require('./support/aws-connect-mock');
+
+const { AWSConnectClient } = loadServer();
+
+const credentials = {
+    accessKeyId: 'AKIDEXAMPLE',
+    secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+    region: 'eu-west-2'
+};
+
+let mock;
+
+before(async () => {
+    mock = await startConnectMock(credentials);
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+    mock.requests.length = 0;
+    Object.assign(process.env, {
+        AWS_ENDPOINT_URL: mock.endpoint,
+        AWS_REGION: credentials.region,
+        AWS_ACCESS_KEY_ID: credentials.accessKeyId,
+        AWS_SECRET_ACCESS_KEY: credentials.secretAccessKey,
+        AWS_CONNECT_INSTANCE_ID: '11111111-2222-3333-4444-555555555555',
+        AWS_CONNECT_CONTACT_FLOW_ID: 'flow-1',
+        AWS_CONNECT_QUEUE_ID: 'queue-1'
+    });
+    delete process.env.AWS_SESSION_TOKEN;
+});
+
+test('starts an outbound contact with a signature the API accepts', async () => {
+    const result = await new AWSConnectClient().makeCall('+15550002222', '+15550001111', 'Hello there', {
+        isText: true,
+        voice: 'female',
+        language: 'en-GB',
+        dtmfDigit: 1
+    });
+
+    assert.equal(result.success, true);
+    assert.ok(mock.contacts.has(result.callId));
+
+    const [request] = mock.requests;
+    assert.equal(request.method, 'PUT');
+    assert.equal(request.path, '/contact/outbound-voice');
+    assert.deepEqual({ ...request.body, ClientToken: undefined }, {
+        InstanceId: '11111111-2222-3333-4444-555555555555',
+        ContactFlowId: 'flow-1',
+        DestinationPhoneNumber: '+15550002222',
+        SourcePhoneNumber: '+15550001111',
+        Attributes: { messageType: 'text', messageText: 'Hello there', voice: 'female', language: 'en-GB', dtmfDigit: '1' },
+        ClientToken: undefined,
+        QueueId: 'queue-1'
+    });
+    assert.match(request.body.ClientToken, /^[0-9a-f-]{36}$/);
+});
+
+test('signs the session token of temporary credentials', async () => {
+    const sessionMock = await startConnectMock({ ...credentials, sessionToken: 'session-token' });
+    try {
+        process.env.AWS_ENDPOINT_URL = sessionMock.endpoint;
+        process.env.AWS_SESSION_TOKEN = 'session-token';
+
+        const result = await new AWSConnectClient().makeCall('+15550002222', '+15550001111', 'https://cdn.example.com/a.wav');
+        assert.equal(result.success, true);
+        assert.match(sessionMock.requests[0].headers.authorization, /SignedHeaders=content-type;host;x-amz-date;x-amz-security-token,/);
+        assert.deepEqual(sessionMock.requests[0].body.Attributes, { messageType: 'audio', audioUrl: 'https://cdn.example.com/a.wav' });
+    } finally {
+        await sessionMock.close();
+    }
+});
+
+test('reports the API\'s reason when the signature is refused', async () => {
+    process.env.AWS_SECRET_ACCESS_KEY = 'not-the-secret';
+
+    await assert.rejects(
+        new AWSConnectClient().makeCall('+15550002222', '+15550001111', 'Hi', { isText: true }),
+        error => error.statusCode === 403 &&
+            /^AWS Connect call failed: The request signature we calculated does not match .*\(signature mismatch\)$/.test(error.message)
+    );
+    assert.equal(mock.requests.length, 0);
+});
+
+test('maps DescribeContact results onto the normalized statuses', async () => {
+    const client = new AWSConnectClient();
+    const { callId } = await client.makeCall('+15550002222', '+15550001111', 'Hi', { isText: true });
+
+    assert.equal((await client.getCallStatus(callId)).status, 'INITIATED');
+
+    Object.assign(mock.contacts.get(callId), { ConnectedToSystemTimestamp: new Date().toISOString() });
+    assert.equal((await client.getCallStatus(callId)).status, 'ANSWERED');
+
+    Object.assign(mock.contacts.get(callId), { DisconnectTimestamp: new Date().toISOString(), DisconnectReason: 'EXPIRED' });
+    const ended = await client.getCallStatus(callId);
+    assert.equal(ended.status, 'NO_ANSWER');
+    assert.equal(ended.hangupCause, 'EXPIRED');
+
+    assert.deepEqual(await client.getCallStatus('missing-contact'), { error: 'Contact not found', statusCode: 404 });
+});
+
+test('signs paths whose segments need percent-encoding', async () => {
+    process.env.AWS_CONNECT_INSTANCE_ID = 'instance (eu) 1';
+    const client = new AWSConnectClient();
+    const { callId } = await client.makeCall('+15550002222', '+15550001111', 'Hi', { isText: true });
+
+    assert.equal((await client.getCallStatus(callId)).status, 'INITIATED');
+    assert.equal(mock.requests[1].path, `/contacts/instance%20%28eu%29%201/${callId}`);
+});
+
+test('stops a contact', async () => {
+    const client = new AWSConnectClient();
+    const { callId } = await client.makeCall('+15550002222', '+15550001111', 'Hi', { isText: true });
+
+    assert.deepEqual(await client.hangupCall(callId), { success: true, callId });
+    assert.deepEqual(mock.requests[1].body, { ContactId: callId, InstanceId: '11111111-2222-3333-4444-555555555555' });
+});
@@ -0,0 +1,46 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const cluster = require('cluster');
+const path = require('path');
+
+// Forks server.js as a cluster worker of this process, which plays a primary that is not ours
+const forkServer = (env = {}) => {
+    const worker = cluster.fork({
+        NODE_ENV: 'test',
+        LOG_LEVEL: 'silent',
+        MY_API_KEY: 'test-api-key',
+        DEFAULT_CALLER_ID: '+15550001111',
+        PORT: '0',
+        ...env
+    });
+    let stderr = '';
+    worker.process.stderr.on('data', chunk => { stderr += chunk; });
+    return { worker, stderr: () => stderr };
+};
+
+describe('cluster primaries', () => {
+    before(() => {
+        cluster.setupPrimary({ exec: path.join(__dirname, '..', 'server.js'), silent: true });
+    });
+
+    test('a worker of another cluster manager refuses to start', async () => {
+        const { worker, stderr } = forkServer({ NODE_APP_INSTANCE: '0' });
+        const [code] = await new Promise(resolve => worker.once('exit', (...args) => resolve(args)));
+
+        assert.equal(code, 1);
+        assert.match(stderr(), /unsupported primary/);
+    });
+
+    test('a worker forked by our own primary starts', async () => {
+        const { worker } = forkServer({ WORKER_INDEX: '0', SESPCL_CLUSTER_WORKER: '1' });
+        const exited = new Promise(resolve => worker.once('exit', resolve));
+        const outcome = await Promise.race([
+            new Promise(resolve => worker.once('listening', () => resolve('listening'))),
+            exited.then(code => `exited with ${code}`)
+        ]);
+        worker.kill();
+        await exited;
+
+        assert.equal(outcome, 'listening');
+    });
+});
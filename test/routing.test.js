@@ -0,0 +1,316 @@
+const { describe, test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const loadServer = require('./support/load-server');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truesip-routing-'));
+const ratesPath = path.join(tmpDir, 'rates.csv');
+fs.writeFileSync(ratesPath, [
+    'provider,prefix,rate,currency',
+    '# US and UK',
+    'telnyx,1,0.010,USD',
+    'telnyx,1212,0.009,usd',
+    'plivo,1,0.007,USD',
+    'plivo,44,0.020,USD'
+].join('\n'));
+
+const {
+    BREAKER_STATES,
+    CircuitBreaker,
+    RateTable,
+    planRoute,
+    placeCallWithFailover,
+    callFailureStatus,
+    providerRegistry
+} = loadServer({
+    PROVIDER_CHAIN: 'telnyx,plivo,infobip',
+    TELNYX_API_KEY: 'telnyx-key',
+    TELNYX_CONNECTION_ID: 'telnyx-connection',
+    PLIVO_AUTH_ID: 'plivo-id',
+    PLIVO_AUTH_TOKEN: 'plivo-token',
+    PUBLIC_BASE_URL: 'https://api.example.com',
+    INFOBIP_BASE_URL: 'infobip.example.com',
+    INFOBIP_API_KEY: 'infobip-key',
+    ROUTING_STRATEGY: 'least_cost',
+    RATE_TABLE_PATH: ratesPath,
+    CIRCUIT_BREAKER_FAILURE_THRESHOLD: '2',
+    CIRCUIT_BREAKER_OPEN_MS: '60000'
+});
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const providerError = (message, props) => Object.assign(new Error(message), props);
+const silentLog = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('CircuitBreaker', () => {
+    const config = {
+        failureThreshold: 2,
+        errorRateThreshold: 0.5,
+        windowMs: 60000,
+        openMs: 20,
+        halfOpenProbes: 1,
+        slowCallMs: 5000
+    };
+    const succeed = () => Promise.resolve('ok');
+    const failRetryable = () => Promise.reject(providerError('upstream 503', { statusCode: 503 }));
+    const failRejected = () => Promise.reject(providerError('invalid number', { statusCode: 400 }));
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    test('opens once enough retryable failures pile up', async () => {
+        const breaker = new CircuitBreaker('TEST', config);
+        const changes = [];
+        breaker.on('stateChange', change => changes.push(change));
+
+        await assert.rejects(breaker.execute(failRetryable), /upstream 503/);
+        assert.equal(breaker.state, BREAKER_STATES.CLOSED);
+        await assert.rejects(breaker.execute(failRetryable), /upstream 503/);
+
+        assert.equal(breaker.state, BREAKER_STATES.OPEN);
+        assert.equal(breaker.canRequest(), false);
+        assert.deepEqual(changes.map(change => change.to), [BREAKER_STATES.OPEN]);
+        await assert.rejects(breaker.execute(succeed), error => error.circuitOpen === true);
+    });
+
+    test('does not count rejected calls against the provider', async () => {
+        const breaker = new CircuitBreaker('TEST', config);
+        for (let i = 0; i < 5; i++) {
+            await assert.rejects(breaker.execute(failRejected), /invalid number/);
+        }
+        assert.equal(breaker.state, BREAKER_STATES.CLOSED);
+        assert.equal(breaker.getStatus().recentFailures, 0);
+    });
+
+    test('stays closed while the error rate is below the threshold', async () => {
+        const breaker = new CircuitBreaker('TEST', config);
+        for (let i = 0; i < 3; i++) {
+            await breaker.execute(succeed);
+        }
+        await assert.rejects(breaker.execute(failRetryable));
+        await assert.rejects(breaker.execute(failRetryable));
+
+        assert.equal(breaker.state, BREAKER_STATES.CLOSED);
+        assert.equal(breaker.getStatus().errorRate, 0.4);
+    });
+
+    test('reading status after the cooldown does not move the breaker to half-open', async () => {
+        const breaker = new CircuitBreaker('TEST', config);
+        await assert.rejects(breaker.execute(failRetryable));
+        await assert.rejects(breaker.execute(failRetryable));
+        await wait(config.openMs + 5);
+
+        assert.equal(breaker.canRequest(), true);
+        const status = breaker.getStatus();
+        assert.equal(status.state, BREAKER_STATES.OPEN);
+        assert.equal(status.healthScore, 0);
+        assert.equal(breaker.state, BREAKER_STATES.OPEN);
+        assert.equal(breaker.outcomes.length, 2);
+    });
+
+    test('closes after a successful probe and reopens after a failed one', async () => {
+        const breaker = new CircuitBreaker('TEST', config);
+        await assert.rejects(breaker.execute(failRetryable));
+        await assert.rejects(breaker.execute(failRetryable));
+        await wait(config.openMs + 5);
+
+        await assert.rejects(breaker.execute(failRetryable));
+        assert.equal(breaker.state, BREAKER_STATES.OPEN);
+
+        await wait(config.openMs + 5);
+        assert.equal(await breaker.execute(succeed), 'ok');
+        assert.equal(breaker.state, BREAKER_STATES.CLOSED);
+        assert.equal(breaker.getStatus().recentCalls, 0);
+    });
+
+    test('admits only the configured number of concurrent probes', async () => {
+        const breaker = new CircuitBreaker('TEST', config);
+        await assert.rejects(breaker.execute(failRetryable));
+        await assert.rejects(breaker.execute(failRetryable));
+        await wait(config.openMs + 5);
+
+        let releaseProbe;
+        const probe = breaker.execute(() => new Promise(resolve => { releaseProbe = resolve; }));
+        assert.equal(breaker.state, BREAKER_STATES.HALF_OPEN);
+        await assert.rejects(breaker.execute(succeed), error => error.circuitOpen === true);
+
+        releaseProbe('done');
+        assert.equal(await probe, 'done');
+        assert.equal(breaker.state, BREAKER_STATES.CLOSED);
+    });
+});
+
+describe('RateTable', () => {
+    const writeTable = (name, content) => {
+        const file = path.join(tmpDir, name);
+        fs.writeFileSync(file, content);
+        return file;
+    };
+
+    test('matches the longest prefix for a provider', () => {
+        const table = new RateTable();
+        table.load(ratesPath);
+
+        assert.equal(table.size, 4);
+        assert.equal(table.currency, 'USD');
+        assert.deepEqual(table.lookup('telnyx', '+12125551234'), { prefix: '1212', rate: 0.009, currency: 'USD' });
+        assert.deepEqual(table.lookup('telnyx', '+13105551234'), { prefix: '1', rate: 0.01, currency: 'USD' });
+        assert.equal(table.lookup('telnyx', '+442071234567'), null);
+        assert.equal(table.lookup('infobip', '+12125551234'), null);
+    });
+
+    test('loads both JSON layouts and skips invalid entries', () => {
+        const table = new RateTable();
+        table.load(writeTable('rates.json', JSON.stringify({ telnyx: { 1: 0.005, 44: 'free' }, unknown: { 1: 0.001 } })));
+        assert.equal(table.size, 1);
+
+        table.load(writeTable('rates-list.json', JSON.stringify([{ provider: 'Plivo', prefix: '+44', rate: 0.02, currency: 'eur' }])));
+        assert.equal(table.size, 1);
+        assert.equal(table.currency, 'EUR');
+        assert.deepEqual(table.lookup('plivo', '+442071234567'), { prefix: '44', rate: 0.02, currency: 'EUR' });
+    });
+
+    test('rejects a table that mixes currencies and keeps the previous rates', () => {
+        const table = new RateTable();
+        table.load(ratesPath);
+        const mixed = writeTable('mixed.csv', 'telnyx,1,0.01,USD\nplivo,1,0.009,EUR\n');
+
+        assert.throws(() => table.load(mixed), /mixes currencies \(USD, EUR\)/);
+        assert.equal(table.size, 4);
+        assert.equal(table.source, ratesPath);
+    });
+});
+
+describe('least-cost routing and failover', () => {
+    const names = ['telnyx', 'plivo', 'infobip'];
+    let tried;
+
+    const stubProvider = (name, behavior) => {
+        providerRegistry.getClient(name).makeCall = async () => {
+            tried.push(name);
+            return behavior();
+        };
+    };
+    const accept = (callId) => () => ({ success: true, callId, tracking: { bulkId: callId } });
+    const refuse = (message, props) => () => { throw providerError(message, props); };
+    const tripBreaker = (name) => {
+        const breaker = providerRegistry.getBreaker(name);
+        breaker.recordFailure(10, new Error('down'));
+        breaker.recordFailure(10, new Error('down'));
+        assert.equal(breaker.state, BREAKER_STATES.OPEN);
+    };
+    const placeCall = (chain) => placeCallWithFailover(chain, '+12125551234', '+15550001111', 'Hello', { text: 'Hello' }, silentLog);
+
+    beforeEach(() => {
+        tried = [];
+        for (const name of names) {
+            const breaker = providerRegistry.getBreaker(name);
+            breaker.transition(BREAKER_STATES.CLOSED);
+            breaker.outcomes = [];
+            stubProvider(name, accept(`${name}-call`));
+        }
+    });
+
+    test('orders priced providers by rate, then the unpriced ones in chain order', () => {
+        const route = planRoute('+12125551234', { dryRun: true });
+        assert.equal(route.strategy, 'least_cost');
+        assert.deepEqual(route.providers, ['plivo', 'telnyx', 'infobip']);
+        assert.match(route.reason, /PLIVO has the lowest available rate \(0\.007 USD\/min\) for prefix 1/);
+
+        assert.deepEqual(planRoute('+442071234567', { dryRun: true }).providers, ['plivo', 'telnyx', 'infobip']);
+
+        const unpriced = planRoute('+33123456789', { dryRun: true });
+        assert.deepEqual(unpriced.providers, ['telnyx', 'plivo', 'infobip']);
+        assert.match(unpriced.reason, /falling back to chain order \(TELNYX\)/);
+    });
+
+    test('routes past a provider whose breaker is open', () => {
+        tripBreaker('plivo');
+        const route = planRoute('+12125551234', { dryRun: true });
+
+        assert.deepEqual(route.providers, ['plivo', 'telnyx', 'infobip']);
+        assert.equal(route.candidates[0].available, false);
+        assert.match(route.reason, /TELNYX has the lowest available rate .*skipped unavailable PLIVO/);
+    });
+
+    test('a forced provider disables failover', () => {
+        const route = planRoute('+12125551234', { provider: 'infobip' });
+        assert.equal(route.strategy, 'override');
+        assert.deepEqual(route.providers, ['infobip']);
+    });
+
+    test('stops at the first provider that accepts the call', async () => {
+        const { result, provider, attempts } = await placeCall(['plivo', 'telnyx', 'infobip']);
+
+        assert.equal(result.callId, 'plivo-call');
+        assert.equal(provider, 'PLIVO');
+        assert.deepEqual(tried, ['plivo']);
+        assert.equal(attempts.length, 1);
+    });
+
+    test('fails over on retryable errors', async () => {
+        stubProvider('plivo', refuse('Plivo call failed: timeout', { code: 'ETIMEDOUT' }));
+        stubProvider('telnyx', refuse('Telnyx call failed: 503', { statusCode: 503 }));
+
+        const { result, provider, attempts } = await placeCall(['plivo', 'telnyx', 'infobip']);
+
+        assert.equal(result.callId, 'infobip-call');
+        assert.equal(provider, 'INFOBIP');
+        assert.deepEqual(tried, ['plivo', 'telnyx', 'infobip']);
+        assert.deepEqual(attempts.map(attempt => [attempt.provider, attempt.success, attempt.retryable]), [
+            ['PLIVO', false, true],
+            ['TELNYX', false, true],
+            ['INFOBIP', true, undefined]
+        ]);
+    });
+
+    test('does not fail over when the provider rejects the call itself', async () => {
+        stubProvider('plivo', refuse('Plivo call failed: invalid destination', { statusCode: 400 }));
+
+        const { result, provider, error, attempts } = await placeCall(['plivo', 'telnyx', 'infobip']);
+
+        assert.equal(result, null);
+        assert.equal(provider, 'PLIVO');
+        assert.equal(error.statusCode, 400);
+        assert.deepEqual(tried, ['plivo']);
+        assert.equal(attempts[0].retryable, false);
+        assert.equal(providerRegistry.getBreaker('plivo').getStatus().recentFailures, 0);
+    });
+
+    test('skips providers with an open breaker without calling them', async () => {
+        tripBreaker('plivo');
+
+        const { result, attempts } = await placeCall(['plivo', 'telnyx']);
+
+        assert.equal(result.callId, 'telnyx-call');
+        assert.deepEqual(tried, ['telnyx']);
+        assert.deepEqual(attempts[0], { provider: 'PLIVO', success: false, skipped: true, reason: 'circuit_open', breakerState: 'OPEN' });
+    });
+
+    test('reports the last error when every provider fails', async () => {
+        stubProvider('telnyx', refuse('Telnyx call failed: 502', { statusCode: 502 }));
+        stubProvider('infobip', refuse('Infobip call failed: 503', { statusCode: 503 }));
+
+        const { result, provider, error, attempts } = await placeCall(['telnyx', 'infobip']);
+
+        assert.equal(result, null);
+        assert.equal(provider, 'INFOBIP');
+        assert.match(error.message, /Infobip call failed: 503/);
+        assert.equal(attempts.length, 2);
+        assert.equal(providerRegistry.getBreaker('telnyx').getStatus().recentFailures, 1);
+    });
+
+    test('reports provider account and throttling failures as gateway errors', () => {
+        const status = (statusCode, provider = 'Plivo') => callFailureStatus(providerError('failed', { statusCode, provider }));
+
+        assert.deepEqual(status(401), { statusCode: 502, upstreamStatus: 401 });
+        assert.deepEqual(status(403), { statusCode: 502, upstreamStatus: 403 });
+        assert.deepEqual(status(407), { statusCode: 502, upstreamStatus: 407 });
+        assert.deepEqual(status(429), { statusCode: 503, upstreamStatus: 429 });
+        assert.deepEqual(status(400), { statusCode: 400, upstreamStatus: 400 });
+        assert.deepEqual(status(503), { statusCode: 503, upstreamStatus: 503 });
+        assert.deepEqual(status(486, 'SIP'), { statusCode: 500, upstreamStatus: null });
+        assert.deepEqual(callFailureStatus(providerError('timeout', { code: 'ETIMEDOUT' })), { statusCode: 500, upstreamStatus: null });
+        assert.deepEqual(callFailureStatus(null), { statusCode: 500, upstreamStatus: null });
+    });
+});
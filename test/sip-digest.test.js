@@ -0,0 +1,141 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const loadServer = require('./support/load-server');
+
+const { parseDigestChallenges, buildDigestCredentials } = loadServer();
+
+// Splits `Digest a="b", c=d` back into its parameters
+const credentialParams = (header) => {
+    assert.match(header, /^Digest /);
+    const params = {};
+    for (const [, name, quoted, token] of header.slice(7).matchAll(/([\w-]+)=(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g)) {
+        params[name] = quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : token;
+    }
+    return params;
+};
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+describe('challenge parsing', () => {
+    test('reads every challenge, strongest algorithm first', () => {
+        const challenges = parseDigestChallenges([
+            'Digest realm="sip.example.com", nonce="n-md5", qop="auth,auth-int", opaque="op"',
+            'Digest realm="sip.example.com", nonce="n-sha256", algorithm=SHA-256, qop="auth", ' +
+                'Digest realm="sip.example.com", nonce="n-sha512", algorithm=SHA-512-256-sess, stale=TRUE'
+        ]);
+
+        assert.deepEqual(challenges, [
+            { realm: 'sip.example.com', nonce: 'n-sha512', opaque: null, algorithm: 'SHA-512-256-sess', hash: 'sha512-256', sess: true, qop: [], stale: true },
+            { realm: 'sip.example.com', nonce: 'n-sha256', opaque: null, algorithm: 'SHA-256', hash: 'sha256', sess: false, qop: ['auth'], stale: false },
+            { realm: 'sip.example.com', nonce: 'n-md5', opaque: 'op', algorithm: null, hash: 'md5', sess: false, qop: ['auth', 'auth-int'], stale: false }
+        ]);
+    });
+
+    test('unescapes quoted strings and skips challenges it cannot answer', () => {
+        const challenges = parseDigestChallenges([
+            'Basic realm="legacy"',
+            'Digest realm="a \\"quoted\\" realm", nonce="abc,def"',
+            'Digest realm="x", nonce="n", algorithm=SHA-1',
+            'Digest realm="x"'
+        ]);
+
+        assert.equal(challenges.length, 1);
+        assert.equal(challenges[0].realm, 'a "quoted" realm');
+        assert.equal(challenges[0].nonce, 'abc,def');
+        assert.deepEqual(parseDigestChallenges(undefined), []);
+    });
+});
+
+describe('credentials', () => {
+    // RFC 7616 section 3.9.1
+    const rfc7616 = {
+        header: 'Digest realm="http-auth@example.org", qop="auth, auth-int", algorithm=%ALG%, ' +
+            'nonce="7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v", opaque="FQhe/qaU925kfnzjCev0ciny7QMkPqMAFRtzCUYo5tdS"',
+        request: { method: 'GET', uri: '/dir/index.html', username: 'Mufasa', password: 'Circle of Life' },
+        cnonce: 'f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ'
+    };
+    const rfc7616Session = (algorithm) => ({
+        challenge: parseDigestChallenges(rfc7616.header.replace('%ALG%', algorithm))[0],
+        nc: 0,
+        cnonce: rfc7616.cnonce
+    });
+
+    test('matches the RFC 7616 MD5 and SHA-256 examples', () => {
+        const sha256 = credentialParams(buildDigestCredentials(rfc7616Session('SHA-256'), rfc7616.request));
+        assert.equal(sha256.response, '753927fa0e85d155564e2e272a28d1802ca10daf4496794697cf8db5856cb6c1');
+        assert.deepEqual({ ...sha256, response: undefined }, {
+            username: 'Mufasa',
+            realm: 'http-auth@example.org',
+            nonce: '7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v',
+            uri: '/dir/index.html',
+            response: undefined,
+            algorithm: 'SHA-256',
+            opaque: 'FQhe/qaU925kfnzjCev0ciny7QMkPqMAFRtzCUYo5tdS',
+            qop: 'auth',
+            nc: '00000001',
+            cnonce: rfc7616.cnonce
+        });
+
+        const md5Params = credentialParams(buildDigestCredentials(rfc7616Session('MD5'), rfc7616.request));
+        assert.equal(md5Params.response, '8ca523f5e9506fed4657c9700eebdbec');
+    });
+
+    test('matches the RFC 2617 example and counts each use of the nonce', () => {
+        const session = {
+            challenge: parseDigestChallenges('Digest realm="testrealm@host.com", qop="auth,auth-int", nonce="dcd98b7102dd2f0e8b11d0f600bfb0c093", opaque="5ccc069c403ebaf9f0171e9517f40e41"')[0],
+            nc: 0,
+            cnonce: '0a4f113b'
+        };
+        const request = { method: 'GET', uri: '/dir/index.html', username: 'Mufasa', password: 'Circle Of Life' };
+
+        const first = credentialParams(buildDigestCredentials(session, request));
+        assert.equal(first.response, '6629fae49393a05397450978507c4ef1');
+        assert.equal(first.algorithm, undefined);
+
+        const second = credentialParams(buildDigestCredentials(session, request));
+        assert.equal(second.nc, '00000002');
+        assert.notEqual(second.response, first.response);
+        assert.equal(session.nc, 2);
+    });
+
+    const sipRequest = { method: 'REGISTER', uri: 'sip:sip.example.com', username: 'alice', password: 'secret' };
+    const sipSession = (header) => ({ challenge: parseDigestChallenges(header)[0], nc: 0, cnonce: 'c0ffee' });
+
+    test('answers a challenge without qop the RFC 2069 way', () => {
+        const params = credentialParams(buildDigestCredentials(sipSession('Digest realm="sip.example.com", nonce="abc"'), sipRequest));
+
+        const ha1 = md5('alice:sip.example.com:secret');
+        assert.equal(params.response, md5(`${ha1}:abc:${md5('REGISTER:sip:sip.example.com')}`));
+        assert.equal(params.qop, undefined);
+        assert.equal(params.nc, undefined);
+        assert.equal(params.cnonce, undefined);
+        assert.equal(params.opaque, undefined);
+    });
+
+    test('hashes the body for auth-int when that is the only protection offered', () => {
+        const session = sipSession('Digest realm="sip.example.com", nonce="abc", qop="auth-int"');
+        const body = 'v=0\r\no=- 1 1 IN IP4 192.0.2.1\r\n';
+        const params = credentialParams(buildDigestCredentials(session, { ...sipRequest, method: 'INVITE', body }));
+
+        const ha1 = md5('alice:sip.example.com:secret');
+        const ha2 = md5(`INVITE:sip:sip.example.com:${md5(body)}`);
+        assert.equal(params.qop, 'auth-int');
+        assert.equal(params.response, md5(`${ha1}:abc:00000001:c0ffee:auth-int:${ha2}`));
+    });
+
+    test('folds the nonce and cnonce into HA1 for -sess algorithms', () => {
+        const session = sipSession('Digest realm="sip.example.com", nonce="abc", qop="auth", algorithm=MD5-sess');
+        const params = credentialParams(buildDigestCredentials(session, sipRequest));
+
+        const ha1 = md5(`${md5('alice:sip.example.com:secret')}:abc:c0ffee`);
+        assert.equal(params.algorithm, 'MD5-sess');
+        assert.equal(params.response, md5(`${ha1}:abc:00000001:c0ffee:auth:${md5('REGISTER:sip:sip.example.com')}`));
+    });
+
+    test('quotes user-supplied values', () => {
+        const session = sipSession('Digest realm="sip.example.com", nonce="abc"');
+        const params = credentialParams(buildDigestCredentials(session, { ...sipRequest, username: 'al"ice\\' }));
+        assert.equal(params.username, 'al"ice\\');
+    });
+});
@@ -0,0 +1,128 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const loadServer = require('./support/load-server');
+
+const { MediaSession, parseSdpAnswer, parseSipInfoDtmf } = loadServer();
+
+const sdp = (lines) => `${lines.join('\r\n')}\r\n`;
+
+describe('SDP answer', () => {
+    test('takes the first G.711 codec and the telephone-event mapping', () => {
+        const answer = parseSdpAnswer(sdp([
+            'v=0',
+            'o=- 1 1 IN IP4 203.0.113.5',
+            's=-',
+            'c=IN IP4 203.0.113.5',
+            't=0 0',
+            'm=audio 40000 RTP/AVP 18 8 96',
+            'a=rtpmap:18 G729/8000',
+            'a=rtpmap:8 PCMA/8000',
+            'a=rtpmap:96 telephone-event/8000',
+            'a=fmtp:96 0-15'
+        ]));
+
+        assert.deepEqual(answer, { address: '203.0.113.5', port: 40000, codec: 'PCMA', payloadType: 8, telephoneEvent: 96 });
+    });
+
+    test('prefers the media-level address and ignores telephone-event at other clock rates', () => {
+        const answer = parseSdpAnswer(sdp([
+            'v=0',
+            'c=IN IP4 198.51.100.1',
+            'm=audio 40002 RTP/AVP 0 101',
+            'c=IN IP4 203.0.113.9',
+            'a=rtpmap:101 telephone-event/48000',
+            'm=audio 40004 RTP/AVP 8'
+        ]));
+
+        assert.deepEqual(answer, { address: '203.0.113.9', port: 40002, codec: 'PCMU', payloadType: 0, telephoneEvent: null });
+    });
+
+    test('returns null without a usable audio stream', () => {
+        assert.equal(parseSdpAnswer(sdp(['v=0', 'm=audio 0 RTP/AVP 0'])), null);
+        assert.equal(parseSdpAnswer(sdp(['v=0', 'm=video 40000 RTP/AVP 96'])), null);
+        assert.equal(parseSdpAnswer(sdp(['v=0', 'm=audio 40000 RTP/AVP 18', 'a=rtpmap:18 G729/8000'])), null);
+        assert.equal(parseSdpAnswer(''), null);
+    });
+});
+
+describe('RFC 4733 telephone-events', () => {
+    // RTP header, then event, E/R/volume and duration
+    const eventPacket = ({ payloadType = 101, timestamp = 1000, event, end = false, csrcCount = 0, extensionWords = null }) => {
+        const csrcs = Buffer.alloc(csrcCount * 4);
+        const extension = extensionWords === null ? Buffer.alloc(0) : Buffer.alloc(4 + extensionWords * 4);
+        if (extensionWords !== null) extension.writeUInt16BE(extensionWords, 2);
+
+        const header = Buffer.alloc(12);
+        header[0] = 0x80 | (extensionWords === null ? 0 : 0x10) | csrcCount;
+        header[1] = payloadType;
+        header.writeUInt32BE(timestamp, 4);
+        const payload = Buffer.from([event, end ? 0x80 | 10 : 10, 0x01, 0x40]);
+        return Buffer.concat([header, csrcs, extension, payload]);
+    };
+
+    const session = (telephoneEvent = 101) => {
+        const media = new MediaSession('127.0.0.1');
+        media.setRemote({ address: '127.0.0.1', port: 40000, codec: 'PCMU', payloadType: 0, telephoneEvent });
+        const digits = [];
+        media.on('dtmf', digit => digits.push(digit));
+        return { media, digits };
+    };
+
+    test('reports each key once, however many packets repeat it', () => {
+        const { media, digits } = session();
+        media.handlePacket(eventPacket({ event: 5, timestamp: 1000 }));
+        media.handlePacket(eventPacket({ event: 5, timestamp: 1000 }));
+        media.handlePacket(eventPacket({ event: 5, timestamp: 1000, end: true }));
+        media.handlePacket(eventPacket({ event: 5, timestamp: 1000, end: true }));
+        media.handlePacket(eventPacket({ event: 10, timestamp: 2600 }));
+        media.handlePacket(eventPacket({ event: 11, timestamp: 4200, end: true }));
+        media.handlePacket(eventPacket({ event: 15, timestamp: 5800 }));
+
+        assert.deepEqual(digits, ['5', '*', '#', 'D']);
+    });
+
+    test('skips CSRCs and header extensions', () => {
+        const { media, digits } = session();
+        media.handlePacket(eventPacket({ event: 1, timestamp: 1000, csrcCount: 2 }));
+        media.handlePacket(eventPacket({ event: 2, timestamp: 2000, extensionWords: 1 }));
+
+        assert.deepEqual(digits, ['1', '2']);
+    });
+
+    test('ignores audio, other payload types and malformed packets', () => {
+        const { media, digits } = session();
+        media.handlePacket(eventPacket({ payloadType: 0, event: 1 }));
+        media.handlePacket(eventPacket({ payloadType: 96, event: 1 }));
+        media.handlePacket(eventPacket({ event: 1 }).subarray(0, 14));
+        media.handlePacket(Buffer.from(eventPacket({ event: 1 })).fill(0, 0, 1)); // RTP version 0
+        media.handlePacket(eventPacket({ event: 16 })); // Flash, not a key
+
+        const withoutEvents = session(null);
+        withoutEvents.media.handlePacket(eventPacket({ event: 1 }));
+
+        assert.deepEqual(digits, []);
+        assert.deepEqual(withoutEvents.digits, []);
+    });
+});
+
+describe('SIP INFO DTMF', () => {
+    test('reads application/dtmf-relay bodies', () => {
+        assert.equal(parseSipInfoDtmf('application/dtmf-relay', 'Signal=5\r\nDuration=160\r\n'), '5');
+        assert.equal(parseSipInfoDtmf('application/dtmf-relay', 'signal = #\nDuration=100'), '#');
+        assert.equal(parseSipInfoDtmf('application/dtmf-relay', 'Signal=10\r\nDuration=160'), '*');
+        assert.equal(parseSipInfoDtmf('application/dtmf-relay', 'Signal=11\r\nDuration=160'), '#');
+        assert.equal(parseSipInfoDtmf('application/dtmf-relay', 'Signal=a'), 'A');
+    });
+
+    test('reads bare application/dtmf bodies', () => {
+        assert.equal(parseSipInfoDtmf('application/dtmf', '7'), '7');
+        assert.equal(parseSipInfoDtmf('application/dtmf', ' * \r\n'), '*');
+    });
+
+    test('rejects anything that is not a key', () => {
+        assert.equal(parseSipInfoDtmf('application/dtmf-relay', 'Duration=160'), null);
+        assert.equal(parseSipInfoDtmf('application/dtmf-relay', 'Signal=16'), null);
+        assert.equal(parseSipInfoDtmf('application/dtmf', 'E'), null);
+        assert.equal(parseSipInfoDtmf('application/dtmf', ''), null);
+    });
+});
@@ -0,0 +1,275 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const { once } = require('events');
+const loadServer = require('./support/load-server');
+
+const { SIPTransport, SIPClient, sipPortOffset } = loadServer();
+
+// A SIP peer on a local UDP socket that records what it receives and answers from the test
+let farEnd;
+let received;
+let transport;
+
+const nextDatagram = async () => {
+    while (!received.length) {
+        await once(farEnd, 'message');
+    }
+    return received.shift();
+};
+
+const sendToTransport = (text) => new Promise((resolve, reject) => {
+    farEnd.send(Buffer.from(text), transport.socket.address().port, '127.0.0.1', error => (error ? reject(error) : resolve()));
+});
+
+const crlf = (lines, content = '') => `${lines.join('\r\n')}\r\n\r\n${content}`;
+
+const buildRequest = (method, branch, cseq = 1) => ({
+    method,
+    uri: 'sip:+15550002222@pbx.example.com',
+    version: '2.0',
+    headers: {
+        'Via': `SIP/2.0/UDP 127.0.0.1:${transport.socket ? transport.socket.address().port : 0};branch=${branch}`,
+        'From': '<sip:api@pbx.example.com>;tag=local',
+        'To': '<sip:+15550002222@pbx.example.com>',
+        'Call-ID': `call-${branch}`,
+        'CSeq': `${cseq} ${method}`,
+        'Max-Forwards': '70'
+    }
+});
+
+// Answers a received request, echoing the headers a UAS must copy into its response
+const answer = (request, status, reason, extra = []) => crlf([
+    `SIP/2.0 ${status} ${reason}`,
+    `Via: ${request.headers.via}`,
+    `From: ${request.headers.from}`,
+    `To: ${request.headers.to}${status > 100 ? ';tag=remote' : ''}`,
+    `Call-ID: ${request.headers['call-id']}`,
+    `CSeq: ${request.headers.cseq}`,
+    ...extra,
+    'Content-Length: 0'
+]);
+
+before(async () => {
+    farEnd = dgram.createSocket('udp4');
+    received = [];
+    farEnd.on('message', (data, rinfo) => received.push({ text: data.toString(), rinfo }));
+    farEnd.bind(0, '127.0.0.1');
+    await once(farEnd, 'listening');
+
+    transport = new SIPTransport({ localPort: 0, proxyHost: '127.0.0.1', proxyPort: farEnd.address().port });
+    await transport.start();
+});
+
+after(() => {
+    transport.socket.close();
+    farEnd.close();
+});
+
+beforeEach(() => {
+    received.length = 0;
+});
+
+describe('message parsing', () => {
+    test('parses a response, expanding compact headers and folding repeated list headers', () => {
+        const message = transport.parse(crlf([
+            'SIP/2.0 401 Unauthorized',
+            'v: SIP/2.0/UDP 10.0.0.1;branch=z9hG4bKa',
+            'Via: SIP/2.0/UDP 10.0.0.2;branch=z9hG4bKb',
+            'WWW-Authenticate: Digest realm="a", nonce="1"',
+            'WWW-Authenticate: Digest realm="a", nonce="2", algorithm=SHA-256',
+            'Subject: first line',
+            '  continued',
+            'l: 5'
+        ], 'hello, trailing bytes'));
+
+        assert.equal(message.status, 401);
+        assert.equal(message.reason, 'Unauthorized');
+        assert.equal(message.headers.via, 'SIP/2.0/UDP 10.0.0.1;branch=z9hG4bKa, SIP/2.0/UDP 10.0.0.2;branch=z9hG4bKb');
+        assert.deepEqual(message.headers['www-authenticate'], [
+            'Digest realm="a", nonce="1"',
+            'Digest realm="a", nonce="2", algorithm=SHA-256'
+        ]);
+        assert.equal(message.headers.subject, 'first line continued');
+        assert.equal(message.content, 'hello');
+        assert.equal(SIPTransport.getBranch(message.headers.via), 'z9hG4bKa');
+    });
+
+    test('parses a request and rejects anything that is not SIP', () => {
+        const message = transport.parse(crlf(['BYE sip:api@10.0.0.1:5070 SIP/2.0', 'i: abc', 'Content-Length: 0']));
+        assert.equal(message.method, 'BYE');
+        assert.equal(message.uri, 'sip:api@10.0.0.1:5070');
+        assert.equal(message.headers['call-id'], 'abc');
+
+        assert.throws(() => transport.parse('HTTP/1.1 200 OK\r\n\r\n'), /Invalid SIP message format/);
+    });
+
+    test('serializes with a Content-Length that counts bytes', () => {
+        const text = transport.serialize({ ...buildRequest('MESSAGE', 'z9hG4bKser'), content: 'héllo' }).toString();
+        assert.match(text, /^MESSAGE sip:\+15550002222@pbx\.example\.com SIP\/2\.0\r\n/);
+        assert.match(text, /\r\nContent-Length: 6\r\n\r\nhéllo$/);
+    });
+});
+
+describe('client transactions', () => {
+    test('retransmits a non-INVITE request until it is answered', async () => {
+        const pending = transport.request(buildRequest('OPTIONS', 'z9hG4bKopt'));
+
+        const first = await nextDatagram();
+        const retransmit = await nextDatagram();
+        assert.equal(retransmit.text, first.text);
+
+        await sendToTransport(answer(transport.parse(first.text), 200, 'OK'));
+        const response = await pending;
+        assert.equal(response.status, 200);
+        assert.equal(transport.transactions.size, 0);
+    });
+
+    test('matches responses by branch and method, leaving strays to the caller', async () => {
+        const pending = transport.request(buildRequest('OPTIONS', 'z9hG4bKmatch'));
+        const request = transport.parse((await nextDatagram()).text);
+
+        const strays = [];
+        transport.on('strayResponse', response => strays.push(response));
+        const otherBranch = { ...request, headers: { ...request.headers, via: request.headers.via.replace('z9hG4bKmatch', 'z9hG4bKother') } };
+        await sendToTransport(answer(otherBranch, 200, 'OK'));
+        const otherMethod = { ...request, headers: { ...request.headers, cseq: '1 INFO' } };
+        await sendToTransport(answer(otherMethod, 200, 'OK'));
+        await sendToTransport(answer(request, 404, 'Not Found'));
+
+        assert.equal((await pending).status, 404);
+        assert.equal(strays.length, 2);
+        transport.removeAllListeners('strayResponse');
+    });
+
+    test('reports provisional responses and ACKs a failed INVITE, again for each retransmitted final', async () => {
+        const provisional = [];
+        const pending = transport.request(buildRequest('INVITE', 'z9hG4bKinv'), { onProvisional: response => provisional.push(response.status) });
+        const invite = transport.parse((await nextDatagram()).text);
+
+        await sendToTransport(answer(invite, 100, 'Trying'));
+        await sendToTransport(answer(invite, 180, 'Ringing'));
+        await sendToTransport(answer(invite, 486, 'Busy Here'));
+
+        const response = await pending;
+        assert.equal(response.status, 486);
+        assert.deepEqual(provisional, [100, 180]);
+
+        const ack = transport.parse((await nextDatagram()).text);
+        assert.equal(ack.method, 'ACK');
+        assert.equal(ack.uri, invite.uri);
+        assert.equal(ack.headers.cseq, '1 ACK');
+        assert.equal(SIPTransport.getBranch(ack.headers.via), 'z9hG4bKinv');
+        assert.equal(ack.headers.to, `${invite.headers.to};tag=remote`);
+
+        await sendToTransport(answer(invite, 486, 'Busy Here'));
+        const replayed = transport.parse((await nextDatagram()).text);
+        assert.equal(replayed.method, 'ACK');
+        assert.equal(received.length, 0);
+    });
+
+    test('stops retransmitting an INVITE once it is proceeding', async () => {
+        const pending = transport.request(buildRequest('INVITE', 'z9hG4bKproceed'));
+        const invite = transport.parse((await nextDatagram()).text);
+        await sendToTransport(answer(invite, 100, 'Trying'));
+
+        await new Promise(resolve => setTimeout(resolve, 700));
+        assert.equal(received.length, 0);
+
+        await sendToTransport(answer(invite, 200, 'OK'));
+        assert.equal((await pending).status, 200);
+        // A 2xx is acknowledged by the dialog, not the transaction
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(received.length, 0);
+    });
+});
+
+describe('server side', () => {
+    test('emits far-end requests and replays the response to retransmissions', async () => {
+        const bye = crlf([
+            'BYE sip:api@127.0.0.1 SIP/2.0',
+            'Via: SIP/2.0/UDP 127.0.0.1;branch=z9hG4bKbye',
+            'From: <sip:+15550002222@pbx.example.com>;tag=remote',
+            'To: <sip:api@pbx.example.com>',
+            'Call-ID: call-bye',
+            'CSeq: 2 BYE',
+            'Content-Length: 0'
+        ]);
+
+        const requests = [];
+        transport.on('request', (request, rinfo) => {
+            requests.push(request);
+            transport.respond(request, rinfo, 200);
+        });
+        await sendToTransport(bye);
+        const response = transport.parse((await nextDatagram()).text);
+        assert.equal(response.status, 200);
+        assert.equal(response.reason, 'OK');
+        assert.equal(response.headers.cseq, '2 BYE');
+        assert.match(response.headers.to, /^<sip:api@pbx\.example\.com>;tag=\w+$/);
+
+        await sendToTransport(bye);
+        const replayed = await nextDatagram();
+        assert.equal(transport.parse(replayed.text).headers.to, response.headers.to);
+        assert.equal(requests.length, 1);
+        transport.removeAllListeners('request');
+    });
+
+    test('answers a CRLF keep-alive ping', async () => {
+        const ping = transport.ping(1000);
+        const { text } = await nextDatagram();
+        assert.equal(text, '\r\n\r\n');
+        await sendToTransport('\r\n');
+        assert.equal(await ping, true);
+
+        assert.equal(await transport.ping(50), false);
+    });
+});
+
+describe('SIP port per process', () => {
+    test('offsets by the worker index, then the PM2 instance, then the cluster worker id', () => {
+        assert.equal(sipPortOffset({ WORKER_INDEX: '2', NODE_APP_INSTANCE: '5' }, { id: 9 }), 2);
+        assert.equal(sipPortOffset({ NODE_APP_INSTANCE: '3' }, { id: 9 }), 3);
+        assert.equal(sipPortOffset({ NODE_APP_INSTANCE: '0' }, { id: 9 }), 0);
+        assert.equal(sipPortOffset({}, { id: 4 }), 3);
+        assert.equal(sipPortOffset({ WORKER_INDEX: 'x' }, undefined), 0);
+    });
+});
+
+describe('far-end BYE', () => {
+    // Just the state handleIncomingRequest touches, recording responses and finished calls
+    const sipClient = (status) => {
+        const client = Object.create(SIPClient.prototype);
+        client.activeCalls = new Map([['call-1', { status }]]);
+        client.bridgeLegs = new Map();
+        client.responses = [];
+        client.finished = [];
+        client.transport = { respond: (request, rinfo, code) => client.responses.push(code) };
+        client.finishCall = (callId, finalStatus, cause) => client.finished.push([callId, finalStatus, cause]);
+        return client;
+    };
+    const bye = (callId) => ({ method: 'BYE', headers: { 'call-id': callId } });
+
+    test('ends a live call', () => {
+        const client = sipClient('ANSWERED');
+        client.handleIncomingRequest(bye('call-1'), {});
+
+        assert.deepEqual(client.responses, [200]);
+        assert.deepEqual(client.finished, [['call-1', 'COMPLETED', 'BYE_RECEIVED']]);
+    });
+
+    test('acknowledges a BYE for a call that has already ended without ending it again', () => {
+        const client = sipClient('CANCELED');
+        client.handleIncomingRequest(bye('call-1'), {});
+
+        assert.deepEqual(client.responses, [200]);
+        assert.deepEqual(client.finished, []);
+    });
+
+    test('rejects a BYE outside any dialog', () => {
+        const client = sipClient('ANSWERED');
+        client.handleIncomingRequest(bye('unknown'), {});
+
+        assert.deepEqual(client.responses, [481]);
+    });
+});
@@ -0,0 +1,213 @@
+//
+// Minimal writers for the containers lib/audio-decoding.js reads, so the tests can build exact
+// inputs (including broken ones) in code. Real-world encoder output lives in test/fixtures.
+//
+
+/**
+ * MSB-first bit writer, the bit order FLAC and MPEG audio use.
+ */
+class BitWriter {
+    constructor() {
+        this.bits = [];
+    }
+
+    write(value, count) {
+        for (let bit = count - 1; bit >= 0; bit--) {
+            this.bits.push(Math.floor(value / 2 ** bit) % 2);
+        }
+    }
+
+    writeSigned(value, count) {
+        this.write(value < 0 ? value + 2 ** count : value, count);
+    }
+
+    writeUnary(zeros) {
+        for (let i = 0; i < zeros; i++) this.bits.push(0);
+        this.bits.push(1);
+    }
+
+    alignToByte() {
+        while (this.bits.length % 8) this.bits.push(0);
+    }
+
+    toBuffer() {
+        this.alignToByte();
+        const buffer = Buffer.alloc(this.bits.length / 8);
+        this.bits.forEach((bit, index) => {
+            buffer[index >> 3] |= bit << (7 - (index & 7));
+        });
+        return buffer;
+    }
+}
+
+// MSB-first CRC with no reflection and a zero initial value (FLAC's CRC-8 and CRC-16)
+const crc = (buffer, width, polynomial) => {
+    const top = 2 ** (width - 1);
+    const mask = 2 ** width - 1;
+    let value = 0;
+    for (const byte of buffer) {
+        value ^= byte * 2 ** (width - 8);
+        for (let bit = 0; bit < 8; bit++) {
+            value = value & top ? ((value * 2) ^ polynomial) & mask : (value * 2) & mask;
+        }
+    }
+    return value;
+};
+
+/**
+ * Builds a RIFF/WAVE file around already-encoded sample data.
+ */
+function buildWav({ audioFormat = 1, sampleRate = 8000, channels = 1, bitsPerSample = 16, data, extensible = false, chunksBeforeData = [] }) {
+    const fmt = Buffer.alloc(extensible ? 40 : 16);
+    fmt.writeUInt16LE(extensible ? 0xFFFE : audioFormat, 0);
+    fmt.writeUInt16LE(channels, 2);
+    fmt.writeUInt32LE(sampleRate, 4);
+    fmt.writeUInt32LE(sampleRate * channels * bitsPerSample / 8, 8);
+    fmt.writeUInt16LE(channels * bitsPerSample / 8, 12);
+    fmt.writeUInt16LE(bitsPerSample, 14);
+    if (extensible) {
+        fmt.writeUInt16LE(22, 16);
+        fmt.writeUInt16LE(bitsPerSample, 18);
+        fmt.writeUInt16LE(audioFormat, 24); // First two bytes of the sub-format GUID
+    }
+
+    const chunk = (id, body) => {
+        const header = Buffer.alloc(8);
+        header.write(id, 0, 'ascii');
+        header.writeUInt32LE(body.length, 4);
+        return Buffer.concat([header, body, Buffer.alloc(body.length % 2)]);
+    };
+    const body = Buffer.concat([
+        Buffer.from('WAVE'),
+        chunk('fmt ', fmt),
+        ...chunksBeforeData.map(([id, content]) => chunk(id, content)),
+        chunk('data', data)
+    ]);
+    const riff = Buffer.alloc(8);
+    riff.write('RIFF', 0, 'ascii');
+    riff.writeUInt32LE(body.length, 4);
+    return Buffer.concat([riff, body]);
+}
+
+// Interleaved 16-bit little-endian PCM from [[left, right], ...] frames
+const pcm16 = (frames) => {
+    const data = Buffer.alloc(frames.length * frames[0].length * 2);
+    frames.flat().forEach((sample, index) => data.writeInt16LE(sample, index * 2));
+    return data;
+};
+
+const writeFlacSubframe = (writer, subframe, bits) => {
+    const { type, samples } = subframe;
+    writer.write(0, 1);
+    if (type === 'constant') {
+        writer.write(0, 6);
+        writer.write(0, 1);
+        writer.writeSigned(samples[0], bits);
+    } else if (type === 'verbatim') {
+        writer.write(1, 6);
+        writer.write(0, 1);
+        samples.forEach(sample => writer.writeSigned(sample, bits));
+    } else if (type === 'fixed') {
+        // Fixed order-2 predictor with one Rice partition
+        const order = 2;
+        const parameter = subframe.riceParameter;
+        writer.write(8 + order, 6);
+        writer.write(0, 1);
+        samples.slice(0, order).forEach(sample => writer.writeSigned(sample, bits));
+        writer.write(0, 2); // Rice, 4-bit parameters
+        writer.write(0, 4); // Partition order 0
+        writer.write(parameter, 4);
+        for (let i = order; i < samples.length; i++) {
+            const residual = samples[i] - (2 * samples[i - 1] - samples[i - 2]);
+            const folded = residual >= 0 ? residual * 2 : -residual * 2 - 1;
+            writer.writeUnary(Math.floor(folded / 2 ** parameter));
+            writer.write(folded % 2 ** parameter, parameter);
+        }
+    } else {
+        throw new Error(`Unknown subframe type ${type}`);
+    }
+};
+
+/**
+ * Builds a FLAC stream. Each frame is { channelCode, subframes: [{ type, samples, riceParameter }] };
+ * channel code 8 means left/side stereo, where the second subframe holds left - right.
+ */
+function buildFlac({ sampleRate = 8000, channels = 1, bitsPerSample = 16, totalSamples, frames }) {
+    const streamInfo = new BitWriter();
+    streamInfo.write(16, 16);
+    streamInfo.write(4096, 16);
+    streamInfo.write(0, 24);
+    streamInfo.write(0, 24);
+    streamInfo.write(sampleRate, 20);
+    streamInfo.write(channels - 1, 3);
+    streamInfo.write(bitsPerSample - 1, 5);
+    streamInfo.write(totalSamples ?? frames.reduce((sum, frame) => sum + frame.subframes[0].samples.length, 0), 36);
+    streamInfo.write(0, 128); // MD5 of the unencoded audio, which decoders need not check
+
+    const metadata = Buffer.concat([Buffer.from([0x80, 0, 0, 34]), streamInfo.toBuffer()]);
+
+    const encodedFrames = frames.map(({ channelCode = channels - 1, subframes }, frameNumber) => {
+        const blockSize = subframes[0].samples.length;
+        const header = new BitWriter();
+        header.write(0x7FFC, 15); // Sync code and reserved bit
+        header.write(0, 1); // Fixed block size
+        header.write(7, 4); // Block size - 1 follows as 16 bits
+        header.write(0, 4); // Sample rate from STREAMINFO
+        header.write(channelCode, 4);
+        header.write(0, 3); // Sample size from STREAMINFO
+        header.write(0, 1);
+        header.write(frameNumber, 8);
+        header.write(blockSize - 1, 16);
+        const headerBytes = header.toBuffer();
+
+        const body = new BitWriter();
+        subframes.forEach((subframe, index) => {
+            const isSide = channelCode === 8 && index === 1;
+            writeFlacSubframe(body, subframe, bitsPerSample + (isSide ? 1 : 0));
+        });
+        const frame = Buffer.concat([headerBytes, Buffer.from([crc(headerBytes, 8, 0x07)]), body.toBuffer()]);
+        const footer = Buffer.alloc(2);
+        footer.writeUInt16BE(crc(frame, 16, 0x8005));
+        return Buffer.concat([frame, footer]);
+    });
+
+    return Buffer.concat([Buffer.from('fLaC'), metadata, ...encodedFrames]);
+}
+
+/**
+ * One MPEG audio frame whose side information is all zero (so it decodes to silence), with an
+ * optional patch applied to the side information bytes.
+ */
+function buildMp3Frame({ version = 'mpeg1', layer = 3, bitrateIndex = 9, sampleRateIndex = 0, mono = true, sideInfo = [] } = {}) {
+    const versionBits = { mpeg1: 3, mpeg2: 2, 'mpeg2.5': 0 }[version];
+    const header = Buffer.from([
+        0xFF,
+        0xE0 | (versionBits << 3) | ((4 - layer) << 1) | 1, // No CRC
+        (bitrateIndex << 4) | (sampleRateIndex << 2),
+        mono ? 0xC0 : 0x00
+    ]);
+    const sampleRate = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] }[versionBits][sampleRateIndex];
+    const kbps = (version === 'mpeg1'
+        ? [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+        : [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160])[bitrateIndex];
+    const length = Math.floor((version === 'mpeg1' ? 144 : 72) * kbps * 1000 / sampleRate);
+
+    const frame = Buffer.alloc(length);
+    header.copy(frame);
+    sideInfo.forEach(([index, value]) => { frame[4 + index] = value; });
+    return frame;
+}
+
+// An ID3v2 tag of the given payload size (its size field is a 28-bit synchsafe integer)
+const buildId3v2Tag = (size) => {
+    const tag = Buffer.alloc(10 + size);
+    tag.write('ID3', 0, 'latin1');
+    tag[3] = 4;
+    tag[6] = (size >> 21) & 0x7F;
+    tag[7] = (size >> 14) & 0x7F;
+    tag[8] = (size >> 7) & 0x7F;
+    tag[9] = size & 0x7F;
+    return tag;
+};
+
+module.exports = { BitWriter, buildWav, pcm16, buildFlac, buildMp3Frame, buildId3v2Tag };
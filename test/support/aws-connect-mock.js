@@ -0,0 +1,123 @@
+//
+// Local mock of the Amazon Connect API that authenticates requests the way AWS does: it rebuilds
+// the Signature Version 4 canonical request from what actually arrived on the wire and rejects
+// anything whose signature, scope or timestamp does not check out. Point AWSConnectClient at it
+// with AWS_ENDPOINT_URL.
+//
+
+const http = require('http');
+const crypto = require('crypto');
+
+const MAX_CLOCK_SKEW_MS = 15 * 60 * 1000;
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data, 'utf8').digest();
+const uriEncode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const parseAmzDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+    return match ? Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]) : NaN;
+};
+
+/**
+ * Returns the reason the request's signature is not acceptable, or null.
+ */
+function verifySigV4(req, body, { accessKeyId, secretAccessKey, region, sessionToken }) {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/([^/]+)\/aws4_request, SignedHeaders=([a-z0-9;-]+), Signature=([0-9a-f]{64})$/
+        .exec(req.headers.authorization || '');
+    if (!match) return 'missing or malformed Authorization header';
+    const [, keyId, scopeDate, scopeRegion, service, signedHeaderList, signature] = match;
+
+    if (keyId !== accessKeyId) return 'unknown access key';
+    if (scopeRegion !== region || service !== 'connect') return `credential scope is for ${scopeRegion}/${service}`;
+
+    const amzDate = req.headers['x-amz-date'];
+    const requestTime = parseAmzDate(amzDate);
+    if (Number.isNaN(requestTime)) return 'missing or malformed x-amz-date';
+    if (Math.abs(Date.now() - requestTime) > MAX_CLOCK_SKEW_MS) return 'x-amz-date is too far from the server time';
+    if (amzDate.slice(0, 8) !== scopeDate) return 'credential scope date does not match x-amz-date';
+
+    const signedHeaders = signedHeaderList.split(';');
+    for (const required of ['host', 'x-amz-date', ...(sessionToken ? ['x-amz-security-token'] : [])]) {
+        if (!signedHeaders.includes(required)) return `${required} is not signed`;
+    }
+    if (sessionToken && req.headers['x-amz-security-token'] !== sessionToken) return 'invalid security token';
+
+    // Every service except S3 signs each path segment URI-encoded twice: once on the wire, once more here
+    const url = new URL(req.url, 'http://mock');
+    const canonicalUri = url.pathname.split('/').map(uriEncode).join('/');
+    const canonicalQuery = Array.from(url.searchParams)
+        .map(([name, value]) => [uriEncode(name), uriEncode(value)])
+        .sort(([a, x], [b, y]) => (a < b ? -1 : a > b ? 1 : x < y ? -1 : x > y ? 1 : 0))
+        .map(([name, value]) => `${name}=${value}`)
+        .join('&');
+    const canonicalHeaders = signedHeaders
+        .map(name => `${name}:${String(req.headers[name] ?? '').trim().replace(/\s+/g, ' ')}\n`)
+        .join('');
+    const canonicalRequest = [req.method, canonicalUri, canonicalQuery, canonicalHeaders, signedHeaderList, sha256Hex(body)].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, `${scopeDate}/${region}/connect/aws4_request`, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, scopeDate), region), 'connect'), 'aws4_request');
+    const expected = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature)) ? null : 'signature mismatch';
+}
+
+/**
+ * Starts the mock on a random local port.
+ * @returns {Promise<{endpoint: string, requests: object[], contacts: Map, close: Function}>}
+ *   requests lists every authenticated request; contacts maps ContactId to what DescribeContact returns
+ */
+async function startConnectMock(credentials) {
+    const requests = [];
+    const contacts = new Map();
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const reply = (status, data) => {
+                res.writeHead(status, { 'content-type': 'application/json' });
+                res.end(JSON.stringify(data));
+            };
+
+            const reason = verifySigV4(req, body, credentials);
+            if (reason) {
+                return reply(403, { message: `The request signature we calculated does not match the signature you provided (${reason})` });
+            }
+
+            const payload = body.length ? JSON.parse(body.toString('utf8')) : null;
+            const path = new URL(req.url, 'http://mock').pathname;
+            requests.push({ method: req.method, path, headers: req.headers, body: payload });
+
+            if (req.method === 'PUT' && path === '/contact/outbound-voice') {
+                const contactId = crypto.randomUUID();
+                contacts.set(contactId, { Id: contactId, InitiationTimestamp: new Date().toISOString() });
+                return reply(200, { ContactId: contactId });
+            }
+            if (req.method === 'POST' && path === '/contact/stop') {
+                return contacts.has(payload.ContactId)
+                    ? reply(200, {})
+                    : reply(400, { message: 'Contact is not active' });
+            }
+            const describe = /^\/contacts\/([^/]+)\/([^/]+)$/.exec(path);
+            if (req.method === 'GET' && describe) {
+                const contact = contacts.get(decodeURIComponent(describe[2]));
+                return contact
+                    ? reply(200, { Contact: contact })
+                    : reply(404, { message: 'Contact not found' });
+            }
+            reply(404, { message: `No route for ${req.method} ${path}` });
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        contacts,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startConnectMock, verifySigV4 };
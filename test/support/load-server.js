@@ -0,0 +1,17 @@
+//
+// Requires server.js for its internals. The server reads its configuration when it is loaded,
+// so each test file (node --test runs every file in its own process) passes the environment
+// it needs here, before the first require.
+//
+
+const BASE_ENV = {
+    NODE_ENV: 'test',
+    LOG_LEVEL: 'silent',
+    MY_API_KEY: 'test-api-key',
+    DEFAULT_CALLER_ID: '+15550001111'
+};
+
+module.exports = function loadServer(env = {}) {
+    Object.assign(process.env, BASE_ENV, env);
+    return require('../../server');
+};
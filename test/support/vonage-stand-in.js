@@ -0,0 +1,86 @@
+//
+// Local stand-in for the Vonage Voice API. It checks every request's application JWT the way
+// Vonage does: RS256 against the application's public key, the application_id claim and the
+// token's lifetime. Point VonageClient at it with VONAGE_BASE_URL.
+//
+
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Returns the reason the bearer token is not acceptable, or null.
+ */
+function verifyApplicationJwt(authorization, { publicKey, applicationId }) {
+    if (!authorization || !authorization.startsWith('Bearer ')) return 'missing bearer token';
+
+    const [header, payload, signature] = authorization.slice(7).split('.');
+    if (!header || !payload || !signature) return 'malformed JWT';
+
+    let alg;
+    let claims;
+    try {
+        alg = JSON.parse(Buffer.from(header, 'base64url').toString('utf8')).alg;
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return 'malformed JWT';
+    }
+    if (alg !== 'RS256') return `unsupported alg ${alg}`;
+    if (!crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url'))) {
+        return 'invalid signature';
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (claims.application_id !== applicationId) return 'unknown application_id';
+    if (!Number.isInteger(claims.iat) || claims.iat > now + 5) return 'invalid iat';
+    if (!Number.isInteger(claims.exp) || claims.exp <= now) return 'token expired';
+    if (!claims.jti) return 'missing jti';
+    return null;
+}
+
+/**
+ * Starts the stand-in on a random local port.
+ * @returns {Promise<{baseUrl: string, requests: object[], close: Function}>} requests lists every accepted call
+ */
+async function startVonageStandIn({ publicKey, applicationId }) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const reply = (status, data) => {
+                res.writeHead(status, { 'content-type': 'application/json' });
+                res.end(data ? JSON.stringify(data) : undefined);
+            };
+
+            const reason = verifyApplicationJwt(req.headers.authorization, { publicKey, applicationId });
+            if (reason) {
+                return reply(401, { type: 'https://developer.nexmo.com/api-errors#unauthorized', title: 'Unauthorized', detail: reason });
+            }
+
+            const [, token] = req.headers.authorization.split(' ');
+            const claims = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+            const request = { method: req.method, path: req.url, claims, body: body ? JSON.parse(body) : null };
+
+            if (req.method === 'POST' && req.url === '/v1/calls') {
+                requests.push(request);
+                const uuid = crypto.randomUUID();
+                return reply(201, { uuid, status: 'started', direction: 'outbound', conversation_uuid: `CON-${uuid}` });
+            }
+            if (req.method === 'PUT' && req.url.startsWith('/v1/calls/')) {
+                requests.push(request);
+                return reply(204);
+            }
+            reply(404, { title: 'Not Found' });
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startVonageStandIn, verifyApplicationJwt };
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const loadServer = require('./support/load-server');
+
+const { TwilioClient } = loadServer({
+    TWILIO_ACCOUNT_SID: 'AC00000000000000000000000000000000',
+    TWILIO_AUTH_TOKEN: 'twilio-auth-token',
+    PUBLIC_BASE_URL: 'not a url'
+});
+
+test('refuses to dial without a public URL for the TwiML', async () => {
+    const client = new TwilioClient();
+
+    await assert.rejects(client.makeCall('+15550002222', '+15550001111', 'Hello there', { isText: true }), error => {
+        assert.match(error.message, /PUBLIC_BASE_URL must be a valid URL/);
+        assert.equal(error.retryable, false);
+        return true;
+    });
+    assert.equal(client.activeCalls.size, 0);
+});
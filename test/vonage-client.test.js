@@ -0,0 +1,97 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const loadServer = require('./support/load-server');
+const { startVonageStandIn } = require('./support/vonage-stand-in');
+
+const { VonageClient } = loadServer();
+
+const APPLICATION_ID = 'aaaaaaaa-bbbb-cccc-dddd-0123456789ab';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const privateKeyPem = privateKey.export({ format: 'pem', type: 'pkcs8' });
+
+let standIn;
+
+before(async () => {
+    standIn = await startVonageStandIn({ publicKey, applicationId: APPLICATION_ID });
+});
+
+after(() => standIn.close());
+
+beforeEach(() => {
+    standIn.requests.length = 0;
+    Object.assign(process.env, {
+        VONAGE_APPLICATION_ID: APPLICATION_ID,
+        // As it arrives from a .env file: one line with literal "\n" sequences
+        VONAGE_PRIVATE_KEY: privateKeyPem.replace(/\n/g, '\\n'),
+        VONAGE_BASE_URL: `${standIn.baseUrl}/`
+    });
+    delete process.env.VONAGE_PRIVATE_KEY_PATH;
+});
+
+test('places a call with an application JWT the API accepts', async () => {
+    const client = new VonageClient();
+    const result = await client.makeCall('+15550002222', '+15550001111', 'Hello there', { isText: true });
+
+    assert.equal(result.success, true);
+    assert.equal(result.status, 'INITIATED');
+    assert.match(result.callId, /^[0-9a-f-]{36}$/);
+
+    const [request] = standIn.requests;
+    assert.deepEqual(request.body, {
+        to: [{ type: 'phone', number: '+15550002222' }],
+        from: { type: 'phone', number: '+15550001111' },
+        ncco: [{ action: 'talk', text: 'Hello there', voiceName: 'Amy' }]
+    });
+    assert.equal(request.claims.application_id, APPLICATION_ID);
+    assert.equal(request.claims.exp - request.claims.iat, 900);
+});
+
+test('reuses the token until it is about to expire', async () => {
+    const client = new VonageClient();
+    const { callId } = await client.makeCall('+15550002222', '+15550001111', 'https://cdn.example.com/a.mp3');
+    await client.hangupCall(callId);
+    assert.deepEqual(standIn.requests[1].body, { action: 'hangup' });
+    assert.equal(standIn.requests[1].claims.jti, standIn.requests[0].claims.jti);
+
+    client.cachedJwt.exp = Math.floor(Date.now() / 1000) + 30;
+    await client.makeCall('+15550002222', '+15550001111', 'https://cdn.example.com/a.mp3');
+    assert.notEqual(standIn.requests[2].claims.jti, standIn.requests[0].claims.jti);
+    assert.deepEqual(standIn.requests[2].body.ncco, [{ action: 'stream', streamUrl: ['https://cdn.example.com/a.mp3'] }]);
+});
+
+test('reads the key from VONAGE_PRIVATE_KEY_PATH', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'truesip-vonage-'));
+    try {
+        const keyPath = path.join(dir, 'private.key');
+        fs.writeFileSync(keyPath, privateKeyPem);
+        process.env.VONAGE_PRIVATE_KEY_PATH = keyPath;
+        process.env.VONAGE_PRIVATE_KEY = 'not a key';
+
+        const result = await new VonageClient().makeCall('+15550002222', '+15550001111', 'Hi', { isText: true });
+        assert.equal(result.success, true);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a token signed with another key is refused as a provider-side fault', async () => {
+    const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    process.env.VONAGE_PRIVATE_KEY = otherKey.export({ format: 'pem', type: 'pkcs8' });
+
+    await assert.rejects(
+        new VonageClient().makeCall('+15550002222', '+15550001111', 'Hi', { isText: true }),
+        error => error.message.startsWith('Vonage call failed') && error.statusCode === 401 && error.retryable === true
+    );
+    assert.equal(standIn.requests.length, 0);
+});
+
+test('refuses a private key that is not RSA', () => {
+    const ecKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey;
+    process.env.VONAGE_PRIVATE_KEY = ecKey.export({ format: 'pem', type: 'pkcs8' });
+
+    assert.throws(() => new VonageClient(), /Vonage private key must be RSA, got ec/);
+});
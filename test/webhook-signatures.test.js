@@ -0,0 +1,211 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const loadServer = require('./support/load-server');
+
+const PUBLIC_BASE_URL = 'https://api.example.com';
+const secrets = {
+    TWILIO_AUTH_TOKEN: 'twilio-auth-token',
+    VONAGE_SIGNATURE_SECRET: 'vonage-signature-secret',
+    PLIVO_AUTH_TOKEN: 'plivo-auth-token',
+    SINCH_APPLICATION_KEY: 'sinch-app-key',
+    SINCH_APPLICATION_SECRET: Buffer.from('sinch-app-secret').toString('base64'),
+    WEBHOOK_SHARED_SECRET: 'shared-secret'
+};
+
+// Telnyx signs with ed25519 and publishes the raw 32-byte public key
+const telnyxKeys = crypto.generateKeyPairSync('ed25519');
+const telnyxPublicKey = telnyxKeys.publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64');
+
+const { app } = loadServer({ PUBLIC_BASE_URL, TELNYX_PUBLIC_KEY: telnyxPublicKey, ...secrets });
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const nowSec = () => Math.floor(Date.now() / 1000);
+const post = (path, { headers = {}, json, form } = {}) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: {
+        'content-type': form ? 'application/x-www-form-urlencoded' : 'application/json',
+        ...headers
+    },
+    body: form ? new URLSearchParams(form).toString() : JSON.stringify(json || {})
+});
+
+const assertAccepted = async (responsePromise) => {
+    const response = await responsePromise;
+    assert.notEqual(response.status, 401, `expected the signature to be accepted, got ${response.status}`);
+};
+
+const assertRejected = async (responsePromise) => {
+    const response = await responsePromise;
+    assert.equal(response.status, 401);
+    assert.deepEqual(await response.json(), { error: 'Unauthorized', details: 'Webhook signature verification failed.' });
+};
+
+// URL followed by every POST parameter and its value, sorted by name
+const signedData = (path, params) => Object.keys(params).sort()
+    .reduce((acc, key) => acc + key + params[key], `${PUBLIC_BASE_URL}${path}`);
+
+describe('Twilio', () => {
+    const path = '/twiml/CA123';
+    const params = { CallSid: 'CA123', Digits: '1', From: '+15550001111' };
+    const sign = (data) => crypto.createHmac('sha1', secrets.TWILIO_AUTH_TOKEN).update(data).digest('base64');
+
+    test('accepts a valid X-Twilio-Signature', async () => {
+        await assertAccepted(post(path, { form: params, headers: { 'x-twilio-signature': sign(signedData(path, params)) } }));
+    });
+
+    test('rejects a signature over different parameters', async () => {
+        const signature = sign(signedData(path, params));
+        await assertRejected(post(path, { form: { ...params, Digits: '9' }, headers: { 'x-twilio-signature': signature } }));
+    });
+
+    test('rejects a request without a signature', async () => {
+        await assertRejected(post(path, { form: params }));
+    });
+});
+
+describe('Telnyx', () => {
+    const path = '/webhook/telnyx';
+    const body = JSON.stringify({ data: { event_type: 'call.hangup' } });
+    const sign = (timestamp, payload) => crypto.sign(null, Buffer.from(`${timestamp}|${payload}`), telnyxKeys.privateKey).toString('base64');
+    const send = (timestamp, signature, payload = body) => fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'telnyx-timestamp': String(timestamp), 'telnyx-signature-ed25519': signature },
+        body: payload
+    });
+
+    test('accepts a valid ed25519 signature over the raw body', async () => {
+        const timestamp = nowSec();
+        await assertAccepted(send(timestamp, sign(timestamp, body)));
+    });
+
+    test('rejects a body that was changed after signing', async () => {
+        const timestamp = nowSec();
+        await assertRejected(send(timestamp, sign(timestamp, body), body.replace('hangup', 'answered')));
+    });
+
+    test('rejects a timestamp outside the tolerance', async () => {
+        const timestamp = nowSec() - 3600;
+        await assertRejected(send(timestamp, sign(timestamp, body)));
+    });
+
+    test('rejects a signature from another key', async () => {
+        const timestamp = nowSec();
+        const otherKey = crypto.generateKeyPairSync('ed25519').privateKey;
+        await assertRejected(send(timestamp, crypto.sign(null, Buffer.from(`${timestamp}|${body}`), otherKey).toString('base64')));
+    });
+});
+
+describe('Vonage', () => {
+    const path = '/webhook/vonage';
+    const json = { uuid: 'call-uuid', status: 'answered' };
+    const bodyHash = crypto.createHash('sha256').update(JSON.stringify(json)).digest('hex');
+    const jwt = (claims, secret = secrets.VONAGE_SIGNATURE_SECRET) => {
+        const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+        const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+        const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+        return `Bearer ${header}.${payload}.${signature}`;
+    };
+
+    test('accepts a signed JWT whose payload_hash matches the body', async () => {
+        await assertAccepted(post(path, { json, headers: { authorization: jwt({ iat: nowSec(), payload_hash: bodyHash }) } }));
+    });
+
+    test('rejects a JWT signed with another secret', async () => {
+        await assertRejected(post(path, { json, headers: { authorization: jwt({ iat: nowSec() }, 'wrong-secret') } }));
+    });
+
+    test('rejects an expired JWT', async () => {
+        await assertRejected(post(path, { json, headers: { authorization: jwt({ iat: nowSec() - 60, exp: nowSec() - 30 }) } }));
+    });
+
+    test('rejects a body that does not match payload_hash', async () => {
+        const authorization = jwt({ iat: nowSec(), payload_hash: bodyHash });
+        await assertRejected(post(path, { json: { ...json, status: 'completed' }, headers: { authorization } }));
+    });
+});
+
+describe('Plivo', () => {
+    const path = '/plivo/call-1';
+    const params = { CallUUID: 'call-1', CallStatus: 'in-progress' };
+    const nonce = '12345678901234567890';
+    const sign = (data) => crypto.createHmac('sha256', secrets.PLIVO_AUTH_TOKEN).update(`${data}.${nonce}`).digest('base64');
+
+    test('accepts the request when any listed V3 signature matches', async () => {
+        const signatures = `bm90LXRoZS1zaWduYXR1cmU=, ${sign(signedData(path, params))}`;
+        await assertAccepted(post(path, { form: params, headers: { 'x-plivo-signature-v3': signatures, 'x-plivo-signature-v3-nonce': nonce } }));
+    });
+
+    test('rejects a signature made with another nonce', async () => {
+        const signature = sign(signedData(path, params));
+        await assertRejected(post(path, { form: params, headers: { 'x-plivo-signature-v3': signature, 'x-plivo-signature-v3-nonce': 'other-nonce' } }));
+    });
+});
+
+describe('Sinch', () => {
+    const path = '/webhook/sinch';
+    const json = { event: 'ace', callid: 'sinch-call' };
+    const sign = (timestamp, body, secret = secrets.SINCH_APPLICATION_SECRET) => {
+        const contentMd5 = crypto.createHash('md5').update(body).digest('base64');
+        const stringToSign = `POST\n${contentMd5}\napplication/json\nx-timestamp:${timestamp}\n${path}`;
+        return crypto.createHmac('sha256', Buffer.from(secret, 'base64')).update(stringToSign).digest('base64');
+    };
+    const headers = (timestamp, signature, key = secrets.SINCH_APPLICATION_KEY) => ({
+        authorization: `Application ${key}:${signature}`,
+        'x-timestamp': timestamp
+    });
+
+    test('accepts a valid application signature', async () => {
+        const timestamp = new Date().toISOString();
+        await assertAccepted(post(path, { json, headers: headers(timestamp, sign(timestamp, JSON.stringify(json))) }));
+    });
+
+    test('rejects an unknown application key', async () => {
+        const timestamp = new Date().toISOString();
+        await assertRejected(post(path, { json, headers: headers(timestamp, sign(timestamp, JSON.stringify(json)), 'other-key') }));
+    });
+
+    test('rejects a signature over a different body', async () => {
+        const timestamp = new Date().toISOString();
+        await assertRejected(post(path, { json: { ...json, event: 'dice' }, headers: headers(timestamp, sign(timestamp, JSON.stringify(json))) }));
+    });
+
+    test('rejects a stale x-timestamp', async () => {
+        const timestamp = new Date(Date.now() - 3600 * 1000).toISOString();
+        await assertRejected(post(path, { json, headers: headers(timestamp, sign(timestamp, JSON.stringify(json))) }));
+    });
+});
+
+describe('shared-secret callbacks', () => {
+    for (const path of ['/webhook/infobip', '/webhook/enablex', '/wavix/call-1']) {
+        test(`${path} requires the shared token`, async () => {
+            await assertAccepted(post(`${path}?token=${secrets.WEBHOOK_SHARED_SECRET}`));
+            await assertRejected(post(`${path}?token=wrong-secret`));
+            await assertRejected(post(path));
+        });
+    }
+});
+
+test('checks the signature whatever case the path is in', async () => {
+    await assertRejected(post('/webhook/INFOBIP'));
+    await assertRejected(post('/webhook/Telnyx', { json: { data: {} } }));
+    await assertRejected(post('/Wavix/call-1?token=wrong-secret'));
+    await assertAccepted(post(`/webhook/Infobip?token=${secrets.WEBHOOK_SHARED_SECRET}`));
+});
+
+test('paths under /webhook without a verifier are not served', async () => {
+    for (const path of ['/webhook/unknown-provider', '/webhook/__proto__', '/webhook/constructor']) {
+        const response = await post(path);
+        assert.equal(response.status, 404);
+    }
+});